@@ -27,6 +27,8 @@ export default class Cache extends BaseController {
             loadingEntries: false,
             showEntriesTable: false,
             cacheEntries: [],
+            loadingScopes: false,
+            scopeMetrics: [],
 
             createKey: "",
             createValue: "",
@@ -59,6 +61,7 @@ export default class Cache extends BaseController {
                         this.uiModel.setProperty("/config", context.getProperty("configuration"));
                         this.loadStatistics();
                         this.loadKeyMetricsData();
+                        void this.loadScopeMetrics();
                     }
                 }
             }
@@ -87,6 +90,30 @@ export default class Cache extends BaseController {
         }
     }
 
+    private async loadScopeMetrics(): Promise<void> {
+        const cacheContext = this.getView().getElementBinding().getBoundContext() as Context;
+
+        try {
+            this.uiModel.setProperty("/loadingScopes", true);
+
+            const model = this.getODataModel();
+            const context = model.bindContext(`plugin.cds_caching.CachingApiService.getScopeMetrics(...)`, cacheContext);
+            await context.invoke();
+            const { value: scopes } = await context.requestObject() as { value: Array<{ scope: string; hits: number; misses: number; hitRatio: number }> };
+
+            this.uiModel.setProperty("/scopeMetrics", scopes);
+        } catch (error) {
+            console.error("Error loading scope metrics:", error);
+            MessageBox.error(await this.i18nText("msgLoadScopesFailed"));
+        } finally {
+            this.uiModel.setProperty("/loadingScopes", false);
+        }
+    }
+
+    public async onRefreshScopeMetrics(): Promise<void> {
+        await this.loadScopeMetrics();
+    }
+
     public async onLoadCacheEntries(): Promise<void> {
         const cacheContext = this.getView().getElementBinding().getBoundContext() as Context;
 
@@ -17,12 +17,131 @@ export interface CacheOptions {
   tags?: CacheTag[] | string[];
   key?: string | object;
   params?: Record<string, any>;
+  /**
+   * Read-through only: milliseconds an entry is kept beyond `ttl`. Within that
+   * window the stale value is returned immediately and refreshed in the background.
+   */
+  staleWhileRevalidate?: number;
+  /**
+   * Read-through only: milliseconds an entry is kept beyond `ttl` as a fallback.
+   * Within that window, a failing backend is answered with the stale value instead of the error.
+   */
+  staleIfError?: number;
+  /**
+   * Read-through only: largest share of `ttl` (`0`–`1`) randomly cut off each
+   * entry's TTL, so entries written together do not expire together.
+   */
+  ttlJitter?: number;
+  /**
+   * Read-through only: refresh fresh entries in the background before they
+   * expire (XFetch). `true` or a `beta`, where `1` is the usual choice.
+   */
+  earlyRefresh?: boolean | number;
+  /**
+   * Read-through only: `false` keeps this entry out of the cache's refresh-ahead
+   * scheduler. Has no effect when `refreshAhead` is off for the cache.
+   */
+  refreshAhead?: boolean;
+  /**
+   * Read-through only: load a missing key on one instance at a time. Other
+   * instances wait up to `wait` milliseconds for the lock and then read the
+   * entry it loaded, or load anyway. `true` for `{ ttl: 30000, wait: 5000 }`.
+   */
+  lock?: boolean | { ttl?: number; wait?: number };
+  /**
+   * Read-through only (`rt.run`, `rt.send`): milliseconds to cache "not found"
+   * errors (thrown again on hit) and empty results. Off by default.
+   */
+  negativeTtl?: number;
 }
 
 export interface CacheMetadata {
   value: any;
   tags: CacheTag[]; 
   timestamp: number;
+  /** Epoch milliseconds at which the store drops the entry; absent if it does not expire. */
+  expiresAt?: number;
+  /** Version of entries written by `setIfAbsent` or `compareAndSet`; absent (version 0) for entries written by `set`. */
+  version?: number;
+}
+
+export interface LockOptions {
+  /** Milliseconds the lock is held unless released or extended (default `30000`) */
+  ttl?: number;
+  /** Milliseconds to retry while another owner holds the lock (default `0`) */
+  wait?: number;
+  /** Milliseconds between retries (default `50`) */
+  retryInterval?: number;
+}
+
+export interface CacheLock {
+  name: string;
+  /** Fencing token: larger than the tokens of all earlier holders of the lock */
+  token: number;
+  ttl: number;
+  /** Hold the lock for `ttl` milliseconds from now. Resolves to `false` if it had expired. */
+  extend(ttl?: number): Promise<boolean>;
+  /** Release the lock. Resolves to `false` if it had expired. */
+  release(): Promise<boolean>;
+}
+
+/**
+ * Payloads of the lifecycle events, in `msg.data` of handlers registered with `cache.on(event, ...)`.
+ * `expired` and `evicted` are emitted by the in-memory store only.
+ */
+export interface CacheLifecycleEvents {
+  hit: { key: string; latency: number; stale: boolean };
+  miss: { key: string; latency: number; coalesced: boolean };
+  set: { key: string; ttl: number };
+  expired: { key: string };
+  evicted: { key: string };
+  invalidated: { op: 'delete' | 'deleteByTag' | 'clear'; keys?: string[]; tag?: string; remote: boolean };
+}
+
+export interface CacheExportOptions {
+  /** Only entries with this tag, a tag below it, or a tag matching the pattern */
+  tag?: string;
+  /** Only entries whose key starts with this prefix */
+  prefix?: string;
+}
+
+export interface CacheImportOptions {
+  /** TTL in milliseconds for every entry instead of the exported one, `0` for no expiry */
+  ttl?: number;
+}
+
+/**
+ * Custom serializer for the `serializer` option. `name` is recorded with each
+ * entry, so it must stay the same for as long as entries written with it are cached.
+ */
+export interface CacheSerializer {
+  name: string;
+  serialize(value: any): string;
+  deserialize(text: string): any;
+}
+
+/**
+ * Supplies the encryption keys of tenants for `encryption.tenantKeys`. Resolves to
+ * key material, the key as a `Buffer`, or `{ id, key, previousKeys }`; to
+ * `undefined` when the tenant has no key, e.g. after it was offboarded.
+ */
+export interface TenantKeyProvider {
+  tenantKey(tenant: string): any;
+}
+
+/**
+ * A read of the `warmup` option: a CQL query, or a call of an unbound function,
+ * on a served service.
+ */
+export interface CacheWarmupRead {
+  service: string;
+  /** CQL string or CQN object */
+  query?: string | object;
+  /** Name of an unbound function, instead of `query` */
+  function?: string;
+  args?: Record<string, any>;
+  tenant?: string;
+  tenants?: string[];
 }
 
 export interface StatisticsMetadata {
@@ -42,12 +161,42 @@ export interface RuntimeConfiguration {
 export interface CacheStatistics {
   hits: number;
   misses: number;
+  /** Misses that joined a load already running for the same key. */
+  coalesced: number;
+  /** Requests answered with a stale value because loading a fresh one failed. */
+  staleIfError: number;
+  /** Store reads answered by the in-process L1 of a tiered cache. */
+  l1Hits: number;
+  /** Store reads the L1 of a tiered cache passed on to the shared store. */
+  l1Misses: number;
+  /** Background refreshes of read-through entries started before they expired. */
+  earlyRefreshes: number;
+  /** Read-through hits on cached "not found" errors and empty results. */
+  negativeHits: number;
+  /** Read-through entries loaded by a cache warm-up; not counted as misses. */
+  warmups: number;
+  /** Entries the memory store removed to stay within its `maxEntries` / `maxBytes` limits. */
+  evictions: number;
+  /** Current operations per scope created with `scope()`; not persisted. */
+  scopes?: CacheScopeStatistics[];
   totalRequests: number;
   hitRate: number;
   averageLatency: number;
   totalLatency: number;
 }
 
+export interface CacheScopeStatistics {
+  /** Full scope name, e.g. `pricing` or `pricing:eu` for nested scopes */
+  scope: string;
+  hits: number;
+  misses: number;
+  totalRequests: number;
+  hitRatio: number;
+  nativeSets: number;
+  nativeGets: number;
+  nativeDeletes: number;
+}
+
 export interface CacheKeyMetrics {
   key: string;
   hits: number;
@@ -62,6 +211,11 @@ export interface CachableFunctionOptions {
   '@cache.ttl'?: number;
   '@cache.key'?: string | object;
   '@cache.tags'?: string[];
+  '@cache.swr'?: number;
+  '@cache.staleIfError'?: number;
+  '@cache.ttlJitter'?: number;
+  '@cache.earlyRefresh'?: boolean | number;
+  '@cache.warmup'?: boolean | Record<string, any>;
 }
 
 export interface ReadThroughResult<T = any> {
@@ -70,6 +224,15 @@ export interface ReadThroughResult<T = any> {
   metadata: {
     hit: boolean;
     latency: number;
+    /**
+     * On a hit: the entry was past its `ttl` and is being refreshed in the background.
+     * On a miss: the backend failed and the value is a stale fallback (see `staleIfError`).
+     */
+    stale?: boolean;
+    /** Message of the backend error a stale fallback was served for. */
+    error?: string;
+    /** On a miss: whether the result came from another caller's load for the same key. */
+    coalesced?: boolean;
   };
 }
 
@@ -135,17 +298,130 @@ export declare class CachingService extends Service {
      * The key may be given directly, read from the environment variable named by
      * `keyEnv`, or supplied by a service binding as `credentials.encryptionKey`.
      * Startup fails when encryption is enabled but no usable key is found.
+     * Envelopes name the key that wrote them, so `previousKeys` keep entries
+     * written before a rotation readable.
      */
     encryption?: {
         enabled?: boolean;
         key?: string;
         keyEnv?: string;
+        /** ID written into envelopes, derived from the key by default */
+        keyId?: string;
+        /** Keys that only decrypt: key material, or `{ id, key }` / `{ id, keyEnv }` */
+        previousKeys?: Array<string | { id?: string; key?: string; keyEnv?: string }>;
+        /** Rewrite entries read under a previous key under the current one */
+        reencryptOnRead?: boolean;
+        /**
+         * A key per tenant: `true` derives it from the configured keys with HKDF,
+         * `{ provider }` asks a key provider, which replaces the configured key.
+         * Keys from a provider are kept for `keyTtl` milliseconds (5 minutes by default).
+         */
+        tenantKeys?: boolean | { provider: TenantKeyProvider; keyTtl?: number };
     };
     /**
      * When enabled, basic operations (`get`, `set`, `delete`, ...) run in a dedicated cache transaction.
      * This isolates cache access from the caller's request transaction (useful for concurrent BEFORE handlers).
      */
     transactionalOperations?: boolean;
+    /**
+     * Bounded in-process L1 in front of the configured store. Reads are answered
+     * from the L1 while it holds a copy; writes, deletes and clears reach both tiers.
+     * `true` uses the defaults (`ttl: 5000`, `maxEntries: 1000`).
+     */
+    l1?: boolean | {
+        enabled?: boolean;
+        ttl?: number;
+        maxEntries?: number;
+    };
+    /**
+     * Limits of the in-memory store used when no `store` is configured. The least
+     * recently used entries are evicted beyond `maxEntries` or `maxBytes` of
+     * serialized data (both default `0`, unlimited); expired entries are
+     * swept every `sweepInterval` milliseconds (default `60000`, `0` disables).
+     */
+    memory?: {
+        maxEntries?: number;
+        maxBytes?: number;
+        sweepInterval?: number;
+    };
+    /**
+     * Maintain a tag → keys index so `deleteByTag` reads only the tagged entries.
+     * Supported by the memory, `redis`, `postgres` and `cds` stores. Defaults to `true`.
+     */
+    tagIndex?: boolean;
+    /**
+     * Invalidate tags by moving a generation counter on instead of deleting the
+     * tagged entries, which are then read as misses. Defaults to `false`.
+     */
+    versionedTags?: boolean;
+    /**
+     * How entries are serialized for the store. `structured` and `msgpack` keep
+     * `Date`, `Buffer`, `BigInt`, `Map` and `Set` values. Defaults to `'json'`.
+     */
+    serializer?: 'json' | 'structured' | 'msgpack' | CacheSerializer;
+    /**
+     * Append a fingerprint of the cached entity's or function's compiled
+     * definition to the keys of annotation-cached requests, so entries built from
+     * an older model are not served. Defaults to `false`.
+     */
+    schemaFingerprint?: boolean;
+    /** Application version mixed into schema fingerprints. */
+    appVersion?: string;
+    /**
+     * Coalesce concurrent read-through misses on the same key into one backend
+     * call, whose result all waiting callers share. Defaults to `true`.
+     */
+    singleFlight?: boolean;
+    /** Default `ttlJitter` for read-through operations of this cache. Defaults to `0`. */
+    ttlJitter?: number;
+    /** Default `earlyRefresh` for read-through operations of this cache. Defaults to off. */
+    earlyRefresh?: boolean | number;
+    /**
+     * Reload read-through entries that were read since they were loaded `window`
+     * milliseconds before they expire, under the tenant that loaded them.
+     * Entries cached by `rt.run(req, next)` are not refreshed ahead. Defaults to off.
+     */
+    refreshAhead?: boolean | {
+        enabled?: boolean;
+        /** Milliseconds before expiry to reload an entry. Defaults to `5000`. */
+        window?: number;
+        /** Reads since the last load an entry needs to be reloaded. Defaults to `1`. */
+        minHits?: number;
+        /** Most entries with a scheduled refresh; the oldest are dropped. Defaults to `1000`. */
+        maxEntries?: number;
+    };
+    /**
+     * Reads run once the services are served, before the server accepts
+     * requests, together with those of `@cache.warmup` annotations naming this
+     * cache. `false` turns warm-up off for the cache.
+     */
+    warmup?: false | {
+        enabled?: boolean;
+        /** Reads running at the same time. Defaults to `2`. */
+        concurrency?: number;
+        /**
+         * Milliseconds the startup waits for the reads; reads not started by then are
+         * skipped. Defaults to `30000`, `0` waits for all of them.
+         */
+        timeout?: number;
+        /** Tenants to run the reads for that name none. */
+        tenants?: string[];
+        queries?: CacheWarmupRead[];
+    };
+    /**
+     * Broadcast `delete`, `deleteMany`, `clear` and `deleteByTag` to the other
+     * instances of the application, which apply them to their memory store or L1.
+     * `'local'` only reaches caches in the same process and is meant for tests.
+     */
+    invalidationBus?: 'local' | 'redis' | 'messaging' | {
+        kind: 'local' | 'redis' | 'messaging';
+        /** Pub/sub channel or event name. Defaults to `cds-caching.invalidation`. */
+        channel?: string;
+        /** Messaging service to publish on (`kind: 'messaging'`). Defaults to `messaging`. */
+        service?: string;
+        /** Redis connection (`kind: 'redis'`). Defaults to the store's credentials on a Redis store. */
+        credentials?: object;
+    };
   };
   
   private cacheAnnotatedFunctions: {
@@ -156,6 +432,12 @@ export declare class CachingService extends Service {
   // Read-through operations
   readonly rt: ReadThroughOperations;
 
+  /**
+   * Get a value by its key, or load it with `loader` and store it (cache-aside).
+   * The key is built like the key of `set`; tag templates are resolved against the loaded value.
+   */
+  getOrSet<T>(key: string | object, loader: () => Promise<T>, options?: CacheOptions): Promise<ReadThroughResult<T>>;
+
   // ============================================================================
   // Core Cache Operations
   // ============================================================================
@@ -165,6 +447,12 @@ export declare class CachingService extends Service {
    */
   createKey(...args: any[]): string;
 
+  /**
+   * Fingerprint of an entity or function definition, or `undefined` when
+   * `schemaFingerprint` is off
+   */
+  schemaFingerprint(definition: object): string | undefined;
+
   /**
    * Set a value in the cache
    */
@@ -175,6 +463,25 @@ export declare class CachingService extends Service {
    */
   get(key: string | object, tx?: any): Promise<any>;
 
+  /**
+   * Set several values in one store call. Per-entry `ttl`/`tags`/`params` override `options`.
+   */
+  setMany(
+    entries: Array<{ key: string | object; value: any; ttl?: number; tags?: CacheTag[] | string[]; params?: Record<string, any> }>,
+    options?: CacheOptions,
+    tx?: any
+  ): Promise<void>;
+
+  /**
+   * Get several values in one store call, in the order of `keys` (`undefined` for misses)
+   */
+  getMany(keys: Array<string | object>, tx?: any): Promise<any[]>;
+
+  /**
+   * Delete several keys in one store call
+   */
+  deleteMany(keys: Array<string | object>, tx?: any): Promise<boolean>;
+
   /**
    * Check if a key exists in the cache
    */
@@ -191,7 +498,8 @@ export declare class CachingService extends Service {
   clear(tx?: any): Promise<void>;
 
   /**
-   * Delete all keys that have a specific tag
+   * Delete all keys that have a specific tag or a tag below it (`tag/...`).
+   * `*` in the tag matches any characters within one level.
    */
   deleteByTag(tag: string, tx?: any): Promise<void>;
 
@@ -200,6 +508,40 @@ export declare class CachingService extends Service {
    */
   metadata(key: string | object, tx?: any): Promise<CacheMetadata | null>;
 
+  /**
+   * Set a value only if the key holds no live entry. Resolves to whether it was written.
+   */
+  setIfAbsent(key: string | object, value: any, options?: CacheOptions, tx?: any): Promise<boolean>;
+
+  /**
+   * Set a value only if the entry is at `expectedVersion` (`0` for entries written by `set`).
+   * Resolves to whether it was written.
+   */
+  compareAndSet(key: string | object, expectedVersion: number, value: any, options?: CacheOptions, tx?: any): Promise<boolean>;
+
+  /**
+   * Take a named lock on the cache store. Resolves to `null` if another owner held it for the whole `wait`.
+   * Supported by the memory, `redis` and `cds` stores.
+   */
+  lock(name: string, options?: LockOptions): Promise<CacheLock | null>;
+
+  /**
+   * A view of the cache whose keys are all prefixed with `<name>:`. `clear()`, `iterator()` and
+   * `deleteByTag()` only reach entries of the scope; the statistics break operations down by scope.
+   */
+  scope(name: string): CachingService;
+
+  /**
+   * Milliseconds until a key expires: `Infinity` if it does not expire, `null` if it is not cached
+   */
+  ttl(key: string | object, tx?: any): Promise<number | null>;
+
+  /**
+   * Give an existing entry a new TTL in milliseconds, counted from now (`0` for no expiry).
+   * Only the expiry changes, with a conditional write. Resolves to whether the entry was found.
+   */
+  touch(key: string | object, ttl: number, tx?: any): Promise<boolean>;
+
   /**
    * Get tags for a key
    */
@@ -215,6 +557,29 @@ export declare class CachingService extends Service {
    */
   getRaw(key: string | object, tx?: any): Promise<any>;
 
+  /**
+   * Rewrite the entries encrypted under a previous key under the current key. A rotation already
+   * running is joined. Rejects if the cache does not encrypt its values.
+   */
+  rotateEncryption(): Promise<{ rotated: number; current: number; failed: number }>;
+
+  /**
+   * Drop the key of a tenant held in memory, so it is derived or asked for again. With a key
+   * provider, call it after deleting the tenant's key to make its entries unreadable right away.
+   */
+  forgetTenantKey(tenant: string): void;
+
+  /**
+   * Write the entries to a stream as an NDJSON snapshot, with their tags, timestamps and remaining TTL.
+   * Resolves to the number of entries written; the stream is not ended.
+   */
+  export(stream: NodeJS.WritableStream, options?: CacheExportOptions): Promise<number>;
+
+  /**
+   * Load an NDJSON snapshot written by `export()`. Entries that expired since the export are skipped.
+   */
+  import(input: NodeJS.ReadableStream | AsyncIterable<string | Buffer> | string | Buffer, options?: CacheImportOptions): Promise<{ imported: number; skipped: number }>;
+
   // ============================================================================
   // Deprecated CAP Operations (for backward compatibility)
   // ============================================================================
@@ -1,17 +1,33 @@
 const cds = require('@sap/cds');
 const CacheStoreManager = require('./support/CacheStoreManager');
 const KeyManager = require('./support/KeyManager');
+const ScopedKeyManager = require('./support/ScopedKeyManager');
 const TagResolver = require('./support/TagResolver');
 const RuntimeConfigurationManager = require('./support/RuntimeConfigurationManager');
 const CacheStatisticsHandler = require('./support/CacheStatisticsHandler');
+const SingleFlight = require('./support/SingleFlight');
+const Revalidator = require('./support/Revalidator');
+const { RefreshAhead, resolveRefreshAheadOptions } = require('./support/RefreshAhead');
+const { acquireLock } = require('./support/Locks');
+const { TagGenerations } = require('./support/TagGenerations');
+const { schemaFingerprint } = require('./support/schemaFingerprint');
 const BasicOperations = require('./operations/BasicOperations');
 const CapOperations = require('./operations/CapOperations');
 const AsyncOperations = require('./operations/AsyncOperations');
 const telemetry = require('./support/Telemetry');
-const { isMultitenantMode } = require('./support/MultitenancyDetector');
+const { isMultitenantMode, currentTenant } = require('./support/MultitenancyDetector');
 const { normalizeCachingConfig, getStatisticsHandlerOptions } = require('./config-normalizer');
 const { isPluginModelAvailable } = require('./util');
-const { ValueCipher, createValueCipher } = require('./support/valueEncryption');
+const { ValueCipher, TenantCiphers, createValueCipher } = require('./support/valueEncryption');
+const { ValueSerializer, createValueSerializer } = require('./support/serializers');
+const { createInvalidationBus } = require('./support/InvalidationBus');
+const { withTimeout, resolveOperationTimeout } = require('./support/withTimeout');
+
+// Stores whose data every instance shares; the others live in each instance's memory
+const SHARED_STORES = ['redis', 'postgres', 'cds', 'hana'];
+
+/** Conditional writes of a touched entry that lost to other writes before giving up. */
+const MAX_TOUCH_ATTEMPTS = 10;
 
 class CachingService extends cds.Service {
 
@@ -31,6 +47,45 @@ class CachingService extends cds.Service {
             // will be executed in a dedicated cache transaction (`cache.tx()`),
             // isolating them from the caller's request transaction (e.g. concurrent BEFORE handlers).
             transactionalOperations: false,
+            // When set (`true` or `{ ttl, maxEntries }`), a bounded in-process L1
+            // answers repeated reads before they reach the configured store.
+            l1: false,
+            // Limits of the in-memory store used without a `store`:
+            // `{ maxEntries: 0, maxBytes: 0, sweepInterval: 60000 }`, `0` meaning unlimited or off.
+            memory: {},
+            // When enabled, `deleteByTag` looks tagged entries up in a tag index
+            // (memory, redis, postgres and cds stores) instead of scanning the store.
+            tagIndex: true,
+            // When enabled, `deleteByTag` moves a generation counter of the tag on
+            // instead of deleting the tagged entries, which are then read as misses.
+            versionedTags: false,
+            // How entries are serialized for the store: 'json', 'structured' (keeps
+            // Dates, Buffers, BigInts, Maps and Sets), 'msgpack' or a custom serializer.
+            serializer: 'json',
+            // When enabled, keys of annotation-cached requests carry a fingerprint of the
+            // entity or function definition, so entries built from an older model are not hit.
+            // Off by default: enabling it changes those keys, and the cache starts cold once.
+            schemaFingerprint: false,
+            // Mixed into the schema fingerprints, so a new application version misses them as well.
+            appVersion: null,
+            // When enabled, concurrent read-through misses on the same key share
+            // one backend call instead of each loading and writing the same value.
+            singleFlight: true,
+            // Largest share (0–1) randomly cut off read-through TTLs, so entries
+            // written together do not all expire together.
+            ttlJitter: 0,
+            // XFetch beta for refreshing read-through entries in the background
+            // before they expire (`true` for 1); 0 turns early refresh off.
+            earlyRefresh: 0,
+            // When set (`true` or `{ window, minHits, maxEntries }`), read-through entries
+            // that are read are reloaded in the background `window` ms before they expire.
+            refreshAhead: false,
+            // Reads run on startup to fill the cache (`{ concurrency, tenants, queries }`), in addition
+            // to those of `@cache.warmup` annotations; `false` turns warm-up off for this cache.
+            warmup: null,
+            // When set (`'local'`, `'redis'`, `'messaging'` or `{ kind, channel, service, credentials }`),
+            // deletes, clears and tag invalidations are broadcast to the other instances.
+            invalidationBus: null,
             ...(this.options || {})
         };
         this.options.credentials = this.options.credentials || {};
@@ -39,18 +94,34 @@ class CachingService extends cds.Service {
         // rather than starting up and writing plaintext.
         this.cipher = createValueCipher(this.options);
         if (this.cipher) {
-            this.log.info(`Caching service ${this.name} encrypts cached values at rest`);
+            const keys = this.cipher.forTenant ? 'per-tenant keys' : `key ${this.cipher.id}`;
+            this.log.info(`Caching service ${this.name} encrypts cached values at rest with ${keys}`);
         }
+        // Keys of entries being rewritten under the current encryption key
+        this.reencrypting = new Set();
+        // Running key rotations by tenant
+        this.rotations = new Map();
+        this.serializer = createValueSerializer(this.options);
 
         // Initialize managers
         this.storeManager = new CacheStoreManager();
         this.runtimeConfigManager = new RuntimeConfigurationManager(this.name, this.log, this.options);
         this.keyManager = new KeyManager(this.runtimeConfigManager);
         this.tagResolver = new TagResolver();
+        this.singleFlight = new SingleFlight({ enabled: this.options.singleFlight });
+        this.revalidator = new Revalidator(this.singleFlight, this.log);
 
         // Create cache store
-        const { cache, cleanup } = this.storeManager.createStore(this.options, this.name);
+        const { cache, tagIndex, conditionalWrites, locks, l1, memoryStore, cleanup } = this.storeManager.createStore(this.options, this.name);
         this.cache = cache;
+        this.tagIndex = tagIndex;
+        this.conditionalWrites = conditionalWrites;
+        this.locks = locks;
+        this.l1 = l1;
+        this.memoryStore = memoryStore;
+        this.tagGenerations = this.options.versionedTags
+            ? new TagGenerations(cache, { conditionalWrites, storeKey: key => this.storeKey(key), l1 })
+            : null;
 
         // Set default OTel attributes for all cache metrics
         telemetry.setDefaultAttributes({
@@ -70,38 +141,178 @@ class CachingService extends cds.Service {
         /**
          * Internal event handlers
          */
+        // Keyv does not expose the TTL it stores, so wrapped entries record their
+        // own expiry for `ttl()`, `touch()` and `metadata()`.
+        const withExpiry = (wrapped, ttl) => {
+            if (!wrapped || typeof wrapped !== "object" || !('value' in wrapped)) return wrapped;
+            const entry = { ...wrapped };
+            delete entry.expiresAt;
+            if (ttl > 0) entry.expiresAt = Date.now() + ttl;
+            return entry;
+        }
+
+        const serialize = async (wrapped) => {
+            const value = await this.encryptWrappedValue(wrapped);
+            return typeof value === "object" ? this.serializer.serialize(value) : value;
+        }
+
+        const deserialize = async (stored, key) => {
+            let wrapped = stored;
+            if (typeof stored === "string") {
+                try {
+                    wrapped = this.serializer.deserialize(stored);
+                } catch (error) {
+                    // Strings that are not JSON were stored as they are; an envelope
+                    // that cannot be read costs a miss, as an undecryptable entry does.
+                    if (!ValueSerializer.isEnveloped(stored)) return stored;
+                    this.log.warn(`Cache entry ${key} cannot be deserialized; treating it as a miss:`, error);
+                    return undefined;
+                }
+            }
+            return this.decryptWrappedValue(wrapped, key);
+        }
+
+        // Tags are indexed before the entry is written: an entry must never be in
+        // the store without being indexed, while an index member without an entry
+        // is harmless. When indexing fails, the entry is not written.
+        const indexTags = async (entries) => {
+            const tagged = this.tagIndex && entries.filter(entry => entry.tags?.length > 0);
+            if (!tagged?.length) return true;
+            try {
+                await this.tagIndex.add(tagged);
+                return true;
+            } catch (error) {
+                this.log.error(`Failed to index tags for cache ${this.name}; entries not written:`, error);
+                if (this.options.throwOnErrors) throw error;
+                return false;
+            }
+        }
+
+        // Once entries were written or deleted, the in-memory index drops the
+        // members they no longer have
+        const pruneTags = (entries) => this.tagIndex?.prune?.(entries);
+
+        const stampGenerations = async (wrappedValues, ttls) => this.tagGenerations ? this.tagGenerations.stamp(wrappedValues, ttls) : wrappedValues;
+
+        // With versioned tags, entries written before one of their tags was
+        // invalidated are misses. They are deleted on the way, so they do not
+        // linger in the store until they expire.
+        const dropOutdated = async (keys, wrappedValues) => {
+            if (!this.tagGenerations) return wrappedValues;
+            const outdated = await this.tagGenerations.outdated(wrappedValues);
+            const stale = keys.filter((key, i) => outdated[i]);
+            if (stale.length > 0) {
+                await this.cache.deleteMany(stale);
+                pruneTags(stale.map(key => ({ key })));
+            }
+            return wrappedValues.map((wrapped, i) => outdated[i] ? undefined : wrapped);
+        }
+
         const handleSet = async (event) => {
             this.log.debug(`SET ${event.data.key}`);
-            event.data.value = this.encryptWrappedValue(event.data.value);
-            if (typeof event.data.value === "object") {
-                event.data.value = JSON.stringify(event.data.value);
-            }
+            const indexed = await indexTags([{ key: event.data.key, tags: event.data.value?.tags, ttl: event.data.ttl }]);
+            if (!indexed) return;
+            const [wrapped] = await stampGenerations([event.data.value], [event.data.ttl]);
+            event.data.value = await serialize(withExpiry(wrapped, event.data.ttl));
             await this.cache.set(event.data.key, event.data.value, (event.data.ttl || 0))
+            pruneTags([{ key: event.data.key, tags: wrapped?.tags }]);
+            this.emitLifecycleEvent('set', { key: event.data.key, ttl: event.data.ttl || 0 });
+        }
+
+        // Conditional writes compare the data the store holds, so they read and
+        // write it in the store's format rather than through Keyv. The write only
+        // happens if the entry is absent or expired (`version` undefined), or at
+        // `version`; entries written by `set` count as version 0.
+        const handleSetIf = async (event) => {
+            const { key, value, ttl, version } = event.data;
+            this.log.debug(`SET_IF ${key}`);
+            const storeKey = this.storeKey(key);
+            const stored = await this.conditionalWrites.read(storeKey);
+
+            let current;
+            if (stored !== undefined) {
+                const data = typeof stored === "string" || this.cache.compression ? await this.cache.deserializeData(stored) : stored;
+                const expired = typeof data?.expires === "number" && data.expires <= Date.now();
+                if (data && !expired) current = await deserialize(data.value, key);
+            }
+            // An outdated entry is as good as absent, but stays in place for the comparison below
+            if (current !== undefined && this.tagGenerations && (await this.tagGenerations.outdated([current]))[0]) {
+                current = undefined;
+            }
+            const currentVersion = current === undefined ? undefined : (current?.version ?? 0);
+            if (currentVersion !== version) return false;
+
+            const indexed = await indexTags([{ key, tags: value?.tags, ttl }]);
+            if (!indexed) return false;
+            const [wrapped] = await stampGenerations([{ ...value, version: (version ?? 0) + 1 }], [ttl]);
+            const data = await this.cache.serializeData({
+                value: await serialize(withExpiry(wrapped, ttl)),
+                expires: ttl > 0 ? Date.now() + ttl : undefined
+            });
+            const written = await this.conditionalWrites.replace(storeKey, stored, data, ttl || 0);
+            // The L1 may still hold the entry that was replaced
+            if (written) {
+                this.l1?.evict([storeKey]);
+                pruneTags([{ key, tags: value?.tags }]);
+                this.emitLifecycleEvent('set', { key, ttl: ttl || 0 });
+            }
+            return written;
         }
 
         const handleGet = async (event) => {
             const stored = await this.cache.get(event.data.key);
             this.log.debug(`GET ${event.data.key}`);
+            const [wrapped] = await dropOutdated([event.data.key], [await deserialize(stored, event.data.key)]);
+            return wrapped;
+        }
 
-            let wrapped = stored;
-            if (typeof stored === "string") {
-                try {
-                    wrapped = JSON.parse(stored);
-                } catch (error) {
-                    return stored;
-                }
+        // Batches go to the store in one call; Keyv falls back to per-key calls
+        // for stores without native multi-key support.
+        const handleSetMany = async (event) => {
+            this.log.debug(`SET_MANY ${event.data.entries.length} keys`);
+            const indexed = await indexTags(event.data.entries.map(({ key, value, ttl }) => ({ key, tags: value?.tags, ttl })));
+            if (!indexed) return;
+            const wrappedValues = await stampGenerations(event.data.entries.map(({ value }) => value), event.data.entries.map(({ ttl }) => ttl));
+            await this.cache.setMany(await Promise.all(event.data.entries.map(async ({ key, ttl }, i) => ({
+                key,
+                value: await serialize(withExpiry(wrappedValues[i], ttl)),
+                ttl: ttl || 0
+            }))));
+            pruneTags(event.data.entries.map(({ key, value }) => ({ key, tags: value?.tags })));
+            for (const { key, ttl } of event.data.entries) {
+                this.emitLifecycleEvent('set', { key, ttl: ttl || 0 });
             }
-            return this.decryptWrappedValue(wrapped, event.data.key);
+        }
+
+        const handleGetMany = async (event) => {
+            const stored = await this.cache.getMany(event.data.keys);
+            this.log.debug(`GET_MANY ${event.data.keys.length} keys`);
+            return dropOutdated(event.data.keys, await Promise.all(event.data.keys.map((key, i) => deserialize(stored?.[i], key))));
         }
 
         const handleDelete = async (event) => {
             this.log.debug(`DELETE ${event.data.key}`);
             await this.cache.delete(event.data.key);
+            pruneTags([{ key: event.data.key }]);
+        }
+
+        const handleDeleteMany = async (event) => {
+            this.log.debug(`DELETE_MANY ${event.data.keys.length} keys`);
+            const result = await this.cache.deleteMany(event.data.keys);
+            pruneTags(event.data.keys.map(key => ({ key })));
+            return result;
         }
 
         const handleClear = async (event) => {
             this.log.debug(`CLEAR`);
             await this.cache.clear();
+            if (this.tagIndex) {
+                try {
+                    await this.tagIndex.clear();
+                } catch (error) {
+                    this.log.warn(`Failed to clear the tag index of cache ${this.name}:`, error);
+                }
+            }
 
             if (this.statistics) {
                 await this.statistics.resetCurrentStats();
@@ -119,8 +330,12 @@ class CachingService extends cds.Service {
 
         // Those support before/after hooks
         this.on('SET', handleSet.bind(this));
+        this.on('SET_IF', handleSetIf.bind(this));
         this.on('GET', handleGet.bind(this));
         this.on('DELETE', handleDelete.bind(this));
+        this.on('SET_MANY', handleSetMany.bind(this));
+        this.on('GET_MANY', handleGetMany.bind(this));
+        this.on('DELETE_MANY', handleDeleteMany.bind(this));
         this.on('CLEAR', handleClear.bind(this));
 
         const config = await this.runtimeConfigManager.getRuntimeConfiguration();
@@ -144,6 +359,32 @@ class CachingService extends cds.Service {
         this.statistics.enableKeyMetrics(keyMetricsEnabled);
         this.statistics.enableMetrics(metricsEnabled);
 
+        // L1 lookups happen inside the store, below the operations that record
+        // hits and misses, so the tier reports them itself.
+        if (this.l1) {
+            this.l1.onLookup = (key, isHit) => this.statistics.recordL1Lookup(key, isHit);
+        }
+        if (this.memoryStore) {
+            this.memoryStore.onEvict = (key) => {
+                this.statistics.recordEviction(key);
+                this.tagIndex?.prune?.([{ key: this.cacheKeyOf(key) }]);
+                this.emitLifecycleEvent('evicted', { key: this.cacheKeyOf(key) });
+            };
+            this.memoryStore.onExpire = (key) => {
+                this.tagIndex?.prune?.([{ key: this.cacheKeyOf(key) }]);
+                this.emitLifecycleEvent('expired', { key: this.cacheKeyOf(key) });
+            };
+        }
+
+        const refreshAheadOptions = resolveRefreshAheadOptions(this.options.refreshAhead);
+        this.refreshAhead = refreshAheadOptions
+            ? new RefreshAhead(refreshAheadOptions, this.singleFlight, {
+                accessCount: (key) => this.statistics.getKeyHits(key),
+                log: this.log
+            })
+            : null;
+        if (this.refreshAhead) cds.once("shutdown", () => this.refreshAhead.dispose());
+
         if (normalized.metrics?.enabled === true && isPluginModelAvailable()) {
             try {
                 await this.runtimeConfigManager.setMetricsEnabled(true);
@@ -185,6 +426,20 @@ class CachingService extends cds.Service {
 
         // Always set up statistics hooks, but they will be controlled by the enabled flag
         this.setupStatisticsHooks();
+
+        // Subscribed last, so that a message arriving right away finds the
+        // operations in place.
+        this.instanceId = cds.utils.uuid();
+        this.invalidationBus = createInvalidationBus(this.options);
+        if (this.invalidationBus) {
+            try {
+                await this.invalidationBus.subscribe(message => this.applyRemoteInvalidation(message));
+                this.log.info(`Caching service ${this.name} receives invalidations from other instances`);
+            } catch (error) {
+                this.log.error(`Failed to subscribe cache ${this.name} to the invalidation bus:`, error);
+            }
+            cds.once("shutdown", () => this.invalidationBus.close());
+        }
     }
 
     // ============================================================================
@@ -193,17 +448,101 @@ class CachingService extends cds.Service {
 
     createKey(...args) { return this.keyManager.createKey(...args); }
 
+    /**
+     * Fingerprint of an entity or function definition for the keys of the
+     * entries cached for it, or `undefined` when `schemaFingerprint` is off.
+     * @param {object} definition - Linked entity, action or function definition
+     * @returns {string|undefined}
+     */
+    schemaFingerprint(definition) {
+        if (!this.options.schemaFingerprint) return undefined;
+        return schemaFingerprint(definition, this.options.appVersion ?? '');
+    }
+
+    /**
+     * Key under which the store holds a cache key: prefixed with the namespace
+     * the way Keyv prefixes it, unless Keyv leaves keys to the store.
+     * @param {string} key - Created cache key
+     * @returns {string}
+     */
+    storeKey(key) {
+        const prefix = `${this.cache.namespace}:`;
+        if (!this.cache.useKeyPrefix || !this.cache.namespace || key.startsWith(prefix)) return key;
+        return `${prefix}${key}`;
+    }
+
+    /**
+     * Reverse `storeKey`: the cache key of a key the store reports.
+     * @param {string} storeKey - Key as held by the store
+     * @returns {string}
+     */
+    cacheKeyOf(storeKey) {
+        const prefix = `${this.cache.namespace}:`;
+        if (!this.cache.useKeyPrefix || !this.cache.namespace || !storeKey.startsWith(prefix)) return storeKey;
+        return storeKey.slice(prefix.length);
+    }
+
+    /**
+     * Emit a cache lifecycle event (`hit`, `miss`, `set`, `expired`, `evicted`,
+     * `invalidated`) to the handlers registered with `cache.on(event, ...)`.
+     * Nothing is dispatched while no handler listens for the event. The event is
+     * not awaited: handlers run after the cache operation, and a failing handler
+     * is logged without affecting it.
+     * @param {string} event - Lifecycle event
+     * @param {object} data - Event payload, with the cache `key` where there is one
+     */
+    emitLifecycleEvent(event, data) {
+        if (!this.handlers.on.some(handler => handler.on === event)) return;
+        Promise.resolve()
+            .then(() => this.emit(event, data))
+            .catch(error => this.log.warn(`Handler for cache event ${event} of cache ${this.name} failed:`, error));
+    }
+
+    /**
+     * Keyring that encrypts and decrypts for the current request: with per-tenant
+     * keys that of its tenant, otherwise the cache's.
+     * @returns {Promise<ValueCipher|null>}
+     * @throws {Error} When the tenant key provider has no key for the tenant
+     */
+    async currentCipher() {
+        if (!this.cipher?.forTenant) return this.cipher;
+        return this.cipher.forTenant(currentTenant());
+    }
+
+    /**
+     * Whether an encrypted value is the current tenant's to read: any value is,
+     * unless keys are per tenant, in which case it has to name the tenant's key.
+     * @param {string} envelope - Encrypted value
+     * @returns {boolean}
+     */
+    ownsValue(envelope) {
+        return !this.cipher?.forTenant || TenantCiphers.belongsTo(envelope, currentTenant());
+    }
+
+    /**
+     * Drop the key of a tenant held in memory, so it is derived or asked for
+     * again. After deleting a tenant's key from the key provider, e.g. when the
+     * tenant is offboarded, this makes its entries unreadable right away rather
+     * than once the key is no longer kept.
+     * @param {string} tenant - Tenant ID
+     */
+    forgetTenantKey(tenant) {
+        this.cipher?.forget?.(tenant);
+    }
+
     /**
      * Encrypt the value inside a wrapped cache entry, leaving tags and timestamp
      * readable so tag-based invalidation does not have to decrypt anything.
      * @param {any} wrapped - Wrapped entry, or a bare value
-     * @returns {any} The entry with its value encrypted, unchanged when off
+     * @returns {Promise<any>} The entry with its value encrypted, unchanged when off
+     * @throws {Error} When there is no key for the current tenant, rather than writing plaintext
      */
-    encryptWrappedValue(wrapped) {
+    async encryptWrappedValue(wrapped) {
         if (!this.cipher || !wrapped || typeof wrapped !== 'object') return wrapped;
         if (!('value' in wrapped)) return wrapped;
 
-        return { ...wrapped, value: this.cipher.encrypt(JSON.stringify(wrapped.value ?? null)) };
+        const cipher = await this.currentCipher();
+        return { ...wrapped, value: cipher.encrypt(this.serializer.serialize(wrapped.value ?? null)) };
     }
 
     /**
@@ -211,13 +550,15 @@ class CachingService extends cds.Service {
      *
      * An entry that cannot be decrypted is reported as absent rather than thrown,
      * so a rotated key or a cache written before encryption was enabled costs a
-     * miss and a warning instead of failing the request.
+     * miss and a warning instead of failing the request. An entry of another
+     * tenant is absent as well, without a warning: with per-tenant keys, meeting
+     * one is expected rather than a sign of misconfiguration.
      *
      * @param {any} wrapped - Wrapped entry read from the store
      * @param {string} [key] - Cache key, for diagnostics
-     * @returns {any} The entry with its value decrypted, or undefined if unreadable
+     * @returns {Promise<any>} The entry with its value decrypted, or undefined if unreadable
      */
-    decryptWrappedValue(wrapped, key) {
+    async decryptWrappedValue(wrapped, key) {
         if (!wrapped || typeof wrapped !== 'object' || !ValueCipher.isEncrypted(wrapped.value)) {
             return wrapped;
         }
@@ -227,12 +568,188 @@ class CachingService extends cds.Service {
             return undefined;
         }
 
+        if (!this.ownsValue(wrapped.value)) {
+            this.log.debug(`Cache entry ${key} belongs to another tenant; treating it as a miss.`);
+            return undefined;
+        }
+
+        let cipher, decrypted;
         try {
-            return { ...wrapped, value: JSON.parse(this.cipher.decrypt(wrapped.value)) };
+            cipher = await this.currentCipher();
+            decrypted = { ...wrapped, value: this.serializer.deserialize(cipher.decrypt(wrapped.value)) };
         } catch (error) {
             this.log.warn(`Failed to decrypt cache entry ${key}; treating it as a miss.`);
             return undefined;
         }
+        if (this.options.encryption?.reencryptOnRead && key !== undefined && !cipher.isCurrent(wrapped.value)) {
+            this.scheduleReencrypt(key);
+        }
+        return decrypted;
+    }
+
+    /**
+     * Rewrite an entry read under a previous key under the current one, after
+     * the read that found it. Each key is rewritten once at a time.
+     * @param {string} key - Created cache key
+     */
+    scheduleReencrypt(key) {
+        if (this.reencrypting.has(key)) return;
+        this.reencrypting.add(key);
+        Promise.resolve()
+            .then(() => this.reencryptEntry(key))
+            .catch(error => this.log.warn(`Failed to re-encrypt cache entry ${key}:`, error))
+            .finally(() => this.reencrypting.delete(key));
+    }
+
+    /**
+     * Give a stored entry a new TTL, counted from now. Only the expiry changes:
+     * the value is neither decrypted nor encrypted again, and no `set` event is
+     * emitted. The entry is replaced only if the store still holds what was read;
+     * when a write comes in between, the new TTL is applied to that write instead.
+     * @param {string} key - Created cache key
+     * @param {number} ttl - New TTL in milliseconds, `0` for no expiry
+     * @returns {Promise<boolean>} Whether the entry was found
+     * @throws {Error} When other writes keep winning
+     */
+    async touchEntry(key, ttl) {
+        const storeKey = this.storeKey(key);
+        for (let attempt = 0; attempt < MAX_TOUCH_ATTEMPTS; attempt++) {
+            const stored = await this.conditionalWrites.read(storeKey);
+            if (stored === undefined) return false;
+
+            const data = typeof stored === "string" || this.cache.compression ? await this.cache.deserializeData(stored) : stored;
+            if (!data || typeof data.expires === "number" && data.expires <= Date.now()) return false;
+
+            let wrapped = data.value;
+            if (typeof wrapped === "string") {
+                try {
+                    wrapped = this.serializer.deserialize(wrapped);
+                } catch {
+                    // Strings that are not JSON were stored as they are
+                }
+            }
+            if (this.tagGenerations && (await this.tagGenerations.outdated([wrapped]))[0]) return false;
+
+            const expiresAt = ttl > 0 ? Date.now() + ttl : 0;
+            let value = data.value;
+            if (wrapped && typeof wrapped === "object" && 'value' in wrapped) {
+                const entry = { ...wrapped };
+                if (entry.freshUntil) {
+                    // Keep the stale window; without an expiry the entry stays fresh
+                    if (expiresAt && entry.expiresAt) entry.freshUntil += expiresAt - entry.expiresAt;
+                    else delete entry.freshUntil;
+                }
+                delete entry.expiresAt;
+                if (expiresAt) entry.expiresAt = expiresAt;
+                value = this.serializer.serialize(entry);
+
+                // Index members and generation counters expire too, so they must
+                // outlive the entry as they do when it is written
+                if (this.tagIndex && entry.tags?.length > 0) await this.tagIndex.add([{ key, tags: entry.tags, ttl: ttl || 0 }]);
+                await this.tagGenerations?.extend(entry.tagGenerations, ttl || 0);
+            }
+
+            const next = await this.cache.serializeData({ value, expires: expiresAt || undefined });
+            if (await this.conditionalWrites.replace(storeKey, stored, next, ttl || 0)) {
+                this.l1?.evict([storeKey]);
+                return true;
+            }
+        }
+        throw new Error(`cds-caching: cache entry ${key} kept changing while it was touched`);
+    }
+
+    /**
+     * Rewrite an entry encrypted under a previous key under the current key. Only
+     * the envelope changes: tags, timestamps, versions and the expiry stay as they
+     * are. The entry is replaced only if the store still holds what was read, so
+     * a write in between is never overwritten with older data.
+     * @param {string} key - Created cache key
+     * @returns {Promise<boolean>} Whether the entry was rewritten
+     * @throws {Error} When the entry cannot be decrypted with any key of the ring
+     */
+    async reencryptEntry(key) {
+        if (!this.cipher) return false;
+        const cipher = await this.currentCipher();
+        const storeKey = this.storeKey(key);
+        const stored = await this.conditionalWrites.read(storeKey);
+        if (stored === undefined) return false;
+
+        const data = typeof stored === "string" || this.cache.compression ? await this.cache.deserializeData(stored) : stored;
+        const remaining = typeof data?.expires === "number" ? data.expires - Date.now() : 0;
+        if (!data || remaining < 0) return false;
+
+        let wrapped = data.value;
+        if (typeof wrapped === "string") {
+            try {
+                wrapped = this.serializer.deserialize(wrapped);
+            } catch {
+                return false;
+            }
+        }
+        if (!wrapped || typeof wrapped !== "object" || !ValueCipher.isEncrypted(wrapped.value)) return false;
+        if (cipher.isCurrent(wrapped.value) || !cipher.belongsTo(wrapped.value)) return false;
+
+        const rewritten = { ...wrapped, value: cipher.encrypt(cipher.decrypt(wrapped.value)) };
+        const next = await this.cache.serializeData({ value: this.serializer.serialize(rewritten), expires: data.expires });
+        const written = await this.conditionalWrites.replace(storeKey, stored, next, Math.max(remaining, 0));
+        if (written) this.l1?.evict([storeKey]);
+        return written;
+    }
+
+    /**
+     * Rewrite every entry encrypted under a previous key under the current key,
+     * one entry at a time, so that the previous keys can be retired. With
+     * per-tenant keys, only the entries of the current tenant are rewritten. A
+     * rotation already running is joined rather than started again.
+     * @returns {Promise<{ rotated: number, current: number, failed: number }>}
+     */
+    rotateEncryption() {
+        if (!this.cipher) {
+            return Promise.reject(new Error(`cds-caching: encryption is not configured for cache ${this.name}`));
+        }
+        const tenant = this.cipher.forTenant ? currentTenant() : null;
+        if (!this.rotations.has(tenant)) {
+            this.rotations.set(tenant, this._rotateEncryption().finally(() => this.rotations.delete(tenant)));
+        }
+        return this.rotations.get(tenant);
+    }
+
+    async _rotateEncryption() {
+        const summary = { rotated: 0, current: 0, failed: 0 };
+        const started = Date.now();
+        const cipher = await this.currentCipher();
+        this.log.info(`Rotating cache ${this.name} to encryption key ${cipher.id}`);
+
+        // Straight on Keyv: the whole cache, with values as stored. The keys are
+        // listed first, since stores may list a rewritten entry again.
+        const outdated = [];
+        for await (const [key, value] of this.cache.iterator()) {
+            if (this.tagGenerations?.isGenerationKey(key)) continue;
+            let wrapped = value;
+            if (typeof value === "string") {
+                try {
+                    wrapped = this.serializer.deserialize(value);
+                } catch {
+                    continue;
+                }
+            }
+            if (!ValueCipher.isEncrypted(wrapped?.value) || !cipher.belongsTo(wrapped.value)) continue;
+            if (cipher.isCurrent(wrapped.value)) summary.current++;
+            else outdated.push(key);
+        }
+        for (const key of outdated) {
+            try {
+                // Not rewritten: it expired, or was written again under the current key in the meantime
+                if (await this.reencryptEntry(key)) summary.rotated++;
+                else summary.current++;
+            } catch (error) {
+                summary.failed++;
+                this.log.warn(`Failed to re-encrypt cache entry ${key}:`, error.message);
+            }
+        }
+
+        this.log.info(`Rotated cache ${this.name} in ${Date.now() - started}ms: ${summary.rotated} rewritten, ${summary.current} already current, ${summary.failed} failed`);
+        return summary;
     }
 
     async set(key, value, options = {}, tx = null) {
@@ -247,6 +764,24 @@ class CachingService extends cds.Service {
         return this.basicOperations.get(key);
     }
 
+    async setMany(entries, options = {}, tx = null) {
+        if (tx) return this.basicOperations.setMany(entries, options, tx);
+        if (this.options.transactionalOperations) return this.basicOperations.setManyInTx(entries, options);
+        return this.basicOperations.setMany(entries, options);
+    }
+
+    async getMany(keys, tx = null) {
+        if (tx) return this.basicOperations.getMany(keys, tx);
+        if (this.options.transactionalOperations) return this.basicOperations.getManyInTx(keys);
+        return this.basicOperations.getMany(keys);
+    }
+
+    async deleteMany(keys, tx = null) {
+        if (tx) return this.basicOperations.deleteMany(keys, tx);
+        if (this.options.transactionalOperations) return this.basicOperations.deleteManyInTx(keys);
+        return this.basicOperations.deleteMany(keys);
+    }
+
     async has(key, tx = null) {
         // `has()` bypasses CAP tx handling in BasicOperations, so the `tx` argument is ignored.
         // It is accepted here for API symmetry.
@@ -271,12 +806,158 @@ class CachingService extends cds.Service {
         return this.basicOperations.deleteByTag(tag);
     }
 
+    /**
+     * Follow up on an invalidation applied on this instance: its keys are no
+     * longer refreshed ahead, and the other instances are told about it.
+     * @param {{ op: 'delete'|'clear'|'deleteByTag', keys?: string[], tag?: string }} message
+     * @returns {Promise<void>}
+     */
+    async notifyInvalidation(message) {
+        this.refreshAhead?.forget(message.op === 'clear' ? undefined : (message.keys || []));
+        this.emitLifecycleEvent('invalidated', { ...message, remote: false });
+        await this.publishInvalidation(message);
+    }
+
+    /**
+     * Broadcast an invalidation that was applied on this instance, so that the
+     * other instances can apply it to what they hold in memory. A failing bus
+     * is logged, never thrown: the invalidation itself has succeeded.
+     * @param {{ op: 'delete'|'clear'|'deleteByTag', keys?: string[], tag?: string }} message
+     * @returns {Promise<void>}
+     */
+    async publishInvalidation(message) {
+        if (!this.invalidationBus) return;
+        const namespace = this.options.namespace || this.name;
+        try {
+            await withTimeout(
+                () => this.invalidationBus.publish({ ...message, origin: this.instanceId, cache: namespace }),
+                resolveOperationTimeout(this.options),
+                `${this.name}.publishInvalidation`
+            );
+        } catch (error) {
+            this.log.warn(`Failed to publish ${message.op} invalidation for cache ${this.name}:`, error);
+        }
+    }
+
+    /**
+     * Apply an invalidation published by another instance. Memory stores repeat
+     * the operation, since each instance holds its own data; shared stores were
+     * already invalidated, so only the L1 copies are dropped. Nothing is published
+     * again.
+     * @param {{ origin: string, cache: string, op: string, keys?: string[], tag?: string }} message
+     * @returns {Promise<void>}
+     */
+    async applyRemoteInvalidation(message) {
+        if (!message || message.origin === this.instanceId) return;
+        if (message.cache !== (this.options.namespace || this.name)) return;
+
+        // Refreshing ahead would bring the invalidated entries back
+        this.refreshAhead?.forget(message.op === 'clear' ? undefined : (message.keys || []));
+
+        try {
+            if (!SHARED_STORES.includes(this.options.store)) {
+                switch (message.op) {
+                    case 'delete':
+                        if (message.keys?.length) await this.cache.deleteMany(message.keys);
+                        break;
+                    case 'deleteByTag':
+                        await this.basicOperations._deleteTag(message.tag);
+                        break;
+                    case 'clear':
+                        await this.cache.clear();
+                        await this.tagIndex?.clear();
+                        break;
+                }
+            } else if (this.l1) {
+                if (message.op === 'clear') {
+                    this.l1.evict();
+                } else if (message.keys?.length) {
+                    // The L1 sits below Keyv and holds entries under their store keys
+                    this.l1.evict(message.keys.map(key => this.storeKey(key)));
+                }
+                // A versioned tag is invalidated by moving its counter on
+                if (message.op === 'deleteByTag' && this.tagGenerations) {
+                    this.l1.evict([this.storeKey(this.tagGenerations.key(message.tag))]);
+                }
+            }
+            this.log.debug(`Applied ${message.op} invalidation from another instance to cache ${this.name}`);
+            const { op, keys, tag } = message;
+            this.emitLifecycleEvent('invalidated', { op, ...(keys && { keys }), ...(tag !== undefined && { tag }), remote: true });
+        } catch (error) {
+            this.log.warn(`Failed to apply ${message.op} invalidation from another instance to cache ${this.name}:`, error);
+        }
+    }
+
     async metadata(key, tx = null) {
         if (tx) return this.basicOperations.metadata(key, tx);
         if (this.options.transactionalOperations) return this.basicOperations.metadataInTx(key);
         return this.basicOperations.metadata(key);
     }
 
+    async setIfAbsent(key, value, options = {}, tx = null) {
+        if (tx) return this.basicOperations.setIfAbsent(key, value, options, tx);
+        if (this.options.transactionalOperations) return this.basicOperations.setIfAbsentInTx(key, value, options);
+        return this.basicOperations.setIfAbsent(key, value, options);
+    }
+
+    async compareAndSet(key, expectedVersion, value, options = {}, tx = null) {
+        if (tx) return this.basicOperations.compareAndSet(key, expectedVersion, value, options, tx);
+        if (this.options.transactionalOperations) return this.basicOperations.compareAndSetInTx(key, expectedVersion, value, options);
+        return this.basicOperations.compareAndSet(key, expectedVersion, value, options);
+    }
+
+    /**
+     * Acquire a named lock on the cache store, shared by all instances using it.
+     * Supported by the memory, `redis` and `cds` stores.
+     * @param {string} name - Lock name
+     * @param {object} [options] - `{ ttl, wait }` in milliseconds: how long the lock is held
+     *   unless released or extended (default 30000), and how long to wait for it (default 0)
+     * @returns {Promise<import('./support/Locks').Lock|null>} The lock with its fencing `token`,
+     *   or `null` if another holder kept it for the whole wait
+     */
+    async lock(name, options = {}) {
+        if (!this.locks) {
+            throw new Error(`cds-caching: locks are not supported by the ${this.options.store} store of cache ${this.name}`);
+        }
+        return acquireLock(this.locks, name, options);
+    }
+
+    /**
+     * A view of this cache for one part of the application: every key it creates
+     * is prefixed with `<name>:`, `clear()`, `iterator()` and `deleteByTag()` only
+     * reach entries of the scope, and the statistics count its operations
+     * separately. Everything else, including the store, is shared with the cache.
+     * Scopes can be nested: `cache.scope('pricing').scope('eu')` uses `pricing:eu:`.
+     * @param {string} name - Scope name
+     * @returns {CachingService} The scoped view
+     */
+    scope(name) {
+        if (typeof name !== 'string' || !name) throw new Error('cds-caching: a scope needs a name');
+        const base = this.keyManager.base ?? this.keyManager;
+        const prefix = `${this.keyManager.prefix ?? ''}${name}:`;
+
+        // Delegates to the cache for everything but the keys, like CAP transactions
+        const view = Object.create(this);
+        view.keyManager = new ScopedKeyManager(base, prefix);
+        view.basicOperations = new BasicOperations(view, view.keyManager, this.tagResolver, this.statistics);
+        view.capOperations = new CapOperations(view, view.keyManager, this.statistics, this.log, this.runtimeConfigManager);
+        view.asyncOperations = new AsyncOperations(view, view.keyManager, this.statistics, this.runtimeConfigManager);
+        this.statistics.registerScope(prefix.slice(0, -1));
+        return view;
+    }
+
+    async ttl(key, tx = null) {
+        if (tx) return this.basicOperations.ttl(key, tx);
+        if (this.options.transactionalOperations) return this.basicOperations.ttlInTx(key);
+        return this.basicOperations.ttl(key);
+    }
+
+    async touch(key, ttl, tx = null) {
+        if (tx) return this.basicOperations.touch(key, ttl, tx);
+        if (this.options.transactionalOperations) return this.basicOperations.touchInTx(key, ttl);
+        return this.basicOperations.touch(key, ttl);
+    }
+
     async tags(key, tx = null) {
         if (tx) return this.basicOperations.tags(key, tx);
         if (this.options.transactionalOperations) return this.basicOperations.tagsInTx(key);
@@ -291,6 +972,34 @@ class CachingService extends cds.Service {
 
     async *iterator(tx = null) { return yield* this.basicOperations.iterator(tx); }
 
+    /**
+     * Write the entries of the cache, or of the scope, to a stream as NDJSON:
+     * a header line, then one line per entry with its value, tags, timestamp and
+     * remaining TTL. The snapshot does not depend on the store or serializer, so
+     * `import()` can load it into any cache. Values are written decrypted.
+     * @param {import('stream').Writable} stream - the stream to write to; it is not ended
+     * @param {object} [options] - export options
+     * @param {string} [options.tag] - only entries with this tag, a tag below it, or a tag matching the pattern
+     * @param {string} [options.prefix] - only entries whose key starts with this prefix
+     * @returns {Promise<number>} - the number of entries written
+     */
+    async export(stream, options = {}) {
+        return this.basicOperations.export(stream, options);
+    }
+
+    /**
+     * Load a snapshot written by `export()`. Entries keep their keys and tags and
+     * the TTL they had left, less the time since the export; entries that expired
+     * in between are skipped.
+     * @param {import('stream').Readable|AsyncIterable|string|Buffer} input - the snapshot
+     * @param {object} [options] - import options
+     * @param {number} [options.ttl] - TTL in milliseconds for every entry instead, `0` for no expiry
+     * @returns {Promise<{ imported: number, skipped: number }>}
+     */
+    async import(input, options = {}) {
+        return this.basicOperations.import(input, options);
+    }
+
     // ============================================================================
     // PUBLIC API - Read Through Operations
     // ============================================================================
@@ -304,6 +1013,19 @@ class CachingService extends cds.Service {
         }
     }
 
+    /**
+     * Get a value by its key, or load it with `loader` and store it (cache-aside).
+     * The key is built like the key of `set`; tag templates in `options.tags` are
+     * resolved against the loaded value.
+     * @param {string|object} key - the key
+     * @param {() => Promise<any>} loader - loads the value on a miss
+     * @param {object} [options] - `ttl`, `tags` and the other read-through options
+     * @returns {Promise<{ result: any, cacheKey: string, metadata: object, cacheErrors: Array }>}
+     */
+    async getOrSet(key, loader, options = {}) {
+        return this.asyncOperations.getOrSet(key, loader, options);
+    }
+
     // ============================================================================
     // PUBLIC API - Deprecated Shortcut Read Through Methods
     // ============================================================================
@@ -1,4 +1,7 @@
 const telemetry = require('../support/Telemetry');
+const TagResolver = require('../support/TagResolver');
+const { loadUnderLock } = require('../support/Locks');
+const { resolveStaleWindow, retentionWindow, storeTtl, freshnessFields, isWithinStaleWindow, classifyEntry, resolveTtlJitter, jitterTtl, resolveEarlyRefresh, earlyRefreshFields, shouldRefreshEarly } = require('../support/freshness');
 /**
  * Manages async cache operations for function wrapping and execution
  */
@@ -8,6 +11,7 @@ class AsyncOperations {
         this.keyManager = keyManager;
         this.statistics = statistics;
         this.runtimeConfigManager = runtimeConfigManager;
+        this.tagResolver = new TagResolver();
         this.log = console; // Default logger
     }
 
@@ -126,109 +130,8 @@ class AsyncOperations {
     async _wrap(key, asyncFunction, options, args) {
         // Create dynamic key based on function arguments
         const cacheKey = this.createDynamicKey(key, args, options, asyncFunction.name || 'anonymous');
-
-        const startTime = process.hrtime();
-        const metadata = {
-            dataType: 'Function',
-            operation: 'WRAP',
-            operationType: 'READ_THROUGH',
-            user: cds.context?.user?.id,
-            tenant: cds.context?.tenant,
-            locale: cds.context?.locale,
-            metadata: JSON.stringify({
-                functionName: asyncFunction.name || 'anonymous',
-                args: args,
-                cacheKey: cacheKey
-            }),
-            cacheOptions: JSON.stringify(options)
-        };
-
-        // Safely check if key exists in cache
-        const hasKeyResult = await this.safeCacheOperation(
-            () => this.cache.has(cacheKey),
-            'has',
-            { key: cacheKey, functionName: asyncFunction.name || 'anonymous' }
-        );
-
-        const hasKey = hasKeyResult.success && hasKeyResult.result;
-        const cacheErrors = [];
-
-        if (hasKey) {
-            const latency = this.getElapsedMs(startTime);
-
-            // Safely record hit statistics
-            const hitStatsResult = await this.safeCacheOperation(
-                () => this.statistics.recordHit(latency, cacheKey, metadata),
-                'recordHit',
-                { key: cacheKey, latency }
-            );
-            if (!hitStatsResult.success) {
-                cacheErrors.push(hitStatsResult.error);
-            }
-
-            // Safely get value from cache
-            const getResult = await this.safeCacheOperation(
-                () => this.cache.send("GET", { key: cacheKey }),
-                'get',
-                { key: cacheKey }
-            );
-
-            if (getResult.success && getResult.result?.value !== undefined) {
-                return {
-                    result: getResult.result.value,
-                    cacheKey,
-                    metadata: { hit: true, latency },
-                    cacheErrors: cacheErrors
-                };
-            }
-        }
-
-        // Cache miss or cache error - delegate to underlying function
-        try {
-            const response = await asyncFunction(...args);
-            const latency = this.getElapsedMs(startTime);
-
-            // Safely record miss statistics
-            const missStatsResult = await this.safeCacheOperation(
-                () => this.statistics.recordMiss(latency, cacheKey, metadata),
-                'recordMiss',
-                { key: cacheKey, latency }
-            );
-            if (!missStatsResult.success) {
-                cacheErrors.push(missStatsResult.error);
-            }
-
-            // Safely store in cache
-            const wrappedValue = {
-                value: response,
-                tags: options.tags || [],
-                timestamp: Date.now()
-            };
-
-            const setResult = await this.safeCacheOperation(
-                () => this.cache.send("SET", { key: cacheKey, value: wrappedValue, ttl: options.ttl || 0 }),
-                'set',
-                { key: cacheKey, ttl: options.ttl }
-            );
-            if (!setResult.success) {
-                cacheErrors.push(setResult.error);
-            }
-
-            return {
-                result: response,
-                cacheKey,
-                metadata: { hit: false, latency },
-                cacheErrors: cacheErrors
-            };
-        } catch (functionError) {
-            // If the underlying function fails, throw the error
-            this.log.error('Function execution failed:', {
-                error: functionError.message,
-                functionName: asyncFunction.name || 'anonymous',
-                key: cacheKey
-            });
-            throw functionError;
-        }
+        const metadata = this.functionMetadata('WRAP', asyncFunction, args, cacheKey, options);
+        return this._readThrough(cacheKey, options, metadata, asyncFunction.name || 'anonymous', () => this._load(cacheKey, asyncFunction, args, options));
     }
 
     /**
@@ -266,12 +169,71 @@ class AsyncOperations {
     async _exec(key, asyncFunction, args, options) {
         // Create dynamic key based on function arguments
         const cacheKey = this.createDynamicKey(key, args, options, asyncFunction.name || 'anonymous');
+        const metadata = this.functionMetadata('EXEC', asyncFunction, args, cacheKey, options);
+        return this._readThrough(cacheKey, options, metadata, asyncFunction.name || 'anonymous', () => this._load(cacheKey, asyncFunction, args, options));
+    }
 
-        const startTime = process.hrtime();
+    /**
+     * Get a value by its key, or load and store it on a miss (cache-aside).
+     * Unlike `exec`, the key is used as given, like the key of `set`, and tag
+     * templates are resolved against the loaded value.
+     * @param {string|object} key - the key, built like the key of `set`
+     * @param {function} loader - async function loading the value on a miss
+     * @param {object} options - read-through options, e.g. `ttl` and `tags`
+     * @returns {Promise<object>} - `{ result, cacheKey, metadata, cacheErrors }`
+     */
+    async getOrSet(key, loader, options = {}) {
+        const tracer = telemetry.getTracer('cds-caching');
+        if (tracer) {
+            return tracer.startActiveSpan('cds-caching - getOrSet', async (span) => {
+                try {
+                    const result = await this._getOrSet(key, loader, options);
+                    span.setAttribute('cache.hit', result.metadata.hit);
+                    span.setAttribute('cache.key', result.cacheKey);
+                    span.setAttribute('cache.operation', 'getOrSet');
+                    span.setAttribute('cache.operation_type', 'read_through');
+                    if (!result.metadata.hit) span.setAttribute('cache.ttl_ms', options.ttl || 0);
+                    return result;
+                } catch (e) {
+                    span.setStatus({ code: telemetry.SpanStatusCode.ERROR, message: e.message });
+                    throw e;
+                } finally {
+                    span.end();
+                }
+            });
+        }
+        return this._getOrSet(key, loader, options);
+    }
 
-        const metadata = {
+    /** @private */
+    async _getOrSet(key, loader, options) {
+        if (typeof loader !== 'function') {
+            throw new Error('cds-caching: getOrSet needs a loader function');
+        }
+        const cacheKey = this.keyManager.createKey(key, {}, options.key);
+        // Keys that cannot be cached, such as queries other than a SELECT, load every time
+        if (!cacheKey) {
+            return { result: await loader(), cacheKey: null, metadata: { hit: false, latency: 0 }, cacheErrors: [] };
+        }
+        const metadata = this.functionMetadata('GET_OR_SET', loader, [], cacheKey, options);
+        const tagsOf = (value) => this.tagResolver.resolveTags(options.tags, value, {
+            user: cds.context?.user?.id,
+            tenant: cds.context?.tenant,
+            locale: cds.context?.locale,
+            ...options.params
+        });
+        const load = () => this._load(cacheKey, loader, [], options, tagsOf);
+        return this._readThrough(cacheKey, options, metadata, loader.name || 'anonymous', load);
+    }
+
+    /**
+     * Statistics metadata of a function read-through
+     * @private
+     */
+    functionMetadata(operation, asyncFunction, args, cacheKey, options) {
+        return {
             dataType: 'Function',
-            operation: 'EXEC',
+            operation,
             operationType: 'READ_THROUGH',
             user: cds.context?.user?.id,
             tenant: cds.context?.tenant,
@@ -283,30 +245,36 @@ class AsyncOperations {
             }),
             cacheOptions: JSON.stringify(options)
         };
+    }
+
+    /**
+     * Serve a key from the cache, or load it: the part shared by `wrap`, `exec`
+     * and `getOrSet`.
+     * @param {string} cacheKey - the cache key
+     * @param {object} options - read-through options
+     * @param {object} metadata - statistics metadata
+     * @param {string} functionName - name of the loading function, for logs
+     * @param {() => Promise<{ response: any, setResult: object }>} load - loads and stores the value
+     * @returns {Promise<object>} - the read-through result
+     * @private
+     */
+    async _readThrough(cacheKey, options, metadata, functionName, load) {
+        const startTime = process.hrtime();
 
         // Safely check if key exists in cache
         const hasKeyResult = await this.safeCacheOperation(
             () => this.cache.has(cacheKey),
             'has',
-            { key: cacheKey, functionName: asyncFunction.name || 'anonymous' }
+            { key: cacheKey, functionName }
         );
 
         const hasKey = hasKeyResult.success && hasKeyResult.result;
         const cacheErrors = [];
+        let expiredEntry;
 
         if (hasKey) {
             const latency = this.getElapsedMs(startTime);
 
-            // Safely record hit statistics
-            const hitStatsResult = await this.safeCacheOperation(
-                () => this.statistics.recordHit(latency, cacheKey, metadata),
-                'recordHit',
-                { key: cacheKey, latency }
-            );
-            if (!hitStatsResult.success) {
-                cacheErrors.push(hitStatsResult.error);
-            }
-
             // Safely get value from cache
             const getResult = await this.safeCacheOperation(
                 () => this.cache.send("GET", { key: cacheKey }),
@@ -314,43 +282,51 @@ class AsyncOperations {
                 { key: cacheKey }
             );
 
-            if (getResult.success && getResult.result?.value !== undefined) {
+            const freshness = getResult.success && getResult.result?.value !== undefined
+                ? classifyEntry(getResult.result, options)
+                : null;
+
+            // Past every window that allows serving it: kept only as a fallback
+            if (freshness === 'expired') expiredEntry = getResult.result;
+
+            if (freshness === 'fresh' || freshness === 'revalidate') {
+                // Safely record hit statistics
+                const hitStatsResult = await this.safeCacheOperation(
+                    () => this.recordHit(latency, cacheKey, metadata, freshness === 'revalidate'),
+                    'recordHit',
+                    { key: cacheKey, latency }
+                );
+                if (!hitStatsResult.success) {
+                    cacheErrors.push(hitStatsResult.error);
+                }
+
+                // Past its fresh TTL, or close to it: answer with the cached value, refresh behind it
+                const stale = freshness === 'revalidate';
+                this.scheduleRefresh(cacheKey, getResult.result, options, stale, load);
                 return {
                     result: getResult.result.value,
                     cacheKey,
-                    metadata: { hit: true, latency },
+                    metadata: { hit: true, latency, stale },
                     cacheErrors: cacheErrors
                 };
             }
         }
 
-        // Cache miss or cache error - delegate to underlying function
+        // Cache miss or cache error - delegate to underlying function. Concurrent
+        // misses on the same key share one call and one write (see SingleFlight).
         try {
-            const response = await asyncFunction(...args);
+            const { value: { response, setResult }, shared } = await this.cache.singleFlight.do(cacheKey, () => loadUnderLock(this.cache, cacheKey, options, load));
             const latency = this.getElapsedMs(startTime);
 
             // Safely record miss statistics
             const missStatsResult = await this.safeCacheOperation(
-                () => this.statistics.recordMiss(latency, cacheKey, metadata),
+                () => this.recordMiss(latency, cacheKey, metadata, shared),
                 'recordMiss',
                 { key: cacheKey, latency }
             );
             if (!missStatsResult.success) {
                 cacheErrors.push(missStatsResult.error);
             }
-
-            // Safely store in cache
-            const wrappedValue = {
-                value: response,
-                tags: options.tags || [],
-                timestamp: Date.now()
-            };
-
-            const setResult = await this.safeCacheOperation(
-                () => this.cache.send("SET", { key: cacheKey, value: wrappedValue, ttl: options.ttl || 0 }),
-                'set',
-                { key: cacheKey, ttl: options.ttl }
-            );
             if (!setResult.success) {
                 cacheErrors.push(setResult.error);
             }
@@ -358,20 +334,166 @@ class AsyncOperations {
             return {
                 result: response,
                 cacheKey,
-                metadata: { hit: false, latency },
+                metadata: { hit: false, latency, coalesced: shared },
                 cacheErrors: cacheErrors
             };
         } catch (functionError) {
+            // A failing function falls back to an expired entry within its stale-if-error window
+            if (isWithinStaleWindow(expiredEntry, resolveStaleWindow(options.staleIfError))) {
+                return this.serveStaleOnError(expiredEntry, cacheKey, functionError, startTime, cacheErrors);
+            }
+
             // If the underlying function fails, throw the error
             this.log.error('Function execution failed:', {
                 error: functionError.message,
-                functionName: asyncFunction.name || 'anonymous',
+                functionName,
                 key: cacheKey
             });
             throw functionError;
         }
     }
 
+    /**
+     * Call the function and store its result. Used on a miss and to refresh a
+     * stale entry in the background.
+     * @private
+     */
+    async _load(cacheKey, asyncFunction, args, options, tagsOf = () => options.tags || []) {
+        const started = Date.now();
+        const response = await asyncFunction(...args);
+        const now = Date.now();
+        const staleWindow = retentionWindow(options);
+        const ttl = this.entryTtl(options);
+
+        // Safely store in cache
+        const wrappedValue = {
+            value: response,
+            tags: tagsOf(response),
+            timestamp: now,
+            ...freshnessFields(ttl, staleWindow, now),
+            ...earlyRefreshFields(ttl, now - started, this.earlyRefreshBeta(options), now)
+        };
+
+        const setResult = await this.safeCacheOperation(
+            () => this.cache.send("SET", { key: cacheKey, value: wrappedValue, ttl: storeTtl(ttl, staleWindow) }),
+            'set',
+            { key: cacheKey, ttl: options.ttl }
+        );
+        if (setResult.success) this.registerRefreshAhead(cacheKey, ttl, options, () => this._load(cacheKey, asyncFunction, args, options, tagsOf));
+        return { response, setResult };
+    }
+
+    /**
+     * Answer with an expired entry because the function failed. The failure is
+     * logged and counted, but the caller gets the last good value instead of
+     * the error.
+     * @param {object} entry - the expired wrapped value
+     * @param {string} key - the cache key
+     * @param {Error} error - the function error
+     * @param {[number, number]} startTime - start time from process.hrtime()
+     * @param {Array} cacheErrors - cache errors collected so far
+     * @returns {Promise<object>} - the read-through result
+     */
+    async serveStaleOnError(entry, key, error, startTime, cacheErrors) {
+        const latency = this.getElapsedMs(startTime);
+        this.log.warn(`Serving stale value for ${key}, the function failed:`, error.message);
+
+        const statsResult = await this.safeCacheOperation(
+            () => this.statistics.recordStaleIfError(key),
+            'recordStaleIfError',
+            { key }
+        );
+        if (!statsResult.success) {
+            cacheErrors.push(statsResult.error);
+        }
+
+        return {
+            result: entry.value,
+            cacheKey: key,
+            metadata: { hit: false, latency, stale: true, error: error.message },
+            cacheErrors: cacheErrors
+        };
+    }
+
+    /**
+     * Refresh an entry that was just served in the background: always when it
+     * is stale, and with early refresh when XFetch picks this read to refresh
+     * it ahead of its expiry.
+     * @param {string} key - the cache key
+     * @param {object} wrapped - the wrapped value that was served
+     * @param {object} options - read-through options
+     * @param {boolean} stale - whether the entry is past its fresh TTL
+     * @param {() => Promise<any>} loader - loads and stores the fresh value
+     */
+    scheduleRefresh(key, wrapped, options, stale, loader) {
+        this.cache.refreshAhead?.recordHit(key);
+        if (stale) {
+            this.cache.revalidator.schedule(key, loader);
+            return;
+        }
+        if (shouldRefreshEarly(wrapped, this.earlyRefreshBeta(options)) && this.cache.revalidator.schedule(key, loader)) {
+            this.statistics.recordEarlyRefresh(key);
+        }
+    }
+
+    /**
+     * Have an entry that was just written reloaded ahead of its expiry, unless
+     * the call opted out with `refreshAhead: false`
+     * @param {string} key - the cache key
+     * @param {number} ttl - fresh TTL of the entry
+     * @param {object} options - read-through options
+     * @param {() => Promise<any>} loader - loads and stores the entry again
+     */
+    registerRefreshAhead(key, ttl, options, loader) {
+        if (!this.cache.refreshAhead || options.refreshAhead === false) return;
+        this.cache.refreshAhead.register(key, loader, ttl);
+    }
+
+    /**
+     * Fresh TTL of an entry about to be written, with the configured jitter
+     * applied. Options of the call or annotation take precedence over the cache's.
+     * @param {object} options - read-through options
+     * @returns {number} - the TTL in milliseconds
+     */
+    entryTtl(options) {
+        return jitterTtl(options.ttl || 0, resolveTtlJitter(options.ttlJitter ?? this.cache.options?.ttlJitter));
+    }
+
+    /**
+     * Early refresh setting for a read-through, from the call or annotation, else the cache
+     * @param {object} options - read-through options
+     * @returns {number} - the XFetch beta, `0` when off
+     */
+    earlyRefreshBeta(options) {
+        return resolveEarlyRefresh(options.earlyRefresh ?? this.cache.options?.earlyRefresh);
+    }
+
+    /**
+     * Record a read-through hit and emit the `hit` event
+     * @param {number} latency - latency of the hit
+     * @param {string} key - the cache key
+     * @param {object} metadata - statistics metadata
+     * @param {boolean} stale - whether the entry is answered while it is refreshed
+     */
+    recordHit(latency, key, metadata, stale) {
+        this.statistics.recordHit(latency, key, metadata);
+        this.cache.emitLifecycleEvent?.('hit', { key, latency, stale });
+    }
+
+    /**
+     * Record a read-through miss, counting it as coalesced when it joined a load
+     * already running for the same key, and emit the `miss` event
+     * @param {number} latency - latency of the miss
+     * @param {string} key - the cache key
+     * @param {object} metadata - statistics metadata
+     * @param {boolean} coalesced - whether the caller joined another caller's load
+     */
+    recordMiss(latency, key, metadata, coalesced) {
+        this.statistics.recordMiss(latency, key, metadata);
+        if (coalesced) this.statistics.recordCoalesced(key);
+        this.cache.emitLifecycleEvent?.('miss', { key, latency, coalesced: Boolean(coalesced) });
+    }
+
     /**
      * Get elapsed time in milliseconds
      * @param {[number, number]} startTime - start time from process.hrtime()
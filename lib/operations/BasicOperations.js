@@ -1,4 +1,14 @@
 const telemetry = require('../support/Telemetry');
+const { isTagPattern, tagMatcher } = require('../support/tagMatching');
+const { snapshotHeader, toSnapshotEntry, fromSnapshotEntry, writeSnapshotLine, readSnapshot } = require('../support/snapshot');
+const { ValueCipher } = require('../support/valueEncryption');
+
+// Entries read per round trip when invalidating a tag through the index
+const TAG_INDEX_BATCH_SIZE = 500;
+
+// Entries written per store call when importing a snapshot
+const IMPORT_BATCH_SIZE = 100;
+
 /**
  * Manages basic cache operations with statistics tracking
  */
@@ -20,6 +30,16 @@ class BasicOperations {
         return keyv;
     }
 
+    /**
+     * Whether a created key belongs to these operations: always, unless they
+     * serve a scope (see `CachingService.scope`)
+     * @param {string} key - the cache key
+     * @returns {boolean}
+     */
+    _inScope(key) {
+        return this.keyManager.inScope?.(key) ?? true;
+    }
+
     /**
      * Set a value in the cache
      * @param {string|object} key - the key to set
@@ -61,6 +81,75 @@ class BasicOperations {
         }
     }
 
+    /**
+     * Set a value only if the key holds no live entry, atomically where the
+     * store supports it. The entry is written at version 1.
+     * @param {string|object} key - the key to set
+     * @param {any} value - the value to cache
+     * @param {object} options - cache options
+     * @returns {Promise<boolean>} - whether the value was written
+     */
+    async setIfAbsent(key, value, options = {}, tx = null) {
+        return this._setIf(key, value, options, undefined, tx);
+    }
+
+    /**
+     * Set a value only if the entry is still at the expected version, as read
+     * from `metadata(key).version`, atomically where the store supports it. The
+     * entry is written at the next version. Entries written by `set` are at
+     * version 0; missing entries never match.
+     * @param {string|object} key - the key to set
+     * @param {number} expectedVersion - the version the entry must be at
+     * @param {any} value - the value to cache
+     * @param {object} options - cache options
+     * @returns {Promise<boolean>} - whether the value was written
+     */
+    async compareAndSet(key, expectedVersion, value, options = {}, tx = null) {
+        if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+            throw new Error(`cds-caching: compareAndSet expects a version of 0 or more, got ${expectedVersion}`);
+        }
+        return this._setIf(key, value, options, expectedVersion, tx);
+    }
+
+    /**
+     * Conditionally write a value, see the `SET_IF` handler of the caching service
+     * @private
+     */
+    async _setIf(key, value, options, version, tx = null) {
+        const createdKey = this.keyManager.createKey(key, {}, options.key);
+        if (!createdKey) return false;
+        const srv = tx || this.cache;
+        const written = await srv.send('SET_IF', {
+            key: createdKey,
+            value: {
+                value,
+                tags: this.tagResolver.resolveTags(options.tags, value, options.params) || [],
+                timestamp: Date.now()
+            },
+            ttl: options.ttl || 0,
+            version
+        });
+
+        if (written) {
+            this.statistics.recordNativeSet(createdKey, {
+                dataType: 'Operation',
+                operation: 'SET',
+                operationType: 'BASIC',
+                metadata: JSON.stringify({ key: createdKey, ttl: options.ttl || 0, version: (version ?? 0) + 1 }),
+                cacheOptions: JSON.stringify(options)
+            });
+        }
+
+        const span = telemetry.getActiveSpan();
+        if (span) {
+            span.setAttribute('cache.key', createdKey);
+            span.setAttribute('cache.operation', version === undefined ? 'setIfAbsent' : 'compareAndSet');
+            span.setAttribute('cache.operation_type', 'basic');
+            span.setAttribute('cache.written', written === true);
+        }
+        return written === true;
+    }
+
     /**
      * Get a value from the cache
      * @param {string|object} key - the key to get
@@ -100,6 +189,94 @@ class BasicOperations {
         return wrappedValue?.value;
     }
 
+    /**
+     * Set several values in one store call
+     * @param {Array<{key: string|object, value: any, ttl?: number, tags?: Array}>} entries - entries to set; per-entry `ttl`/`tags` override `options`
+     * @param {object} options - cache options shared by all entries
+     * @returns {Promise<void>}
+     */
+    async setMany(entries, options = {}, tx = null) {
+        const batch = [];
+        // Options each entry was written with, for the statistics
+        const applied = [];
+        for (const { key, value, ...entryOptions } of entries || []) {
+            const opts = { ...options, ...entryOptions };
+            const createdKey = this.keyManager.createKey(key, {}, opts.key);
+            // Same rule as `set()`: inputs without a key are not cached
+            if (!createdKey) continue;
+            batch.push({
+                key: createdKey,
+                value: {
+                    value,
+                    tags: this.tagResolver.resolveTags(opts.tags, value, opts.params) || [],
+                    timestamp: Date.now()
+                },
+                ttl: opts.ttl || 0
+            });
+            applied.push(opts);
+        }
+        if (batch.length === 0) return;
+
+        const srv = tx || this.cache;
+        await srv.send('SET_MANY', { entries: batch });
+
+        batch.forEach(({ key, ttl }, i) => {
+            this.statistics.recordNativeSet(key, {
+                dataType: 'Operation',
+                operation: 'SET',
+                operationType: 'BASIC',
+                metadata: JSON.stringify({ key, ttl }),
+                cacheOptions: JSON.stringify(applied[i])
+            });
+        });
+
+        const span = telemetry.getActiveSpan();
+        if (span) {
+            span.setAttribute('cache.operation', 'setMany');
+            span.setAttribute('cache.operation_type', 'basic');
+            span.setAttribute('cache.key_count', batch.length);
+        }
+    }
+
+    /**
+     * Get several values in one store call
+     * @param {Array<string|object>} keys - the keys to get
+     * @returns {Promise<any[]>} - the cached values in the order of `keys`, `undefined` for misses
+     */
+    async getMany(keys, tx = null) {
+        const createdKeys = (keys || []).map(key => this.keyManager.createKey(key));
+        const lookup = createdKeys.filter(Boolean);
+        if (lookup.length === 0) return createdKeys.map(() => undefined);
+
+        const srv = tx || this.cache;
+        const wrappedValues = await srv.send('GET_MANY', { keys: lookup });
+
+        const values = new Map();
+        let hits = 0;
+        lookup.forEach((createdKey, i) => {
+            const wrappedValue = wrappedValues?.[i];
+            const isHit = wrappedValue !== undefined && wrappedValue !== null;
+            if (isHit) hits++;
+            values.set(createdKey, wrappedValue?.value);
+            this.statistics.recordNativeGet(createdKey, isHit, {
+                dataType: 'Operation',
+                operation: 'GET',
+                operationType: 'BASIC',
+                metadata: JSON.stringify({ key: createdKey })
+            });
+        });
+
+        const span = telemetry.getActiveSpan();
+        if (span) {
+            span.setAttribute('cache.operation', 'getMany');
+            span.setAttribute('cache.operation_type', 'basic');
+            span.setAttribute('cache.key_count', lookup.length);
+            span.setAttribute('cache.hit_count', hits);
+        }
+
+        return createdKeys.map(createdKey => createdKey ? values.get(createdKey) : undefined);
+    }
+
     /**
      * Check if a key exists in the cache
      * @param {string|object} key - the key to check
@@ -130,6 +307,18 @@ class BasicOperations {
     async delete(key, tx = null) {
         const createdKey = this.keyManager.createKey(key);
         if (!createdKey) return false;
+        const result = await this._deleteKey(createdKey, tx);
+        await this.cache.notifyInvalidation?.({ op: 'delete', keys: [createdKey] });
+        return result;
+    }
+
+    /**
+     * Delete a created key on this instance, without telling other instances
+     * @param {string} createdKey - the cache key
+     * @returns {Promise<boolean>} - whether the key was deleted
+     * @private
+     */
+    async _deleteKey(createdKey, tx = null) {
         const srv = tx || this.cache;
         const result = await srv.send('DELETE', {
             key: createdKey
@@ -155,17 +344,50 @@ class BasicOperations {
     }
 
     /**
-     * Clear all cache entries
+     * Delete several keys in one store call
+     * @param {Array<string|object>} keys - the keys to delete
+     * @returns {Promise<boolean>} - whether the store reported the keys as deleted
+     */
+    async deleteMany(keys, tx = null) {
+        const createdKeys = (keys || []).map(key => this.keyManager.createKey(key)).filter(Boolean);
+        if (createdKeys.length === 0) return false;
+        const srv = tx || this.cache;
+        const result = await srv.send('DELETE_MANY', { keys: createdKeys });
+        await this.cache.notifyInvalidation?.({ op: 'delete', keys: createdKeys });
+
+        for (const createdKey of createdKeys) {
+            this.statistics.recordNativeDelete(createdKey, {
+                dataType: 'Operation',
+                operation: 'DELETE',
+                operationType: 'BASIC',
+                metadata: JSON.stringify({ key: createdKey })
+            });
+        }
+
+        const span = telemetry.getActiveSpan();
+        if (span) {
+            span.setAttribute('cache.operation', 'deleteMany');
+            span.setAttribute('cache.operation_type', 'basic');
+            span.setAttribute('cache.key_count', createdKeys.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Clear all cache entries, or those of the scope
      * @param {object} options - clear options
-     * @param {boolean} [options.clearStatistics=false] - also delete persisted metrics and key metrics
+     * @param {boolean} [options.clearStatistics=false] - also delete persisted metrics and key metrics; not for a scope
      * @returns {Promise<void>}
      */
     async clear(options = {}, tx = null) {
+        if (this.keyManager.inScope) return this._clearScope(tx);
         const srv = tx || this.cache;
         await srv.send('CLEAR', {
             deleteAll: true,
             clearStatistics: options.clearStatistics || false
         });
+        await this.cache.notifyInvalidation?.({ op: 'clear' });
 
         // Record the native clear operation
         const metadata = {
@@ -184,17 +406,43 @@ class BasicOperations {
     }
 
     /**
-     * Delete all keys that have a specific tag
-     * @param {string} tag - the tag to match
+     * Delete the entries of the scope. The other entries, the tag index and the
+     * statistics stay as they are.
      * @returns {Promise<void>}
+     * @private
      */
-    async deleteByTag(tag, tx = null) {
-        // Iterate directly on the underlying store to avoid recursion via CachingService.iterator()
-        for await (const [key, wrappedValue] of this.iterator()) {
-            if (wrappedValue?.tags?.includes(tag)) {
-                await this.delete(key, tx);
-            }
+    async _clearScope(tx = null) {
+        const keys = [];
+        for await (const [key] of this.iterator(tx, { decrypt: false })) keys.push(key);
+
+        const srv = tx || this.cache;
+        if (keys.length > 0) await srv.send('DELETE_MANY', { keys });
+        await this.cache.notifyInvalidation?.({ op: 'delete', keys });
+
+        this.statistics.recordNativeClear({
+            dataType: 'Operation',
+            operation: 'CLEAR',
+            operationType: 'BASIC',
+            metadata: JSON.stringify({ cache: this.cache.name, scope: this.keyManager.prefix })
+        });
+
+        const span = telemetry.getActiveSpan();
+        if (span) {
+            span.setAttribute('cache.operation', 'clear');
+            span.setAttribute('cache.operation_type', 'basic');
+            span.setAttribute('cache.key_count', keys.length);
         }
+    }
+
+    /**
+     * Delete all keys that have a specific tag, a tag below it (`tag/...`), or,
+     * if `tag` contains `*`, a tag matching the pattern
+     * @param {string} tag - the tag or pattern to match
+     * @returns {Promise<void>}
+     */
+    async deleteByTag(tag, tx = null) {
+        const deleted = await this._deleteTag(tag, tx);
+        await this.cache.notifyInvalidation?.({ op: 'deleteByTag', tag, keys: deleted });
 
         // Record the native deleteByTag operation
         const metadata = {
@@ -213,6 +461,107 @@ class BasicOperations {
         }
     }
 
+    /**
+     * Delete the entries of a tag on this instance, without telling other instances
+     * @param {string} tag - the tag or pattern to match
+     * @returns {Promise<string[]>} - the deleted keys; none where versioned tags outdated them instead
+     * @private
+     */
+    async _deleteTag(tag, tx = null) {
+        // Versioned tags outdate the entries rather than delete them. Patterns and
+        // scopes, which one counter per tag cannot express, delete as before.
+        if (this.cache.tagGenerations && !isTagPattern(tag) && !this.keyManager.inScope) {
+            await this.cache.tagGenerations.bump(tag);
+            return [];
+        }
+
+        const indexed = await this._deleteIndexedTag(tag, tx);
+        if (indexed) return indexed;
+
+        const matches = tagMatcher(tag);
+        const deleted = [];
+        // Iterate directly on the underlying store to avoid recursion via CachingService.iterator()
+        for await (const [key, wrappedValue] of this.iterator(tx, { decrypt: false })) {
+            // The iterator yields the keys the entries were created with
+            if (wrappedValue?.tags?.some(matches)) {
+                await this._deleteKey(key, tx);
+                deleted.push(key);
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Delete the entries of a tag through the tag index, reading only the
+     * entries the index names rather than the whole store
+     * @param {string} tag - the tag or pattern to match
+     * @returns {Promise<string[]|null>} - the deleted keys, or null if there is no usable index and the store has to be scanned
+     * @private
+     */
+    async _deleteIndexedTag(tag, tx = null) {
+        const tagIndex = this.cache.tagIndex;
+        if (!tagIndex) return null;
+
+        // Entries are indexed under every level of their tags, so a plain tag
+        // is one lookup; a pattern is one per indexed tag it matches.
+        let tags, candidates;
+        try {
+            tags = isTagPattern(tag) ? await tagIndex.tags(tag) : [tag];
+            if (!tags) return null;
+            const keys = await Promise.all(tags.map(indexed => tagIndex.keys(indexed)));
+            candidates = Array.from(new Set(keys.flat())).filter(key => this._inScope(key));
+        } catch (error) {
+            this.cache.log.warn(`Tag index lookup for "${tag}" failed; scanning the store instead:`, error);
+            return null;
+        }
+
+        const matches = tagMatcher(tag);
+        const deleted = [];
+        const srv = tx || this.cache;
+        for (let i = 0; i < candidates.length; i += TAG_INDEX_BATCH_SIZE) {
+            const batch = candidates.slice(i, i + TAG_INDEX_BATCH_SIZE);
+            // The index may still name entries that expired or were overwritten
+            // with other tags; only those that carry the tag now are deleted.
+            // Tags are read as stored, without decrypting: an entry carries its
+            // tags whichever tenant's key it is encrypted with.
+            const stored = await this._keyv().getMany(batch);
+            const tagged = batch.filter((key, j) => this._storedTags(stored?.[j])?.some(matches));
+            if (tagged.length > 0) {
+                await srv.send('DELETE_MANY', { keys: tagged });
+                deleted.push(...tagged);
+                for (const key of tagged) {
+                    this.statistics.recordNativeDelete(key, {
+                        dataType: 'Operation',
+                        operation: 'DELETE',
+                        operationType: 'BASIC',
+                        metadata: JSON.stringify({ key })
+                    });
+                }
+            }
+            // Every key of the batch is now deleted or no longer carries the tag
+            await Promise.all(tags.map(indexed => tagIndex.remove(indexed, batch)));
+        }
+        return deleted;
+    }
+
+    /**
+     * Tags of an entry as the store holds it, without decrypting its value
+     * @param {any} stored - the stored entry, serialized or not
+     * @returns {string[]|undefined} - the tags, undefined if the entry has none or cannot be read
+     * @private
+     */
+    _storedTags(stored) {
+        let wrapped = stored;
+        if (typeof stored === "string") {
+            try {
+                wrapped = this.cache.serializer.deserialize(stored);
+            } catch {
+                return undefined;
+            }
+        }
+        return Array.isArray(wrapped?.tags) ? wrapped.tags : undefined;
+    }
+
     /**
      * Get metadata for a key
      * @param {string|object} key - the key to get metadata for
@@ -231,6 +580,43 @@ class BasicOperations {
         return metadata;
     }
 
+    /**
+     * Get the remaining lifetime of a key
+     * @param {string|object} key - the key to check
+     * @returns {Promise<number|null>} - milliseconds until the entry expires, `Infinity` if it does not expire, or null if not found
+     */
+    async ttl(key, tx = null) {
+        const metadata = await this.metadata(key, tx);
+        if (!metadata) return null;
+        if (!metadata.expiresAt) return Infinity;
+        return Math.max(0, metadata.expiresAt - Date.now());
+    }
+
+    /**
+     * Give an existing entry a new TTL, counted from now. Only the expiry of the
+     * entry changes, with a conditional write: a write to the same key in between
+     * is kept, with the new TTL. Read-through entries stay fresh for as much
+     * longer as they are kept.
+     * @param {string|object} key - the key to touch
+     * @param {number} ttl - the new TTL in milliseconds, `0` for no expiry
+     * @returns {Promise<boolean>} - whether the entry was found
+     */
+    async touch(key, ttl) {
+        const createdKey = this.keyManager.createKey(key);
+        if (!createdKey) return false;
+        const touched = await this.cache.touchEntry(createdKey, ttl);
+        if (!touched) return false;
+
+        const span = telemetry.getActiveSpan();
+        if (span) {
+            span.setAttribute('cache.key', createdKey);
+            span.setAttribute('cache.operation', 'touch');
+            span.setAttribute('cache.operation_type', 'basic');
+            span.setAttribute('cache.ttl_ms', ttl || 0);
+        }
+        return true;
+    }
+
     /**
      * Get tags for a key
      * @param {string|object} key - the key to get tags for
@@ -262,28 +648,119 @@ class BasicOperations {
     }
 
     /**
-     * Iterator for all cache entries
+     * Iterator for all cache entries. With per-tenant keys, entries of other
+     * tenants are left out.
+     * @param {object} [options] - iterator options
+     * @param {boolean} [options.decrypt=true] - `false` to yield values as stored, for callers that only look at keys and tags; entries of every tenant are yielded then
      * @returns {AsyncIterator} - iterator for cache entries
      */
-    async *iterator(tx = null) {
+    async *iterator(tx = null, { decrypt = true } = {}) {
         // Iterate directly on Keyv to avoid recursion via CachingService.iterator()
         for await (const [key, value] of this._keyv().iterator()) {
+            if (!this._inScope(key) || this.cache.tagGenerations?.isGenerationKey(key)) continue;
             let wrapped = value;
             if (typeof value === "string") {
                 try {
-                    wrapped = JSON.parse(value);
+                    wrapped = this.cache.serializer.deserialize(value);
                 } catch (error) {
                     yield [key, value];
                     continue;
                 }
             }
+            if (!decrypt || !ValueCipher.isEncrypted(wrapped?.value)) {
+                yield [key, wrapped];
+                continue;
+            }
+            if (!this.cache.ownsValue(wrapped.value)) continue;
             // This path bypasses the GET handler, so it has to decrypt as well —
-            // otherwise callers listing entries would see envelopes. Tags survive
-            // either way, so tag-based invalidation is unaffected.
-            yield [key, this.cache.decryptWrappedValue(wrapped, key) ?? wrapped];
+            // otherwise callers listing entries would see envelopes.
+            yield [key, (await this.cache.decryptWrappedValue(wrapped, key)) ?? wrapped];
         }
     }
 
+    /**
+     * Write the entries to a stream as an NDJSON snapshot (see `support/snapshot`).
+     * Expired and outdated entries are left out. The stream is not ended.
+     * @param {import('stream').Writable} stream - the stream to write to
+     * @param {object} [options] - export options
+     * @param {string} [options.tag] - only entries with this tag, a tag below it, or a tag matching the pattern
+     * @param {string} [options.prefix] - only entries whose key starts with this prefix, within the scope
+     * @returns {Promise<number>} - the number of entries written
+     */
+    async export(stream, options = {}) {
+        const matches = options.tag ? tagMatcher(options.tag) : null;
+        const prefix = `${this.keyManager.prefix ?? ''}${options.prefix ?? ''}`;
+        const now = Date.now();
+
+        await writeSnapshotLine(stream, snapshotHeader(this.cache.name, now));
+        let count = 0;
+        for await (const [key, wrapped] of this.iterator()) {
+            if (!key.startsWith(prefix)) continue;
+            if (matches && !(wrapped?.tags || []).some(matches)) continue;
+            if (this.cache.tagGenerations && (await this.cache.tagGenerations.outdated([wrapped]))[0]) continue;
+            // Left encrypted only where it could not be decrypted; the envelope
+            // would be imported as the value
+            if (ValueCipher.isEncrypted(wrapped?.value)) continue;
+            const entry = toSnapshotEntry(key, wrapped, now);
+            if (!entry) continue;
+            await writeSnapshotLine(stream, entry);
+            count++;
+        }
+
+        const span = telemetry.getActiveSpan();
+        if (span) {
+            span.setAttribute('cache.operation', 'export');
+            span.setAttribute('cache.operation_type', 'basic');
+            span.setAttribute('cache.key_count', count);
+        }
+        return count;
+    }
+
+    /**
+     * Write the entries of an NDJSON snapshot to the cache, under the keys they
+     * were exported with. Entries that expired since the export, in a scope
+     * entries of other scopes, and encrypted values, which a snapshot never
+     * holds, are skipped.
+     * @param {import('stream').Readable|AsyncIterable|string|Buffer} input - the snapshot
+     * @param {object} [options] - import options
+     * @param {number} [options.ttl] - TTL in milliseconds for every entry instead of the exported one, `0` for no expiry
+     * @returns {Promise<{ imported: number, skipped: number }>}
+     */
+    async import(input, options = {}) {
+        const result = { imported: 0, skipped: 0 };
+        let header = null;
+        let batch = [];
+        const flush = async () => {
+            if (batch.length === 0) return;
+            await this.cache.send('SET_MANY', { entries: batch });
+            result.imported += batch.length;
+            batch = [];
+        };
+
+        for await (const line of readSnapshot(input)) {
+            if (!header) {
+                header = line;
+                continue;
+            }
+            const entry = this._inScope(line.key) && !ValueCipher.isEncrypted(line.value) ? fromSnapshotEntry(line, header.exportedAt, options) : null;
+            if (!entry) {
+                result.skipped++;
+                continue;
+            }
+            batch.push(entry);
+            if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        const span = telemetry.getActiveSpan();
+        if (span) {
+            span.setAttribute('cache.operation', 'import');
+            span.setAttribute('cache.operation_type', 'basic');
+            span.setAttribute('cache.key_count', result.imported);
+        }
+        return result;
+    }
+
     async setInTx(key, value, options = {}) {
         const tx = await this.cache.tx();
         try {
@@ -296,6 +773,30 @@ class BasicOperations {
         }
     }
 
+    async setIfAbsentInTx(key, value, options = {}) {
+        const tx = await this.cache.tx();
+        try {
+            const written = await this.setIfAbsent(key, value, options, tx);
+            await tx.commit();
+            return written;
+        } catch (error) {
+            await tx.rollback();
+            throw error;
+        }
+    }
+
+    async compareAndSetInTx(key, expectedVersion, value, options = {}) {
+        const tx = await this.cache.tx();
+        try {
+            const written = await this.compareAndSet(key, expectedVersion, value, options, tx);
+            await tx.commit();
+            return written;
+        } catch (error) {
+            await tx.rollback();
+            throw error;
+        }
+    }
+
     async getInTx(key) {
         const tx = await this.cache.tx();
         try {
@@ -308,6 +809,30 @@ class BasicOperations {
         }
     }
 
+    async setManyInTx(entries, options = {}) {
+        const tx = await this.cache.tx();
+        try {
+            await this.setMany(entries, options, tx);
+            await tx.commit();
+            return;
+        } catch (error) {
+            await tx.rollback();
+            throw error;
+        }
+    }
+
+    async getManyInTx(keys) {
+        const tx = await this.cache.tx();
+        try {
+            const values = await this.getMany(keys, tx);
+            await tx.commit();
+            return values;
+        } catch (error) {
+            await tx.rollback();
+            throw error;
+        }
+    }
+
     async hasInTx(key) {
         // `has()` bypasses CAP tx handling on purpose, so opening a new transaction is unnecessary.
         return this.has(key);
@@ -325,6 +850,18 @@ class BasicOperations {
         }
     }
 
+    async deleteManyInTx(keys) {
+        const tx = await this.cache.tx();
+        try {
+            const value = await this.deleteMany(keys, tx);
+            await tx.commit();
+            return value;
+        } catch (error) {
+            await tx.rollback();
+            throw error;
+        }
+    }
+
     async clearInTx(options = {}) {
         const tx = await this.cache.tx();
         try {
@@ -361,6 +898,30 @@ class BasicOperations {
         }
     }
 
+    async ttlInTx(key) {
+        const tx = await this.cache.tx();
+        try {
+            const value = await this.ttl(key, tx);
+            await tx.commit();
+            return value;
+        } catch (error) {
+            await tx.rollback();
+            throw error;
+        }
+    }
+
+    async touchInTx(key, ttl) {
+        const tx = await this.cache.tx();
+        try {
+            const value = await this.touch(key, ttl, tx);
+            await tx.commit();
+            return value;
+        } catch (error) {
+            await tx.rollback();
+            throw error;
+        }
+    }
+
     async tagsInTx(key) {
         const tx = await this.cache.tx();
         try {
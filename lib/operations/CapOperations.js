@@ -1,6 +1,10 @@
 const TagResolver = require('../support/TagResolver');
 const telemetry = require('../support/Telemetry');
 const { redactHeaders } = require('../support/metricsSanitizer');
+const { loadUnderLock } = require('../support/Locks');
+const { resolveStaleWindow, retentionWindow, storeTtl, freshnessFields, isWithinStaleWindow, classifyEntry, resolveTtlJitter, jitterTtl, resolveEarlyRefresh, earlyRefreshFields, shouldRefreshEarly } = require('../support/freshness');
+const { resolveNegativeTtl, notFoundStatus, isEmptyResult, notFoundFields, replayError } = require('../support/negativeCaching');
+const { currentWarmup } = require('../support/Warmup');
 /**
  * Manages CAP-specific cache operations
  */
@@ -165,20 +169,11 @@ class CapOperations {
 
         const hasKey = hasKeyResult.success && hasKeyResult.result;
         const cacheErrors = [];
+        let expiredEntry;
 
         if (hasKey) {
             const latency = this.getElapsedMs(startTime);
 
-            // Safely record hit statistics
-            const hitStatsResult = await this.safeCacheOperation(
-                () => this.statistics.recordHit(latency, key, metadata),
-                'recordHit',
-                { key, latency }
-            );
-            if (!hitStatsResult.success) {
-                cacheErrors.push(hitStatsResult.error);
-            }
-
             // Safely get value from cache
             const getResult = await this.safeCacheOperation(
                 () => this.cache.send("GET", { key }),
@@ -186,43 +181,52 @@ class CapOperations {
                 { key }
             );
 
-            if (getResult.success && getResult.result?.value !== undefined) {
+            const freshness = getResult.success && getResult.result?.value !== undefined
+                ? classifyEntry(getResult.result, requestOptions)
+                : null;
+
+            // Past every window that allows serving it: kept only as a fallback
+            if (freshness === 'expired') expiredEntry = getResult.result;
+
+            if (freshness === 'fresh' || freshness === 'revalidate') {
+                // Safely record hit statistics
+                const hitStatsResult = await this.safeCacheOperation(
+                    () => this.recordHit(latency, key, metadata, freshness === 'revalidate'),
+                    'recordHit',
+                    { key, latency }
+                );
+                if (!hitStatsResult.success) {
+                    cacheErrors.push(hitStatsResult.error);
+                }
+
+                // Past its fresh TTL, or close to it: answer with the cached value, refresh behind it
+                const stale = freshness === 'revalidate';
+                this.scheduleRefresh(key, getResult.result, requestOptions, stale, () => this._loadSend(key, request, service, requestOptions));
+                this.replayNegative(key, getResult.result);
                 return {
                     result: getResult.result.value,
                     cacheKey: key,
-                    metadata: { hit: true, latency: latency },
+                    metadata: { hit: true, latency: latency, stale },
                     cacheErrors: cacheErrors
                 };
             }
         }
 
-        // Cache miss or cache error - delegate to underlying service
+        // Cache miss or cache error - delegate to underlying service. Concurrent
+        // misses on the same key share one call and one write (see SingleFlight).
         try {
-            const response = await service.send(request);
+            const { value: { response, setResult }, shared } = await this.cache.singleFlight.do(key, () => loadUnderLock(this.cache, key, requestOptions, () => this._loadSend(key, request, service, requestOptions)));
             const totalLatency = this.getElapsedMs(startTime);
 
             // Safely record miss statistics
             const missStatsResult = await this.safeCacheOperation(
-                () => this.statistics.recordMiss(totalLatency, key, metadata),
+                () => this.recordMiss(totalLatency, key, metadata, shared),
                 'recordMiss',
                 { key, latency: totalLatency }
             );
             if (!missStatsResult.success) {
                 cacheErrors.push(missStatsResult.error);
             }
-
-            // Safely store in cache
-            const wrappedValue = {
-                value: response,
-                tags: this.tagResolver.resolveTags(requestOptions.tags, response, { ...request.params, user: request.user?.id, tenant: request.tenant, locale: request.locale, hash: this.keyManager.createContentHash(request) }),
-                timestamp: Date.now()
-            };
-
-            const setResult = await this.safeCacheOperation(
-                () => this.cache.send("SET", { key, value: wrappedValue, ttl: requestOptions.ttl || 0 }),
-                'set',
-                { key, ttl: requestOptions.ttl }
-            );
             if (!setResult.success) {
                 cacheErrors.push(setResult.error);
             }
@@ -230,10 +234,15 @@ class CapOperations {
             return {
                 result: response,
                 cacheKey: key,
-                metadata: { hit: false, latency: totalLatency },
+                metadata: { hit: false, latency: totalLatency, coalesced: shared },
                 cacheErrors: cacheErrors
             };
         } catch (serviceError) {
+            // A failing service falls back to an expired entry within its stale-if-error window
+            if (isWithinStaleWindow(expiredEntry, resolveStaleWindow(requestOptions.staleIfError))) {
+                return this.serveStaleOnError(expiredEntry, key, serviceError, startTime, cacheErrors);
+            }
+
             // If the underlying service fails, throw the error
             this.log.error('Service operation failed:', {
                 error: serviceError.message,
@@ -293,7 +302,7 @@ class CapOperations {
 
                     req.cacheOptions = req.event ? this.extractFunctionCacheOptions(req, arguments[2]) : this.extractEntityCacheOptions(req, arguments[2]);
 
-                    req.cacheKey = this.keyManager.createKey(req, {}, req.cacheOptions.key);
+                    req.cacheKey = this.keyManager.createKey(req, { fingerprint: req.cacheOptions.fingerprint }, req.cacheOptions.key);
                     if (this.debugHeadersEnabled()) {
                         req.res?.setHeader('x-sap-cap-cache-key', req.cacheKey);
                     }
@@ -308,15 +317,18 @@ class CapOperations {
                         { key: req.cacheKey, serviceName: req.target?.name }
                     );
 
-                    const cacheHit = getResult.success && getResult.result?.value !== undefined;
+                    // Expired entries count as a miss; they are kept only as a fallback
+                    const freshness = getResult.success && getResult.result?.value !== undefined
+                        ? classifyEntry(getResult.result, req.cacheOptions)
+                        : null;
                     const cacheLatency = this.getElapsedMs(startTime);
                     const metadata = this.extractMetadataFromRequest(req);
                     const cacheErrors = [];
 
-                    if (cacheHit) {
+                    if (freshness === 'fresh' || freshness === 'revalidate') {
                         // Cache hit
                         const hitStatsResult = await this.safeCacheOperation(
-                            () => this.statistics.recordHit(cacheLatency, req.cacheKey, metadata),
+                            () => this.recordHit(cacheLatency, req.cacheKey, metadata, freshness === 'revalidate'),
                             'recordHit',
                             { key: req.cacheKey, latency: cacheLatency }
                         );
@@ -324,22 +336,28 @@ class CapOperations {
                             cacheErrors.push(hitStatsResult.error);
                         }
 
-                        req.res?.setHeader('x-sap-cap-cache', "hit");
+                        // Past its fresh TTL, or close to it: answer with the cached value, refresh behind it
+                        const stale = freshness === 'revalidate';
+                        this.scheduleRefresh(req.cacheKey, getResult.result, req.cacheOptions, stale, () => this._loadRequest(req, next));
+
+                        req.res?.setHeader('x-sap-cap-cache', stale ? "stale" : "hit");
+                        this.replayNegative(req.cacheKey, getResult.result);
                         return {
                             result: getResult.result.value,
                             cacheKey: req.cacheKey,
-                            metadata: { hit: true, latency: cacheLatency },
+                            metadata: { hit: true, latency: cacheLatency, stale },
                             cacheErrors: cacheErrors
                         };
                     } else {
-                        // Cache miss - track the backend operation
+                        // Cache miss - track the backend operation. Concurrent misses
+                        // on the same key share one call and one write (see SingleFlight).
                         try {
-                            const response = await next();
+                            const { value: { response, setResult }, shared } = await this.cache.singleFlight.do(req.cacheKey, () => loadUnderLock(this.cache, req.cacheKey, req.cacheOptions, () => this._loadRequest(req, next)));
                             const totalLatency = this.getElapsedMs(startTime);
 
                             // Safely record miss statistics
                             const missStatsResult = await this.safeCacheOperation(
-                                () => this.statistics.recordMiss(totalLatency, req.cacheKey, metadata),
+                                () => this.recordMiss(totalLatency, req.cacheKey, metadata, shared),
                                 'recordMiss',
                                 { key: req.cacheKey, latency: totalLatency }
                             );
@@ -349,19 +367,6 @@ class CapOperations {
 
                             req.res?.setHeader('x-sap-cap-cache', "miss");
 
-                            // Safely store in cache
-                            const wrappedValue = {
-                                value: response,
-                                tags: this.tagResolver.resolveTags(req.cacheOptions.tags, response, { ...req.params, hash: this.keyManager.createContentHash(req) }),
-                                timestamp: Date.now()
-                            };
-
-                            const setResult = await this.safeCacheOperation(
-                                () => this.cache.send("SET", { key: req.cacheKey, value: wrappedValue, ttl: req.cacheOptions.ttl || 0 }),
-                                'set',
-                                { key: req.cacheKey, ttl: req.cacheOptions.ttl }
-                            );
-
                             if (!setResult.success) {
                                 cacheErrors.push(setResult.error);
                             }
@@ -369,10 +374,16 @@ class CapOperations {
                             return {
                                 result: response,
                                 cacheKey: req.cacheKey,
-                                metadata: { hit: false, latency: totalLatency },
+                                metadata: { hit: false, latency: totalLatency, coalesced: shared },
                                 cacheErrors: cacheErrors
                             };
                         } catch (serviceError) {
+                            // A failing backend falls back to an expired entry within its stale-if-error window
+                            if (freshness === 'expired' && isWithinStaleWindow(getResult.result, resolveStaleWindow(req.cacheOptions.staleIfError))) {
+                                req.res?.setHeader('x-sap-cap-cache', "stale");
+                                return this.serveStaleOnError(getResult.result, req.cacheKey, serviceError, startTime, cacheErrors);
+                            }
+
                             // If the underlying service fails, throw the error
                             this.log.error('Service operation failed:', {
                                 error: serviceError.message,
@@ -426,61 +437,61 @@ class CapOperations {
                             cacheOptions: JSON.stringify(options)
                         };
                         const cacheErrors = [];
+                        let expiredEntry;
 
                         if (hasCachedValue) {
-                            // Cache hit
-                            const hitStatsResult = await this.safeCacheOperation(
-                                () => this.statistics.recordHit(cacheLatency, query.cacheKey, metadata),
-                                'recordHit',
-                                { key: query.cacheKey, latency: cacheLatency }
-                            );
-                            if (!hitStatsResult.success) {
-                                cacheErrors.push(hitStatsResult.error);
-                            }
-
                             const getResult = await this.safeCacheOperation(
                                 () => this.cache.send("GET", { key: query.cacheKey }),
                                 'get',
                                 { key: query.cacheKey }
                             );
 
-                            if (getResult.success && getResult.result?.value !== undefined) {
+                            const freshness = getResult.success && getResult.result?.value !== undefined
+                                ? classifyEntry(getResult.result, options)
+                                : null;
+
+                            // Past every window that allows serving it: kept only as a fallback
+                            if (freshness === 'expired') expiredEntry = getResult.result;
+
+                            if (freshness === 'fresh' || freshness === 'revalidate') {
+                                // Cache hit
+                                const hitStatsResult = await this.safeCacheOperation(
+                                    () => this.recordHit(cacheLatency, query.cacheKey, metadata, freshness === 'revalidate'),
+                                    'recordHit',
+                                    { key: query.cacheKey, latency: cacheLatency }
+                                );
+                                if (!hitStatsResult.success) {
+                                    cacheErrors.push(hitStatsResult.error);
+                                }
+
+                                // Past its fresh TTL, or close to it: answer with the cached value, refresh behind it
+                                const stale = freshness === 'revalidate';
+                                this.scheduleRefresh(query.cacheKey, getResult.result, options, stale, () => this._loadQuery(query, srv, options));
+                                this.replayNegative(query.cacheKey, getResult.result);
                                 return {
                                     result: getResult.result.value,
                                     cacheKey: query.cacheKey,
-                                    metadata: { hit: true, latency: cacheLatency },
+                                    metadata: { hit: true, latency: cacheLatency, stale },
                                     cacheErrors: cacheErrors
                                 };
                             }
                         }
 
-                        // Cache miss or cache error
+                        // Cache miss or cache error. Concurrent misses on the same key
+                        // share one query and one write (see SingleFlight).
                         try {
-                            const data = await srv.run(query);
+                            const { value: { response: data, setResult }, shared } = await this.cache.singleFlight.do(query.cacheKey, () => loadUnderLock(this.cache, query.cacheKey, options, () => this._loadQuery(query, srv, options)));
                             const totalLatency = this.getElapsedMs(startTime);
 
                             // Safely record miss statistics
                             const missStatsResult = await this.safeCacheOperation(
-                                () => this.statistics.recordMiss(totalLatency, query.cacheKey, metadata),
+                                () => this.recordMiss(totalLatency, query.cacheKey, metadata, shared),
                                 'recordMiss',
                                 { key: query.cacheKey, latency: totalLatency }
                             );
                             if (!missStatsResult.success) {
                                 cacheErrors.push(missStatsResult.error);
                             }
-
-                            // Safely store in cache
-                            const wrappedValue = {
-                                value: data,
-                                tags: this.tagResolver.resolveTags(options.tags, data, { ...query.params, hash: this.keyManager.createContentHash(query) }),
-                                timestamp: Date.now()
-                            };
-
-                            const setResult = await this.safeCacheOperation(
-                                () => this.cache.send("SET", { key: query.cacheKey, value: wrappedValue, ttl: options.ttl || 0 }),
-                                'set',
-                                { key: query.cacheKey, ttl: options.ttl }
-                            );
                             if (!setResult.success) {
                                 cacheErrors.push(setResult.error);
                             }
@@ -488,10 +499,15 @@ class CapOperations {
                             return {
                                 result: data,
                                 cacheKey: query.cacheKey,
-                                metadata: { hit: false, latency: totalLatency },
+                                metadata: { hit: false, latency: totalLatency, coalesced: shared },
                                 cacheErrors: cacheErrors
                             };
                         } catch (serviceError) {
+                            // A failing service falls back to an expired entry within its stale-if-error window
+                            if (isWithinStaleWindow(expiredEntry, resolveStaleWindow(options.staleIfError))) {
+                                return this.serveStaleOnError(expiredEntry, query.cacheKey, serviceError, startTime, cacheErrors);
+                            }
+
                             // If the underlying service fails, throw the error
                             this.log.error('Service operation failed:', {
                                 error: serviceError.message,
@@ -508,6 +524,161 @@ class CapOperations {
         return { result: null, cacheKey: null, metadata: { hit: false, latency: 0 }, cacheErrors: [] };
     }
 
+    /**
+     * Send a request to the service and store the response. Used on a miss and
+     * to refresh a stale entry in the background.
+     * @private
+     */
+    async _loadSend(key, request, service, requestOptions) {
+        const tagsOf = (response) => this.tagResolver.resolveTags(requestOptions.tags, response, { ...request.params, user: request.user?.id, tenant: request.tenant, locale: request.locale, hash: this.keyManager.createContentHash(request) });
+        const started = Date.now();
+        const response = await this.loadOrCacheNotFound(key, requestOptions, tagsOf, () => service.send(request));
+        const now = Date.now();
+        const expiry = this.entryExpiry(response, requestOptions, now - started, now);
+
+        // Safely store in cache
+        const wrappedValue = {
+            value: expiry.negative ? response ?? null : response,
+            tags: tagsOf(response),
+            timestamp: now,
+            ...expiry.fields
+        };
+
+        const setResult = await this.safeCacheOperation(
+            () => this.cache.send("SET", { key, value: wrappedValue, ttl: expiry.storeTtl }),
+            'set',
+            { key, ttl: expiry.ttl }
+        );
+        if (setResult.success && !expiry.negative) this.registerRefreshAhead(key, expiry.ttl, requestOptions, () => this._loadSend(key, request, service, requestOptions));
+        return { response, setResult };
+    }
+
+    /**
+     * Run the next handler of a request and store its result. Used on a miss and
+     * to refresh a stale entry in the background. Not refreshed ahead: `next()`
+     * runs the handlers left in the request's chain, so it loads once only.
+     * @private
+     */
+    async _loadRequest(req, next) {
+        const tagsOf = (response) => this.tagResolver.resolveTags(req.cacheOptions.tags, response, { ...req.params, hash: this.keyManager.createContentHash(req) });
+        const started = Date.now();
+        const response = await this.loadOrCacheNotFound(req.cacheKey, req.cacheOptions, tagsOf, () => next());
+        const now = Date.now();
+        const expiry = this.entryExpiry(response, req.cacheOptions, now - started, now);
+
+        // Safely store in cache
+        const wrappedValue = {
+            value: expiry.negative ? response ?? null : response,
+            tags: tagsOf(response),
+            timestamp: now,
+            ...expiry.fields
+        };
+
+        const setResult = await this.safeCacheOperation(
+            () => this.cache.send("SET", { key: req.cacheKey, value: wrappedValue, ttl: expiry.storeTtl }),
+            'set',
+            { key: req.cacheKey, ttl: expiry.ttl }
+        );
+        return { response, setResult };
+    }
+
+    /**
+     * Run a query and store its result. Used on a miss and to refresh a stale
+     * entry in the background.
+     * @private
+     */
+    async _loadQuery(query, srv, options) {
+        const tagsOf = (data) => this.tagResolver.resolveTags(options.tags, data, { ...query.params, hash: this.keyManager.createContentHash(query) });
+        const started = Date.now();
+        const data = await this.loadOrCacheNotFound(query.cacheKey, options, tagsOf, () => srv.run(query));
+        const now = Date.now();
+        const expiry = this.entryExpiry(data, options, now - started, now);
+
+        // Safely store in cache
+        const wrappedValue = {
+            value: expiry.negative ? data ?? null : data,
+            tags: tagsOf(data),
+            timestamp: now,
+            ...expiry.fields
+        };
+
+        const setResult = await this.safeCacheOperation(
+            () => this.cache.send("SET", { key: query.cacheKey, value: wrappedValue, ttl: expiry.storeTtl }),
+            'set',
+            { key: query.cacheKey, ttl: expiry.ttl }
+        );
+        if (setResult.success && !expiry.negative) this.registerRefreshAhead(query.cacheKey, expiry.ttl, options, () => this._loadQuery(query, srv, options));
+        return { response: data, setResult };
+    }
+
+    /**
+     * Call the backend for a read-through. A "not found" error is stored as a
+     * negative entry before it is rethrown, when the call has a `negativeTtl`.
+     * @param {string} key - the cache key
+     * @param {object} options - read-through options
+     * @param {(value: any) => string[]} tagsOf - resolves the tags of the entry
+     * @param {() => Promise<any>} load - calls the backend
+     * @returns {Promise<any>} - the loaded value
+     */
+    async loadOrCacheNotFound(key, options, tagsOf, load) {
+        try {
+            return await load();
+        } catch (error) {
+            const negativeTtl = resolveNegativeTtl(options.negativeTtl);
+            const status = negativeTtl > 0 ? notFoundStatus(error) : null;
+            if (status) {
+                const wrappedValue = { value: null, tags: tagsOf(null), timestamp: Date.now(), negative: notFoundFields(error, status) };
+                await this.safeCacheOperation(
+                    () => this.cache.send("SET", { key, value: wrappedValue, ttl: negativeTtl }),
+                    'set',
+                    { key, ttl: negativeTtl }
+                );
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Expiry of an entry about to be written. With a `negativeTtl`, empty results
+     * are stored for that long as negative entries, which are neither kept stale
+     * nor refreshed early.
+     * @param {any} value - the loaded value
+     * @param {object} options - read-through options
+     * @param {number} loadTime - milliseconds it took to load the value
+     * @param {number} now - write time
+     * @returns {{ ttl: number, storeTtl: number, fields: object, negative: boolean }}
+     */
+    entryExpiry(value, options, loadTime, now) {
+        const negativeTtl = resolveNegativeTtl(options.negativeTtl);
+        if (negativeTtl > 0 && isEmptyResult(value)) {
+            return { ttl: negativeTtl, storeTtl: negativeTtl, fields: { negative: { empty: true } }, negative: true };
+        }
+        const staleWindow = retentionWindow(options);
+        const ttl = this.entryTtl(options);
+        return {
+            ttl,
+            storeTtl: storeTtl(ttl, staleWindow),
+            fields: {
+                ...freshnessFields(ttl, staleWindow, now),
+                ...earlyRefreshFields(ttl, loadTime, this.earlyRefreshBeta(options), now)
+            },
+            negative: false
+        };
+    }
+
+    /**
+     * Count a hit on a negative entry, and throw the "not found" error it
+     * recorded again. Does nothing for other entries.
+     * @param {string} key - the cache key
+     * @param {object} wrapped - the wrapped value that was read
+     */
+    replayNegative(key, wrapped) {
+        if (!wrapped?.negative) return;
+        this.statistics.recordNegativeHit(key);
+        const error = replayError(wrapped.negative);
+        if (error) throw error;
+    }
+
     /**
      * Extract cache options from request
      * @param {object} req - the request object
@@ -546,6 +717,13 @@ class CapOperations {
             ttl: functionOptions?.['@cache.ttl'] || 0,
             key: functionOptions?.['@cache.key'] || null,
             tags: functionOptions?.['@cache.tags'] || [],
+            staleWhileRevalidate: functionOptions?.['@cache.swr'] || 0,
+            staleIfError: functionOptions?.['@cache.staleIfError'] || 0,
+            ttlJitter: functionOptions?.['@cache.ttlJitter'],
+            earlyRefresh: functionOptions?.['@cache.earlyRefresh'],
+            negativeTtl: functionOptions?.['@cache.negativeTtl'] || 0,
+            // Registered functions keep their definition; entity reads arrive here with the entity as target
+            fingerprint: this.cache.schemaFingerprint?.(functionOptions?.options ?? req.target),
             ...(options || {}),
         };
     }
@@ -561,6 +739,12 @@ class CapOperations {
             ttl: req.target?.['@cache.ttl'] || 0,
             key: req.target?.['@cache.key'] || null,
             tags: req.target?.['@cache.tags'] || [],
+            staleWhileRevalidate: req.target?.['@cache.swr'] || 0,
+            staleIfError: req.target?.['@cache.staleIfError'] || 0,
+            ttlJitter: req.target?.['@cache.ttlJitter'],
+            earlyRefresh: req.target?.['@cache.earlyRefresh'],
+            negativeTtl: req.target?.['@cache.negativeTtl'] || 0,
+            fingerprint: this.cache.schemaFingerprint?.(req.target),
             ...(options || {}),
         }
     }
@@ -596,6 +780,125 @@ class CapOperations {
         return metadata;
     }
 
+    /**
+     * Answer with an expired entry because loading a fresh value failed. The
+     * failure is logged and counted, but the caller gets the last good value
+     * instead of the error.
+     * @param {object} entry - the expired wrapped value
+     * @param {string} key - the cache key
+     * @param {Error} error - the backend error
+     * @param {[number, number]} startTime - start time from process.hrtime()
+     * @param {Array} cacheErrors - cache errors collected so far
+     * @returns {Promise<object>} - the read-through result
+     */
+    async serveStaleOnError(entry, key, error, startTime, cacheErrors) {
+        const latency = this.getElapsedMs(startTime);
+        this.log.warn(`Serving stale value for ${key}, loading a fresh one failed:`, error.message);
+
+        const statsResult = await this.safeCacheOperation(
+            () => this.statistics.recordStaleIfError(key),
+            'recordStaleIfError',
+            { key }
+        );
+        if (!statsResult.success) {
+            cacheErrors.push(statsResult.error);
+        }
+
+        return {
+            result: entry.value,
+            cacheKey: key,
+            metadata: { hit: false, latency, stale: true, error: error.message },
+            cacheErrors: cacheErrors
+        };
+    }
+
+    /**
+     * Refresh an entry that was just served in the background: always when it
+     * is stale, and with early refresh when XFetch picks this read to refresh
+     * it ahead of its expiry.
+     * @param {string} key - the cache key
+     * @param {object} wrapped - the wrapped value that was served
+     * @param {object} options - read-through options
+     * @param {boolean} stale - whether the entry is past its fresh TTL
+     * @param {() => Promise<any>} loader - loads and stores the fresh value
+     */
+    scheduleRefresh(key, wrapped, options, stale, loader) {
+        this.cache.refreshAhead?.recordHit(key);
+        if (stale) {
+            this.cache.revalidator.schedule(key, loader);
+            return;
+        }
+        if (shouldRefreshEarly(wrapped, this.earlyRefreshBeta(options)) && this.cache.revalidator.schedule(key, loader)) {
+            this.statistics.recordEarlyRefresh(key);
+        }
+    }
+
+    /**
+     * Have an entry that was just written reloaded ahead of its expiry, unless
+     * the call opted out with `refreshAhead: false`
+     * @param {string} key - the cache key
+     * @param {number} ttl - fresh TTL of the entry
+     * @param {object} options - read-through options
+     * @param {() => Promise<any>} loader - loads and stores the entry again
+     */
+    registerRefreshAhead(key, ttl, options, loader) {
+        if (!this.cache.refreshAhead || options.refreshAhead === false) return;
+        this.cache.refreshAhead.register(key, loader, ttl);
+    }
+
+    /**
+     * Fresh TTL of an entry about to be written, with the configured jitter
+     * applied. Options of the call or annotation take precedence over the cache's.
+     * @param {object} options - read-through options
+     * @returns {number} - the TTL in milliseconds
+     */
+    entryTtl(options) {
+        return jitterTtl(options.ttl || 0, resolveTtlJitter(options.ttlJitter ?? this.cache.options?.ttlJitter));
+    }
+
+    /**
+     * Early refresh setting for a read-through, from the call or annotation, else the cache
+     * @param {object} options - read-through options
+     * @returns {number} - the XFetch beta, `0` when off
+     */
+    earlyRefreshBeta(options) {
+        return resolveEarlyRefresh(options.earlyRefresh ?? this.cache.options?.earlyRefresh);
+    }
+
+    /**
+     * Record a read-through hit and emit the `hit` event. Reads of a warm-up
+     * are not counted.
+     * @param {number} latency - latency of the hit
+     * @param {string} key - the cache key
+     * @param {object} metadata - statistics metadata
+     * @param {boolean} stale - whether the entry is answered while it is refreshed
+     */
+    recordHit(latency, key, metadata, stale) {
+        if (!currentWarmup()) this.statistics.recordHit(latency, key, metadata);
+        this.cache.emitLifecycleEvent?.('hit', { key, latency, stale });
+    }
+
+    /**
+     * Record a read-through miss, counting it as coalesced when it joined a load
+     * already running for the same key, or as a warm-up when a warm-up read it,
+     * and emit the `miss` event
+     * @param {number} latency - latency of the miss
+     * @param {string} key - the cache key
+     * @param {object} metadata - statistics metadata
+     * @param {boolean} coalesced - whether the caller joined another caller's load
+     */
+    recordMiss(latency, key, metadata, coalesced) {
+        const warmup = currentWarmup();
+        if (warmup) {
+            warmup.loads++;
+            this.statistics.recordWarmup(latency, key);
+        } else {
+            this.statistics.recordMiss(latency, key, metadata);
+            if (coalesced) this.statistics.recordCoalesced(key);
+        }
+        this.cache.emitLifecycleEvent?.('miss', { key, latency, coalesced: Boolean(coalesced) });
+    }
+
     /**
      * Get elapsed time in milliseconds
      * @param {[number, number]} startTime - start time from process.hrtime()
@@ -11,6 +11,9 @@ const {
     DEFAULT_TENANT,
 } = require('./MultitenancyDetector');
 
+/** Counters kept per scope of the cache */
+const emptyScopeCounts = () => ({ hits: 0, misses: 0, nativeSets: 0, nativeGets: 0, nativeDeletes: 0 });
+
 /**
  * Class to handle all things caching statistics.
  *
@@ -38,6 +41,8 @@ class CacheStatisticsHandler {
         this._overlays = new Map();
         /** Throwaway bucket for MTX writes outside a tenant context (discarded). */
         this._discardBucket = null;
+        /** @type {string[]} names of the cache's scopes, longest first */
+        this._scopes = [];
 
         // Initialize persistence manager
         this.persistenceManager = new StatisticsPersistenceManager(this.options.cache, this.log);
@@ -57,6 +62,14 @@ class CacheStatisticsHandler {
             sets: 0,
             deletes: 0,
             errors: 0,
+            coalesced: 0,
+            staleIfError: 0,
+            l1Hits: 0,
+            l1Misses: 0,
+            evictions: 0,
+            earlyRefreshes: 0,
+            negativeHits: 0,
+            warmups: 0,
             totalRequests: 0,
             latencies: [],
             hitLatencies: [],
@@ -71,6 +84,7 @@ class CacheStatisticsHandler {
             nativeErrors: 0,
             totalNativeOperations: 0,
             keyAccess: new Map(),
+            scopes: new Map(),
             startTime: Date.now(),
             lastReset: Date.now()
         };
@@ -209,6 +223,7 @@ class CacheStatisticsHandler {
         // Record basic metrics if enabled
         if (this._metricsOn()) {
             this.stats.current.hits++;
+            this.recordScope(key, 'hits');
             this.recordLatency(latency);
             this.recordHitLatency(latency);
         }
@@ -239,6 +254,7 @@ class CacheStatisticsHandler {
         // Record basic metrics if enabled
         if (this._metricsOn()) {
             this.stats.current.misses++;
+            this.recordScope(key, 'misses');
             this.recordLatency(latency);
             this.recordMissLatency(latency);
         }
@@ -317,6 +333,225 @@ class CacheStatisticsHandler {
         this.log.debug(`Recorded DELETE for key: ${key}, latency: ${latency}ms, enabled: ${this._metricsOn()}, keyMetrics: ${this._keyMetricsOn()}`);
     }
 
+    /**
+     * Record a read-through miss that joined a load already running for the same
+     * key instead of calling the backend itself. The miss itself is recorded
+     * separately through `recordMiss`.
+     * @param {string} key - the key of the miss
+     */
+    recordCoalesced(key) {
+        if (!this._canRecord()) {
+            telemetry.recordCoalesced({ 'cache.name': this.options.cache });
+            return;
+        }
+
+        // Record basic metrics if enabled
+        if (this._metricsOn()) {
+            this.stats.current.coalesced++;
+        }
+
+        // Emit OTel metric (independent of metricsEnabled)
+        telemetry.recordCoalesced({ 'cache.name': this.options.cache });
+
+        // Log for debugging
+        this.log.debug(`Recorded COALESCED miss for key: ${key}, enabled: ${this._metricsOn()}`);
+    }
+
+    /**
+     * Record a read-through request that was answered with a stale value
+     * because loading a fresh one failed (stale-if-error)
+     * @param {string} key - the key of the stale value
+     */
+    recordStaleIfError(key) {
+        if (!this._canRecord()) {
+            telemetry.recordStaleIfError({ 'cache.name': this.options.cache });
+            return;
+        }
+
+        // Record basic metrics if enabled
+        if (this._metricsOn()) {
+            this.stats.current.staleIfError++;
+        }
+
+        // Emit OTel metric (independent of metricsEnabled)
+        telemetry.recordStaleIfError({ 'cache.name': this.options.cache });
+
+        // Log for debugging
+        this.log.debug(`Recorded STALE-IF-ERROR for key: ${key}, enabled: ${this._metricsOn()}`);
+    }
+
+    /**
+     * Record a lookup in the in-process L1 of a tiered cache. L1 lookups sit
+     * below hits and misses: an L1 miss may still be an L2 hit.
+     * @param {string} key - the store key that was looked up
+     * @param {boolean} isHit - whether the L1 held the entry
+     */
+    recordL1Lookup(key, isHit) {
+        if (!this._canRecord()) {
+            telemetry.recordL1Lookup(isHit, { 'cache.name': this.options.cache });
+            return;
+        }
+
+        // Record basic metrics if enabled
+        if (this._metricsOn()) {
+            if (isHit) {
+                this.stats.current.l1Hits++;
+            } else {
+                this.stats.current.l1Misses++;
+            }
+        }
+
+        // Emit OTel metric (independent of metricsEnabled)
+        telemetry.recordL1Lookup(isHit, { 'cache.name': this.options.cache });
+
+        // Log for debugging
+        this.log.debug(`Recorded L1 ${isHit ? 'HIT' : 'MISS'} for key: ${key}, enabled: ${this._metricsOn()}`);
+    }
+
+    /**
+     * Record a background refresh started before the entry expired (early
+     * refresh). The read itself is counted as a hit.
+     * @param {string} key - the key being refreshed
+     */
+    recordEarlyRefresh(key) {
+        if (!this._canRecord()) {
+            telemetry.recordEarlyRefresh({ 'cache.name': this.options.cache });
+            return;
+        }
+
+        // Record basic metrics if enabled
+        if (this._metricsOn()) {
+            this.stats.current.earlyRefreshes++;
+        }
+
+        // Emit OTel metric (independent of metricsEnabled)
+        telemetry.recordEarlyRefresh({ 'cache.name': this.options.cache });
+
+        // Log for debugging
+        this.log.debug(`Recorded EARLY REFRESH for key: ${key}, enabled: ${this._metricsOn()}`);
+    }
+
+    /**
+     * Record a read-through hit on a negative entry: a cached empty result or
+     * "not found" error. The read itself is counted as a hit.
+     * @param {string} key - the key that was read
+     */
+    recordNegativeHit(key) {
+        if (!this._canRecord()) {
+            telemetry.recordNegativeHit({ 'cache.name': this.options.cache });
+            return;
+        }
+
+        // Record basic metrics if enabled
+        if (this._metricsOn()) {
+            this.stats.current.negativeHits++;
+        }
+
+        // Emit OTel metric (independent of metricsEnabled)
+        telemetry.recordNegativeHit({ 'cache.name': this.options.cache });
+
+        // Log for debugging
+        this.log.debug(`Recorded NEGATIVE HIT for key: ${key}, enabled: ${this._metricsOn()}`);
+    }
+
+    /**
+     * Record an entry a cache warm-up loaded. Not counted as a miss, so warming
+     * up does not lower the hit ratio.
+     * @param {number} latency - the latency of the load
+     * @param {string} key - the key that was loaded
+     */
+    recordWarmup(latency, key) {
+        if (!this._canRecord()) {
+            telemetry.recordWarmup({ 'cache.name': this.options.cache });
+            return;
+        }
+
+        // Record basic metrics if enabled
+        if (this._metricsOn()) {
+            this.stats.current.warmups++;
+        }
+
+        // Emit OTel metric (independent of metricsEnabled)
+        telemetry.recordWarmup({ 'cache.name': this.options.cache });
+
+        // Log for debugging
+        this.log.debug(`Recorded WARMUP for key: ${key}, latency: ${latency}ms, enabled: ${this._metricsOn()}`);
+    }
+
+    /**
+     * Record an entry the memory store removed to stay within its
+     * `maxEntries` / `maxBytes` limits
+     * @param {string} key - the store key of the evicted entry
+     */
+    recordEviction(key) {
+        if (!this._canRecord()) {
+            telemetry.recordEviction({ 'cache.name': this.options.cache });
+            return;
+        }
+
+        // Record basic metrics if enabled
+        if (this._metricsOn()) {
+            this.stats.current.evictions++;
+        }
+
+        // Emit OTel metric (independent of metricsEnabled)
+        telemetry.recordEviction({ 'cache.name': this.options.cache });
+
+        // Log for debugging
+        this.log.debug(`Recorded EVICTION for key: ${key}, enabled: ${this._metricsOn()}`);
+    }
+
+    /**
+     * Read-through hits of a key in the current metrics period, as collected
+     * for key metrics
+     * @param {string} key - the cache key
+     * @returns {number|null} - the hits, or null when key metrics are off
+     */
+    getKeyHits(key) {
+        if (!this._canRecord() || !this._keyMetricsOn()) return null;
+        return this.stats.current.keyAccess.get(key)?.hits ?? 0;
+    }
+
+    /**
+     * Break the statistics down by a scope of the cache (see `CachingService.scope`)
+     * @param {string} name - the full scope name, e.g. `pricing` or `pricing:eu`
+     */
+    registerScope(name) {
+        if (this._scopes.includes(name)) return;
+        this._scopes.push(name);
+        // A key counts for its innermost scope, the one with the longest name
+        this._scopes.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Count an operation for the scope of its key, if it has one
+     * @param {string} key - the key of the operation
+     * @param {'hits'|'misses'|'nativeSets'|'nativeGets'|'nativeDeletes'} counter - the counter to increment
+     */
+    recordScope(key, counter) {
+        if (!key || this._scopes.length === 0) return;
+        const scope = this._scopes.find(name => key.startsWith(`${name}:`));
+        if (!scope) return;
+        const scopes = this.stats.current.scopes;
+        if (!scopes.has(scope)) {
+            scopes.set(scope, emptyScopeCounts());
+        }
+        scopes.get(scope)[counter]++;
+    }
+
+    /**
+     * Current statistics of every registered scope, including those without operations yet
+     * @param {object} current - the current stats of a bucket
+     * @returns {Array<object>} - one row per scope, ordered by name
+     */
+    _scopeStats(current) {
+        return [...this._scopes].sort().map(scope => {
+            const counts = current.scopes.get(scope) ?? emptyScopeCounts();
+            const totalRequests = counts.hits + counts.misses;
+            return { scope, ...counts, totalRequests, hitRatio: totalRequests > 0 ? counts.hits / totalRequests : 0 };
+        });
+    }
+
     /**
      * Record a native set operation (cache-aside)
      * @param {string} key - the key of the set
@@ -334,6 +569,7 @@ class CacheStatisticsHandler {
         if (this._metricsOn()) {
             this.stats.current.nativeSets++;
             this.stats.current.totalNativeOperations++;
+            this.recordScope(key, 'nativeSets');
         }
 
         // Record key access if key metrics is enabled (independent of main metrics)
@@ -365,6 +601,7 @@ class CacheStatisticsHandler {
         if (this._metricsOn()) {
             this.stats.current.nativeGets++;
             this.stats.current.totalNativeOperations++;
+            this.recordScope(key, 'nativeGets');
         }
 
         // Record key access if key metrics is enabled (independent of main metrics)
@@ -393,6 +630,7 @@ class CacheStatisticsHandler {
         if (this._metricsOn()) {
             this.stats.current.nativeDeletes++;
             this.stats.current.totalNativeOperations++;
+            this.recordScope(key, 'nativeDeletes');
         }
 
         // Record key access if key metrics is enabled (independent of main metrics)
@@ -1088,6 +1326,14 @@ class CacheStatisticsHandler {
             hits: this.stats.current.hits,
             misses: this.stats.current.misses,
             errors: this.stats.current.errors,
+            coalesced: this.stats.current.coalesced,
+            staleIfError: this.stats.current.staleIfError,
+            l1Hits: this.stats.current.l1Hits,
+            l1Misses: this.stats.current.l1Misses,
+            evictions: this.stats.current.evictions,
+            earlyRefreshes: this.stats.current.earlyRefreshes,
+            negativeHits: this.stats.current.negativeHits,
+            warmups: this.stats.current.warmups,
             totalRequests,
 
             // Read-through latency metrics (hits and misses only)
@@ -1212,6 +1458,14 @@ class CacheStatisticsHandler {
             hits: current.hits,
             misses: current.misses,
             errors: current.errors,
+            coalesced: current.coalesced,
+            staleIfError: current.staleIfError,
+            l1Hits: current.l1Hits,
+            l1Misses: current.l1Misses,
+            evictions: current.evictions,
+            earlyRefreshes: current.earlyRefreshes,
+            negativeHits: current.negativeHits,
+            warmups: current.warmups,
             totalRequests,
 
             // Read-through latency metrics (hits and misses only)
@@ -1242,6 +1496,9 @@ class CacheStatisticsHandler {
             nativeThroughput,
             nativeErrorRate,
 
+            // Breakdown by scope (see CachingService.scope)
+            scopes: this._scopeStats(current),
+
             // Common metrics
             memoryUsage: process.memoryUsage().heapUsed,
             itemCount: await this.options.getItemCount?.() || 0,
@@ -3,6 +3,11 @@ const { withTimeout, resolveOperationTimeout } = require('./withTimeout');
 const { storeCredentials } = require('./valueEncryption');
 const { requireOptional, requireAnyOptional } = require('./optionalRequire');
 const KeyvCDS = require('./KeyvCDS');
+const { createTagIndex } = require('./TagIndex');
+const { createConditionalWrites } = require('./ConditionalWrites');
+const { createLocks } = require('./Locks');
+const { TieredStore, resolveL1Options } = require('./TieredStore');
+const { MemoryStore, resolveMemoryOptions } = require('./MemoryStore');
 const { isMultitenantMode } = require('./MultitenancyDetector');
 
 /**
@@ -18,17 +23,35 @@ class CacheStoreManager {
      * Create and configure the cache store based on options
      * @param {object} options - Cache configuration options
      * @param {string} cacheName - Name of the cache for logging
-     * @returns {object} - Configured Keyv instance and cleanup function
+     * @returns {object} - Configured Keyv instance, tag index (or `null`), conditional writes, locks (or `null`), L1 tier (or `null`), memory store (or `null`) and cleanup function
      */
     createStore(options, cacheName) {
         // A bound encryption key arrives alongside the connection details; the store
         // must not receive it.
         const store = this._createStoreInstance({ ...options, credentials: storeCredentials(options) });
         const cacheOptions = this._createCacheOptions(options, cacheName, store);
+
+        // In tiered mode Keyv talks to the L1 in front of the store; the key
+        // prefixing above and the tag index below still follow the store itself.
+        const l1Options = resolveL1Options(options.l1);
+        const l1 = l1Options ? new TieredStore(store, l1Options) : null;
+        if (l1) cacheOptions.store = l1;
+
         const cache = new Keyv(cacheOptions);
         cache.throwOnErrors = options.throwOnErrors;
+        if (l1) l1.deserialize = data => cache.deserializeData(data);
         this._boundOperations(cache, options, cacheName);
 
+        const tagIndex = createTagIndex(store, options, cacheOptions.namespace);
+        if (tagIndex) this._boundOperations(tagIndex, options, `${cacheName}.tagIndex`, ['add', 'keys', 'tags', 'remove', 'clear']);
+
+        // Conditional writes go to the store itself, past the L1
+        const conditionalWrites = createConditionalWrites(store, options);
+        this._boundOperations(conditionalWrites, options, `${cacheName}.conditionalWrites`, ['read', 'replace']);
+
+        const locks = createLocks(store, options, cacheOptions.namespace);
+        if (locks) this._boundOperations(locks, options, `${cacheName}.locks`, ['acquire', 'extend', 'release']);
+
         // Set up error handling
         cache.on('error', err => {
             this.log.error(`Cache error for ${cacheName}:`, err);
@@ -37,23 +60,26 @@ class CacheStoreManager {
         // Set up cleanup function
         const cleanup = this._createCleanupFunction(store, cacheName);
 
-        return { cache, cleanup };
+        const memoryStore = store instanceof MemoryStore ? store : null;
+
+        return { cache, tagIndex, conditionalWrites, locks, l1, memoryStore, cleanup };
     }
 
     /**
      * Put a time bound on the store operations that sit on the request path.
      *
      * Applied here rather than at each call site so every caller inherits it, and
-     * limited to the single-key operations: `iterator` streams an unbounded number
-     * of entries, for which one deadline is meaningless.
+     * limited to the key-addressed operations: `iterator` streams an unbounded
+     * number of entries, for which one deadline is meaningless. Batches are
+     * bounded by the caller's key list, so they share the same deadline.
      *
      * @private
      */
-    _boundOperations(cache, options, cacheName) {
+    _boundOperations(cache, options, cacheName, names = ['get', 'set', 'has', 'delete', 'clear', 'getMany', 'setMany', 'deleteMany']) {
         const timeoutMs = resolveOperationTimeout(options);
         if (timeoutMs <= 0) return;
 
-        for (const name of ['get', 'set', 'has', 'delete', 'clear']) {
+        for (const name of names) {
             if (typeof cache[name] !== 'function') continue;
 
             const original = cache[name].bind(cache);
@@ -135,7 +161,7 @@ class CacheStoreManager {
                     },
                 });
             default:
-                return new Map();
+                return new MemoryStore(resolveMemoryOptions(options.memory));
         }
     }
 
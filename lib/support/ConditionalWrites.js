@@ -0,0 +1,176 @@
+/**
+ * Atomic conditional writes for `setIfAbsent` and `compareAndSet`.
+ *
+ * Both read an entry, decide whether it may be written (it is absent or has
+ * expired, or it is at the expected version), and then write only if the store
+ * still holds exactly the data that was read. That last step has to be atomic
+ * in the store, and it is all the implementations do: they compare stored data,
+ * so they need not know how entries are serialized, compressed or encrypted.
+ * Every conditional write stores a new version, so the data a write expects is
+ * only still there if nothing else was written in between.
+ *
+ * Redis, Postgres and `store: 'cds'` compare and write in one command or
+ * statement, which holds across instances. The memory store lives in one
+ * process, where serializing the writes per key is enough. SQLite and HANA
+ * stores fall back to the same, which is atomic within an instance only.
+ *
+ * Interface shared by all implementations:
+ * - `read(key)` — the data held under a store key, `undefined` if none
+ * - `replace(key, expected, data, ttl)` — store `data` only if the key still
+ *   holds `expected` (`undefined`: holds nothing); resolves to whether it did
+ */
+
+/**
+ * Compare and write in the process, one write per key at a time. Used for the
+ * memory store and for stores without a native conditional write.
+ */
+class LocalConditionalWrites {
+
+    /**
+     * @param {object} store - Store instance handed to Keyv
+     */
+    constructor(store) {
+        this.store = store
+        /** @type {Map<string, Promise<any>>} last queued write per key */
+        this._queues = new Map()
+    }
+
+    async read(key) {
+        return (await this.store.get(key)) ?? undefined
+    }
+
+    replace(key, expected, data, ttl) {
+        return this._queued(key, async () => {
+            if ((await this.read(key)) !== expected) return false
+            await this.store.set(key, data, ttl)
+            return true
+        })
+    }
+
+    _queued(key, write) {
+        const previous = this._queues.get(key) ?? Promise.resolve()
+        const result = previous.then(write, write)
+        const settled = result.catch(() => {})
+        this._queues.set(key, settled)
+        settled.then(() => {
+            if (this._queues.get(key) === settled) this._queues.delete(key)
+        })
+        return result
+    }
+}
+
+// Compares and writes in one step on the server
+const COMPARE_AND_SET = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+if tonumber(ARGV[3]) > 0 then
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+else
+    redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1`
+
+/**
+ * Conditional writes for `store: 'redis'`: `SET NX` for absent keys, a Lua
+ * script for the compare-and-set.
+ */
+class RedisConditionalWrites {
+
+    /**
+     * @param {object} store - `@keyv/redis` adapter
+     */
+    constructor(store) {
+        this.store = store
+    }
+
+    async _client() {
+        return typeof this.store.getClient === 'function' ? this.store.getClient() : this.store.client
+    }
+
+    async read(key) {
+        const client = await this._client()
+        return (await client.get(key)) ?? undefined
+    }
+
+    async replace(key, expected, data, ttl) {
+        const client = await this._client()
+        if (expected === undefined) {
+            const result = await client.set(key, data, ttl > 0 ? { NX: true, PX: ttl } : { NX: true })
+            return result === 'OK'
+        }
+        const result = await client.eval(COMPARE_AND_SET, { keys: [key], arguments: [expected, data, String(ttl || 0)] })
+        return Number(result) === 1
+    }
+}
+
+/**
+ * Conditional writes for `store: 'postgres'`, as single statements on the
+ * adapter's table.
+ */
+class PostgresConditionalWrites {
+
+    /**
+     * @param {object} store - `@keyv/postgres` adapter
+     */
+    constructor(store) {
+        this.store = store
+        const { schema = 'public', table = 'keyv' } = store.opts || {}
+        this.table = `${schema}.${table}`
+    }
+
+    async read(key) {
+        const rows = await this.store.query(`SELECT value FROM ${this.table} WHERE key = $1`, [key])
+        return rows[0]?.value ?? undefined
+    }
+
+    async replace(key, expected, data) {
+        // Keyv keeps the expiry inside the data, so there is no TTL to write
+        const rows = expected === undefined
+            ? await this.store.query(`INSERT INTO ${this.table} (key, value) VALUES ($1, $2) ON CONFLICT (key) DO NOTHING RETURNING key`, [key, data])
+            : await this.store.query(`UPDATE ${this.table} SET value = $3 WHERE key = $1 AND value = $2 RETURNING key`, [key, expected, data])
+        return rows.length > 0
+    }
+}
+
+/**
+ * Conditional writes for `store: 'cds'`, as conditional statements on the
+ * `CacheStore` table (see `KeyvCDS.replace`).
+ */
+class CdsConditionalWrites {
+
+    /**
+     * @param {import('./KeyvCDS')} store - CDS store adapter
+     */
+    constructor(store) {
+        this.store = store
+    }
+
+    async read(key) {
+        return (await this.store.get(key)) ?? undefined
+    }
+
+    async replace(key, expected, data, ttl) {
+        return this.store.replace(key, expected, data, ttl)
+    }
+}
+
+/**
+ * Create the conditional writes matching a store.
+ *
+ * @param {object} store - Store instance handed to Keyv
+ * @param {object} options - Cache options
+ * @returns {LocalConditionalWrites|RedisConditionalWrites|PostgresConditionalWrites|CdsConditionalWrites}
+ */
+function createConditionalWrites(store, options) {
+    switch (options.store) {
+        case 'redis':
+            return new RedisConditionalWrites(store)
+        case 'postgres':
+            return new PostgresConditionalWrites(store)
+        case 'cds':
+            return new CdsConditionalWrites(store)
+        default:
+            return new LocalConditionalWrites(store)
+    }
+}
+
+module.exports = { createConditionalWrites, LocalConditionalWrites, RedisConditionalWrites, PostgresConditionalWrites, CdsConditionalWrites }
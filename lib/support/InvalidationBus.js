@@ -0,0 +1,163 @@
+const cds = require('@sap/cds')
+const { requireAnyOptional } = require('./optionalRequire')
+const { storeCredentials } = require('./valueEncryption')
+
+/**
+ * Cross-instance invalidation.
+ *
+ * A delete on one application instance reaches the shared store, but not what
+ * other instances hold in memory: the L1 of a tiered cache, or the whole store
+ * when it is the in-memory one. Every invalidation is therefore published, and
+ * every other instance applies it to its own memory.
+ *
+ * Messages are plain objects:
+ * `{ origin, cache, op: 'delete' | 'clear' | 'deleteByTag', keys?, tag? }`,
+ * where `origin` identifies the publishing service instance (so that it can
+ * skip its own messages) and `cache` its namespace (so that caches sharing a
+ * channel only apply their own).
+ *
+ * Delivery is best effort on every transport. A lost message leaves a stale copy
+ * until it expires, which is why L1 lifetimes are short; a bus is not a
+ * substitute for TTLs.
+ */
+
+const DEFAULT_CHANNEL = 'cds-caching.invalidation'
+
+/** @type {Map<string, Set<Function>>} channel → handlers of the local bus, shared by all caches in the process */
+const localChannels = new Map()
+
+/**
+ * In-process stand-in: delivers to every cache in the same process that uses
+ * the same channel. Meant for tests and local development, where several cache
+ * services can play the part of several instances.
+ */
+class LocalInvalidationBus {
+
+    constructor(channel) {
+        this.channel = channel
+        this._handler = null
+    }
+
+    async subscribe(handler) {
+        this._handler = handler
+        if (!localChannels.has(this.channel)) localChannels.set(this.channel, new Set())
+        localChannels.get(this.channel).add(handler)
+    }
+
+    async publish(message) {
+        const handlers = localChannels.get(this.channel) || []
+        // Each receiver gets its own copy, as it would from a real transport
+        await Promise.all([...handlers].map(handler => handler(JSON.parse(JSON.stringify(message)))))
+    }
+
+    async close() {
+        localChannels.get(this.channel)?.delete(this._handler)
+    }
+}
+
+/**
+ * Redis pub/sub. Subscribing takes a connection of its own, so the bus opens
+ * two: one to publish, one to listen.
+ */
+class RedisInvalidationBus {
+
+    /**
+     * @param {string} channel - Pub/sub channel
+     * @param {object} credentials - node-redis client options
+     */
+    constructor(channel, credentials = {}) {
+        this.channel = channel
+        const { createClient } = requireAnyOptional(['@keyv/redis'], { feature: 'invalidationBus', value: 'redis' })
+        this.publisher = createClient({
+            // Fail a publish while disconnected instead of queueing it indefinitely
+            disableOfflineQueue: true,
+            ...credentials,
+            ...(credentials.uri ? { url: credentials.uri } : {})
+        })
+        this.subscriber = this.publisher.duplicate()
+        const log = cds.log('cds-caching')
+        this.publisher.on('error', error => log.warn('Invalidation bus (redis) publisher error:', error.message))
+        this.subscriber.on('error', error => log.warn('Invalidation bus (redis) subscriber error:', error.message))
+    }
+
+    async subscribe(handler) {
+        if (!this.subscriber.isOpen) await this.subscriber.connect()
+        await this.subscriber.subscribe(this.channel, raw => handler(JSON.parse(raw)))
+    }
+
+    async publish(message) {
+        if (!this.publisher.isOpen) await this.publisher.connect()
+        await this.publisher.publish(this.channel, JSON.stringify(message))
+    }
+
+    async close() {
+        for (const client of [this.subscriber, this.publisher]) {
+            if (client.isOpen) await client.quit()
+        }
+    }
+}
+
+/**
+ * CAP messaging: the channel is used as the event name on the configured
+ * messaging service, so any broker CAP supports can carry invalidations.
+ */
+class MessagingInvalidationBus {
+
+    /**
+     * @param {string} channel - Event name
+     * @param {string} serviceName - Messaging service to connect to
+     */
+    constructor(channel, serviceName = 'messaging') {
+        this.channel = channel
+        this.serviceName = serviceName
+        this._service = null
+    }
+
+    async _connect() {
+        this._service ??= await cds.connect.to(this.serviceName)
+        return this._service
+    }
+
+    async subscribe(handler) {
+        const messaging = await this._connect()
+        messaging.on(this.channel, msg => handler(msg.data))
+    }
+
+    async publish(message) {
+        const messaging = await this._connect()
+        await messaging.emit(this.channel, message)
+    }
+
+    async close() {
+        // The messaging service belongs to the application
+    }
+}
+
+/**
+ * Create the invalidation bus configured for a cache, or `null` without one.
+ *
+ * @param {object} options - Cache options; reads `invalidationBus`, which is
+ *   `'local' | 'redis' | 'messaging'` or `{ kind, channel, service, credentials }`
+ * @returns {LocalInvalidationBus|RedisInvalidationBus|MessagingInvalidationBus|null}
+ */
+function createInvalidationBus(options = {}) {
+    const config = typeof options.invalidationBus === 'string'
+        ? { kind: options.invalidationBus }
+        : options.invalidationBus
+    if (!config?.kind) return null
+
+    const channel = config.channel || DEFAULT_CHANNEL
+    switch (config.kind) {
+        case 'local':
+            return new LocalInvalidationBus(channel)
+        case 'redis':
+            // A cache on Redis reuses its connection details unless the bus has its own
+            return new RedisInvalidationBus(channel, config.credentials || (options.store === 'redis' ? storeCredentials(options) : {}))
+        case 'messaging':
+            return new MessagingInvalidationBus(channel, config.service)
+        default:
+            throw new Error(`cds-caching: unknown invalidationBus kind "${config.kind}" (use "local", "redis" or "messaging")`)
+    }
+}
+
+module.exports = { createInvalidationBus, LocalInvalidationBus, RedisInvalidationBus, MessagingInvalidationBus }
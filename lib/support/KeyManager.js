@@ -13,7 +13,8 @@ class KeyManager {
     /**
      * Create a cache key from various input types
      * @param {string|object} keyOrObject - Key string or object to create key from
-     * @param {object} additionalContext - Additional context to include in the key
+     * @param {object} additionalContext - Additional context to include in the key;
+     *   a `fingerprint` (see schemaFingerprint) is appended as `@<fingerprint>`
      * @param {string} key - Optional key string to override default
      * @returns {string} - Generated cache key
      */
@@ -53,7 +54,7 @@ class KeyManager {
         }
 
         // Replace placeholders in template
-        return keyTemplate.replace(
+        const created = keyTemplate.replace(
             /\{(tenant|user|locale|hash|baseKey|args\[\d+\])\}/g,
             (match, variable) => {
                 if (variable.startsWith('args[')) {
@@ -62,6 +63,9 @@ class KeyManager {
                 return contextVars[variable] || '';
             }
         );
+
+        // Appended rather than hashed in, so it also applies to templates without {hash}
+        return additionalContext.fingerprint ? `${created}@${additionalContext.fingerprint}` : created;
     }
 
     /**
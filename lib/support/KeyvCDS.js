@@ -1,4 +1,12 @@
 const cds = require('@sap/cds');
+const crypto = require('crypto');
+
+/**
+ * Revision of a stored value, new with every write. Large string columns cannot
+ * be compared in SQL on every database (HANA), so conditional updates compare
+ * the revision instead.
+ */
+const newRevision = () => crypto.randomUUID();
 
 /**
  * Keyv-compatible store adapter that uses CAP's managed DB connection (CQL).
@@ -63,17 +71,49 @@ class KeyvCDS {
             const { db, entity } = await this._getDB();
             if (!db || !entity) return;
             const expiresAt = ttl ? Date.now() + ttl : null;
+            const revision = newRevision();
             const existing = await db.read(entity, key);
             if (existing) {
-                await db.update(entity, key).with({ value, expiresAt });
+                await db.update(entity, key).with({ value, expiresAt, revision });
             } else {
-                await db.create(entity, { ID: key, value, expiresAt });
+                await db.create(entity, { ID: key, value, expiresAt, revision });
             }
         } catch (error) {
             this.log.error(`KeyvCDS set error for key ${key}:`, error);
         }
     }
 
+    /**
+     * Set a key only if it still holds `expected`, as one conditional statement.
+     * `expected` undefined means the key must hold nothing, or an expired row.
+     * Otherwise the row is read and compared here, and updated only if its
+     * revision has not moved on since.
+     * Returns true if the value was written.
+     */
+    async replace(key, expected, value, ttl) {
+        try {
+            const { db, entity } = await this._getDB();
+            if (!db || !entity) return false;
+            const now = Date.now();
+            const row = { value, expiresAt: ttl ? now + ttl : null, revision: newRevision() };
+            if (expected !== undefined) {
+                const current = await db.read(entity, key);
+                if (current?.value !== expected) return false;
+                return await db.update(entity).with(row).where({ ID: key, revision: current.revision ?? null }) > 0;
+            }
+            // An expired row still holds the key until it is read
+            if (await db.update(entity).with(row).where({ ID: key, expiresAt: { '<=': now } }) > 0) return true;
+            const existing = await db.read(entity, key);
+            if (existing) return false;
+            // Losing a race to another instance fails the insert on the primary key
+            await db.create(entity, { ID: key, ...row });
+            return true;
+        } catch (error) {
+            this.log.debug(`KeyvCDS replace of key ${key} not applied:`, error.message);
+            return false;
+        }
+    }
+
     /**
      * Delete a key. Returns true if the key existed, false otherwise.
      */
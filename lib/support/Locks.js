@@ -0,0 +1,343 @@
+const cds = require('@sap/cds')
+const { classifyEntry } = require('./freshness')
+const { replayError } = require('./negativeCaching')
+
+/**
+ * Named locks on the cache store, for jobs and loads that must not run on
+ * several instances at once.
+ *
+ * A lock is held by one owner until it is released or its TTL runs out, so a
+ * holder that crashed blocks the others for at most the TTL. Every acquisition
+ * gets a fencing token larger than all tokens handed out for the lock before.
+ * A holder that was paused past its TTL may still believe it holds the lock;
+ * when it passes its token along with its writes, the receiving side can reject
+ * writes with a token older than one it has already seen. To keep the tokens
+ * counting up, each lock name keeps its counter in the store after release.
+ *
+ * Interface shared by all implementations:
+ * - `acquire(name, owner, ttl)` — the fencing token, or `null` while the lock is held
+ * - `extend(name, owner, ttl)` — hold the lock for `ttl` from now; whether `owner` still held it
+ * - `release(name, owner)` — whether `owner` still held the lock
+ */
+
+const DEFAULT_TTL = 30000
+const DEFAULT_RETRY_INTERVAL = 50
+
+// Read-through loads wait for the instance that loads the key, but not forever
+const DEFAULT_LOAD_LOCK_TTL = 30000
+const DEFAULT_LOAD_LOCK_WAIT = 5000
+
+/**
+ * Locks for the in-memory store, held in the same process as the data.
+ */
+class MemoryLocks {
+
+    constructor() {
+        /** @type {Map<string, { owner: string|null, token: number, expiresAt: number }>} */
+        this._locks = new Map()
+    }
+
+    async acquire(name, owner, ttl) {
+        const now = Date.now()
+        const lock = this._locks.get(name)
+        if (lock?.owner && lock.expiresAt > now) return null
+        const token = (lock?.token ?? 0) + 1
+        this._locks.set(name, { owner, token, expiresAt: now + ttl })
+        return token
+    }
+
+    async extend(name, owner, ttl) {
+        const lock = this._held(name, owner)
+        if (!lock) return false
+        lock.expiresAt = Date.now() + ttl
+        return true
+    }
+
+    async release(name, owner) {
+        const lock = this._held(name, owner)
+        if (!lock) return false
+        lock.owner = null
+        return true
+    }
+
+    _held(name, owner) {
+        const lock = this._locks.get(name)
+        return lock?.owner === owner && lock.expiresAt > Date.now() ? lock : null
+    }
+}
+
+// Takes the lock and counts the fencing token up in one step
+const ACQUIRE = `
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+    return redis.call('INCR', KEYS[2])
+end
+return 0`
+
+const EXTEND = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`
+
+const RELEASE = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`
+
+/**
+ * Locks for `store: 'redis'`: a key per lock that expires with it, and a
+ * counter beside it for the fencing tokens. Both live under
+ * `<namespace>:locks:`, outside the adapter's entries, and share a hash tag so
+ * that a cluster keeps them on one slot.
+ */
+class RedisLocks {
+
+    /**
+     * @param {object} store - `@keyv/redis` adapter
+     * @param {string} namespace - Cache namespace
+     */
+    constructor(store, namespace) {
+        this.store = store
+        this.prefix = `${namespace}:locks:`
+    }
+
+    async _client() {
+        return typeof this.store.getClient === 'function' ? this.store.getClient() : this.store.client
+    }
+
+    _keys(name) {
+        const key = `${this.prefix}{${name}}`
+        return [key, `${key}:fence`]
+    }
+
+    async acquire(name, owner, ttl) {
+        const client = await this._client()
+        const token = Number(await client.eval(ACQUIRE, { keys: this._keys(name), arguments: [owner, String(ttl)] }))
+        return token > 0 ? token : null
+    }
+
+    async extend(name, owner, ttl) {
+        const client = await this._client()
+        return Number(await client.eval(EXTEND, { keys: [this._keys(name)[0]], arguments: [owner, String(ttl)] })) === 1
+    }
+
+    async release(name, owner) {
+        const client = await this._client()
+        return Number(await client.eval(RELEASE, { keys: [this._keys(name)[0]], arguments: [owner] })) === 1
+    }
+}
+
+/**
+ * Locks for `store: 'cds'`: a `CacheLocks` row per lock, taken and released
+ * with conditional updates, so that the database's row locks order competing
+ * instances. Statements run in the caller's transaction like the entries
+ * themselves; taken inside a request, a lock becomes visible to other
+ * instances when the request commits.
+ */
+class CdsLocks {
+
+    /**
+     * @param {string} namespace - Cache namespace
+     */
+    constructor(namespace) {
+        this.namespace = namespace
+    }
+
+    async _db() {
+        const db = cds.db ?? await cds.connect.to('db')
+        const entity = cds.model?.definitions?.['plugin.cds_caching.CacheLocks']
+        if (!entity) throw new Error('cds-caching: CacheLocks entity not found in the model')
+        return { db, entity }
+    }
+
+    async acquire(name, owner, ttl) {
+        const { db, entity } = await this._db()
+        const now = Date.now()
+        const lock = { cache: this.namespace, name }
+        const taken = await db.run(
+            UPDATE(entity).with({ owner, expiresAt: now + ttl, token: { '+=': 1 } })
+                .where(lock).and('owner is null or expiresAt <=', now)
+        )
+        if (taken > 0) {
+            const row = await db.run(SELECT.one.from(entity).columns('token').where({ ...lock, owner }))
+            return row ? Number(row.token) : null
+        }
+        if (await db.run(SELECT.one.from(entity).columns('name').where(lock))) return null
+        try {
+            await db.run(INSERT.into(entity).entries({ ...lock, owner, token: 1, expiresAt: now + ttl }))
+            return 1
+        } catch (error) {
+            // Another instance created the row first and holds the lock
+            cds.log('cds-caching').debug(`Lock ${name} taken concurrently:`, error.message)
+            return null
+        }
+    }
+
+    async extend(name, owner, ttl) {
+        const { db, entity } = await this._db()
+        const now = Date.now()
+        return await db.run(
+            UPDATE(entity).with({ expiresAt: now + ttl })
+                .where({ cache: this.namespace, name, owner, expiresAt: { '>': now } })
+        ) > 0
+    }
+
+    async release(name, owner) {
+        const { db, entity } = await this._db()
+        return await db.run(
+            UPDATE(entity).with({ owner: null, expiresAt: null })
+                .where({ cache: this.namespace, name, owner, expiresAt: { '>': Date.now() } })
+        ) > 0
+    }
+}
+
+/**
+ * A lock held by this instance, as returned by `cache.lock()`.
+ */
+class Lock {
+
+    constructor(locks, name, owner, token, ttl) {
+        this._locks = locks
+        this._owner = owner
+        /** Name of the lock */
+        this.name = name
+        /** Fencing token: larger than the tokens of all earlier holders of the lock */
+        this.token = token
+        this.ttl = ttl
+    }
+
+    /**
+     * Hold the lock for `ttl` milliseconds from now.
+     * @param {number} [ttl] - Defaults to the TTL it was acquired with
+     * @returns {Promise<boolean>} Whether the lock was still held; `false` if it expired
+     */
+    async extend(ttl = this.ttl) {
+        return this._locks.extend(this.name, this._owner, ttl)
+    }
+
+    /**
+     * Release the lock.
+     * @returns {Promise<boolean>} Whether the lock was still held; `false` if it had expired
+     */
+    async release() {
+        return this._locks.release(this.name, this._owner)
+    }
+}
+
+/**
+ * Resolve the options of `cache.lock()`.
+ *
+ * @param {object} [options] - `{ ttl, wait, retryInterval }` in milliseconds
+ * @returns {{ ttl: number, wait: number, retryInterval: number }}
+ */
+function resolveLockOptions(options = {}) {
+    const ms = (value, fallback) => Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback
+    return {
+        ttl: ms(options.ttl, DEFAULT_TTL) || DEFAULT_TTL,
+        wait: ms(options.wait, 0),
+        retryInterval: ms(options.retryInterval, DEFAULT_RETRY_INTERVAL) || DEFAULT_RETRY_INTERVAL
+    }
+}
+
+/**
+ * Acquire a lock, retrying until `wait` has passed.
+ *
+ * @param {MemoryLocks|RedisLocks|CdsLocks} locks - Locks of the store
+ * @param {string} name - Lock name
+ * @param {object} [options] - See `resolveLockOptions`
+ * @returns {Promise<Lock|null>} The lock, or `null` if it was held throughout
+ */
+async function acquireLock(locks, name, options) {
+    if (typeof name !== 'string' || !name) throw new Error('cds-caching: a lock needs a name')
+    const { ttl, wait, retryInterval } = resolveLockOptions(options)
+    const owner = cds.utils.uuid()
+    const deadline = Date.now() + wait
+    for (;;) {
+        const token = await locks.acquire(name, owner, ttl)
+        if (token) return new Lock(locks, name, owner, token, ttl)
+        const remaining = deadline - Date.now()
+        if (remaining <= 0) return null
+        // Spread the retries of waiting instances
+        const delay = Math.min(remaining, retryInterval * (0.5 + Math.random() / 2))
+        await new Promise(resolve => setTimeout(resolve, delay))
+    }
+}
+
+/**
+ * Resolve the read-through `lock` option.
+ *
+ * @param {boolean|object} [option] - `true` for defaults, or `{ ttl, wait }`
+ * @returns {{ ttl: number, wait: number }|null} `null` when loads are not locked
+ */
+function resolveLoadLock(option) {
+    if (!option) return null
+    const { ttl = DEFAULT_LOAD_LOCK_TTL, wait = DEFAULT_LOAD_LOCK_WAIT } = option === true ? {} : option
+    return { ttl, wait }
+}
+
+/**
+ * Run a read-through load under a lock on its cache key, so that instances
+ * missing the same key at the same time load it one after another: the first
+ * loads, the others wait for the lock and then find the entry it wrote. An
+ * instance that does not get the lock within `wait`, or cannot take locks at
+ * all, loads anyway — the lock spares the backend, it must not fail the read.
+ *
+ * @param {object} cache - Caching service
+ * @param {string} key - Cache key
+ * @param {object} options - Read-through options, with `lock`
+ * @param {() => Promise<{ response: any, setResult: object }>} load - Loads and stores the entry
+ * @returns {Promise<{ response: any, setResult: object }>}
+ */
+async function loadUnderLock(cache, key, options, load) {
+    const lockOptions = resolveLoadLock(options.lock)
+    if (!lockOptions || !cache.locks) return load()
+
+    let lock = null
+    try {
+        lock = await acquireLock(cache.locks, `read-through:${key}`, lockOptions)
+    } catch (error) {
+        cache.log.warn(`Failed to lock the load of ${key}; loading without the lock:`, error.message)
+    }
+    try {
+        if (lock) {
+            const entry = await cache.send('GET', { key }).catch(() => undefined)
+            if (entry?.value !== undefined && classifyEntry(entry, options) === 'fresh') {
+                // The first instance was told the data does not exist
+                const notFound = replayError(entry.negative)
+                if (notFound) throw notFound
+                return { response: entry.value, setResult: { success: true } }
+            }
+        }
+        return await load()
+    } finally {
+        if (lock) {
+            await lock.release().catch(error => cache.log.warn(`Failed to release the lock on ${key}:`, error.message))
+        }
+    }
+}
+
+/**
+ * Create the locks matching a store, or `null` where the store cannot hold them.
+ *
+ * @param {object} store - Store instance handed to Keyv
+ * @param {object} options - Cache options
+ * @param {string} namespace - Cache namespace
+ * @returns {MemoryLocks|RedisLocks|CdsLocks|null}
+ */
+function createLocks(store, options, namespace) {
+    switch (options.store) {
+        case 'redis':
+            return new RedisLocks(store, namespace)
+        case 'cds':
+            return new CdsLocks(namespace)
+        case 'postgres':
+        case 'sqlite':
+        case 'hana':
+            return null
+        default:
+            return store instanceof Map ? new MemoryLocks() : null
+    }
+}
+
+module.exports = { createLocks, acquireLock, loadUnderLock, resolveLockOptions, Lock, MemoryLocks, RedisLocks, CdsLocks }
@@ -0,0 +1,168 @@
+/**
+ * In-memory store, used when no `store` is configured.
+ *
+ * A plain Map grows without limit, and an expired entry stays in it until it
+ * happens to be read. This store sweeps expired entries out periodically, and
+ * can hold at most `maxEntries` entries and `maxBytes` of serialized data,
+ * evicting the least recently used entry to make room. The limits are opt-in:
+ * like the Map it replaces, it is unbounded unless they are configured.
+ *
+ * It extends Map so that Keyv and the rest of the plugin keep treating it as
+ * the in-memory store: Keyv iterates it directly and reads instead of calling
+ * `has`, and the memory tag index applies to it. Only the methods Keyv calls
+ * are overridden.
+ */
+
+const DEFAULT_MAX_ENTRIES = 0
+const DEFAULT_SWEEP_INTERVAL = 60000
+
+/**
+ * Resolve the `memory` cache option.
+ *
+ * @param {object} [option] - `{ maxEntries, maxBytes, sweepInterval }`; `0` disables a limit or the sweeper
+ * @returns {{ maxEntries: number, maxBytes: number, sweepInterval: number }}
+ */
+function resolveMemoryOptions(option = {}) {
+    const limit = (value, fallback) => {
+        if (value === undefined || value === null) return fallback
+        const number = Number(value)
+        return Number.isFinite(number) && number >= 0 ? number : fallback
+    }
+    return {
+        maxEntries: limit(option?.maxEntries, DEFAULT_MAX_ENTRIES),
+        maxBytes: limit(option?.maxBytes, 0),
+        sweepInterval: limit(option?.sweepInterval, DEFAULT_SWEEP_INTERVAL)
+    }
+}
+
+/** Approximate memory held by an entry: its key and its serialized value. */
+function sizeOf(key, value) {
+    const serialized = typeof value === 'string' ? value : JSON.stringify(value) ?? ''
+    return Buffer.byteLength(String(key)) + Buffer.byteLength(serialized)
+}
+
+class MemoryStore extends Map {
+
+    /**
+     * @param {{ maxEntries: number, maxBytes: number, sweepInterval: number }} options - Resolved memory options
+     */
+    constructor({ maxEntries, maxBytes, sweepInterval } = resolveMemoryOptions()) {
+        super()
+        this.maxEntries = maxEntries
+        this.maxBytes = maxBytes
+        /** @type {Map<string, { expiresAt: number, bytes: number }>} per-key bookkeeping */
+        this._meta = new Map()
+        this._bytes = 0
+        /**
+         * Called for every entry removed to stay within the limits; set by the
+         * caching service to report evictions.
+         * @type {(key: string) => void}
+         */
+        this.onEvict = () => {}
+        /**
+         * Called for every expired entry removed, on read or by the sweeper;
+         * set by the caching service to report expiries.
+         * @type {(key: string) => void}
+         */
+        this.onExpire = () => {}
+        this._sweeper = null
+        if (sweepInterval > 0) {
+            this._sweeper = setInterval(() => this.sweep(), sweepInterval)
+            // Never keep the process alive for the sweeper
+            this._sweeper.unref?.()
+        }
+    }
+
+    /** Approximate serialized size of all entries, in bytes. */
+    get bytes() {
+        return this._bytes
+    }
+
+    get(key) {
+        if (!super.has(key)) return undefined
+        if (this._expired(key, Date.now())) {
+            this._remove(key)
+            this.onExpire(key)
+            return undefined
+        }
+        const value = super.get(key)
+        // Move the key to the end, so the least recently used comes first
+        super.delete(key)
+        super.set(key, value)
+        return value
+    }
+
+    set(key, value, ttl) {
+        this._remove(key)
+        const bytes = sizeOf(key, value)
+        super.set(key, value)
+        this._meta.set(key, { expiresAt: ttl > 0 ? Date.now() + ttl : 0, bytes })
+        this._bytes += bytes
+        this._evict(key)
+        return this
+    }
+
+    delete(key) {
+        return this._remove(key)
+    }
+
+    clear() {
+        super.clear()
+        this._meta.clear()
+        this._bytes = 0
+    }
+
+    /**
+     * Remove every expired entry.
+     * @returns {number} number of entries removed
+     */
+    sweep() {
+        const now = Date.now()
+        let removed = 0
+        for (const key of this._meta.keys()) {
+            if (this._expired(key, now)) {
+                this._remove(key)
+                this.onExpire(key)
+                removed++
+            }
+        }
+        return removed
+    }
+
+    async disconnect() {
+        if (this._sweeper) clearInterval(this._sweeper)
+        this._sweeper = null
+    }
+
+    _expired(key, now) {
+        const expiresAt = this._meta.get(key)?.expiresAt
+        return Boolean(expiresAt) && expiresAt <= now
+    }
+
+    _remove(key) {
+        const meta = this._meta.get(key)
+        if (meta) {
+            this._bytes -= meta.bytes
+            this._meta.delete(key)
+        }
+        return super.delete(key)
+    }
+
+    /**
+     * Evict least recently used entries until the store is within its limits.
+     * The entry just written is kept even if it alone exceeds `maxBytes`, so a
+     * write is never silently dropped.
+     */
+    _evict(written) {
+        const over = () => (this.maxEntries > 0 && this.size > this.maxEntries)
+            || (this.maxBytes > 0 && this._bytes > this.maxBytes)
+        while (over()) {
+            const oldest = this.keys().next().value
+            if (oldest === undefined || oldest === written) break
+            this._remove(oldest)
+            this.onEvict(oldest)
+        }
+    }
+}
+
+module.exports = { MemoryStore, resolveMemoryOptions }
@@ -0,0 +1,142 @@
+const cds = require('@sap/cds')
+
+/**
+ * Refresh-ahead for hot read-through entries.
+ *
+ * Stale-while-revalidate and early refresh only react to a read that finds the
+ * entry old. For expensive backends that is still one slow path per expiry.
+ * Refresh-ahead instead remembers how each read-through entry was loaded and
+ * reloads it `window` milliseconds before its TTL runs out — as long as it was
+ * read often enough since it was loaded, so cold entries are left to expire.
+ *
+ * Each refresh runs as a `cds.spawn` background job under the tenant, user and
+ * locale of the request that loaded the entry, so tenant-aware keys, stores and
+ * backends see the same context as the original load. Loads go through the
+ * shared SingleFlight; a refresh that overlaps a miss calls the backend once.
+ *
+ * Only loaders that can run any number of times are registered: a request,
+ * query, function and arguments, but not `rt.run(req, next)`, whose `next()`
+ * runs the handlers left in that request's chain, which CAP consumes as it
+ * calls them.
+ */
+
+const DEFAULT_WINDOW = 5000
+const DEFAULT_MIN_HITS = 1
+const DEFAULT_MAX_ENTRIES = 1000
+
+/**
+ * Resolve the `refreshAhead` cache option.
+ *
+ * @param {boolean|object} [option] - `true` for defaults, or `{ enabled, window, minHits, maxEntries }`
+ * @returns {{ window: number, minHits: number, maxEntries: number }|null} `null` when refresh-ahead is off
+ */
+function resolveRefreshAheadOptions(option) {
+    if (!option) return null
+    if (option === true) return { window: DEFAULT_WINDOW, minHits: DEFAULT_MIN_HITS, maxEntries: DEFAULT_MAX_ENTRIES }
+    if (option.enabled === false) return null
+    const positive = (value, fallback) => Number(value) > 0 ? Number(value) : fallback
+    return {
+        window: positive(option.window, DEFAULT_WINDOW),
+        minHits: Number(option.minHits) >= 0 ? Number(option.minHits) : DEFAULT_MIN_HITS,
+        maxEntries: positive(option.maxEntries, DEFAULT_MAX_ENTRIES)
+    }
+}
+
+class RefreshAhead {
+
+    /**
+     * @param {{ window: number, minHits: number, maxEntries: number }} options - Resolved refresh-ahead options
+     * @param {import('./SingleFlight')} singleFlight - In-flight loads of the cache
+     * @param {object} [hooks]
+     * @param {(key: string) => number|null} [hooks.accessCount] - Reads of a key as counted by the key-access metrics, `null` when they are off
+     * @param {object} [hooks.log=console] - Logger
+     */
+    constructor({ window, minHits, maxEntries }, singleFlight, { accessCount = () => null, log = console } = {}) {
+        this.window = window
+        this.minHits = minHits
+        this.maxEntries = maxEntries
+        this.singleFlight = singleFlight
+        this.accessCount = accessCount
+        this.log = log
+        /** @type {Map<string, { loader: () => Promise<any>, job: object, hits: number }>} in registration order, oldest first */
+        this._entries = new Map()
+    }
+
+    /**
+     * Remember how an entry was loaded and schedule its refresh. Called after
+     * every successful read-through write, so a refresh schedules the next one.
+     * Entries whose TTL is not longer than the window are not registered.
+     *
+     * @param {string} key - Cache key
+     * @param {() => Promise<any>} loader - Loads and stores the entry again
+     * @param {number} ttl - Fresh TTL of the entry just written, in milliseconds
+     * @returns {boolean} Whether a refresh was scheduled
+     */
+    register(key, loader, ttl) {
+        this.forget([key])
+        const delay = ttl - this.window
+        if (!(ttl > 0) || delay <= 0) return false
+
+        const { tenant, user, locale } = cds.context || {}
+        const job = cds.spawn({ tenant, user, locale, after: delay }, () => this._refresh(key))
+        this._entries.set(key, { loader, job, hits: 0 })
+
+        while (this._entries.size > this.maxEntries) {
+            this.forget([this._entries.keys().next().value])
+        }
+        return true
+    }
+
+    /**
+     * Count a read of a registered entry since it was loaded.
+     * @param {string} key - Cache key
+     */
+    recordHit(key) {
+        const entry = this._entries.get(key)
+        if (entry) entry.hits++
+    }
+
+    /**
+     * Stop refreshing entries, e.g. because they were deleted.
+     * @param {string[]} [keys] - Cache keys; all entries when omitted
+     */
+    forget(keys) {
+        for (const key of keys ?? Array.from(this._entries.keys())) {
+            const entry = this._entries.get(key)
+            if (!entry) continue
+            clearTimeout(entry.job.timer)
+            this._entries.delete(key)
+        }
+    }
+
+    /** Number of entries with a scheduled refresh. */
+    get size() {
+        return this._entries.size
+    }
+
+    dispose() {
+        this.forget()
+    }
+
+    async _refresh(key) {
+        const entry = this._entries.get(key)
+        if (!entry) return
+        this._entries.delete(key)
+
+        const hits = Math.max(entry.hits, this.accessCount(key) ?? 0)
+        if (hits < this.minHits) {
+            this.log.debug(`Not refreshing ${key} ahead: ${hits} reads since it was loaded`)
+            return
+        }
+
+        try {
+            await this.singleFlight.do(key, entry.loader)
+            this.log.debug(`Refreshed ${key} ahead of its expiry`)
+        } catch (error) {
+            // The entry stays until it expires; the next miss loads it as usual
+            this.log.warn(`Refresh-ahead of ${key} failed:`, error.message)
+        }
+    }
+}
+
+module.exports = { RefreshAhead, resolveRefreshAheadOptions }
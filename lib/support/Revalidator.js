@@ -0,0 +1,59 @@
+const cds = require('@sap/cds')
+
+/**
+ * Background refresh of entries that were served stale.
+ *
+ * A refresh runs detached from the request that found the entry stale, so the
+ * request can answer right away. It runs in a root transaction of its own,
+ * carrying over user, tenant and locale, because the request's transaction is
+ * committed long before the refresh reaches the backend.
+ *
+ * A read-through on a CAP request refreshes via its `next()`, usually after the
+ * request has answered. That is fine once: `next()` runs the handlers left in
+ * the request's chain, which read through `cds.context` and so in the refresh's
+ * own transaction. CAP consumes those handlers as it calls them, though, so a
+ * request hands out one load only (see `RefreshAhead`).
+ *
+ * Loads go through the shared SingleFlight, so a refresh and a miss for the same
+ * key (e.g. once the stale window has passed) still call the backend only once.
+ */
+class Revalidator {
+
+    /**
+     * @param {import('./SingleFlight')} singleFlight - In-flight loads of the cache
+     * @param {object} [log=console] - Logger
+     */
+    constructor(singleFlight, log = console) {
+        this.singleFlight = singleFlight
+        this.log = log
+        /** @type {Set<string>} */
+        this._pending = new Set()
+    }
+
+    /**
+     * Refresh `key` in the background, unless a refresh or load is already
+     * running for it. A failed refresh is logged and leaves the stale entry in
+     * place; the next stale read tries again.
+     *
+     * @param {string} key - Cache key to refresh
+     * @param {() => Promise<any>} loader - Loads and stores the fresh value
+     * @returns {boolean} Whether a refresh was started
+     */
+    schedule(key, loader) {
+        if (this._pending.has(key) || this.singleFlight.has(key)) return false
+        this._pending.add(key)
+
+        const { user, tenant, locale } = cds.context || {}
+        cds.tx({ user, tenant, locale }, () => this.singleFlight.do(key, loader))
+            .catch(error => this.log.warn(`Background refresh of ${key} failed:`, error.message))
+            .finally(() => this._pending.delete(key))
+        return true
+    }
+
+    /** Number of refreshes currently running. */
+    get size() {
+        return this._pending.size
+    }
+}
+
+module.exports = Revalidator
@@ -0,0 +1,36 @@
+const KeyManager = require('./KeyManager');
+
+/**
+ * Key manager of a cache scope (see `CachingService.scope`): creates keys like
+ * the cache's own key manager and prefixes them with the scope. Keys that are
+ * in the scope already, such as those `iterator()` yields or the read-through
+ * operations pass on to `has()`, are kept as they are.
+ */
+class ScopedKeyManager extends KeyManager {
+    /**
+     * @param {KeyManager} base - Key manager of the cache
+     * @param {string} prefix - Scope prefix, ending in `:`
+     */
+    constructor(base, prefix) {
+        super(base.runtimeConfigManager);
+        this.base = base;
+        this.prefix = prefix;
+    }
+
+    createKey(keyOrObject, additionalContext = {}, key = null) {
+        const created = super.createKey(keyOrObject, additionalContext, key);
+        if (created === undefined || this.inScope(created)) return created;
+        return `${this.prefix}${created}`;
+    }
+
+    /**
+     * Whether a created key belongs to the scope
+     * @param {string} key - Created cache key
+     * @returns {boolean}
+     */
+    inScope(key) {
+        return typeof key === 'string' && key.startsWith(this.prefix);
+    }
+}
+
+module.exports = ScopedKeyManager;
@@ -0,0 +1,73 @@
+/**
+ * In-process coalescing of read-through misses.
+ *
+ * When an entry expires or is invalidated, every request that arrives before it
+ * is repopulated misses as well, and each of them would otherwise call the
+ * backend and write the same value back: a stampede on exactly the entries that
+ * are hottest. Keying in-flight loads by cache key lets the first caller load
+ * while the others await its outcome, so a hot key costs one backend call per
+ * miss rather than one per concurrent request.
+ *
+ * Coalescing is per process. Instances sharing a store still load once each,
+ * which bounds the stampede by the instance count rather than the request rate.
+ */
+class SingleFlight {
+
+    /**
+     * @param {object} [options={}]
+     * @param {boolean} [options.enabled=true] - `false` runs every loader independently
+     */
+    constructor({ enabled = true } = {}) {
+        this.enabled = enabled !== false
+        /** @type {Map<string, Promise<any>>} */
+        this._inFlight = new Map()
+    }
+
+    /**
+     * Run `loader` for `key`, or join the load already running for it.
+     *
+     * A caller that joins receives the same outcome as the one that loaded,
+     * including a rejection: retrying on behalf of every waiter would recreate
+     * the stampede against a backend that has just failed.
+     *
+     * @param {string} key - Cache key the load populates
+     * @param {() => Promise<any>} loader - Loads and stores the value
+     * @returns {Promise<{ value: any, shared: boolean }>} `shared` is true for callers that joined
+     */
+    async do(key, loader) {
+        if (!this.enabled || typeof key !== 'string' || !key) {
+            return { value: await loader(), shared: false }
+        }
+
+        const pending = this._inFlight.get(key)
+        if (pending) {
+            return { value: await pending, shared: true }
+        }
+
+        // A loader that throws synchronously fails the flight, for the callers
+        // joining it as well, rather than this call only
+        const flight = (async () => loader())()
+        this._inFlight.set(key, flight)
+        try {
+            return { value: await flight, shared: false }
+        } finally {
+            this._inFlight.delete(key)
+        }
+    }
+
+    /**
+     * Whether a load is currently running for `key`.
+     * @param {string} key - Cache key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this._inFlight.has(key)
+    }
+
+    /** Number of loads currently running. */
+    get size() {
+        return this._inFlight.size
+    }
+}
+
+module.exports = SingleFlight
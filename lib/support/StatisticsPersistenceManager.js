@@ -121,6 +121,14 @@ class StatisticsPersistenceManager {
             hits: stats.hits,
             misses: stats.misses,
             errors: stats.errors,
+            coalesced: stats.coalesced || 0,
+            staleIfError: stats.staleIfError || 0,
+            l1Hits: stats.l1Hits || 0,
+            l1Misses: stats.l1Misses || 0,
+            evictions: stats.evictions || 0,
+            earlyRefreshes: stats.earlyRefreshes || 0,
+            negativeHits: stats.negativeHits || 0,
+            warmups: stats.warmups || 0,
             totalRequests: stats.totalRequests,
 
             // Read-through latency metrics
@@ -182,6 +190,14 @@ class StatisticsPersistenceManager {
             hits: (Number(existingHourly.hits) || 0) + stats.hits,
             misses: (Number(existingHourly.misses) || 0) + stats.misses,
             errors: (Number(existingHourly.errors) || 0) + stats.errors,
+            coalesced: (Number(existingHourly.coalesced) || 0) + (stats.coalesced || 0),
+            staleIfError: (Number(existingHourly.staleIfError) || 0) + (stats.staleIfError || 0),
+            l1Hits: (Number(existingHourly.l1Hits) || 0) + (stats.l1Hits || 0),
+            l1Misses: (Number(existingHourly.l1Misses) || 0) + (stats.l1Misses || 0),
+            evictions: (Number(existingHourly.evictions) || 0) + (stats.evictions || 0),
+            earlyRefreshes: (Number(existingHourly.earlyRefreshes) || 0) + (stats.earlyRefreshes || 0),
+            negativeHits: (Number(existingHourly.negativeHits) || 0) + (stats.negativeHits || 0),
+            warmups: (Number(existingHourly.warmups) || 0) + (stats.warmups || 0),
             totalRequests: (Number(existingHourly.totalRequests) || 0) + stats.totalRequests,
 
             // Native function metrics
@@ -0,0 +1,204 @@
+const { tagLevels } = require('./tagMatching')
+
+/**
+ * Generation counters for `versionedTags`.
+ *
+ * Deleting the entries of a tag means finding them first: through the tag
+ * index where there is one, by scanning the store where there is not. With
+ * versioned tags, every tag has a generation counter in the store instead.
+ * Entries record the generations of their tags when they are written, and
+ * invalidating a tag only moves its counter on, whatever the number of entries
+ * carrying it. An entry one of whose tags has moved on since is outdated and
+ * read as a miss.
+ *
+ * Entries record the generations of every level of their tags, so invalidating
+ * `entity:Books` outdates the entries tagged `entity:Books/id:42` as well.
+ *
+ * A counter that is gone (evicted, cleared) outdates the entries that recorded
+ * it, so losing counters costs misses, never stale reads. A new counter starts
+ * at the current time rather than at zero, so that it does not repeat the
+ * generations of one that was lost.
+ *
+ * Counters expire, so that tags that are no longer used do not stay in the
+ * store. Writing an entry extends the counters of its tags to outlive it, by
+ * twice its TTL, so that the next few writes find them long enough already;
+ * entries without expiry keep them for `UNEXPIRING_ENTRY_SPAN`, after which
+ * they are read as misses and written again. Counters are moved on and
+ * extended with the store's conditional writes (see `ConditionalWrites`), so
+ * two instances invalidating a tag at once move it on twice, rather than
+ * writing the same generation.
+ */
+
+const GENERATION_PREFIX = 'cds-caching:tag-generation:'
+
+/** Milliseconds the counters of entries without expiry are kept. */
+const UNEXPIRING_ENTRY_SPAN = 24 * 60 * 60 * 1000
+
+/** Counters are extended to this multiple of the span they must cover. */
+const EXTENSION_FACTOR = 2
+
+/** Conditional writes of a counter that lost to other writes before giving up. */
+const MAX_ATTEMPTS = 10
+
+class TagGenerations {
+
+    /**
+     * @param {import('keyv').Keyv} cache - Keyv instance holding the entries
+     * @param {object} options
+     * @param {object} options.conditionalWrites - Conditional writes of the store
+     * @param {function(string): string} options.storeKey - Key as held by the store
+     * @param {object} [options.l1] - L1 tier to evict counters from once moved on
+     */
+    constructor(cache, { conditionalWrites, storeKey, l1 = null }) {
+        this.cache = cache
+        this.conditionalWrites = conditionalWrites
+        this.storeKey = storeKey
+        this.l1 = l1
+    }
+
+    /**
+     * Whether a key holds a counter rather than an entry
+     * @param {string} key - Key as yielded by the store
+     * @returns {boolean}
+     */
+    isGenerationKey(key) {
+        return typeof key === 'string' && key.startsWith(GENERATION_PREFIX)
+    }
+
+    /**
+     * Key of the counter of a tag
+     * @param {string} tag - Tag
+     * @returns {string}
+     */
+    key(tag) {
+        return `${GENERATION_PREFIX}${tag}`
+    }
+
+    /**
+     * Record the current generations of their tags on wrapped entries about to
+     * be written. Counters that do not exist yet are started, counters that
+     * would expire before an entry are extended.
+     * @param {object[]} wrappedValues - Wrapped entries
+     * @param {number[]} [ttls=[]] - TTLs the entries are written with, `0` for no expiry
+     * @returns {Promise<object[]>} The entries, tagged ones with `tagGenerations`
+     */
+    async stamp(wrappedValues, ttls = []) {
+        const levelsOf = wrapped => Array.isArray(wrapped?.tags) ? wrapped.tags.flatMap(tagLevels) : []
+        const now = Date.now()
+        /** @type {Map<string, number>} tag → span its counter has to last */
+        const spans = new Map()
+        wrappedValues.forEach((wrapped, i) => {
+            const span = ttls[i] > 0 ? ttls[i] : UNEXPIRING_ENTRY_SPAN
+            for (const tag of levelsOf(wrapped)) spans.set(tag, Math.max(spans.get(tag) ?? 0, span))
+        })
+        if (spans.size === 0) return wrappedValues
+
+        const tags = Array.from(spans.keys())
+        const counters = await this.cache.getMany(tags.map(tag => this.key(tag)), { raw: true })
+        const generations = {}
+        await Promise.all(tags.map(async (tag, i) => {
+            const counter = counters?.[i]
+            const until = now + spans.get(tag)
+            if (counter?.value !== undefined && counter.value !== null && !(counter.expires < until)) {
+                generations[tag] = Number(counter.value)
+                return
+            }
+            const written = await this._update(tag, current => {
+                if (current && !(current.expires < until)) return null
+                return { value: current?.value ?? Date.now(), expires: now + EXTENSION_FACTOR * spans.get(tag) }
+            })
+            generations[tag] = Number(written.value)
+        }))
+
+        return wrappedValues.map(wrapped => {
+            const levels = levelsOf(wrapped)
+            if (levels.length === 0) return wrapped
+            return { ...wrapped, tagGenerations: Object.fromEntries(levels.map(tag => [tag, generations[tag]])) }
+        })
+    }
+
+    /**
+     * Extend the counters an entry recorded to outlive its new TTL, when it is
+     * kept longer without being written again. Counters that moved on or are
+     * gone are left as they are: the entry is outdated anyway.
+     * @param {Object<string, number>} [recorded] - `tagGenerations` of the entry
+     * @param {number} ttl - New TTL of the entry, `0` for no expiry
+     * @returns {Promise<void>}
+     */
+    async extend(recorded, ttl) {
+        const span = ttl > 0 ? ttl : UNEXPIRING_ENTRY_SPAN
+        const until = Date.now() + span
+        await Promise.all(Object.entries(recorded || {}).map(([tag, generation]) => this._update(tag, current => {
+            if (!current || Number(current.value) !== generation || !(current.expires < until)) return null
+            return { value: current.value, expires: Date.now() + EXTENSION_FACTOR * span }
+        })))
+    }
+
+    /**
+     * Whether wrapped entries read from the store were written before one of
+     * their tags was invalidated
+     * @param {any[]} wrappedValues - Wrapped entries, `undefined` where absent
+     * @returns {Promise<boolean[]>}
+     */
+    async outdated(wrappedValues) {
+        const recordedOf = wrapped => wrapped && typeof wrapped === 'object' && wrapped.tagGenerations
+        const tags = Array.from(new Set(wrappedValues.flatMap(wrapped => Object.keys(recordedOf(wrapped) || {}))))
+        if (tags.length === 0) return wrappedValues.map(() => false)
+
+        const generations = await this._read(tags)
+        return wrappedValues.map(wrapped => Object.entries(recordedOf(wrapped) || {})
+            .some(([tag, generation]) => generations[tag] !== generation))
+    }
+
+    /**
+     * Invalidate a tag: move its counter on, outdating every entry written
+     * before. The counter keeps its expiry, which covers the entries still
+     * recording it; the entries written after it extend it as needed.
+     * @param {string} tag - Tag
+     * @returns {Promise<void>}
+     */
+    async bump(tag) {
+        await this._update(tag, current => ({
+            value: Math.max((Number(current?.value) || 0) + 1, Date.now()),
+            expires: current ? current.expires : Date.now() + UNEXPIRING_ENTRY_SPAN
+        }))
+    }
+
+    /**
+     * Write a counter only if the store still holds what was read, reading it
+     * again as long as other writes come in between.
+     * @param {string} tag - Tag
+     * @param {function(object|undefined): object|null} next - Counter data (`{ value, expires }`) to write in place of the live one, `null` to keep it
+     * @returns {Promise<object>} The counter data now in the store
+     * @throws {Error} When other writes keep winning
+     */
+    async _update(tag, next) {
+        const storeKey = this.storeKey(this.key(tag))
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const stored = await this.conditionalWrites.read(storeKey)
+            const data = stored === undefined || typeof stored !== 'string' && !this.cache.compression ? stored : await this.cache.deserializeData(stored)
+            const current = data && !(typeof data.expires === 'number' && data.expires <= Date.now()) ? data : undefined
+
+            const update = next(current)
+            if (!update) return current
+            const ttl = typeof update.expires === 'number' ? Math.max(update.expires - Date.now(), 1) : 0
+            const written = await this.conditionalWrites.replace(storeKey, stored, await this.cache.serializeData(update), ttl)
+            if (written) {
+                this.l1?.evict([storeKey])
+                return update
+            }
+        }
+        throw new Error(`cds-caching: the generation counter of tag ${tag} kept changing while it was written`)
+    }
+
+    async _read(tags) {
+        const values = await this.cache.getMany(tags.map(tag => this.key(tag)))
+        const generations = {}
+        tags.forEach((tag, i) => {
+            if (values?.[i] !== undefined && values[i] !== null) generations[tag] = Number(values[i])
+        })
+        return generations
+    }
+}
+
+module.exports = { TagGenerations, GENERATION_PREFIX, UNEXPIRING_ENTRY_SPAN }
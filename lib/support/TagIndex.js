@@ -0,0 +1,385 @@
+const cds = require('@sap/cds')
+const { tagLevels, tagMatcher } = require('./tagMatching')
+
+/**
+ * Tag → keys index for `deleteByTag`.
+ *
+ * Without an index, invalidating a tag means reading, parsing and decrypting
+ * every entry in the store just to look at its tags — and
+ * `@cache.invalidateOnWrite` does that on every write to the entity. With one,
+ * invalidation reads only the entries that were tagged.
+ *
+ * The index is a hint, not the truth. It is written before the entry, so an
+ * entry is never in the store without being indexed; stale members (entries that
+ * expired, were deleted, or were overwritten with other tags) are tolerated, and
+ * `deleteByTag` checks each candidate's own tags before deleting it. That keeps
+ * the implementations free of the read-before-write that exact bookkeeping on
+ * delete and overwrite would need.
+ *
+ * Members carry the entry's expiry, so stores that can prune by score or column
+ * do not accumulate members for entries that are long gone.
+ *
+ * Hierarchical tags are indexed on every level: an entry tagged
+ * `entity:Books/id:42` is a member of `entity:Books` as well, so invalidating
+ * the parent is still a lookup of one tag. Wildcard patterns first list the
+ * indexed tags they match.
+ *
+ * Interface shared by all implementations:
+ * - `add(entries)` — index `[{ key, tags, ttl }]`
+ * - `keys(tag)` — live candidate keys for a tag
+ * - `tags(pattern)` — indexed tags matching a wildcard pattern, or `null` if
+ *   they cannot be listed
+ * - `remove(tag, keys)` — drop members after they were invalidated
+ * - `clear()` — drop the whole index
+ *
+ * The in-memory index also has `prune(entries)`, which the caching service
+ * calls once entries were written, deleted, evicted or have expired. It knows
+ * the tags of every key without reading the store, so it drops their stale
+ * members right away rather than leaving them for `deleteByTag`; entries that
+ * never expire would otherwise keep them for as long as the process runs.
+ */
+
+/** Expiry of an entry written now with `ttl`; `0` means it never expires. */
+const expiryOf = (ttl) => ttl > 0 ? Date.now() + ttl : 0
+
+/**
+ * Flatten entries into one `{ tag, key, expiresAt }` row per tag level and key.
+ * A key written twice in one batch keeps its last expiry, as it would in the
+ * store; an upsert must not see the same row twice.
+ */
+function members(entries) {
+    const rows = new Map()
+    for (const { key, tags, ttl } of entries) {
+        const expiresAt = expiryOf(ttl)
+        for (const tag of (tags || []).flatMap(tagLevels)) {
+            rows.set(JSON.stringify([tag, key]), { tag, key, expiresAt })
+        }
+    }
+    return Array.from(rows.values())
+}
+
+/**
+ * Index for the in-memory (Map) store, held in the same process as the data.
+ */
+class MemoryTagIndex {
+
+    constructor() {
+        /** @type {Map<string, Map<string, number>>} tag → (key → expiresAt) */
+        this._tags = new Map()
+        /** @type {Map<string, Set<string>>} key → tags it is a member of */
+        this._keys = new Map()
+    }
+
+    async add(entries) {
+        for (const { tag, key, expiresAt } of members(entries)) {
+            if (!this._tags.has(tag)) this._tags.set(tag, new Map())
+            this._tags.get(tag).set(key, expiresAt)
+            if (!this._keys.has(key)) this._keys.set(key, new Set())
+            this._keys.get(key).add(tag)
+        }
+    }
+
+    /**
+     * Drop the members an entry no longer has: those of the tags it was not
+     * last written with, or all of them once it is gone.
+     * @param {{ key: string, tags?: string[] }[]} entries - Entries as last written; without tags when deleted, evicted or expired
+     */
+    prune(entries) {
+        for (const { key, tags } of entries) {
+            const indexed = this._keys.get(key)
+            if (!indexed) continue
+            const kept = new Set((tags || []).flatMap(tagLevels))
+            for (const tag of Array.from(indexed)) {
+                if (!kept.has(tag)) this._drop(tag, key)
+            }
+        }
+    }
+
+    async keys(tag) {
+        const tagged = this._tags.get(tag)
+        if (!tagged) return []
+        const now = Date.now()
+        const live = []
+        for (const [key, expiresAt] of tagged) {
+            if (expiresAt && expiresAt <= now) {
+                this._drop(tag, key)
+            } else {
+                live.push(key)
+            }
+        }
+        return live
+    }
+
+    async tags(pattern) {
+        return Array.from(this._tags.keys()).filter(tagMatcher(pattern))
+    }
+
+    async remove(tag, keys) {
+        for (const key of keys) this._drop(tag, key)
+    }
+
+    async clear() {
+        this._tags.clear()
+        this._keys.clear()
+    }
+
+    _drop(tag, key) {
+        const tagged = this._tags.get(tag)
+        tagged?.delete(key)
+        if (tagged?.size === 0) this._tags.delete(tag)
+        const indexed = this._keys.get(key)
+        indexed?.delete(tag)
+        if (indexed?.size === 0) this._keys.delete(key)
+    }
+}
+
+/**
+ * Index for `store: 'redis'`: one sorted set per tag, scored by expiry.
+ *
+ * Expired members are pruned whenever a tag is written to, so a tag that is
+ * never invalidated holds no more members than it has live entries. The sets
+ * live beside the entries under `<namespace>:tags:`, outside the adapter's own
+ * key prefix, so that the adapter's iterator never meets them.
+ */
+class RedisTagIndex {
+
+    /**
+     * @param {object} store - `@keyv/redis` adapter
+     * @param {string} namespace - Cache namespace
+     */
+    constructor(store, namespace) {
+        this.store = store
+        this.prefix = `${namespace}:tags:`
+    }
+
+    async _client() {
+        return typeof this.store.getClient === 'function' ? this.store.getClient() : this.store.client
+    }
+
+    _setKey(tag) {
+        return `${this.prefix}${tag}`
+    }
+
+    async add(entries) {
+        const byTag = new Map()
+        for (const { tag, key, expiresAt } of members(entries)) {
+            if (!byTag.has(tag)) byTag.set(tag, [])
+            byTag.get(tag).push({ score: expiresAt || Number.MAX_SAFE_INTEGER, value: key })
+        }
+        if (byTag.size === 0) return
+
+        const client = await this._client()
+        const now = Date.now()
+        // One round trip per tag: sets of different tags may sit on different
+        // cluster slots, so they cannot share a transaction.
+        await Promise.all(Array.from(byTag, ([tag, members]) => {
+            const setKey = this._setKey(tag)
+            return client.multi()
+                .zAdd(setKey, members)
+                .zRemRangeByScore(setKey, 0, now)
+                .exec()
+        }))
+    }
+
+    async keys(tag) {
+        const client = await this._client()
+        return client.zRangeByScore(this._setKey(tag), `(${Date.now()}`, '+inf')
+    }
+
+    async tags(pattern) {
+        // As with `clear()`, a cluster would have to be scanned node by node;
+        // `deleteByTag` scans the entries instead.
+        if (this.store.isCluster?.()) return null
+        const client = await this._client()
+        const matches = tagMatcher(pattern)
+        const match = this.prefix + pattern.replace(/[?[\]\\]/g, '\\$&')
+        const tags = []
+        for await (const batch of client.scanIterator({ MATCH: match, COUNT: 500 })) {
+            for (const setKey of Array.isArray(batch) ? batch : [batch]) {
+                const tag = setKey.slice(this.prefix.length)
+                if (matches(tag)) tags.push(tag)
+            }
+        }
+        return tags
+    }
+
+    async remove(tag, keys) {
+        if (keys.length === 0) return
+        const client = await this._client()
+        await client.zRem(this._setKey(tag), keys)
+    }
+
+    async clear() {
+        // Cluster nodes would have to be scanned one by one; the sets prune
+        // themselves and stale members are ignored by `deleteByTag`, so a
+        // cluster is left to that.
+        if (this.store.isCluster?.()) return
+        const client = await this._client()
+        for await (const batch of client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 500 })) {
+            // node-redis 5 yields batches, 4 yields single keys
+            const keys = Array.isArray(batch) ? batch : [batch]
+            if (keys.length > 0) await client.del(keys)
+        }
+    }
+}
+
+/**
+ * Index for `store: 'postgres'`: a `<table>_tags` table next to the adapter's
+ * own table, reached over the adapter's connection.
+ */
+class PostgresTagIndex {
+
+    /**
+     * @param {object} store - `@keyv/postgres` adapter
+     * @param {string} namespace - Cache namespace
+     */
+    constructor(store, namespace) {
+        this.store = store
+        this.namespace = namespace
+        const { schema = 'public', table = 'keyv' } = store.opts || {}
+        this.table = `${schema}.${table}_tags`
+        this._ready = null
+    }
+
+    async _query(sql, values) {
+        if (!this._ready) {
+            this._ready = this.store.query(
+                `CREATE TABLE IF NOT EXISTS ${this.table} (namespace VARCHAR(255) NOT NULL, tag VARCHAR(255) NOT NULL, key VARCHAR(${Number(this.store.opts?.keySize) || 255}) NOT NULL, expires_at BIGINT, PRIMARY KEY (namespace, tag, key))`
+            ).catch(error => {
+                this._ready = null
+                throw error
+            })
+        }
+        await this._ready
+        return this.store.query(sql, values)
+    }
+
+    async add(entries) {
+        const rows = members(entries)
+        if (rows.length === 0) return
+        await this._query(
+            `INSERT INTO ${this.table} (namespace, tag, key, expires_at)
+             SELECT * FROM UNNEST($1::text[], $2::text[], $3::text[], $4::bigint[])
+             ON CONFLICT (namespace, tag, key) DO UPDATE SET expires_at = excluded.expires_at`,
+            [rows.map(() => this.namespace), rows.map(row => row.tag), rows.map(row => row.key), rows.map(row => row.expiresAt || null)]
+        )
+    }
+
+    async keys(tag) {
+        const rows = await this._query(
+            `SELECT key FROM ${this.table} WHERE namespace = $1 AND tag = $2 AND (expires_at IS NULL OR expires_at > $3)`,
+            [this.namespace, tag, Date.now()]
+        )
+        return rows.map(row => row.key)
+    }
+
+    async tags(pattern) {
+        const rows = await this._query(
+            `SELECT DISTINCT tag FROM ${this.table} WHERE namespace = $1 AND tag LIKE $2`,
+            [this.namespace, pattern.replace(/[\\%_]/g, '\\$&').replaceAll('*', '%')]
+        )
+        return rows.map(row => row.tag).filter(tagMatcher(pattern))
+    }
+
+    async remove(tag, keys) {
+        // Expired members of the tag go as well; nothing reads them any more.
+        await this._query(
+            `DELETE FROM ${this.table} WHERE namespace = $1 AND tag = $2 AND (key = ANY($3) OR expires_at <= $4)`,
+            [this.namespace, tag, keys, Date.now()]
+        )
+    }
+
+    async clear() {
+        await this._query(`DELETE FROM ${this.table} WHERE namespace = $1`, [this.namespace])
+    }
+}
+
+/**
+ * Index for `store: 'cds'`: the `CacheTags` table, reached through CAP's
+ * managed connection like the entries themselves, so it is tenant-aware in
+ * the same way.
+ */
+class CdsTagIndex {
+
+    /**
+     * @param {string} namespace - Cache namespace
+     */
+    constructor(namespace) {
+        this.namespace = namespace
+    }
+
+    async _db() {
+        const db = cds.db ?? await cds.connect.to('db')
+        const entity = cds.model?.definitions?.['plugin.cds_caching.CacheTags']
+        if (!entity) throw new Error('cds-caching: CacheTags entity not found in the model')
+        return { db, entity }
+    }
+
+    async add(entries) {
+        const rows = members(entries)
+        if (rows.length === 0) return
+        const { db, entity } = await this._db()
+        await db.run(UPSERT.into(entity).entries(rows.map(({ tag, key, expiresAt }) => ({
+            cache: this.namespace, tag, entryKey: key, expiresAt: expiresAt || null
+        }))))
+    }
+
+    async keys(tag) {
+        const { db, entity } = await this._db()
+        const rows = await db.run(
+            SELECT.from(entity).columns('entryKey', 'expiresAt').where({ cache: this.namespace, tag })
+        )
+        const now = Date.now()
+        return rows.filter(row => !row.expiresAt || row.expiresAt > now).map(row => row.entryKey)
+    }
+
+    async tags(pattern) {
+        const { db, entity } = await this._db()
+        // LIKE may match more than the pattern (`_`, `%`, or `*` across levels);
+        // the matcher has the final say.
+        const rows = await db.run(
+            SELECT.distinct.from(entity).columns('tag').where({ cache: this.namespace, tag: { like: pattern.replaceAll('*', '%') } })
+        )
+        return rows.map(row => row.tag).filter(tagMatcher(pattern))
+    }
+
+    async remove(tag, keys) {
+        if (keys.length === 0) return
+        const { db, entity } = await this._db()
+        await db.run(DELETE.from(entity).where({ cache: this.namespace, tag, entryKey: { in: keys } }))
+        await db.run(DELETE.from(entity).where({ cache: this.namespace, tag, expiresAt: { '<=': Date.now() } }))
+    }
+
+    async clear() {
+        const { db, entity } = await this._db()
+        await db.run(DELETE.from(entity).where({ cache: this.namespace }))
+    }
+}
+
+/**
+ * Create the tag index matching a store, or `null` where there is none and
+ * `deleteByTag` has to scan.
+ *
+ * @param {object} store - Store instance handed to Keyv
+ * @param {object} options - Cache options
+ * @param {string} namespace - Cache namespace
+ * @returns {MemoryTagIndex|RedisTagIndex|PostgresTagIndex|CdsTagIndex|null}
+ */
+function createTagIndex(store, options, namespace) {
+    if (options.tagIndex === false) return null
+    switch (options.store) {
+        case 'redis':
+            return new RedisTagIndex(store, namespace)
+        case 'postgres':
+            return new PostgresTagIndex(store, namespace)
+        case 'cds':
+            return new CdsTagIndex(namespace)
+        case 'sqlite':
+        case 'hana':
+            return null
+        default:
+            return store instanceof Map ? new MemoryTagIndex() : null
+    }
+}
+
+module.exports = { createTagIndex, MemoryTagIndex, RedisTagIndex, PostgresTagIndex, CdsTagIndex }
@@ -35,6 +35,14 @@ let _missCounter;
 let _setCounter;
 let _deleteCounter;
 let _errorCounter;
+let _coalescedCounter;
+let _staleIfErrorCounter;
+let _l1HitCounter;
+let _l1MissCounter;
+let _evictionCounter;
+let _earlyRefreshCounter;
+let _negativeHitCounter;
+let _warmupCounter;
 let _latencyHistogram;
 
 function ensureMetrics() {
@@ -56,6 +64,30 @@ function ensureMetrics() {
     _errorCounter = _meter.createCounter('cds_caching.errors', {
         description: 'Number of cache operation errors'
     });
+    _coalescedCounter = _meter.createCounter('cds_caching.coalesced', {
+        description: 'Number of read-through misses that joined a load already running for the same key'
+    });
+    _staleIfErrorCounter = _meter.createCounter('cds_caching.stale_if_error', {
+        description: 'Number of read-through requests answered with a stale value because loading a fresh one failed'
+    });
+    _l1HitCounter = _meter.createCounter('cds_caching.l1_hits', {
+        description: 'Number of store reads answered by the in-process L1 of a tiered cache'
+    });
+    _l1MissCounter = _meter.createCounter('cds_caching.l1_misses', {
+        description: 'Number of store reads the L1 of a tiered cache passed on to the shared store'
+    });
+    _evictionCounter = _meter.createCounter('cds_caching.evictions', {
+        description: 'Number of entries the memory store removed to stay within its maxEntries / maxBytes limits'
+    });
+    _earlyRefreshCounter = _meter.createCounter('cds_caching.early_refreshes', {
+        description: 'Number of read-through entries refreshed in the background before they expired'
+    });
+    _negativeHitCounter = _meter.createCounter('cds_caching.negative_hits', {
+        description: 'Number of read-through hits on cached empty results and not-found errors'
+    });
+    _warmupCounter = _meter.createCounter('cds_caching.warmups', {
+        description: 'Number of read-through entries loaded by a cache warm-up'
+    });
     _latencyHistogram = _meter.createHistogram('cds_caching.latency', {
         description: 'Cache operation latency in milliseconds',
         unit: 'ms'
@@ -133,5 +165,47 @@ module.exports = {
         if (!otel) return;
         ensureMetrics();
         _errorCounter.add(1, attrs({ 'cache.operation': 'error', ...extra }));
+    },
+
+    recordCoalesced(extra = {}) {
+        if (!otel) return;
+        ensureMetrics();
+        _coalescedCounter.add(1, attrs({ 'cache.operation': 'coalesced', ...extra }));
+    },
+
+    recordStaleIfError(extra = {}) {
+        if (!otel) return;
+        ensureMetrics();
+        _staleIfErrorCounter.add(1, attrs({ 'cache.operation': 'stale_if_error', ...extra }));
+    },
+
+    recordL1Lookup(isHit, extra = {}) {
+        if (!otel) return;
+        ensureMetrics();
+        (isHit ? _l1HitCounter : _l1MissCounter).add(1, attrs({ 'cache.operation': 'l1_lookup', ...extra }));
+    },
+
+    recordEviction(extra = {}) {
+        if (!otel) return;
+        ensureMetrics();
+        _evictionCounter.add(1, attrs({ 'cache.operation': 'eviction', ...extra }));
+    },
+
+    recordEarlyRefresh(extra = {}) {
+        if (!otel) return;
+        ensureMetrics();
+        _earlyRefreshCounter.add(1, attrs({ 'cache.operation': 'early_refresh', ...extra }));
+    },
+
+    recordNegativeHit(extra = {}) {
+        if (!otel) return;
+        ensureMetrics();
+        _negativeHitCounter.add(1, attrs({ 'cache.operation': 'negative_hit', ...extra }));
+    },
+
+    recordWarmup(extra = {}) {
+        if (!otel) return;
+        ensureMetrics();
+        _warmupCounter.add(1, attrs({ 'cache.operation': 'warmup', ...extra }));
     }
 };
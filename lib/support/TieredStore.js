@@ -0,0 +1,242 @@
+/**
+ * Two-tier store: a bounded in-process L1 in front of the configured store (L2).
+ *
+ * With a shared store such as Redis, every hit costs a network round trip. The
+ * L1 answers repeated reads of hot keys from memory and only goes to the L2 on
+ * an L1 miss. It holds exactly what the L2 returned — the serialized, and where
+ * configured encrypted, entry — so a caller can never mutate a cached object
+ * in place, and nothing sits in memory in a form the L2 would not hold.
+ *
+ * Writes go to the L2 first and reach the L1 only once the L2 accepted them.
+ * Deletes and clears apply to both tiers. Another instance's L1 is not reached
+ * by this instance's writes and may serve its copy until the L1 TTL runs out,
+ * which is why that TTL is short; the entry's own expiry is still enforced on
+ * every read. With an invalidation bus, deletes and clears also reach the other
+ * instances' L1 through `evict`.
+ */
+
+const DEFAULT_L1_TTL = 5000
+const DEFAULT_L1_MAX_ENTRIES = 1000
+
+/**
+ * Resolve the `l1` cache option.
+ *
+ * @param {boolean|object} [option] - `true` for defaults, or `{ enabled, ttl, maxEntries }`
+ * @returns {{ ttl: number, maxEntries: number }|null} `null` when the L1 is off
+ */
+function resolveL1Options(option) {
+    if (!option) return null
+    if (option === true) return { ttl: DEFAULT_L1_TTL, maxEntries: DEFAULT_L1_MAX_ENTRIES }
+    if (option.enabled === false) return null
+    return {
+        ttl: Number(option.ttl) > 0 ? Number(option.ttl) : DEFAULT_L1_TTL,
+        maxEntries: Number(option.maxEntries) > 0 ? Number(option.maxEntries) : DEFAULT_L1_MAX_ENTRIES
+    }
+}
+
+/**
+ * Keyv-compatible store adapter combining the L1 and the L2.
+ */
+class TieredStore {
+
+    /**
+     * @param {object} l2 - The configured store
+     * @param {{ ttl: number, maxEntries: number }} options - Resolved L1 options
+     */
+    constructor(l2, { ttl, maxEntries }) {
+        this.l2 = l2
+        this.ttl = ttl
+        this.maxEntries = maxEntries
+        /** @type {Map<string, { value: any, expiresAt: number }>} in LRU order, oldest first */
+        this._l1 = new Map()
+        // Bumped by every write, delete and clear. An L2 read that overlapped
+        // one may have returned the value it replaced, so it is not copied
+        // into the L1.
+        this._epoch = 0
+        /**
+         * Called for every L1 lookup; set by the caching service to report
+         * L1 hits and misses.
+         * @type {(key: string, hit: boolean) => void}
+         */
+        this.onLookup = () => {}
+        /**
+         * Reads the entry's own expiry out of stored data; set by the store
+         * manager to Keyv's `deserializeData`.
+         * @type {((data: any) => any)|null}
+         */
+        this.deserialize = null
+        // Offered only where the L2 has one Keyv would call: a Map's `has` ignores
+        // expiry, so for a Map Keyv reads the entry instead. A live L1 copy
+        // answers without asking the L2.
+        if (typeof l2.has === 'function' && !(l2 instanceof Map)) {
+            this.has = async (key) => (await this._l1Has(key)) ?? this.l2.has(key)
+        }
+    }
+
+    // Keyv reads these off the store to decide on namespacing and iteration;
+    // they describe the L2, which holds the complete data.
+    get opts() {
+        return this.l2 instanceof Map ? { dialect: 'sqlite', url: '' } : this.l2.opts
+    }
+
+    get namespace() {
+        return this.l2.namespace
+    }
+
+    set namespace(namespace) {
+        this.l2.namespace = namespace
+    }
+
+    /** Number of entries currently held in the L1. */
+    get l1Size() {
+        return this._l1.size
+    }
+
+    on(event, listener) {
+        if (typeof this.l2.on === 'function') this.l2.on(event, listener)
+        return this
+    }
+
+    _l1Get(key) {
+        const entry = this._l1.get(key)
+        if (entry && entry.expiresAt > Date.now()) {
+            // Refresh the key's position so the least recently used goes first
+            this._l1.delete(key)
+            this._l1.set(key, entry)
+            this.onLookup(key, true)
+            return entry.value
+        }
+        if (entry) this._l1.delete(key)
+        this.onLookup(key, false)
+        return undefined
+    }
+
+    /**
+     * Whether the L1 copy of an entry shows it is there and has not expired, or
+     * `undefined` without a live copy or where its data cannot be read. The
+     * entry's expiry is read once per copy.
+     */
+    async _l1Has(key) {
+        const entry = this._l1.get(key)
+        if (!entry || entry.expiresAt <= Date.now()) return undefined
+        if (entry.expires === undefined) {
+            let data
+            try {
+                data = this.deserialize ? await this.deserialize(entry.value) : undefined
+            } catch {
+                return undefined
+            }
+            if (!data || typeof data !== 'object') return undefined
+            entry.expires = typeof data.expires === 'number' ? data.expires : null
+        }
+        return entry.expires === null || entry.expires > Date.now()
+    }
+
+    _l1Set(key, value, ttl) {
+        if (value === undefined || value === null) return
+        const lifetime = ttl > 0 ? Math.min(ttl, this.ttl) : this.ttl
+        this._l1.delete(key)
+        this._l1.set(key, { value, expiresAt: Date.now() + lifetime })
+        while (this._l1.size > this.maxEntries) {
+            this._l1.delete(this._l1.keys().next().value)
+        }
+    }
+
+    _invalidate(keys) {
+        this._epoch++
+        if (keys) {
+            for (const key of keys) this._l1.delete(key)
+        } else {
+            this._l1.clear()
+        }
+    }
+
+    /**
+     * Drop L1 copies without touching the L2, for invalidations that another
+     * instance already applied to the shared store.
+     *
+     * @param {string[]} [keys] - Store keys to drop; all copies when omitted
+     */
+    evict(keys) {
+        this._invalidate(keys)
+    }
+
+    async get(key) {
+        const cached = this._l1Get(key)
+        if (cached !== undefined) return cached
+        const epoch = this._epoch
+        const value = await this.l2.get(key)
+        if (epoch === this._epoch) this._l1Set(key, value)
+        return value
+    }
+
+    async getMany(keys) {
+        const values = keys.map(key => this._l1Get(key))
+        const missing = keys.filter((key, i) => values[i] === undefined)
+        if (missing.length === 0) return values
+
+        const epoch = this._epoch
+        const loaded = typeof this.l2.getMany === 'function'
+            ? await this.l2.getMany(missing)
+            : await Promise.all(missing.map(key => this.l2.get(key)))
+        const byKey = new Map(missing.map((key, i) => [key, loaded?.[i]]))
+        return keys.map((key, i) => {
+            if (values[i] !== undefined) return values[i]
+            const value = byKey.get(key)
+            if (epoch === this._epoch) this._l1Set(key, value)
+            return value
+        })
+    }
+
+    async set(key, value, ttl) {
+        // Drop the old copy first, so a failing L2 write cannot leave it behind
+        this._invalidate([key])
+        const result = await this.l2.set(key, value, ttl)
+        this._l1Set(key, value, ttl)
+        return result
+    }
+
+    async setMany(entries) {
+        this._invalidate(entries.map(({ key }) => key))
+        const result = typeof this.l2.setMany === 'function'
+            ? await this.l2.setMany(entries)
+            : await Promise.all(entries.map(({ key, value, ttl }) => this.l2.set(key, value, ttl)))
+        for (const { key, value, ttl } of entries) this._l1Set(key, value, ttl)
+        return result
+    }
+
+    async delete(key) {
+        this._invalidate([key])
+        return this.l2.delete(key)
+    }
+
+    async deleteMany(keys) {
+        this._invalidate(keys)
+        if (typeof this.l2.deleteMany === 'function') return this.l2.deleteMany(keys)
+        const results = await Promise.all(keys.map(key => this.l2.delete(key)))
+        return results.every(Boolean)
+    }
+
+    async clear() {
+        this._invalidate()
+        return this.l2.clear()
+    }
+
+    /**
+     * Iterate the L2, which holds every entry; the L1 only holds copies.
+     */
+    async *iterator(namespace) {
+        if (this.l2 instanceof Map) {
+            yield* this.l2.entries()
+        } else {
+            yield* this.l2.iterator(namespace)
+        }
+    }
+
+    async disconnect() {
+        this._l1.clear()
+        if (typeof this.l2.disconnect === 'function') await this.l2.disconnect()
+    }
+}
+
+module.exports = { TieredStore, resolveL1Options }
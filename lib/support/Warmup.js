@@ -0,0 +1,174 @@
+const cds = require('@sap/cds')
+const { isMultitenantMode } = require('./MultitenancyDetector')
+
+/**
+ * Cache warm-up on startup.
+ *
+ * After a deployment the first users of an annotated entity or function take
+ * the miss. Warm-up runs known-hot reads once the services are served, so their
+ * entries are in the cache before the server accepts requests. The reads come
+ * from two places:
+ *
+ * - `@cache.warmup` on a cached entity reads it; on a cached function it calls
+ *   the function, with the annotation's record as arguments.
+ * - The `warmup` block of a cache lists CQL queries and function calls per
+ *   service, each optionally limited to some tenants.
+ *
+ * Each read runs through its service as a privileged user, under the tenant it
+ * is listed for, so it takes the same `cache.rt.run` path as any other read and
+ * is stored under the key that path computes. The read-through path records
+ * its misses as warm-ups rather than misses, so warming up does not skew the
+ * hit ratio. Failures are logged and do not stop the startup.
+ *
+ * The server only starts listening once warm-up is done, so a warm-up has a
+ * time budget: a slow backend or a long list of tenants must not hold the
+ * startup past the platform's health checks. Reads not started within it are
+ * skipped, reads still running finish in the background.
+ */
+
+const DEFAULT_CONCURRENCY = 2
+
+/** Milliseconds the startup waits for the warm-up of a cache. */
+const DEFAULT_TIMEOUT = 30000
+
+/**
+ * Resolve the `warmup` cache option. Annotated reads are warmed up unless the
+ * option turns warm-up off.
+ *
+ * @param {boolean|object} [option] - `false` to turn warm-up off, or `{ enabled, concurrency, timeout, tenants, queries }`
+ * @returns {{ concurrency: number, timeout: number, tenants: string[]|null, queries: object[] }|null} `null` when warm-up is off
+ */
+function resolveWarmupOptions(option) {
+    if (option === false || option?.enabled === false) return null
+    const config = typeof option === 'object' && option !== null ? option : {}
+    return {
+        concurrency: Number(config.concurrency) > 0 ? Math.floor(Number(config.concurrency)) : DEFAULT_CONCURRENCY,
+        timeout: Number(config.timeout) >= 0 ? Number(config.timeout) : DEFAULT_TIMEOUT,
+        tenants: Array.isArray(config.tenants) ? config.tenants : null,
+        queries: Array.isArray(config.queries) ? config.queries : []
+    }
+}
+
+/**
+ * The warm-up the current read belongs to, or `undefined` outside a warm-up.
+ * @returns {{ loads: number }|undefined}
+ */
+function currentWarmup() {
+    return cds.context?.cacheWarmup
+}
+
+/**
+ * Warm-up reads of an annotated entity or unbound function, or an empty list
+ * when it has no `@cache.warmup` annotation.
+ *
+ * @param {object} service - Service serving the definition
+ * @param {object} definition - Entity or function definition
+ * @param {any} annotation - `true`, or the function's arguments
+ * @returns {object[]} Reads as in the `warmup.queries` option
+ */
+function annotatedWarmups(service, definition, annotation) {
+    if (!annotation) return []
+    if (definition.kind === 'entity') return [{ service: service.name, query: cds.ql.SELECT.from(definition) }]
+    return [{ service: service.name, function: definition.name.split('.').pop(), args: typeof annotation === 'object' ? annotation : {} }]
+}
+
+/** Readable label of a read for the log. */
+const label = ({ query, function: fn, tenant }) => {
+    const what = fn ? `${fn}()` : typeof query === 'string' ? query : `SELECT from ${query?.SELECT?.from?.ref?.[0] ?? 'query'}`
+    return tenant ? `${what} (tenant ${tenant})` : what
+}
+
+/**
+ * Expand reads into one job per tenant. In multitenant mode, reads without a
+ * tenant are skipped, since there is no database to read from.
+ */
+function expandTenants(queries, tenants, log) {
+    const jobs = []
+    for (const query of queries) {
+        const listed = query.tenants ?? (query.tenant ? [query.tenant] : tenants)
+        if (!listed?.length) {
+            if (isMultitenantMode()) {
+                log.warn(`Skipping cache warm-up of ${label(query)}: no tenant configured in multitenant mode`)
+                continue
+            }
+            jobs.push({ ...query, tenant: undefined })
+            continue
+        }
+        for (const tenant of listed) jobs.push({ ...query, tenant })
+    }
+    return jobs
+}
+
+/**
+ * Run one warm-up read.
+ * @returns {Promise<boolean>} Whether the read loaded anything into the cache
+ */
+async function runJob({ service, query, function: fn, args, tenant }) {
+    const srv = await cds.connect.to(service)
+    const warmup = { loads: 0 }
+    await srv.tx({ tenant, user: cds.User.privileged, cacheWarmup: warmup }, tx => {
+        if (fn) return tx.send(fn, args ?? {})
+        return tx.run(typeof query === 'string' ? cds.parse.cql(query) : query)
+    })
+    return warmup.loads > 0
+}
+
+/**
+ * Run the warm-up reads of a cache, at most `concurrency` at a time, for at
+ * most `timeout` milliseconds.
+ *
+ * @param {string} cacheName - Name of the cache being warmed up, for the log
+ * @param {object[]} queries - Reads: `{ service, query }` with a CQL string or CQN, or `{ service, function, args }`, each with optional `tenant`/`tenants`
+ * @param {object} [options]
+ * @param {number} [options.concurrency=2] - Reads running at the same time
+ * @param {number} [options.timeout=30000] - Milliseconds to wait for the reads, `0` to wait for all of them
+ * @param {string[]|null} [options.tenants] - Tenants of reads that name none
+ * @param {object} [options.log] - Logger
+ * @returns {Promise<{ loaded: number, cached: number, failed: number, skipped: number }>} `skipped` counts the reads not started in time
+ */
+async function runWarmup(cacheName, queries, { concurrency = DEFAULT_CONCURRENCY, timeout = DEFAULT_TIMEOUT, tenants = null, log = cds.log('cds-caching') } = {}) {
+    const jobs = expandTenants(queries, tenants, log)
+    const summary = { loaded: 0, cached: 0, failed: 0, skipped: 0 }
+    if (!jobs.length) return summary
+
+    log.info(`Warming up cache ${cacheName}: ${jobs.length} read(s), ${concurrency} at a time`)
+    const started = Date.now()
+    const deadline = timeout > 0 ? started + timeout : Infinity
+    let next = 0
+    let done = 0
+
+    const worker = async () => {
+        while (next < jobs.length && Date.now() < deadline) {
+            const job = jobs[next++]
+            const jobStarted = Date.now()
+            try {
+                const loaded = await runJob(job)
+                summary[loaded ? 'loaded' : 'cached']++
+                log.info(`Cache warm-up ${cacheName} ${++done}/${jobs.length}: ${label(job)} ${loaded ? 'loaded' : 'already cached'} in ${Date.now() - jobStarted}ms`)
+            } catch (error) {
+                summary.failed++
+                log.warn(`Cache warm-up ${cacheName} ${++done}/${jobs.length}: ${label(job)} failed:`, error.message)
+            }
+        }
+    }
+    const workers = Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker))
+
+    let timer
+    const expired = new Promise(resolve => {
+        if (deadline === Infinity) return
+        timer = setTimeout(resolve, timeout)
+        timer.unref?.()
+    })
+    await Promise.race([workers, expired])
+    clearTimeout(timer)
+
+    const result = { ...summary, skipped: jobs.length - next }
+    const running = next - done
+    if (result.skipped > 0 || running > 0) {
+        log.warn(`Stopped waiting for the warm-up of cache ${cacheName} after ${timeout}ms: ${result.skipped} read(s) skipped, ${running} still running in the background`)
+    }
+    log.info(`Warmed up cache ${cacheName} in ${Date.now() - started}ms: ${result.loaded} loaded, ${result.cached} already cached, ${result.failed} failed, ${result.skipped} skipped`)
+    return result
+}
+
+module.exports = { resolveWarmupOptions, currentWarmup, annotatedWarmups, runWarmup }
@@ -0,0 +1,184 @@
+/**
+ * Soft expiry for read-through entries.
+ *
+ * The store's TTL is a hard expiry: once it passes, the entry is gone and the
+ * next reader pays the full backend latency. A stale window keeps the entry in
+ * the store for a while beyond its `ttl`, and the wrapped value records when it
+ * stops being fresh (`freshUntil`). Readers can then tell a fresh entry from a
+ * stale one and decide what to do with the latter, e.g. serve it while it is
+ * refreshed in the background.
+ *
+ * Two windows are supported. Within the stale-while-revalidate window, a stale
+ * entry is served at once while it is refreshed in the background. Within the
+ * stale-if-error window, it is only served when loading a fresh value fails.
+ * The entry is kept for whichever window is longer.
+ *
+ * Entries written without a stale window carry no `freshUntil` and are always
+ * fresh until the store drops them, exactly as before.
+ *
+ * Entries written together with the same TTL also expire together, and every
+ * reader then misses at once. Two options spread that out: TTL jitter shortens
+ * each entry's TTL by a random share, and early refresh (XFetch, Vattani et al.)
+ * refreshes a fresh entry in the background with a probability that rises as it
+ * nears expiry and with how long it took to load. Early refresh needs the fresh
+ * TTL and the load time on the entry, so such entries carry `freshUntil` and
+ * `loadTime` even without a stale window.
+ */
+
+/**
+ * Normalize a stale window option to milliseconds.
+ * @param {any} window - Configured window in milliseconds
+ * @returns {number} The window, or `0` when it is missing or invalid
+ */
+function resolveStaleWindow(window) {
+    const ms = Number(window)
+    return Number.isFinite(ms) && ms > 0 ? ms : 0
+}
+
+/**
+ * Normalize the TTL jitter option.
+ * @param {any} jitter - Largest share of the TTL to cut off, between `0` and `1`
+ * @returns {number} The share, or `0` when it is missing or invalid
+ */
+function resolveTtlJitter(jitter) {
+    const share = Number(jitter)
+    return Number.isFinite(share) && share > 0 ? Math.min(share, 1) : 0
+}
+
+/**
+ * Shorten a TTL by a random share of at most `jitter`. The configured TTL stays
+ * the upper bound, so jitter never keeps an entry longer than asked.
+ * @param {number} ttl - TTL in milliseconds; `0` means no expiry
+ * @param {number} jitter - Resolved TTL jitter
+ * @param {() => number} [random=Math.random]
+ * @returns {number}
+ */
+function jitterTtl(ttl, jitter, random = Math.random) {
+    if (!(ttl > 0) || !(jitter > 0)) return ttl || 0
+    return Math.max(1, Math.round(ttl * (1 - jitter * random())))
+}
+
+/**
+ * Normalize the early refresh option: the XFetch `beta`, where `1` is the usual
+ * choice and larger values refresh earlier.
+ * @param {any} beta - `true` for `1`, or a positive number
+ * @returns {number} The beta, or `0` when early refresh is off
+ */
+function resolveEarlyRefresh(beta) {
+    if (beta === true) return 1
+    const value = Number(beta)
+    return Number.isFinite(value) && value > 0 ? value : 0
+}
+
+/**
+ * Fields to merge into a wrapped value at write time for early refresh.
+ * @param {number} ttl - Fresh TTL in milliseconds
+ * @param {number} loadTime - Milliseconds it took to load the value
+ * @param {number} beta - Resolved early refresh option
+ * @param {number} [now=Date.now()] - Write time
+ * @returns {{ freshUntil?: number, loadTime?: number }}
+ */
+function earlyRefreshFields(ttl, loadTime, beta, now = Date.now()) {
+    return ttl > 0 && beta > 0 ? { freshUntil: now + ttl, loadTime: Math.max(0, loadTime || 0) } : {}
+}
+
+/**
+ * Whether to refresh a fresh entry ahead of its expiry (XFetch): true once
+ * `now - loadTime * beta * ln(random())` reaches `freshUntil`. Entries that
+ * were slow to load are refreshed earlier, and the closer an entry gets to its
+ * expiry, the likelier a reader refreshes it.
+ * @param {object} wrapped - Wrapped value as returned by `GET`
+ * @param {number} beta - Resolved early refresh option
+ * @param {number} [now=Date.now()]
+ * @param {() => number} [random=Math.random]
+ * @returns {boolean}
+ */
+function shouldRefreshEarly(wrapped, beta, now = Date.now(), random = Math.random) {
+    if (!(beta > 0) || typeof wrapped?.freshUntil !== 'number' || now >= wrapped.freshUntil) return false
+    const loadTime = Math.max(Number(wrapped.loadTime) || 0, 1)
+    return now - loadTime * beta * Math.log(random() || Number.MIN_VALUE) >= wrapped.freshUntil
+}
+
+/**
+ * Store TTL for an entry that should stay available beyond its fresh TTL.
+ * @param {number} ttl - Fresh TTL in milliseconds; `0` means no expiry
+ * @param {number} staleWindow - Stale window in milliseconds
+ * @returns {number}
+ */
+function storeTtl(ttl, staleWindow) {
+    return ttl > 0 && staleWindow > 0 ? ttl + staleWindow : (ttl || 0)
+}
+
+/**
+ * Freshness fields to merge into a wrapped value at write time.
+ * @param {number} ttl - Fresh TTL in milliseconds
+ * @param {number} staleWindow - Stale window in milliseconds
+ * @param {number} [now=Date.now()] - Write time
+ * @returns {{ freshUntil?: number }}
+ */
+function freshnessFields(ttl, staleWindow, now = Date.now()) {
+    return ttl > 0 && staleWindow > 0 ? { freshUntil: now + ttl } : {}
+}
+
+/**
+ * How long entries are kept in the store beyond their fresh TTL: the longest
+ * of the stale windows configured in the read-through options.
+ * @param {object} [options={}] - Read-through options
+ * @returns {number}
+ */
+function retentionWindow(options = {}) {
+    return Math.max(resolveStaleWindow(options.staleWhileRevalidate), resolveStaleWindow(options.staleIfError))
+}
+
+/**
+ * Whether a wrapped value read from the store is past its fresh TTL.
+ * @param {object} wrapped - Wrapped value as returned by `GET`
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isStale(wrapped, now = Date.now()) {
+    return typeof wrapped?.freshUntil === 'number' && now >= wrapped.freshUntil
+}
+
+/**
+ * Whether a stale wrapped value is at most `window` milliseconds past its fresh TTL.
+ * @param {object} wrapped - Wrapped value as returned by `GET`
+ * @param {number} window - Stale window in milliseconds
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isWithinStaleWindow(wrapped, window, now = Date.now()) {
+    return typeof wrapped?.freshUntil === 'number' && window > 0 && now < wrapped.freshUntil + window
+}
+
+/**
+ * Decide how a wrapped value read from the store may be used:
+ * - `fresh`: within its TTL, serve it
+ * - `revalidate`: within the stale-while-revalidate window, serve it and refresh
+ * - `expired`: past both, only usable as a fallback when the backend fails
+ *
+ * @param {object} wrapped - Wrapped value as returned by `GET`
+ * @param {object} [options={}] - Read-through options
+ * @param {number} [now=Date.now()]
+ * @returns {'fresh' | 'revalidate' | 'expired'}
+ */
+function classifyEntry(wrapped, options = {}, now = Date.now()) {
+    if (!isStale(wrapped, now)) return 'fresh'
+    if (isWithinStaleWindow(wrapped, resolveStaleWindow(options.staleWhileRevalidate), now)) return 'revalidate'
+    return 'expired'
+}
+
+module.exports = {
+    resolveStaleWindow,
+    resolveTtlJitter,
+    jitterTtl,
+    resolveEarlyRefresh,
+    earlyRefreshFields,
+    shouldRefreshEarly,
+    retentionWindow,
+    storeTtl,
+    freshnessFields,
+    isStale,
+    isWithinStaleWindow,
+    classifyEntry,
+}
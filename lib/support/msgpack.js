@@ -0,0 +1,280 @@
+/**
+ * Minimal MessagePack codec for the `msgpack` serializer.
+ *
+ * Covers what cached values are made of: `null`, booleans, numbers, strings,
+ * arrays and plain objects, with `Buffer`s as binary and `Date`s as the
+ * standard timestamp extension. Types MessagePack has no family for travel as
+ * application extensions: `BigInt` (1), `Map` (2) and `Set` (3).
+ *
+ * Object properties that are `undefined` are left out and `undefined` array
+ * items become `null`, as in JSON.
+ */
+
+const EXT_TIMESTAMP = -1
+const EXT_BIGINT = 1
+const EXT_MAP = 2
+const EXT_SET = 3
+
+class Writer {
+
+    constructor() {
+        this.chunks = []
+    }
+
+    bytes(...values) {
+        this.chunks.push(Buffer.from(values))
+    }
+
+    buffer(buffer) {
+        this.chunks.push(buffer)
+    }
+
+    uint(value, size) {
+        const buffer = Buffer.alloc(size)
+        if (size === 1) buffer.writeUInt8(value)
+        else if (size === 2) buffer.writeUInt16BE(value)
+        else buffer.writeUInt32BE(value)
+        this.chunks.push(buffer)
+    }
+
+    /** Header of a sized family: fix form below `fixLimit`, else 8, 16 or 32 bit length. */
+    header(length, fixBase, fixLimit, codes) {
+        if (fixBase !== null && length < fixLimit) return this.bytes(fixBase | length)
+        if (codes[0] !== null && length < 0x100) return this.bytes(codes[0], length)
+        if (length < 0x10000) return this.bytes(codes[1], length >> 8, length & 0xff)
+        this.bytes(codes[2])
+        this.uint(length, 4)
+    }
+
+    ext(type, data) {
+        const length = data.length
+        const fixed = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 }[length]
+        if (fixed) {
+            this.bytes(fixed, type & 0xff)
+        } else {
+            this.header(length, null, 0, [0xc7, 0xc8, 0xc9])
+            this.bytes(type & 0xff)
+        }
+        this.buffer(data)
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.chunks)
+    }
+}
+
+function writeNumber(writer, value) {
+    if (Number.isInteger(value) && value >= -0x80000000 && value <= 0xffffffff && !Object.is(value, -0)) {
+        if (value >= 0) {
+            if (value < 0x80) return writer.bytes(value)
+            if (value < 0x100) return writer.bytes(0xcc, value)
+            if (value < 0x10000) return writer.bytes(0xcd, value >> 8, value & 0xff)
+            writer.bytes(0xce)
+            return writer.uint(value, 4)
+        }
+        if (value >= -0x20) return writer.bytes(value & 0xff)
+        const buffer = Buffer.alloc(5)
+        buffer.writeUInt8(0xd2)
+        buffer.writeInt32BE(value, 1)
+        return writer.buffer(buffer)
+    }
+    const buffer = Buffer.alloc(9)
+    buffer.writeUInt8(0xcb)
+    buffer.writeDoubleBE(value, 1)
+    writer.buffer(buffer)
+}
+
+function writeValue(writer, value) {
+    if (value === null || value === undefined) return writer.bytes(0xc0)
+    switch (typeof value) {
+        case 'boolean':
+            return writer.bytes(value ? 0xc3 : 0xc2)
+        case 'number':
+            return writeNumber(writer, value)
+        case 'bigint':
+            return writer.ext(EXT_BIGINT, Buffer.from(value.toString(), 'utf8'))
+        case 'string': {
+            const data = Buffer.from(value, 'utf8')
+            writer.header(data.length, 0xa0, 32, [0xd9, 0xda, 0xdb])
+            return writer.buffer(data)
+        }
+    }
+    if (value instanceof Date) {
+        const ms = value.getTime()
+        if (Number.isNaN(ms)) return writer.bytes(0xc0)
+        // Timestamp 96: nanoseconds (uint32) and seconds (int64)
+        const seconds = Math.floor(ms / 1000)
+        const data = Buffer.alloc(12)
+        data.writeUInt32BE((ms - seconds * 1000) * 1e6)
+        data.writeBigInt64BE(BigInt(seconds), 4)
+        return writer.ext(EXT_TIMESTAMP, data)
+    }
+    if (value instanceof Uint8Array) {
+        writer.header(value.length, null, 0, [0xc4, 0xc5, 0xc6])
+        return writer.buffer(Buffer.from(value.buffer, value.byteOffset, value.byteLength))
+    }
+    if (value instanceof Map || value instanceof Set) {
+        const nested = new Writer()
+        writeValue(nested, Array.from(value))
+        return writer.ext(value instanceof Map ? EXT_MAP : EXT_SET, nested.toBuffer())
+    }
+    if (Array.isArray(value)) {
+        writer.header(value.length, 0x90, 16, [null, 0xdc, 0xdd])
+        for (const item of value) writeValue(writer, item)
+        return
+    }
+    if (typeof value.toJSON === 'function') return writeValue(writer, value.toJSON())
+
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function')
+    writer.header(entries.length, 0x80, 16, [null, 0xde, 0xdf])
+    for (const [key, item] of entries) {
+        writeValue(writer, key)
+        writeValue(writer, item)
+    }
+}
+
+/**
+ * Encode a value as MessagePack.
+ * @param {any} value - Value to encode
+ * @returns {Buffer}
+ */
+function pack(value) {
+    const writer = new Writer()
+    writeValue(writer, value)
+    return writer.toBuffer()
+}
+
+class Reader {
+
+    constructor(buffer) {
+        this.buffer = buffer
+        this.offset = 0
+    }
+
+    take(length) {
+        if (this.offset + length > this.buffer.length) throw new Error('cds-caching: MessagePack data is truncated')
+        const slice = this.buffer.subarray(this.offset, this.offset + length)
+        this.offset += length
+        return slice
+    }
+
+    uint(size) {
+        const slice = this.take(size)
+        if (size === 1) return slice.readUInt8()
+        if (size === 2) return slice.readUInt16BE()
+        if (size === 4) return slice.readUInt32BE()
+        return safeNumber(slice.readBigUInt64BE())
+    }
+
+    int(size) {
+        const slice = this.take(size)
+        if (size === 1) return slice.readInt8()
+        if (size === 2) return slice.readInt16BE()
+        if (size === 4) return slice.readInt32BE()
+        return safeNumber(slice.readBigInt64BE())
+    }
+}
+
+/** 64-bit integers come back as numbers where that is exact, as BigInts otherwise. */
+function safeNumber(value) {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value
+}
+
+function readExt(type, data) {
+    switch (type) {
+        case EXT_TIMESTAMP: {
+            if (data.length === 4) return new Date(data.readUInt32BE() * 1000)
+            if (data.length === 8) {
+                const high = data.readUInt32BE()
+                const nanoseconds = high >>> 2
+                const seconds = (high & 0x3) * 0x100000000 + data.readUInt32BE(4)
+                return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6))
+            }
+            return new Date(Number(data.readBigInt64BE(4)) * 1000 + Math.floor(data.readUInt32BE() / 1e6))
+        }
+        case EXT_BIGINT:
+            return BigInt(data.toString('utf8'))
+        case EXT_MAP:
+            return new Map(unpack(data))
+        case EXT_SET:
+            return new Set(unpack(data))
+        default:
+            throw new Error(`cds-caching: unknown MessagePack extension type ${type}`)
+    }
+}
+
+function readValue(reader) {
+    const code = reader.uint(1)
+    if (code < 0x80) return code
+    if (code < 0x90) return readMap(reader, code & 0x0f)
+    if (code < 0xa0) return readArray(reader, code & 0x0f)
+    if (code < 0xc0) return reader.take(code & 0x1f).toString('utf8')
+    if (code >= 0xe0) return code - 0x100
+    switch (code) {
+        case 0xc0: return null
+        case 0xc2: return false
+        case 0xc3: return true
+        case 0xc4: return Buffer.from(reader.take(reader.uint(1)))
+        case 0xc5: return Buffer.from(reader.take(reader.uint(2)))
+        case 0xc6: return Buffer.from(reader.take(reader.uint(4)))
+        case 0xc7: case 0xc8: case 0xc9: {
+            const length = reader.uint({ 0xc7: 1, 0xc8: 2, 0xc9: 4 }[code])
+            const type = reader.int(1)
+            return readExt(type, reader.take(length))
+        }
+        case 0xca: return reader.take(4).readFloatBE()
+        case 0xcb: return reader.take(8).readDoubleBE()
+        case 0xcc: return reader.uint(1)
+        case 0xcd: return reader.uint(2)
+        case 0xce: return reader.uint(4)
+        case 0xcf: return reader.uint(8)
+        case 0xd0: return reader.int(1)
+        case 0xd1: return reader.int(2)
+        case 0xd2: return reader.int(4)
+        case 0xd3: return reader.int(8)
+        case 0xd4: case 0xd5: case 0xd6: case 0xd7: case 0xd8: {
+            const type = reader.int(1)
+            return readExt(type, reader.take({ 0xd4: 1, 0xd5: 2, 0xd6: 4, 0xd7: 8, 0xd8: 16 }[code]))
+        }
+        case 0xd9: return reader.take(reader.uint(1)).toString('utf8')
+        case 0xda: return reader.take(reader.uint(2)).toString('utf8')
+        case 0xdb: return reader.take(reader.uint(4)).toString('utf8')
+        case 0xdc: return readArray(reader, reader.uint(2))
+        case 0xdd: return readArray(reader, reader.uint(4))
+        case 0xde: return readMap(reader, reader.uint(2))
+        case 0xdf: return readMap(reader, reader.uint(4))
+        default: throw new Error(`cds-caching: invalid MessagePack type 0x${code.toString(16)}`)
+    }
+}
+
+function readArray(reader, length) {
+    const array = new Array(length)
+    for (let i = 0; i < length; i++) array[i] = readValue(reader)
+    return array
+}
+
+function readMap(reader, length) {
+    const object = {}
+    for (let i = 0; i < length; i++) {
+        const key = readValue(reader)
+        // Defined as own properties, so that a `__proto__` key stays data
+        Object.defineProperty(object, String(key), { value: readValue(reader), enumerable: true, writable: true, configurable: true })
+    }
+    return object
+}
+
+/**
+ * Decode MessagePack produced by `pack`, or by any encoder limited to the
+ * types above.
+ * @param {Buffer} buffer - Encoded value
+ * @returns {any}
+ * @throws {Error} When the data is truncated or uses unknown types
+ */
+function unpack(buffer) {
+    const reader = new Reader(buffer)
+    const value = readValue(reader)
+    if (reader.offset !== buffer.length) throw new Error('cds-caching: MessagePack data has trailing bytes')
+    return value
+}
+
+module.exports = { pack, unpack }
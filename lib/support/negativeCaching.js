@@ -0,0 +1,81 @@
+/**
+ * Negative caching for read-through entries.
+ *
+ * A lookup for something that does not exist is as expensive as one for
+ * something that does, but by default only the latter is cached: an empty
+ * result is stored with the entry's TTL, and a "not found" error is thrown
+ * past the cache. With a `negativeTtl`, both are cached for that long instead,
+ * typically much shorter than the `ttl` so that new data shows up soon.
+ *
+ * A negative entry is a wrapped value with a `negative` field. For an empty
+ * result it is `{ empty: true }` and the value is kept. For a "not found" error
+ * it holds the error's `status`, `code` and `message`, and a read of the entry
+ * throws an error with the same status again.
+ */
+
+// Backend errors that say the requested data does not exist
+const NOT_FOUND_STATUSES = [404, 410]
+
+/**
+ * Normalize the negative TTL option.
+ * @param {any} ttl - Configured TTL in milliseconds
+ * @returns {number} The TTL, or `0` when negative caching is off
+ */
+function resolveNegativeTtl(ttl) {
+    const ms = Number(ttl)
+    return Number.isFinite(ms) && ms > 0 ? ms : 0
+}
+
+/**
+ * HTTP status of an error that says the requested data does not exist. Looks
+ * at the places CAP services, remote services and HTTP clients put it.
+ * @param {any} error
+ * @returns {number|null} The status, or `null` for any other error
+ */
+function notFoundStatus(error) {
+    const candidates = [error?.status, error?.statusCode, error?.code, error?.reason?.response?.status, error?.response?.status]
+    const status = candidates.map(Number).find(value => NOT_FOUND_STATUSES.includes(value))
+    return status ?? null
+}
+
+/**
+ * Whether a loaded value is an empty result: nothing, or an empty collection.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isEmptyResult(value) {
+    return value === undefined || value === null || (Array.isArray(value) && value.length === 0)
+}
+
+/**
+ * The `negative` field recording a "not found" error.
+ * @param {Error} error
+ * @param {number} status - See `notFoundStatus`
+ * @returns {{ status: number, code?: string|number, message: string }}
+ */
+function notFoundFields(error, status) {
+    const code = typeof error?.code === 'string' || typeof error?.code === 'number' ? error.code : undefined
+    return { status, ...(code !== undefined && { code }), message: error?.message || 'Not Found' }
+}
+
+/**
+ * The error to throw for a negative entry that recorded a "not found" error.
+ * @param {object} negative - The entry's `negative` field
+ * @returns {Error|null} `null` for negative entries of empty results
+ */
+function replayError(negative) {
+    if (!negative?.status) return null
+    const error = new Error(negative.message)
+    error.status = negative.status
+    error.statusCode = negative.status
+    if (negative.code !== undefined) error.code = negative.code
+    return error
+}
+
+module.exports = {
+    resolveNegativeTtl,
+    notFoundStatus,
+    isEmptyResult,
+    notFoundFields,
+    replayError,
+}
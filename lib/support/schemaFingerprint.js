@@ -0,0 +1,84 @@
+const crypto = require('crypto')
+
+/**
+ * Schema fingerprints of cached entities and functions.
+ *
+ * An entry cached for an annotated entity or function was built from the model
+ * the application ran with when it was written. After a deployment that
+ * changes the entity — a projection that selects other columns, a renamed or
+ * retyped element — the old entry would still be served until it expires. The
+ * fingerprint is a hash of the definition's compiled CSN and is part of the
+ * keys of its entries, so a changed definition reads under new keys and its old
+ * entries are never hit again. Entries of definitions that did not change keep
+ * their keys.
+ *
+ * What is hashed is the definition as the linked model sees it:
+ * - its own properties: the query or projection, elements, parameters;
+ * - the properties elements, parameters and return types inherit from named
+ *   types, such as the elements of a structured return type;
+ * - the elements of the targets of its associations and compositions, which
+ *   shape expanded results — one level deep: the targets' own associations
+ *   count by target name only.
+ * Changes elsewhere, such as to the handlers, the database or entities two
+ * associations away, are not detected.
+ *
+ * `@cache.*` annotations are left out, so tuning a TTL does not empty the
+ * cache; the key-related ones change the keys by themselves anyway. A cache's
+ * `appVersion`, where configured, is mixed in as well, for releases that change
+ * what handlers return without changing the model.
+ */
+
+const FINGERPRINT_LENGTH = 12
+
+/** @type {WeakMap<object, Map<string, string>>} definition → (appVersion → fingerprint) */
+const fingerprints = new WeakMap()
+
+/**
+ * Definition as hashed: own and inherited properties, the elements of
+ * association targets when `targets` is set, no `@cache.*` annotations and no
+ * links (`_target`, `$…`) of the linked model.
+ * @param {any} node - Definition or part of it
+ * @param {boolean} [targets=true] - Whether associations contribute their target's elements
+ * @returns {any}
+ */
+function shapeOf(node, targets = true) {
+    if (Array.isArray(node)) return node.map(item => shapeOf(item, targets))
+    if (!node || typeof node !== 'object') return node
+    const shape = {}
+    // `for…in` includes what the node inherits from named types in the linked model
+    for (const name in node) {
+        if (name.startsWith('@cache') || name.startsWith('_') || name.startsWith('$') || typeof node[name] === 'function') continue
+        shape[name] = shapeOf(node[name], targets)
+    }
+    if (targets && node._target?.elements) {
+        shape.target = { name: node.target, elements: shapeOf(node._target.elements, false) }
+    }
+    return shape
+}
+
+const csnOf = (definition) => JSON.stringify(shapeOf(definition))
+
+/**
+ * Fingerprint of a cached entity or function definition. Definitions are
+ * linked model objects that do not change while they are in use, so the hash
+ * is computed once per definition.
+ * @param {object} definition - Entity, action or function definition
+ * @param {string} [appVersion] - Application version to mix in
+ * @returns {string|undefined} Fingerprint, or `undefined` without a definition
+ */
+function schemaFingerprint(definition, appVersion = '') {
+    if (!definition || typeof definition !== 'object') return undefined
+    let byVersion = fingerprints.get(definition)
+    if (!byVersion) {
+        byVersion = new Map()
+        fingerprints.set(definition, byVersion)
+    }
+    const version = String(appVersion ?? '')
+    if (!byVersion.has(version)) {
+        const hash = crypto.createHash('sha256').update(csnOf(definition)).update('\0').update(version).digest('hex')
+        byVersion.set(version, hash.slice(0, FINGERPRINT_LENGTH))
+    }
+    return byVersion.get(version)
+}
+
+module.exports = { schemaFingerprint }
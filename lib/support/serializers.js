@@ -0,0 +1,180 @@
+const { pack, unpack } = require('./msgpack')
+
+/**
+ * Pluggable serialization of cached entries.
+ *
+ * Entries go to the store as strings. JSON, the default, turns `Date`s into
+ * strings, `Buffer`s into `{ type, data }` objects and refuses `BigInt`s, so a
+ * cached CAP result can come back different from an uncached one. The
+ * `structured` serializer is JSON with type markers that restore those values;
+ * `msgpack` is a compact binary encoding of the same, stored as base64.
+ *
+ * Entries of serializers other than JSON carry a versioned envelope,
+ * `cds-caching:v1:<serializer>:<payload>`, so each entry is read with the
+ * serializer it was written with. Switching serializers therefore leaves the
+ * entries already cached readable. JSON entries are stored without an
+ * envelope, exactly as before, so caches on the default stay readable by
+ * earlier versions. JSON text never starts like the envelope.
+ *
+ * A custom serializer is an object `{ name, serialize(value) → string,
+ * deserialize(string) → value }`.
+ */
+
+const ENVELOPE_PREFIX = 'cds-caching:v1:'
+
+const TYPE = '$type'
+
+/**
+ * Turn a value into JSON-safe data, marking the values JSON would lose as
+ * `{ $type, value }`. Objects that have a `$type` property of their own are
+ * marked as well, so they are not mistaken for a marker when read.
+ */
+function toStructured(value) {
+    switch (typeof value) {
+        case 'bigint':
+            return { [TYPE]: 'BigInt', value: value.toString() }
+        case 'number':
+            return Number.isFinite(value) ? value : { [TYPE]: 'Number', value: String(value) }
+        case 'function':
+        case 'symbol':
+            return undefined
+        case 'object':
+            break
+        default:
+            return value
+    }
+    if (value === null) return null
+    if (value instanceof Date) return { [TYPE]: 'Date', value: Number.isNaN(value.getTime()) ? null : value.toISOString() }
+    if (value instanceof Uint8Array) return { [TYPE]: 'Buffer', value: Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64') }
+    if (value instanceof Map) return { [TYPE]: 'Map', value: Array.from(value, ([key, item]) => [toStructured(key), toStructured(item)]) }
+    if (value instanceof Set) return { [TYPE]: 'Set', value: Array.from(value, toStructured) }
+    if (Array.isArray(value)) return value.map(item => toStructured(item) ?? null)
+    if (typeof value.toJSON === 'function') return toStructured(value.toJSON())
+
+    const data = {}
+    for (const [key, item] of Object.entries(value)) {
+        const structured = toStructured(item)
+        if (structured !== undefined) data[key] = structured
+    }
+    return Object.hasOwn(value, TYPE) ? { [TYPE]: 'Object', value: data } : data
+}
+
+/** Reverse `toStructured`. */
+function fromStructured(data) {
+    if (Array.isArray(data)) return data.map(fromStructured)
+    if (!data || typeof data !== 'object') return data
+    switch (data[TYPE]) {
+        case 'BigInt': return BigInt(data.value)
+        case 'Number': return Number(data.value)
+        case 'Date': return new Date(data.value ?? NaN)
+        case 'Buffer': return Buffer.from(data.value, 'base64')
+        case 'Map': return new Map(data.value.map(([key, item]) => [fromStructured(key), fromStructured(item)]))
+        case 'Set': return new Set(data.value.map(fromStructured))
+        case 'Object': return fromStructuredProperties(data.value)
+        default: return fromStructuredProperties(data)
+    }
+}
+
+function fromStructuredProperties(data) {
+    const value = {}
+    for (const [key, item] of Object.entries(data)) value[key] = fromStructured(item)
+    return value
+}
+
+const SERIALIZERS = {
+    json: {
+        name: 'json',
+        serialize: value => JSON.stringify(value),
+        deserialize: text => JSON.parse(text)
+    },
+    structured: {
+        name: 'structured',
+        serialize: value => JSON.stringify(toStructured(value)),
+        deserialize: text => fromStructured(JSON.parse(text))
+    },
+    msgpack: {
+        name: 'msgpack',
+        serialize: value => pack(value).toString('base64'),
+        deserialize: text => unpack(Buffer.from(text, 'base64'))
+    }
+}
+
+class ValueSerializer {
+
+    /**
+     * @param {{ name: string, serialize: Function, deserialize: Function }} serializer - Serializer entries are written with
+     */
+    constructor(serializer) {
+        this.serializer = serializer
+    }
+
+    /**
+     * Whether a stored string carries the envelope of a serializer other than JSON.
+     * @param {any} stored - Stored value
+     * @returns {boolean}
+     */
+    static isEnveloped(stored) {
+        return typeof stored === 'string' && stored.startsWith(ENVELOPE_PREFIX)
+    }
+
+    /**
+     * Serialize a value for the store.
+     * @param {any} value - Wrapped entry or value
+     * @returns {string}
+     */
+    serialize(value) {
+        if (this.serializer.name === 'json') return this.serializer.serialize(value)
+        return `${ENVELOPE_PREFIX}${this.serializer.name}:${this.serializer.serialize(value)}`
+    }
+
+    /**
+     * Deserialize a stored string with the serializer named in its envelope, or
+     * as JSON when it has none.
+     * @param {string} stored - Stored string
+     * @returns {any}
+     * @throws {Error} When the serializer is unknown or the payload is invalid
+     */
+    deserialize(stored) {
+        if (!ValueSerializer.isEnveloped(stored)) return JSON.parse(stored)
+        const separator = stored.indexOf(':', ENVELOPE_PREFIX.length)
+        const name = separator === -1 ? '' : stored.slice(ENVELOPE_PREFIX.length, separator)
+        const serializer = name === this.serializer.name ? this.serializer : SERIALIZERS[name]
+        if (!serializer) throw new Error(`cds-caching: entry was written with the unknown serializer "${name}"`)
+        return serializer.deserialize(stored.slice(separator + 1))
+    }
+}
+
+/**
+ * Build the serializer configured for a cache.
+ *
+ * @param {object} [options={}] - Cache service options
+ * @returns {ValueSerializer}
+ * @throws {Error} When the configured serializer is unknown or incomplete
+ */
+function createValueSerializer(options = {}) {
+    const config = options.serializer ?? 'json'
+    if (typeof config === 'string') {
+        if (!Object.hasOwn(SERIALIZERS, config)) {
+            throw new Error(`cds-caching: unknown serializer "${config}"; expected one of ${Object.keys(SERIALIZERS).join(', ')} or a custom serializer`)
+        }
+        return new ValueSerializer(SERIALIZERS[config])
+    }
+
+    const { name, serialize, deserialize } = config
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name) || typeof serialize !== 'function' || typeof deserialize !== 'function') {
+        throw new Error('cds-caching: a custom serializer needs a name (letters, digits, "_" and "-"), serialize(value) and deserialize(text)')
+    }
+    if (Object.hasOwn(SERIALIZERS, name) && SERIALIZERS[name] !== config) {
+        throw new Error(`cds-caching: the custom serializer name "${name}" is taken by a built-in serializer`)
+    }
+    return new ValueSerializer(config)
+}
+
+module.exports = {
+    ENVELOPE_PREFIX,
+    SERIALIZERS,
+    ValueSerializer,
+    createValueSerializer,
+    toStructured,
+    fromStructured
+}
@@ -0,0 +1,155 @@
+const { once } = require('events')
+const { StringDecoder } = require('string_decoder')
+const { toStructured, fromStructured } = require('./serializers')
+
+/**
+ * Portable snapshots of cache entries, as NDJSON.
+ *
+ * The first line is a header naming the format and when the snapshot was
+ * taken; every further line is one entry:
+ *
+ *     {"format":"cds-caching-snapshot","version":1,"cache":"caching","exportedAt":1718000000000}
+ *     {"key":"products","value":[…],"tags":["catalog"],"timestamp":1717999990000,"ttl":54000}
+ *
+ * `ttl` is the milliseconds the entry had left when it was exported, `0` when
+ * it does not expire; `fresh` the part of it a read-through entry with a stale
+ * window was still fresh. Other fields of the entry, such as its version, are
+ * kept in `meta`. Values are written with the type markers of the `structured`
+ * serializer, so `Date`s, `Buffer`s and `BigInt`s come back as they were,
+ * whatever serializer and store the exporting and importing caches use.
+ *
+ * Keys are the keys the entries were created with, so they keep any tenant,
+ * user or scope prefix. Values are written decrypted; a snapshot of an
+ * encrypted cache must be protected like the data itself.
+ */
+
+const SNAPSHOT_FORMAT = 'cds-caching-snapshot'
+const SNAPSHOT_VERSION = 1
+
+/** Fields of a wrapped entry that are not written to `meta`. */
+const ENTRY_FIELDS = new Set(['value', 'tags', 'timestamp', 'expiresAt', 'freshUntil', 'tagGenerations'])
+
+/**
+ * Header line of a snapshot.
+ * @param {string} cacheName - Name of the exporting cache
+ * @param {number} [now=Date.now()]
+ * @returns {object}
+ */
+function snapshotHeader(cacheName, now = Date.now()) {
+    return { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, cache: cacheName, exportedAt: now }
+}
+
+/**
+ * Snapshot line of an entry.
+ * @param {string} key - Key the entry was created with
+ * @param {object} wrapped - Wrapped entry as the store returns it
+ * @param {number} [now=Date.now()]
+ * @returns {object|null} `null` when the entry has expired
+ */
+function toSnapshotEntry(key, wrapped, now = Date.now()) {
+    if (!wrapped || typeof wrapped !== 'object' || !('value' in wrapped)) {
+        return { key, value: toStructured(wrapped), tags: [], ttl: 0 }
+    }
+    const ttl = wrapped.expiresAt ? wrapped.expiresAt - now : 0
+    if (wrapped.expiresAt && ttl <= 0) return null
+
+    const entry = { key, value: toStructured(wrapped.value), tags: wrapped.tags || [], timestamp: wrapped.timestamp, ttl }
+    if (typeof wrapped.freshUntil === 'number') entry.fresh = wrapped.freshUntil - now
+    const meta = Object.fromEntries(Object.entries(wrapped).filter(([field]) => !ENTRY_FIELDS.has(field)))
+    if (Object.keys(meta).length > 0) entry.meta = meta
+    return entry
+}
+
+/**
+ * Entry to import from a snapshot line. The remaining TTL is counted from the
+ * time of the export, unless `options.ttl` gives every entry a TTL of its own.
+ * @param {object} line - Parsed snapshot line
+ * @param {number} exportedAt - Time of the export, from the header
+ * @param {object} [options]
+ * @param {number} [options.ttl] - TTL in milliseconds for every entry, `0` for no expiry
+ * @param {number} [now=Date.now()]
+ * @returns {{ key: string, value: object, ttl: number }|null} Entry for `SET_MANY`; `null` when it has expired
+ */
+function fromSnapshotEntry(line, exportedAt, options = {}, now = Date.now()) {
+    const elapsed = Math.max(0, now - exportedAt)
+    const keepTtl = options.ttl === undefined || options.ttl === null
+    const ttl = keepTtl ? (line.ttl > 0 ? line.ttl - elapsed : 0) : Math.max(0, Number(options.ttl) || 0)
+    if (keepTtl && line.ttl > 0 && ttl <= 0) return null
+
+    const value = {
+        ...line.meta,
+        value: fromStructured(line.value),
+        tags: Array.isArray(line.tags) ? line.tags : [],
+        timestamp: line.timestamp ?? now
+    }
+    // The stale window keeps its length, as with `touch()`; without expiry the entry stays fresh
+    if (typeof line.fresh === 'number' && ttl > 0) {
+        value.freshUntil = now + (keepTtl ? line.fresh - elapsed : ttl - (line.ttl - line.fresh))
+    }
+    return { key: line.key, value, ttl }
+}
+
+/**
+ * Write one line to a stream, waiting for it to drain when its buffer is full.
+ * @param {import('stream').Writable} stream
+ * @param {object} line
+ */
+async function writeSnapshotLine(stream, line) {
+    if (!stream.write(`${JSON.stringify(line)}\n`)) await once(stream, 'drain')
+}
+
+/** Lines of a string, a `Buffer`, or an async iterable of string or `Buffer` chunks. */
+async function* lines(input) {
+    if (typeof input === 'string' || Buffer.isBuffer(input)) {
+        yield* String(input).split(/\r?\n/)
+        return
+    }
+    const decoder = new StringDecoder('utf8')
+    let rest = ''
+    for await (const chunk of input) {
+        const parts = (rest + (typeof chunk === 'string' ? chunk : decoder.write(chunk))).split(/\r?\n/)
+        rest = parts.pop()
+        yield* parts
+    }
+    yield rest + decoder.end()
+}
+
+/**
+ * Read a snapshot: its header first, then its entry lines.
+ * @param {import('stream').Readable|AsyncIterable|string|Buffer} input - NDJSON snapshot
+ * @returns {AsyncGenerator<object>} Header, then entry lines
+ * @throws {Error} When the input is not a snapshot, a line is not JSON, or an entry has no key
+ */
+async function* readSnapshot(input) {
+    let number = 0
+    let header = null
+    for await (const text of lines(input)) {
+        number++
+        if (!text.trim()) continue
+        let line
+        try {
+            line = JSON.parse(text)
+        } catch {
+            throw new Error(`cds-caching: line ${number} of the cache snapshot is not valid JSON`)
+        }
+        if (!header) {
+            if (line?.format !== SNAPSHOT_FORMAT) throw new Error('cds-caching: input is not a cache snapshot (missing header)')
+            if (!(line.version <= SNAPSHOT_VERSION)) throw new Error(`cds-caching: cache snapshot version ${line.version} is not supported`)
+            header = line
+        } else if (typeof line?.key !== 'string') {
+            throw new Error(`cds-caching: line ${number} of the cache snapshot has no key`)
+        }
+        yield line
+    }
+    if (!header) throw new Error('cds-caching: input is not a cache snapshot (missing header)')
+}
+
+module.exports = {
+    SNAPSHOT_FORMAT,
+    SNAPSHOT_VERSION,
+    snapshotHeader,
+    toSnapshotEntry,
+    fromSnapshotEntry,
+    writeSnapshotLine,
+    readSnapshot
+}
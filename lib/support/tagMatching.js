@@ -0,0 +1,63 @@
+/**
+ * Hierarchical and wildcard tags.
+ *
+ * A tag may be structured into levels separated by `/`, e.g.
+ * `entity:Books/id:42`. Invalidating a tag also invalidates every tag below
+ * it, so `deleteByTag('entity:Books')` removes entries tagged
+ * `entity:Books/id:42` as well as those tagged `entity:Books` itself.
+ *
+ * A tag passed to `deleteByTag` may also be a pattern: `*` stands for any run
+ * of characters within one level, so `tenant:*:pricing` matches
+ * `tenant:t1:pricing` and `tenant:t2:pricing/eu`, but not
+ * `tenant:t1/x:pricing`. Tags written to the cache are taken literally.
+ */
+
+const TAG_SEPARATOR = '/'
+const WILDCARD = '*'
+
+/**
+ * Whether a tag passed to `deleteByTag` is a pattern rather than a tag.
+ * @param {string} tag - Tag or pattern
+ * @returns {boolean}
+ */
+function isTagPattern(tag) {
+    return typeof tag === 'string' && tag.includes(WILDCARD)
+}
+
+/**
+ * Build the predicate `deleteByTag` applies to the tags of an entry.
+ * @param {string} pattern - Tag or pattern to invalidate
+ * @returns {(tag: string) => boolean} Whether a tag is the pattern or below it
+ */
+function tagMatcher(pattern) {
+    if (!isTagPattern(pattern)) {
+        return tag => tag === pattern || (typeof tag === 'string' && tag.startsWith(pattern + TAG_SEPARATOR))
+    }
+    const levels = pattern.split(WILDCARD).map(part => part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')).join('[^/]*')
+    const regex = new RegExp(`^${levels}(?:/.*)?$`, 's')
+    return tag => typeof tag === 'string' && regex.test(tag)
+}
+
+/**
+ * A tag and the tags above it, e.g. `a/b/c` → `['a', 'a/b', 'a/b/c']`. Tag
+ * indexes file an entry under all of them, so that invalidating a parent tag
+ * stays a lookup of one tag.
+ * @param {string} tag - Tag of an entry
+ * @returns {string[]}
+ */
+function tagLevels(tag) {
+    if (typeof tag !== 'string') return [tag]
+    const levels = []
+    for (let i = tag.indexOf(TAG_SEPARATOR); i !== -1; i = tag.indexOf(TAG_SEPARATOR, i + 1)) {
+        if (i > 0) levels.push(tag.slice(0, i))
+    }
+    levels.push(tag)
+    return levels
+}
+
+module.exports = {
+    TAG_SEPARATOR,
+    isTagPattern,
+    tagMatcher,
+    tagLevels
+}
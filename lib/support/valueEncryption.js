@@ -14,6 +14,16 @@ const crypto = require('crypto')
  * Only the cached value is encrypted. Tags and timestamps stay readable, since
  * tag-based invalidation scans them without reading values, and a scan that had
  * to decrypt every entry to find its tags would be far more expensive.
+ *
+ * Keys are held in a keyring: the current key, which encrypts, and previous
+ * keys, which only decrypt. Each envelope names the key that wrote it, so a key
+ * can be rotated without flushing the cache: entries written under a previous
+ * key stay readable until they are rewritten under the current one.
+ *
+ * With per-tenant keys, each tenant encrypts with a keyring of its own, derived
+ * from the configured keys with HKDF or supplied by a key provider. The key IDs
+ * of a tenant's envelopes name the tenant, and a request can only decrypt the
+ * envelopes of its own tenant.
  */
 
 const ALGORITHM = 'aes-256-gcm'
@@ -27,17 +37,35 @@ const IV_BYTES = 12
  */
 const CREDENTIAL_KEY = 'encryptionKey'
 
-/** Versioned prefix, so the format can change without mistaking old entries for plaintext. */
+/**
+ * Versioned prefix, so the format can change without mistaking old entries for
+ * plaintext. Envelopes naming their key add the key ID as a leading part, rather
+ * than a new prefix: instances that predate key IDs read it as the iv, fail to
+ * authenticate the entry and report a miss, instead of returning the envelope as
+ * a plaintext value, so both can share a store during a rolling deploy.
+ */
 const PREFIX = 'enc:v1:'
 
+/** Key IDs are part of the envelope, whose parts are separated by `:`. */
+const KEY_ID_PATTERN = /^[\w.-]{1,64}$/
+
+/** Separates the key ID from the tenant in the key IDs of per-tenant keys. */
+const TENANT_SEPARATOR = '@'
+
+/** Salt of the HKDF deriving per-tenant keys; changing it changes every tenant's key. */
+const TENANT_KEY_SALT = 'cds-caching'
+
+/** Milliseconds a key from a tenant key provider is used before the provider is asked again. */
+const TENANT_KEY_TTL = 5 * 60 * 1000
+
 /**
  * Decode configured key material into a 32-byte key.
- * @param {any} material - Base64 or hex encoded key
+ * @param {any} material - Base64 or hex encoded key, or the key itself
  * @returns {Buffer}
  * @throws {Error} When the material is missing or not 32 bytes
  */
 function parseKey(material) {
-    if (typeof material !== 'string' || !material.trim()) {
+    if (!Buffer.isBuffer(material) && (typeof material !== 'string' || !material.trim())) {
         throw new Error(
             'cds-caching: encryption is enabled but no key was supplied. Set encryption.key, ' +
             'point encryption.keyEnv at an environment variable, or bind a service supplying ' +
@@ -45,9 +73,12 @@ function parseKey(material) {
         )
     }
 
-    const trimmed = material.trim()
-    const encoding = /^[0-9a-f]{64}$/i.test(trimmed) ? 'hex' : 'base64'
-    const key = Buffer.from(trimmed, encoding)
+    let key = material
+    if (!Buffer.isBuffer(material)) {
+        const trimmed = material.trim()
+        const encoding = /^[0-9a-f]{64}$/i.test(trimmed) ? 'hex' : 'base64'
+        key = Buffer.from(trimmed, encoding)
+    }
 
     if (key.length !== KEY_BYTES) {
         throw new Error(
@@ -58,13 +89,50 @@ function parseKey(material) {
     return key
 }
 
+/**
+ * ID of a key that was configured without one: a short hash of the key, so the
+ * same key gets the same ID on every instance without anyone naming it.
+ * @param {Buffer} key - 32-byte AES key
+ * @returns {string}
+ */
+function deriveKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('base64url').slice(0, 8)
+}
+
+/**
+ * Check a configured key ID.
+ * @param {any} id - Key ID
+ * @returns {string}
+ * @throws {Error} When the ID cannot be written into an envelope
+ */
+function parseKeyId(id) {
+    if (typeof id !== 'string' || !KEY_ID_PATTERN.test(id)) {
+        throw new Error(`cds-caching: encryption key ID "${id}" must be 1 to 64 letters, digits, "_", "." or "-".`)
+    }
+    return id
+}
+
 class ValueCipher {
 
     /**
-     * @param {Buffer} key - 32-byte AES key
+     * @param {Buffer} key - 32-byte AES key that encrypts
+     * @param {object} [options]
+     * @param {string} [options.id] - ID of the key, derived from the key by default
+     * @param {Array<{ id: string, key: Buffer }>} [options.previousKeys=[]] - Keys that only decrypt
+     * @param {string} [options.tenant] - Tenant of a per-tenant keyring
      */
-    constructor(key) {
+    constructor(key, { id = deriveKeyId(key), previousKeys = [], tenant } = {}) {
         this.key = key
+        this.id = id
+        this.tenant = tenant
+        /** @type {Map<string, Buffer>} every key of the ring by ID, the current one first */
+        this.keys = new Map([[id, key]])
+        for (const previous of previousKeys) {
+            if (this.keys.has(previous.id)) {
+                throw new Error(`cds-caching: encryption key ID "${previous.id}" is used more than once.`)
+            }
+            this.keys.set(previous.id, previous.key)
+        }
     }
 
     /**
@@ -77,9 +145,41 @@ class ValueCipher {
     }
 
     /**
-     * Encrypt a serialized value.
-     * @param {string} plaintext - Serialized cached value
-     * @returns {string} Envelope carrying iv, auth tag and ciphertext
+     * ID of the key an envelope was written with.
+     * @param {string} envelope - Stored value
+     * @returns {string|null} `null` for envelopes written before keys had IDs
+     */
+    static keyIdOf(envelope) {
+        if (!ValueCipher.isEncrypted(envelope)) return null
+        const parts = envelope.slice(PREFIX.length).split(':')
+        return parts.length === 4 ? parts[0] || null : null
+    }
+
+    /**
+     * Whether an envelope was written with the current key, so rewriting it
+     * would change nothing.
+     * @param {string} envelope - Stored value
+     * @returns {boolean}
+     */
+    isCurrent(envelope) {
+        return ValueCipher.keyIdOf(envelope) === this.id
+    }
+
+    /**
+     * Whether an envelope was written by the tenant of a per-tenant keyring; any
+     * envelope belongs to a shared one.
+     * @param {string} envelope - Stored value
+     * @returns {boolean}
+     */
+    belongsTo(envelope) {
+        if (this.tenant === undefined) return true
+        return TenantCiphers.belongsTo(envelope, this.tenant)
+    }
+
+    /**
+     * Encrypt a serialized value with the current key.
+     * @param {string} plaintext - Cached value, as serialized by the cache's serializer
+     * @returns {string} Envelope carrying key ID, iv, auth tag and ciphertext
      */
     encrypt(plaintext) {
         const iv = crypto.randomBytes(IV_BYTES)
@@ -87,6 +187,7 @@ class ValueCipher {
         const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
 
         return PREFIX + [
+            this.id,
             iv.toString('base64'),
             cipher.getAuthTag().toString('base64'),
             encrypted.toString('base64'),
@@ -94,29 +195,55 @@ class ValueCipher {
     }
 
     /**
-     * Decrypt an envelope produced by `encrypt`.
+     * Decrypt an envelope produced by `encrypt`, with the key it names. Envelopes
+     * written before keys had IDs are tried with every key, the current one first.
      * @param {string} envelope - Stored value
      * @returns {string} Serialized cached value
-     * @throws {Error} When the envelope is malformed, or the key or data is wrong
+     * @throws {Error} When the envelope is malformed, names a key not in the ring, or the key or data is wrong
      */
     decrypt(envelope) {
         if (!ValueCipher.isEncrypted(envelope)) {
             throw new Error('cds-caching: value is not encrypted.')
         }
 
-        const [ivPart, tagPart, dataPart] = envelope.slice(PREFIX.length).split(':')
-        if (!ivPart || !tagPart || !dataPart) {
-            throw new Error('cds-caching: encrypted value is malformed.')
+        const parts = envelope.slice(PREFIX.length).split(':')
+        if (parts.length === 3) {
+            let failure
+            for (const key of this.keys.values()) {
+                try {
+                    return decryptParts(key, parts)
+                } catch (error) {
+                    failure = error
+                }
+            }
+            throw failure
         }
 
-        const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(ivPart, 'base64'))
-        decipher.setAuthTag(Buffer.from(tagPart, 'base64'))
+        if (parts.length !== 4) {
+            throw new Error('cds-caching: encrypted value is malformed.')
+        }
+        const [id, ...rest] = parts
+        const key = this.keys.get(id)
+        if (!key) {
+            throw new Error(`cds-caching: encrypted value was written with key "${id}", which is not configured.`)
+        }
+        return decryptParts(key, rest)
+    }
+}
 
-        return Buffer.concat([
-            decipher.update(Buffer.from(dataPart, 'base64')),
-            decipher.final(),
-        ]).toString('utf8')
+/** Decrypt the iv, auth tag and ciphertext parts of an envelope. */
+function decryptParts(key, [ivPart, tagPart, dataPart]) {
+    if (!ivPart || !tagPart || !dataPart) {
+        throw new Error('cds-caching: encrypted value is malformed.')
     }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivPart, 'base64'))
+    decipher.setAuthTag(Buffer.from(tagPart, 'base64'))
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(dataPart, 'base64')),
+        decipher.final(),
+    ]).toString('utf8')
 }
 
 /**
@@ -156,14 +283,148 @@ function resolveKeyMaterial(options) {
     return undefined
 }
 
+/** Key ID of a tenant's key, naming the tenant. */
+function tenantKeyId(id, tenant) {
+    return `${id}${TENANT_SEPARATOR}${encodeURIComponent(tenant)}`
+}
+
+/**
+ * Key of a tenant, derived from a configured key with HKDF.
+ * @param {Buffer} key - Configured key
+ * @param {string} tenant - Tenant ID
+ * @returns {Buffer}
+ */
+function deriveTenantKey(key, tenant) {
+    return Buffer.from(crypto.hkdfSync('sha256', key, TENANT_KEY_SALT, `tenant:${tenant}`, KEY_BYTES))
+}
+
+/**
+ * Per-tenant keyrings, derived from the configured keyring or supplied by a
+ * key provider. Keyrings from a provider are kept for `keyTtl` milliseconds, so
+ * a key the provider deleted, e.g. when the tenant was offboarded, stops being
+ * used on every instance within that time.
+ */
+class TenantCiphers {
+
+    /**
+     * @param {object} options
+     * @param {ValueCipher} [options.cipher] - Configured keyring, to derive from
+     * @param {{ tenantKey: function(string): any }} [options.provider] - Supplies the key of a tenant instead
+     * @param {number} [options.keyTtl] - Milliseconds a provider's key is kept
+     */
+    constructor({ cipher = null, provider = null, keyTtl = TENANT_KEY_TTL } = {}) {
+        this.cipher = cipher
+        this.provider = provider
+        this.keyTtl = keyTtl
+        /** @type {Map<string, { cipher: Promise<ValueCipher>, until: number }>} */
+        this._ciphers = new Map()
+    }
+
+    /**
+     * Whether an envelope was written with a key of a tenant. Needs no key, so
+     * it also holds when the tenant's key cannot be had.
+     * @param {string} envelope - Stored value
+     * @param {string} tenant - Tenant ID
+     * @returns {boolean}
+     */
+    static belongsTo(envelope, tenant) {
+        return ValueCipher.keyIdOf(envelope)?.endsWith(tenantKeyId('', tenant)) ?? false
+    }
+
+    /**
+     * Keyring of a tenant.
+     * @param {string} tenant - Tenant ID
+     * @returns {Promise<ValueCipher>}
+     * @throws {Error} When the provider has no key for the tenant
+     */
+    forTenant(tenant) {
+        const cached = this._ciphers.get(tenant)
+        if (cached && cached.until > Date.now()) return cached.cipher
+
+        const entry = { cipher: this._load(tenant), until: this.provider ? Date.now() + this.keyTtl : Infinity }
+        this._ciphers.set(tenant, entry)
+        // A failed lookup is not kept, so the next read asks the provider again
+        entry.cipher.catch(() => {
+            if (this._ciphers.get(tenant) === entry) this._ciphers.delete(tenant)
+        })
+        return entry.cipher
+    }
+
+    /**
+     * Drop the keyring of a tenant, so its key is derived or asked for again.
+     * @param {string} tenant - Tenant ID
+     */
+    forget(tenant) {
+        this._ciphers.delete(tenant)
+    }
+
+    async _load(tenant) {
+        if (!this.provider) {
+            const [[id, key], ...previous] = this.cipher.keys
+            return new ValueCipher(deriveTenantKey(key, tenant), {
+                id: tenantKeyId(id, tenant),
+                previousKeys: previous.map(([previousId, previousKey]) => ({ id: tenantKeyId(previousId, tenant), key: deriveTenantKey(previousKey, tenant) })),
+                tenant
+            })
+        }
+
+        const supplied = await this.provider.tenantKey(tenant)
+        if (supplied === undefined || supplied === null) {
+            throw new Error(`cds-caching: the tenant key provider has no encryption key for tenant ${tenant}.`)
+        }
+        const record = typeof supplied === 'object' && !Buffer.isBuffer(supplied) ? supplied : { key: supplied }
+        const key = parseKey(record.key)
+        return new ValueCipher(key, {
+            id: tenantKeyId(record.id === undefined ? deriveKeyId(key) : parseKeyId(record.id), tenant),
+            previousKeys: resolvePreviousKeys(record).map(previous => ({ id: tenantKeyId(previous.id, tenant), key: previous.key })),
+            tenant
+        })
+    }
+}
+
+/**
+ * Previous keys of the keyring, from `encryption.previousKeys`: key material,
+ * or `{ id, key }` / `{ id, keyEnv }` records. Keys without an ID get the one
+ * derived from them, which is the ID they were given while they were current.
+ *
+ * @param {object} config - The `encryption` option
+ * @returns {Array<{ id: string, key: Buffer }>}
+ * @throws {Error} When a previous key is unusable or its variable is not set
+ */
+function resolvePreviousKeys(config) {
+    const entries = config.previousKeys ?? []
+    if (!Array.isArray(entries)) {
+        throw new Error('cds-caching: encryption.previousKeys must be a list of keys.')
+    }
+
+    return entries.map(entry => {
+        const record = typeof entry === 'object' && entry !== null ? entry : { key: entry }
+        let material = record.key
+        if (record.keyEnv) {
+            material = process.env[record.keyEnv]
+            if (typeof material !== 'string' || !material.trim()) {
+                throw new Error(
+                    `cds-caching: encryption.previousKeys names "${record.keyEnv}", but that environment ` +
+                    `variable is unset or empty. Remove the key from previousKeys once no entries need it.`
+                )
+            }
+        }
+        const key = parseKey(material)
+        return { id: record.id === undefined ? deriveKeyId(key) : parseKeyId(record.id), key }
+    })
+}
+
 /**
  * Build a cipher from cache options, or `null` when encryption is not configured.
+ * With `encryption.tenantKeys`, the cipher holds a keyring per tenant: `true`
+ * derives them from the configured keys, `{ provider, keyTtl }` asks a key
+ * provider, in which case no key needs to be configured.
  *
  * Misconfiguration throws rather than falling back: a cache that was meant to be
  * encrypted and silently is not would be worse than one that refuses to start.
  *
  * @param {object} [options={}] - Cache service options
- * @returns {ValueCipher|null}
+ * @returns {ValueCipher|TenantCiphers|null}
  * @throws {Error} When encryption is configured but the key is unusable
  */
 function createValueCipher(options = {}) {
@@ -185,7 +446,21 @@ function createValueCipher(options = {}) {
 
     if (config.enabled === false) return null
 
-    return new ValueCipher(parseKey(resolveKeyMaterial(options)))
+    const tenantKeys = config.tenantKeys
+    if (tenantKeys && typeof tenantKeys === 'object') {
+        if (typeof tenantKeys.provider?.tenantKey !== 'function') {
+            throw new Error('cds-caching: encryption.tenantKeys needs a provider with a tenantKey(tenant) function, or true to derive the keys.')
+        }
+        const keyTtl = Number(tenantKeys.keyTtl) >= 0 ? Number(tenantKeys.keyTtl) : TENANT_KEY_TTL
+        return new TenantCiphers({ provider: tenantKeys.provider, keyTtl })
+    }
+
+    const key = parseKey(resolveKeyMaterial(options))
+    const cipher = new ValueCipher(key, {
+        id: config.keyId === undefined ? deriveKeyId(key) : parseKeyId(config.keyId),
+        previousKeys: resolvePreviousKeys(config)
+    })
+    return tenantKeys ? new TenantCiphers({ cipher }) : cipher
 }
 
 /**
@@ -209,8 +484,12 @@ module.exports = {
     PREFIX,
     CREDENTIAL_KEY,
     ValueCipher,
+    TenantCiphers,
     parseKey,
+    deriveKeyId,
+    deriveTenantKey,
     resolveKeyMaterial,
+    resolvePreviousKeys,
     createValueCipher,
     storeCredentials,
 }
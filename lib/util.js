@@ -1,6 +1,7 @@
 const cds = require("@sap/cds")
 const { isMultitenantMode } = require("./support/MultitenancyDetector")
 const { normalizeCachingConfig } = require("./config-normalizer")
+const { resolveWarmupOptions, annotatedWarmups, runWarmup } = require("./support/Warmup")
 
 let _modelAvailable = null;
 
@@ -83,13 +84,27 @@ const bindFunction = async (service, action, isBound = false) => {
             const { result, cacheKey } = await cache.rt.run(req, next, {
                 ttl: action['@cache.ttl'],
                 tags: action['@cache.tags'],
-                key: extractCacheProperties(action, 'key')
+                key: extractCacheProperties(action, 'key'),
+                staleWhileRevalidate: action['@cache.swr'],
+                staleIfError: action['@cache.staleIfError'],
+                ttlJitter: action['@cache.ttlJitter'],
+                earlyRefresh: action['@cache.earlyRefresh'],
+                negativeTtl: action['@cache.negativeTtl']
             });
             return result;
         })
     })
 }
 
+/**
+ * Schema fingerprint of a cached definition, as the cache it is cached in
+ * computes it. Computed once at startup; requests reuse it.
+ */
+const fingerprintOf = async (definition) => {
+    const cache = await cds.connect.to(definition['@cache.service'] || "caching");
+    return cache.schemaFingerprint?.(definition);
+};
+
 const ENTITY_TAG_PREFIX = 'entity:';
 
 const getEntityTag = (entity) => `${ENTITY_TAG_PREFIX}${entity.name}`;
@@ -108,7 +123,12 @@ const bindEntity = async (service, entity) => {
             const { result, cacheKey } = await cache.rt.run(req, next, {
                 ttl: entity['@cache.ttl'],
                 tags,
-                key: extractCacheProperties(entity, 'key')
+                key: extractCacheProperties(entity, 'key'),
+                staleWhileRevalidate: entity['@cache.swr'],
+                staleIfError: entity['@cache.staleIfError'],
+                ttlJitter: entity['@cache.ttlJitter'],
+                earlyRefresh: entity['@cache.earlyRefresh'],
+                negativeTtl: entity['@cache.negativeTtl']
             });
             return result;
         })
@@ -183,6 +203,14 @@ const scanCachingAnnotations = async (srvs) => {
         }
     }
 
+    /** @type {Map<string, object[]>} cache name → warm-up reads from annotations */
+    const warmups = new Map();
+    const addWarmups = (definition, reads) => {
+        if (!reads.length) return;
+        const cacheName = definition['@cache.service'] || "caching";
+        warmups.set(cacheName, [...(warmups.get(cacheName) || []), ...reads]);
+    };
+
     for (const service of services) {
         let cacheConfig = {};
 
@@ -191,13 +219,20 @@ const scanCachingAnnotations = async (srvs) => {
             if (Object.keys(action).some(key => key.startsWith('@cache')) && action.kind === 'function') {
                 LOG._debug && LOG.debug(`Caching enabled for function ${action.name}`);
                 await bindFunction(service, action);
+                addWarmups(action, annotatedWarmups(service, action, extractCacheProperties(action, 'warmup')));
 
                 // Collect cache configuration
                 cacheConfig.functions = cacheConfig.functions || {};
                 cacheConfig.functions[action.name] = {
                     ttl: action['@cache.ttl'],
                     tags: action['@cache.tags'],
-                    key: extractCacheProperties(action, 'key')
+                    key: extractCacheProperties(action, 'key'),
+                    staleWhileRevalidate: action['@cache.swr'],
+                    staleIfError: action['@cache.staleIfError'],
+                    ttlJitter: action['@cache.ttlJitter'],
+                    earlyRefresh: action['@cache.earlyRefresh'],
+                    negativeTtl: action['@cache.negativeTtl'],
+                    fingerprint: await fingerprintOf(action)
                 };
             }
         }
@@ -206,6 +241,7 @@ const scanCachingAnnotations = async (srvs) => {
         for (const entity of service.entities) {
             if (Object.keys(entity).some(key => key.startsWith('@cache'))) {
                 await bindEntity(service, entity);
+                addWarmups(entity, annotatedWarmups(service, entity, entity['@cache.warmup']));
                 LOG._debug && LOG.debug(`Caching enabled for entity ${entity.name}`);
 
                 // Collect cache configuration
@@ -214,7 +250,13 @@ const scanCachingAnnotations = async (srvs) => {
                     ttl: entity['@cache.ttl'],
                     tags: entity['@cache.tags'],
                     key: extractCacheProperties(entity, 'key'),
-                    invalidateOnWrite: entity['@cache.invalidateOnWrite'] || false
+                    staleWhileRevalidate: entity['@cache.swr'],
+                    staleIfError: entity['@cache.staleIfError'],
+                    ttlJitter: entity['@cache.ttlJitter'],
+                    earlyRefresh: entity['@cache.earlyRefresh'],
+                    negativeTtl: entity['@cache.negativeTtl'],
+                    invalidateOnWrite: entity['@cache.invalidateOnWrite'] || false,
+                    fingerprint: await fingerprintOf(entity)
                 };
             }
 
@@ -229,7 +271,13 @@ const scanCachingAnnotations = async (srvs) => {
                     cacheConfig.boundFunctions[`${entity.name}.${action.name}`] = {
                         ttl: action['@cache.ttl'],
                         tags: action['@cache.tags'],
-                        key: extractCacheProperties(action, 'key')
+                        key: extractCacheProperties(action, 'key'),
+                        staleWhileRevalidate: action['@cache.swr'],
+                        staleIfError: action['@cache.staleIfError'],
+                        ttlJitter: action['@cache.ttlJitter'],
+                        earlyRefresh: action['@cache.earlyRefresh'],
+                        negativeTtl: action['@cache.negativeTtl'],
+                        fingerprint: await fingerprintOf(action)
                     };
                 }
             }
@@ -245,6 +293,35 @@ const scanCachingAnnotations = async (srvs) => {
             await createCacheEntry(service.name, service);
         }
     }
+
+    await warmUpCaches(warmups);
+}
+
+/**
+ * Warm up every cache with the reads of its `warmup` option and of the
+ * annotations that name it. Runs once all services are served, before the
+ * server accepts requests. Caches warm up side by side, so the startup waits
+ * no longer than the longest `warmup.timeout`.
+ * @param {Map<string, object[]>} annotated - cache name → warm-up reads from annotations
+ */
+const warmUpCaches = async (annotated) => {
+    const log = cds.log('cds-caching');
+    const cacheNames = new Set(annotated.keys());
+    for (const [name, config] of Object.entries(cds.env.requires)) {
+        if (config?.impl === 'cds-caching' && config.warmup) cacheNames.add(name);
+    }
+
+    await Promise.all(Array.from(cacheNames, async (cacheName) => {
+        try {
+            const cache = await cds.connect.to(cacheName);
+            const options = resolveWarmupOptions(cache.options?.warmup);
+            if (!options) return;
+            const { concurrency, timeout, tenants, queries } = options;
+            await runWarmup(cacheName, [...(annotated.get(cacheName) || []), ...queries], { concurrency, timeout, tenants, log });
+        } catch (error) {
+            log.warn(`Cache warm-up of ${cacheName} failed:`, error);
+        }
+    }));
 }
 
 module.exports = { scanCachingAnnotations, isPluginModelAvailable }
\ No newline at end of file
@@ -8,9 +8,18 @@ const DEFAULT_TENANT = '_default';
 const MAX_ENTRIES_PER_PAGE = 1000;
 const DEFAULT_ENTRIES_PER_PAGE = 100;
 
+/** Milliseconds until an entry expires, `null` when it does not expire. */
+const remainingTtl = (expiresAt) => expiresAt ? Math.max(0, expiresAt - Date.now()) : null;
+
+/** JSON for display; BigInts, which a `structured` or `msgpack` cache keeps, as strings. */
+const displayJson = (value) => JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+
 /** Upper bound for a single `setEntry` value, in bytes. */
 const MAX_ENTRY_VALUE_BYTES = 1024 * 1024;
 
+/** Upper bound for the snapshots of `exportEntries` and `importEntries`, in bytes. */
+const MAX_SNAPSHOT_BYTES = 10 * 1024 * 1024;
+
 class CachingApiService extends cds.ApplicationService {
     log = cds.log('cds-caching');
 
@@ -72,9 +81,11 @@ class CachingApiService extends cds.ApplicationService {
                     if (seen++ < offset) continue;
                     entries.push({
                         entryKey: key,
-                        value: JSON.stringify(value.value),
+                        value: displayJson(value.value),
                         timestamp: value.timestamp,
                         tags: value.tags,
+                        expiresAt: value.expiresAt ?? null,
+                        remainingTtl: remainingTtl(value.expiresAt),
                     });
                     if (entries.length >= limit) break;
                 }
@@ -90,11 +101,23 @@ class CachingApiService extends cds.ApplicationService {
             const { key } = req.data;
             const cacheService = await this._connectToCache(req);
             const value = await cacheService.get(key);
+            const metadata = value === undefined ? null : await cacheService.metadata(key);
             return {
                 value: value,
+                timestamp: metadata?.timestamp,
+                tags: metadata?.tags,
+                expiresAt: metadata?.expiresAt ?? null,
+                remainingTtl: remainingTtl(metadata?.expiresAt),
             };
         });
 
+        // Handle getScopeMetrics function
+        this.on('getScopeMetrics', async (req) => {
+            const cacheService = await this._connectToCache(req);
+            const stats = await cacheService.getCurrentMetrics();
+            return stats?.scopes ?? [];
+        });
+
         // Handle setCacheEntry action
         this.on('setEntry', async (req) => {
             const { key, value, ttl } = req.data;
@@ -110,6 +133,54 @@ class CachingApiService extends cds.ApplicationService {
             return true;
         });
 
+        // Handle exportEntries function
+        this.on('exportEntries', async (req) => {
+            const { tag, prefix } = req.data;
+            const cacheService = await this._connectToCache(req);
+
+            // Collected in memory, so bounded like `getEntries`; larger caches
+            // are exported with `cache.export()` to a stream instead.
+            const chunks = [];
+            let size = 0;
+            const collector = {
+                write(chunk) {
+                    size += Buffer.byteLength(chunk, 'utf8');
+                    if (size > MAX_SNAPSHOT_BYTES) {
+                        throw new Error(`Snapshot exceeds the maximum of ${MAX_SNAPSHOT_BYTES} bytes; export the cache with cache.export() instead`);
+                    }
+                    chunks.push(chunk);
+                    return true;
+                }
+            };
+
+            try {
+                await cacheService.export(collector, { tag: tag || undefined, prefix: prefix || undefined });
+            } catch (error) {
+                return req.reject(400, `Failed to export cache entries: ${error.message}`);
+            }
+            return chunks.join('');
+        });
+
+        // Handle importEntries action
+        this.on('importEntries', async (req) => {
+            const { snapshot, ttl } = req.data;
+            const cacheService = await this._connectToCache(req);
+
+            const size = Buffer.byteLength(String(snapshot ?? ''), 'utf8');
+            if (size > MAX_SNAPSHOT_BYTES) {
+                return req.reject(400, `Snapshot exceeds the maximum of ${MAX_SNAPSHOT_BYTES} bytes (got ${size})`);
+            }
+
+            let result;
+            try {
+                result = await cacheService.import(String(snapshot ?? ''), { ttl: ttl ?? undefined });
+            } catch (error) {
+                return req.reject(400, `Failed to import cache entries: ${error.message}`);
+            }
+            req.info(`Imported ${result.imported} cache entries into ${this._cacheName(req)}, skipped ${result.skipped}`);
+            return result.imported;
+        });
+
         // Handle deleteCacheEntry action
         this.on('deleteEntry', async (req) => {
             const { key } = req.data;
@@ -128,6 +199,28 @@ class CachingApiService extends cds.ApplicationService {
             return true;
         });
 
+        // Handle rotateEncryption action
+        this.on('rotateEncryption', async (req) => {
+            const cacheService = await this._connectToCache(req);
+            const cache = this._cacheName(req);
+            if (!cacheService.cipher) {
+                return req.reject(400, `Cache ${cache} does not encrypt its values`);
+            }
+
+            // Rewriting every entry takes as long as the cache is large, so it runs
+            // as a background job under the caller's tenant and logs its outcome.
+            cds.spawn({ tenant: req.tenant, user: cds.User.privileged }, async () => {
+                try {
+                    await cacheService.rotateEncryption();
+                } catch (error) {
+                    this.log.error(`Failed to rotate the encryption key of cache ${cache}:`, error);
+                }
+            });
+            const cipher = await cacheService.currentCipher();
+            req.info(`Rotating cache ${cache} to encryption key ${cipher.id} in the background`);
+            return true;
+        });
+
         // Handle clearKeyMetrics action
         this.on('clearKeyMetrics', async (req) => {
             const cacheService = await this._connectToCache(req);
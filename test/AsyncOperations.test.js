@@ -1220,4 +1220,126 @@ describe('AsyncOperations', () => {
         })
 
     })
+
+    describe('concurrent misses', () => {
+
+        it("should call the function once for concurrent misses on the same key", async () => {
+            let executionCount = 0;
+            const expensiveOperation = async () => {
+                executionCount++;
+                await new Promise(resolve => setTimeout(resolve, 50));
+                return "shared";
+            }
+
+            const results = await Promise.all([1, 2, 3].map(() => cache.rt.exec("flight-key", expensiveOperation)));
+
+            expect(executionCount).to.equal(1);
+            expect(results.map(r => r.result)).to.eql(["shared", "shared", "shared"]);
+            expect(results.filter(r => r.metadata.coalesced)).to.have.length(2);
+            expect(results.every(r => r.metadata.hit === false)).to.be.true;
+        })
+
+        it("should fail every waiting caller when the shared call fails", async () => {
+            let executionCount = 0;
+            const failingOperation = async () => {
+                executionCount++;
+                await new Promise(resolve => setTimeout(resolve, 20));
+                throw new Error("backend down");
+            }
+
+            const outcomes = await Promise.allSettled([1, 2].map(() => cache.rt.exec("flight-fail", failingOperation)));
+
+            expect(executionCount).to.equal(1);
+            expect(outcomes.map(o => o.status)).to.eql(["rejected", "rejected"]);
+            expect(outcomes[1].reason.message).to.equal("backend down");
+        })
+
+        it("should call the function per caller for different keys", async () => {
+            let executionCount = 0;
+            const expensiveOperation = async (value) => {
+                executionCount++;
+                await new Promise(resolve => setTimeout(resolve, 20));
+                return value;
+            }
+            const cachedOperation = cache.rt.wrap("flight-args", expensiveOperation);
+
+            await Promise.all([cachedOperation("a"), cachedOperation("b")]);
+
+            expect(executionCount).to.equal(2);
+        })
+    })
+
+    describe('getOrSet', () => {
+
+        it("should load and store a value under the given key", async () => {
+            let loads = 0;
+            const loader = async () => { loads++; return { ID: "1000001" }; }
+
+            const first = await cache.getOrSet("bp:1000001", loader, { ttl: 60000 });
+            const second = await cache.getOrSet("bp:1000001", loader, { ttl: 60000 });
+
+            expect(loads).to.equal(1);
+            expect(first.metadata.hit).to.be.false;
+            expect(second.metadata.hit).to.be.true;
+            expect(second.result).to.eql({ ID: "1000001" });
+            expect(first.cacheKey).to.equal(cache.createKey("bp:1000001"));
+            expect(await cache.get("bp:1000001")).to.eql({ ID: "1000001" });
+        })
+
+        it("should resolve tag templates against the loaded value", async () => {
+            await cache.getOrSet("bp-list", async () => [{ ID: "1" }, { ID: "2" }], {
+                tags: [{ data: "ID", prefix: "bp-" }, "partners"]
+            });
+
+            expect(await cache.tags("bp-list")).to.have.members(["bp-1", "bp-2", "partners"]);
+            await cache.deleteByTag("bp-2");
+            expect(await cache.has("bp-list")).to.be.false;
+        })
+
+        it("should apply the ttl", async () => {
+            await cache.getOrSet("short-lived", async () => "value", { ttl: 50 });
+            await new Promise(resolve => setTimeout(resolve, 80));
+
+            const { metadata } = await cache.getOrSet("short-lived", async () => "reloaded", { ttl: 50 });
+            expect(metadata.hit).to.be.false;
+        })
+
+        it("should share one load between concurrent misses", async () => {
+            let loads = 0;
+            const loader = async () => {
+                loads++;
+                await new Promise(resolve => setTimeout(resolve, 20));
+                return "shared";
+            }
+
+            const results = await Promise.all([1, 2, 3].map(() => cache.getOrSet("aside-flight", loader)));
+
+            expect(loads).to.equal(1);
+            expect(results.map(r => r.result)).to.eql(["shared", "shared", "shared"]);
+        })
+
+        it("should not store anything when the loader fails", async () => {
+            const loader = async () => { throw new Error("backend down"); }
+
+            await expect(cache.getOrSet("aside-fail", loader)).to.be.rejectedWith("backend down");
+            expect(await cache.has("aside-fail")).to.be.false;
+        })
+
+        it("should require a loader function", async () => {
+            await expect(cache.getOrSet("aside-missing")).to.be.rejectedWith(/loader/);
+        })
+
+        it("should load without caching when no key can be created", async () => {
+            let loads = 0;
+            const loader = async () => ++loads;
+
+            const first = await cache.getOrSet(DELETE.from("AppService.Foo").where({ ID: 1 }), loader);
+            const second = await cache.getOrSet(UPDATE("AppService.Foo").set({ name: "x" }).where({ ID: 2 }), loader);
+
+            expect(loads).to.equal(2);
+            expect(first).to.include({ result: 1, cacheKey: null });
+            expect(second).to.include({ result: 2, cacheKey: null });
+            expect(second.metadata.hit).to.be.false;
+        })
+    })
 })
\ No newline at end of file
@@ -106,6 +106,191 @@ describe('CachingService', () => {
                 const value2 = await cache.get("key");
                 expect(value2).to.eql(["value", "value2"]);
             })
+
+            it("should report the remaining ttl", async () => {
+                await cache.set("key", "value", { ttl: 60000 });
+                await cache.set("forever", "value");
+
+                expect(await cache.ttl("key")).to.be.within(59000, 60000);
+                expect(await cache.ttl("forever")).to.equal(Infinity);
+                expect(await cache.ttl("missing")).to.be.null;
+            })
+
+            it("should record the expiry in the metadata", async () => {
+                const before = Date.now();
+                await cache.set("key", "value", { ttl: 60000 });
+                await cache.setMany([{ key: "many", value: "value", ttl: 60000 }]);
+                await cache.set("forever", "value");
+
+                expect((await cache.metadata("key")).expiresAt).to.be.within(before + 60000, Date.now() + 60000);
+                expect((await cache.metadata("many")).expiresAt).to.be.within(before + 60000, Date.now() + 60000);
+                expect(await cache.metadata("forever")).to.not.have.property('expiresAt');
+            })
+
+            it("should extend an entry with touch", async () => {
+                await cache.set("key", "value", { ttl: 1000, tags: ["tag"] });
+
+                expect(await cache.touch("key", 60000)).to.be.true;
+                await new Promise(resolve => setTimeout(resolve, 1500));
+                expect(await cache.get("key")).to.eql("value");
+                expect(await cache.ttl("key")).to.be.within(58000, 60000);
+                expect(await cache.tags("key")).to.eql(["tag"]);
+            })
+
+            it("should remove the expiry with touch and ttl 0", async () => {
+                await cache.set("key", "value", { ttl: 60000 });
+
+                await cache.touch("key", 0);
+                expect(await cache.ttl("key")).to.equal(Infinity);
+            })
+
+            it("should shorten an entry with touch", async () => {
+                await cache.set("key", "value");
+
+                await cache.touch("key", 200);
+                await new Promise(resolve => setTimeout(resolve, 400));
+                expect(await cache.get("key")).to.be.undefined;
+            })
+
+            it("should not create entries with touch", async () => {
+                expect(await cache.touch("missing", 60000)).to.be.false;
+                expect(await cache.has("missing")).to.be.false;
+            })
+
+            it("should keep the stale window of read-through entries", async () => {
+                await cache.rt.exec("swr", async () => "value", [], { ttl: 1000, staleWhileRevalidate: 5000 });
+                const { freshUntil, expiresAt } = await cache.metadata("swr");
+                expect(expiresAt - freshUntil).to.be.within(5000, 5100);
+
+                await cache.touch("swr", 60000);
+                const touched = await cache.metadata("swr");
+                expect(touched.expiresAt - touched.freshUntil).to.equal(expiresAt - freshUntil);
+                expect(touched.freshUntil).to.be.above(freshUntil + 50000);
+            })
+
+            it("should keep a write that comes in between with touch", async () => {
+                await cache.set("key", "old", { ttl: 1000 });
+                const read = cache.conditionalWrites.read;
+                cache.conditionalWrites.read = async (...args) => {
+                    const stored = await read.apply(cache.conditionalWrites, args);
+                    cache.conditionalWrites.read = read;
+                    await cache.compareAndSet("key", 0, "new", { ttl: 1000 });
+                    return stored;
+                };
+                const events = [];
+                cache.on("set", msg => { events.push(msg.data) });
+                try {
+                    expect(await cache.touch("key", 60000)).to.be.true;
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                } finally {
+                    cache.conditionalWrites.read = read;
+                    cache.handlers.on = cache.handlers.on.filter(handler => handler.on !== "set");
+                }
+
+                expect(await cache.get("key")).to.eql("new");
+                expect((await cache.metadata("key")).version).to.equal(1);
+                expect(await cache.ttl("key")).to.be.within(58000, 60000);
+                expect(events).to.have.length(1);
+            })
+
+            it("should keep a touched entry in its tags beyond its previous expiry", async () => {
+                await cache.set("key", "value", { ttl: 200, tags: ["tag"] });
+
+                await cache.touch("key", 60000);
+                await new Promise(resolve => setTimeout(resolve, 400));
+                await cache.deleteByTag("tag");
+                expect(await cache.get("key")).to.be.undefined;
+            })
+        })
+
+        describe('bulk operations', () => {
+            it("should set and get several values at once", async () => {
+                await cache.setMany([
+                    { key: "a", value: { v: 1 } },
+                    { key: "b", value: "two" }
+                ]);
+
+                const values = await cache.getMany(["a", "missing", "b"]);
+                expect(values).to.eql([{ v: 1 }, undefined, "two"]);
+                expect(await cache.get("a")).to.eql({ v: 1 });
+            })
+
+            it("should apply shared options and let entries override them", async () => {
+                await cache.setMany([
+                    { key: "a", value: 1 },
+                    { key: "b", value: 2, tags: ["other"] }
+                ], { tags: ["shared"] });
+
+                expect(await cache.tags("a")).to.eql(["shared"]);
+                expect(await cache.tags("b")).to.eql(["other"]);
+
+                await cache.deleteByTag("shared");
+                expect(await cache.getMany(["a", "b"])).to.eql([undefined, 2]);
+            })
+
+            it("should record the options applied to each entry", async () => {
+                const recorded = [];
+                const statistics = cache.basicOperations.statistics;
+                const recordNativeSet = statistics.recordNativeSet;
+                statistics.recordNativeSet = (key, metadata) => recorded.push(JSON.parse(metadata.cacheOptions));
+                try {
+                    await cache.setMany([
+                        { key: "a", value: 1 },
+                        { key: "b", value: 2, ttl: 100, tags: ["other"] }
+                    ], { ttl: 60000, tags: ["shared"] });
+                } finally {
+                    statistics.recordNativeSet = recordNativeSet;
+                }
+
+                expect(recorded).to.eql([
+                    { ttl: 60000, tags: ["shared"] },
+                    { ttl: 100, tags: ["other"] }
+                ]);
+            })
+
+            it("should respect per-entry ttls", async () => {
+                await cache.setMany([
+                    { key: "short", value: 1, ttl: 100 },
+                    { key: "long", value: 2 }
+                ]);
+
+                await new Promise(resolve => setTimeout(resolve, 200));
+                expect(await cache.getMany(["short", "long"])).to.eql([undefined, 2]);
+            })
+
+            it("should delete several keys at once", async () => {
+                await cache.setMany([
+                    { key: "a", value: 1 },
+                    { key: "b", value: 2 },
+                    { key: "c", value: 3 }
+                ]);
+
+                await cache.deleteMany(["a", "c"]);
+                expect(await cache.getMany(["a", "b", "c"])).to.eql([undefined, 2, undefined]);
+            })
+
+            it("should accept object keys like the single-key operations", async () => {
+                await cache.setMany([{ key: { id: 1 }, value: "one" }]);
+                expect(await cache.getMany([{ id: 1 }])).to.eql(["one"]);
+                expect(await cache.get({ id: 1 })).to.eql("one");
+            })
+
+            it("should not call the store for empty batches", async () => {
+                const origSend = cache.send.bind(cache);
+                let sendCalls = 0;
+                cache.send = async (...args) => {
+                    sendCalls++;
+                    return origSend(...args);
+                };
+
+                await cache.setMany([]);
+                expect(await cache.getMany([])).to.eql([]);
+                expect(await cache.deleteMany([])).to.eql(false);
+
+                expect(sendCalls).to.equal(0);
+
+                cache.send = origSend;
+            })
         })
 
         describe('deleteByTag', () => {     
@@ -2,6 +2,7 @@ const cds = require('@sap/cds');
 const test = cds.test().in(__dirname + '/app/')
 const { GET, POST, expect, axios } = test
 const { describeFromCds } = require('./helpers/cds-version')
+const { ValueCipher, parseKey } = require('../lib/support/valueEncryption')
 
 // CachingApiService requires an authenticated user, so every call in this suite
 // needs credentials. See the `auth` block in test/app/package.json.
@@ -93,6 +94,20 @@ describeFromCds(9, 'Caching API Service', () => {
                 expect(taggedEntry.tags).to.include("user-123");
                 expect(taggedEntry.tags).to.include("product-456");
             })
+
+            it("should report when entries expire", async () => {
+                await cache.set("expiring:entry", "value", { ttl: 60000 });
+                await cache.set("lasting:entry", "value");
+
+                const { data } = await GET('/odata/v4/caching-api/Caches(\'caching\')/getEntries()');
+
+                const expiring = data.value.find(entry => entry.entryKey === "expiring:entry");
+                expect(expiring.expiresAt).to.be.above(Date.now());
+                expect(expiring.remainingTtl).to.be.within(50000, 60000);
+                const lasting = data.value.find(entry => entry.entryKey === "lasting:entry");
+                expect(lasting.expiresAt).to.be.null;
+                expect(lasting.remainingTtl).to.be.null;
+            })
         })
 
         describe('getEntry', () => {
@@ -112,6 +127,18 @@ describeFromCds(9, 'Caching API Service', () => {
                 expect(data.value).to.be.undefined;
             })
 
+            it("should return the metadata and remaining ttl of the entry", async () => {
+                await cache.set("test:ttl:entry", "value", { ttl: 60000, tags: ["tag1"] });
+
+                const { data } = await GET('/odata/v4/caching-api/Caches(\'caching\')/getEntry(key=\'test:ttl:entry\')');
+
+                expect(data.value).to.equal("value");
+                expect(data.tags).to.eql(["tag1"]);
+                expect(data.timestamp).to.be.a('number');
+                expect(data.expiresAt).to.be.above(Date.now());
+                expect(data.remainingTtl).to.be.within(50000, 60000);
+            })
+
             it("should handle complex objects", async () => {
                 const complexObject = {
                     string: "test",
@@ -419,6 +446,86 @@ describeFromCds(9, 'Caching API Service', () => {
                 expect(keyMetrics.size).to.equal(0);
             })
         })
+
+        describe('getScopeMetrics', () => {
+
+            it("should return the current metrics of each scope", async () => {
+                await cache.setMetricsEnabled(true);
+                const pricing = cache.scope("api-pricing");
+                await pricing.set("list", "value");
+                await pricing.get("list");
+                await pricing.get("missing");
+
+                const { data } = await GET('/odata/v4/caching-api/Caches(\'caching\')/getScopeMetrics()');
+
+                const row = data.value.find(scope => scope.scope === "api-pricing");
+                expect(row).to.include({ nativeSets: 1, nativeGets: 2 });
+            })
+        })
+    })
+
+    // ============================================================================
+    // SNAPSHOTS
+    // ============================================================================
+
+    describe('Snapshots', () => {
+
+        it("should export the entries of a tag as NDJSON", async () => {
+            await cache.set("snapshot:1", { id: 1 }, { tags: ["snapshot"] });
+            await cache.set("snapshot:2", "other");
+
+            const { data } = await GET('/odata/v4/caching-api/Caches(\'caching\')/exportEntries(tag=\'snapshot\',prefix=null)');
+
+            const lines = data.value.trim().split("\n").map(line => JSON.parse(line));
+            expect(lines).to.have.length(2);
+            expect(lines[0]).to.include({ format: "cds-caching-snapshot", cache: "caching" });
+            expect(lines[1]).to.include({ key: "snapshot:1" });
+        })
+
+        it("should import an exported snapshot", async () => {
+            await cache.set("snapshot:1", "value", { tags: ["snapshot"] });
+            const { data: exported } = await GET('/odata/v4/caching-api/Caches(\'caching\')/exportEntries(tag=null,prefix=null)');
+            await cache.clear();
+
+            const { data } = await POST('/odata/v4/caching-api/Caches(\'caching\')/importEntries', { snapshot: exported.value, ttl: 5000 });
+
+            expect(data.value).to.equal(1);
+            expect(await cache.get("snapshot:1")).to.equal("value");
+            expect(await cache.tags("snapshot:1")).to.eql(["snapshot"]);
+            expect(await cache.ttl("snapshot:1")).to.be.within(1, 5000);
+        })
+
+        it("should reject input that is not a snapshot", async () => {
+            const error = await POST('/odata/v4/caching-api/Caches(\'caching\')/importEntries', { snapshot: '{"key":"a"}' }).catch(error => error);
+            expect(error.response.status).to.equal(400);
+        })
+    })
+
+    // ============================================================================
+    // ENCRYPTION
+    // ============================================================================
+
+    describe('rotateEncryption', () => {
+
+        it("should rewrite entries of previous keys in the background", async () => {
+            const rotated = await cds.connect.to("caching-rotated");
+            await rotated.clear();
+            const before = new ValueCipher(parseKey("5Ov0Yy5oCUu0Ml2Q4hVvJ0/xoPy1zRb6xkYhWJ7VYYA="), { id: "2024-01" });
+            await rotated.cache.set(rotated.createKey("old"), JSON.stringify({ value: before.encrypt('"value"'), tags: [], timestamp: Date.now() }), 0);
+
+            const { data } = await POST('/odata/v4/caching-api/Caches(\'caching-rotated\')/rotateEncryption', {});
+            expect(data.value).to.be.true;
+
+            await new Promise(resolve => setTimeout(resolve, 200));
+            const stored = JSON.parse(await rotated.cache.get(rotated.createKey("old")));
+            expect(ValueCipher.keyIdOf(stored.value)).to.equal("2024-06");
+            expect(await rotated.get("old")).to.equal("value");
+        })
+
+        it("should reject caches that do not encrypt", async () => {
+            const error = await POST('/odata/v4/caching-api/Caches(\'caching\')/rotateEncryption', {}).catch(error => error);
+            expect(error.response.status).to.equal(400);
+        })
     })
 
     // ============================================================================
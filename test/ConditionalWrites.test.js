@@ -0,0 +1,136 @@
+const cds = require('@sap/cds')
+const { expect } = cds.test(__dirname + '/app')
+
+const { LocalConditionalWrites } = require('../lib/support/ConditionalWrites')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('ConditionalWrites', () => {
+
+	describe('LocalConditionalWrites', () => {
+
+		it('writes only over the expected data', async () => {
+			const writes = new LocalConditionalWrites(new Map())
+			expect(await writes.replace('k', undefined, 'a')).to.be.true
+			expect(await writes.replace('k', undefined, 'b')).to.be.false
+			expect(await writes.replace('k', 'b', 'c')).to.be.false
+			expect(await writes.replace('k', 'a', 'c')).to.be.true
+			expect(await writes.read('k')).to.equal('c')
+		})
+
+		it('lets one of several concurrent writers win', async () => {
+			const map = new Map()
+			// A store that answers asynchronously, so unqueued writes would interleave
+			const store = {
+				get: async (key) => { await sleep(1); return map.get(key) },
+				set: async (key, value) => { await sleep(1); map.set(key, value) }
+			}
+			const writes = new LocalConditionalWrites(store)
+			const results = await Promise.all(['a', 'b', 'c', 'd'].map(data => writes.replace('k', undefined, data)))
+			expect(results.filter(Boolean)).to.have.length(1)
+			expect(writes._queues.size).to.equal(0)
+		})
+	})
+
+	for (const name of ['caching', 'caching-cds', 'caching-encrypted', 'caching-tiered']) {
+
+		describe(name, () => {
+			let cache
+
+			beforeEach(async () => {
+				cache = await cds.connect.to(name)
+				await cache.clear()
+			})
+
+			it('sets a value only if the key is absent', async () => {
+				expect(await cache.setIfAbsent('token', 'first', { tags: ['tokens'] })).to.be.true
+				expect(await cache.setIfAbsent('token', 'second')).to.be.false
+
+				expect(await cache.get('token')).to.equal('first')
+				const metadata = await cache.metadata('token')
+				expect(metadata.version).to.equal(1)
+				expect(metadata.tags).to.eql(['tokens'])
+			})
+
+			it('sets a value over an expired entry', async () => {
+				await cache.set('expiring', 'old', { ttl: 50 })
+				await sleep(100)
+				expect(await cache.setIfAbsent('expiring', 'new', { ttl: 60000 })).to.be.true
+				expect(await cache.get('expiring')).to.equal('new')
+				expect(await cache.ttl('expiring')).to.be.above(50000)
+			})
+
+			it('compares and sets by version', async () => {
+				await cache.set('job', { state: 'queued' })
+				expect((await cache.metadata('job')).version).to.be.undefined
+
+				expect(await cache.compareAndSet('job', 0, { state: 'running' })).to.be.true
+				expect(await cache.compareAndSet('job', 0, { state: 'stolen' })).to.be.false
+				expect(await cache.compareAndSet('job', 1, { state: 'done' })).to.be.true
+
+				expect(await cache.get('job')).to.eql({ state: 'done' })
+				expect((await cache.metadata('job')).version).to.equal(2)
+			})
+
+			it('does not compare and set missing entries', async () => {
+				expect(await cache.compareAndSet('missing', 0, 'value')).to.be.false
+				expect(await cache.has('missing')).to.be.false
+			})
+
+			it('lets one of several concurrent writers win', async () => {
+				const results = await Promise.all([1, 2, 3, 4, 5].map(i => cache.setIfAbsent('race', i)))
+				expect(results.filter(Boolean)).to.have.length(1)
+				expect(await cache.get('race')).to.equal(results.indexOf(true) + 1)
+			})
+		})
+	}
+
+	it('rejects invalid versions', async () => {
+		const cache = await cds.connect.to('caching')
+		await expect(cache.compareAndSet('key', -1, 'value')).to.be.rejectedWith(/version/)
+		await expect(cache.compareAndSet('key', '1', 'value')).to.be.rejectedWith(/version/)
+	})
+
+	it('drops the replaced entry from the L1', async () => {
+		const cache = await cds.connect.to('caching-tiered')
+		await cache.clear()
+		await cache.set('cached', 'old')
+		expect(await cache.get('cached')).to.equal('old')
+
+		expect(await cache.compareAndSet('cached', 0, 'new')).to.be.true
+		expect(await cache.get('cached')).to.equal('new')
+	})
+
+	describe('KeyvCDS', () => {
+		let store
+		const revisionOf = async (key) => (await SELECT.one.from('plugin.cds_caching.CacheStore', key).columns('revision'))?.revision
+
+		beforeEach(async () => {
+			const cache = await cds.connect.to('caching-cds')
+			await cache.clear()
+			store = cache.conditionalWrites.store
+		})
+
+		it('moves the revision on with every write', async () => {
+			await store.set('k', 'a')
+			const first = await revisionOf('k')
+			await store.set('k', 'a')
+			expect(await revisionOf('k')).to.be.a('string').and.not.equal(first)
+		})
+
+		it('replaces only the value that was read', async () => {
+			await store.set('k', 'a')
+			expect(await store.replace('k', 'b', 'c')).to.be.false
+			expect(await store.replace('k', 'a', 'c')).to.be.true
+			expect(await store.replace('k', 'a', 'd')).to.be.false
+			expect(await store.get('k')).to.equal('c')
+		})
+
+		it('replaces rows written without a revision', async () => {
+			await store.set('k', 'a')
+			await UPDATE('plugin.cds_caching.CacheStore', 'k').with({ revision: null })
+			expect(await store.replace('k', 'a', 'b')).to.be.true
+			expect(await store.get('k')).to.equal('b')
+		})
+	})
+})
@@ -0,0 +1,137 @@
+const cds = require('@sap/cds');
+const { expect } = cds.test().in(__dirname + '/app')
+
+const { jitterTtl, resolveTtlJitter, resolveEarlyRefresh, earlyRefreshFields, shouldRefreshEarly } = require('../lib/support/freshness');
+const { sleep, waitFor } = require('./helpers/timing');
+
+describe('early expiration', () => {
+
+    describe('ttl jitter', () => {
+
+        it('cuts at most the configured share off the ttl', () => {
+            expect(jitterTtl(60000, 0.1, () => 0)).to.equal(60000);
+            expect(jitterTtl(60000, 0.1, () => 0.5)).to.equal(57000);
+            expect(jitterTtl(60000, 0.1, () => 0.999999)).to.be.at.least(54000);
+        })
+
+        it('leaves entries without a ttl or jitter alone', () => {
+            expect(jitterTtl(0, 0.5, () => 0.5)).to.equal(0);
+            expect(jitterTtl(60000, 0, () => 0.5)).to.equal(60000);
+        })
+
+        it('accepts shares between 0 and 1', () => {
+            expect(resolveTtlJitter(0.2)).to.equal(0.2);
+            expect(resolveTtlJitter(5)).to.equal(1);
+            expect(resolveTtlJitter(-1)).to.equal(0);
+            expect(resolveTtlJitter('none')).to.equal(0);
+        })
+    })
+
+    describe('XFetch', () => {
+
+        const now = 1000000;
+        const entry = { freshUntil: now + 1000, loadTime: 100 };
+
+        it('resolves the beta', () => {
+            expect(resolveEarlyRefresh(true)).to.equal(1);
+            expect(resolveEarlyRefresh(2)).to.equal(2);
+            expect(resolveEarlyRefresh(false)).to.equal(0);
+            expect(resolveEarlyRefresh(undefined)).to.equal(0);
+        })
+
+        it('records the fresh ttl and load time only when enabled', () => {
+            expect(earlyRefreshFields(60000, 120, 1, now)).to.eql({ freshUntil: now + 60000, loadTime: 120 });
+            expect(earlyRefreshFields(60000, 120, 0, now)).to.eql({});
+            expect(earlyRefreshFields(0, 120, 1, now)).to.eql({});
+        })
+
+        it('refreshes when the random gap reaches the expiry', () => {
+            // -100 * ln(0.0001) ≈ 921 ms short of the 1000 ms left
+            expect(shouldRefreshEarly(entry, 1, now, () => 0.0001)).to.be.false;
+            // ≈ 1151 ms: past the expiry
+            expect(shouldRefreshEarly(entry, 1, now, () => 0.00001)).to.be.true;
+            // A larger beta refreshes earlier
+            expect(shouldRefreshEarly(entry, 2, now, () => 0.0001)).to.be.true;
+        })
+
+        it('refreshes more readily close to the expiry', () => {
+            expect(shouldRefreshEarly(entry, 1, now, () => 0.5)).to.be.false;
+            expect(shouldRefreshEarly(entry, 1, now + 950, () => 0.5)).to.be.true;
+        })
+
+        it('leaves stale, plain and disabled entries to the other paths', () => {
+            expect(shouldRefreshEarly(entry, 1, now + 1000, () => 0)).to.be.false;
+            expect(shouldRefreshEarly({ value: 1 }, 1, now, () => 0)).to.be.false;
+            expect(shouldRefreshEarly(entry, 0, now, () => 0)).to.be.false;
+        })
+    })
+
+    describe('read-through', () => {
+
+        let cache;
+
+        beforeEach(async () => {
+            cache = await cds.connect.to('caching');
+            await cache.clear();
+        })
+
+        it('should refresh an entry before it expires and count it', async () => {
+            let version = 0;
+            const load = async () => { await sleep(20); return `v${++version}`; };
+            // A beta this large refreshes on practically every read
+            const options = { ttl: 60000, earlyRefresh: 100000 };
+
+            await cache.setMetricsEnabled(true);
+            await cache.clearMetrics();
+            try {
+                await cache.rt.exec('early-exec', load, [], options);
+                const hit = await cache.rt.exec('early-exec', load, [], options);
+                expect(hit.result).to.equal('v1');
+                expect(hit.metadata.hit).to.be.true;
+                expect(hit.metadata.stale).to.be.false;
+
+                await waitFor(async () => (await cache.get('early-exec')) === 'v2');
+                const stats = await cache.getCurrentMetrics();
+                expect(stats.earlyRefreshes).to.equal(1);
+            } finally {
+                await cache.setMetricsEnabled(false);
+            }
+        })
+
+        it('should not refresh early unless configured', async () => {
+            let calls = 0;
+            const load = async () => ++calls;
+
+            await cache.rt.exec('early-off', load, [], { ttl: 60000 });
+            await cache.rt.exec('early-off', load, [], { ttl: 60000 });
+
+            expect(cache.revalidator.size).to.equal(0);
+            expect(calls).to.equal(1);
+            expect(await cache.metadata('early-off')).to.not.have.property('loadTime');
+        })
+
+        it('should apply the cache configuration unless the call overrides it', async () => {
+            const { ttlJitter, earlyRefresh } = cache.options;
+            cache.options.ttlJitter = 0.5;
+            cache.options.earlyRefresh = true;
+            try {
+                await cache.rt.exec('early-cache', async () => 'value', [], { ttl: 60000 });
+                const entry = await cache.metadata('early-cache');
+                expect(entry.freshUntil - entry.timestamp).to.be.within(30000, 60000);
+                expect(entry).to.have.property('loadTime');
+
+                await cache.rt.exec('early-call', async () => 'value', [], { ttl: 60000, earlyRefresh: false });
+                expect(await cache.metadata('early-call')).to.not.have.property('loadTime');
+            } finally {
+                Object.assign(cache.options, { ttlJitter, earlyRefresh });
+            }
+        })
+
+        it('should read the annotations of entities', () => {
+            const options = cache.capOperations.extractEntityCacheOptions({
+                target: { '@cache.ttl': 60000, '@cache.ttlJitter': 0.1, '@cache.earlyRefresh': true }
+            });
+            expect(options).to.include({ ttl: 60000, ttlJitter: 0.1, earlyRefresh: true });
+        })
+    })
+})
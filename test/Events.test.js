@@ -0,0 +1,104 @@
+const cds = require('@sap/cds');
+const { expect } = cds.test().in(__dirname + '/app')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const EVENTS = ['hit', 'miss', 'set', 'expired', 'evicted', 'invalidated'];
+
+describe('lifecycle events', () => {
+    let cache;
+
+    const listen = (event) => {
+        const received = [];
+        cache.on(event, (msg) => { received.push(msg.data) });
+        return received;
+    };
+
+    beforeEach(async () => {
+        cache = await cds.connect.to('caching');
+        await cache.clear();
+    })
+
+    afterEach(() => {
+        cache.handlers.on = cache.handlers.on.filter(handler => !EVENTS.includes(handler.on));
+    })
+
+    it('should emit miss and hit from read-through operations', async () => {
+        const misses = listen('miss');
+        const hits = listen('hit');
+
+        await cache.rt.exec('events', async () => 'value', [], { ttl: 60000 });
+        await cache.rt.exec('events', async () => 'value', [], { ttl: 60000 });
+        await sleep(10);
+
+        expect(misses).to.have.length(1);
+        expect(misses[0]).to.include({ key: 'events', coalesced: false });
+        expect(hits).to.have.length(1);
+        expect(hits[0]).to.include({ key: 'events', stale: false });
+    })
+
+    it('should emit set for written entries', async () => {
+        const sets = listen('set');
+
+        await cache.set('single', 'value', { ttl: 1000 });
+        await cache.setMany([{ key: 'first', value: 1 }, { key: 'second', value: 2 }]);
+        await cache.setIfAbsent('absent', 'value');
+        await cache.setIfAbsent('absent', 'other');
+        await sleep(10);
+
+        expect(sets.map(data => data.key)).to.eql(['single', 'first', 'second', 'absent']);
+        expect(sets[0].ttl).to.equal(1000);
+    })
+
+    it('should emit invalidated for deletes, tags and clears', async () => {
+        const invalidations = listen('invalidated');
+
+        await cache.set('tagged', 'value', { tags: ['products'] });
+        await cache.deleteByTag('products');
+        await cache.delete('other');
+        await cache.clear();
+        await sleep(10);
+
+        expect(invalidations).to.have.length(3);
+        expect(invalidations[0]).to.include({ op: 'deleteByTag', tag: 'products', remote: false });
+        expect(invalidations[0].keys).to.eql(['tagged']);
+        expect(invalidations[1]).to.eql({ op: 'delete', keys: ['other'], remote: false });
+        expect(invalidations[2]).to.eql({ op: 'clear', remote: false });
+    })
+
+    it('should emit expired for entries the memory store drops after their TTL', async () => {
+        const expirations = listen('expired');
+
+        await cache.set('expiring', 'value', { ttl: 20 });
+        await sleep(40);
+        expect(await cache.get('expiring')).to.be.undefined;
+        await sleep(10);
+
+        expect(expirations).to.eql([{ key: 'expiring' }]);
+    })
+
+    it('should emit evicted for entries the memory store drops to stay within its limits', async () => {
+        const evictions = listen('evicted');
+        const { maxEntries } = cache.memoryStore;
+        cache.memoryStore.maxEntries = 2;
+        try {
+            await cache.set('oldest', 1);
+            await cache.set('middle', 2);
+            await cache.set('newest', 3);
+            await sleep(10);
+        } finally {
+            cache.memoryStore.maxEntries = maxEntries;
+        }
+
+        expect(evictions).to.eql([{ key: 'oldest' }]);
+    })
+
+    it('should not fail cache operations when a handler fails', async () => {
+        cache.on('set', () => { throw new Error('handler failed') });
+
+        await cache.set('guarded', 'value');
+        await sleep(10);
+
+        expect(await cache.get('guarded')).to.equal('value');
+    })
+})
@@ -0,0 +1,153 @@
+const cds = require('@sap/cds')
+const { expect } = cds.test(__dirname + '/app')
+
+const { createInvalidationBus, LocalInvalidationBus, MessagingInvalidationBus } = require('../lib/support/InvalidationBus')
+
+describe('InvalidationBus', () => {
+
+	describe('createInvalidationBus', () => {
+
+		it('is off unless configured', () => {
+			expect(createInvalidationBus({})).to.be.null
+			expect(createInvalidationBus({ invalidationBus: null })).to.be.null
+		})
+
+		it('accepts a kind or an object', () => {
+			const local = createInvalidationBus({ invalidationBus: 'local' })
+			expect(local).to.be.instanceOf(LocalInvalidationBus)
+			expect(local.channel).to.equal('cds-caching.invalidation')
+
+			const messaging = createInvalidationBus({ invalidationBus: { kind: 'messaging', channel: 'inv', service: 'events' } })
+			expect(messaging).to.be.instanceOf(MessagingInvalidationBus)
+			expect(messaging.channel).to.equal('inv')
+			expect(messaging.serviceName).to.equal('events')
+		})
+
+		it('rejects an unknown kind', () => {
+			expect(() => createInvalidationBus({ invalidationBus: 'carrier-pigeon' })).to.throw(/unknown invalidationBus kind/)
+		})
+	})
+
+	describe('LocalInvalidationBus', () => {
+
+		it('delivers a copy to every subscriber of the channel', async () => {
+			const one = new LocalInvalidationBus('test-channel')
+			const two = new LocalInvalidationBus('test-channel')
+			const other = new LocalInvalidationBus('other-channel')
+			const received = []
+			await one.subscribe(msg => received.push(['one', msg]))
+			await two.subscribe(msg => received.push(['two', msg]))
+			await other.subscribe(msg => received.push(['other', msg]))
+
+			const message = { op: 'delete', keys: ['a'] }
+			await one.publish(message)
+			await Promise.all([one.close(), two.close(), other.close()])
+			await one.publish(message)
+
+			expect(received.map(([name]) => name)).to.have.members(['one', 'two'])
+			expect(received[0][1]).to.eql(message)
+			expect(received[0][1]).to.not.equal(message)
+		})
+	})
+
+	describe('memory stores', () => {
+		let a, b
+
+		beforeEach(async () => {
+			a = await cds.connect.to('caching-bus-a')
+			b = await cds.connect.to('caching-bus-b')
+			await a.clear()
+			await b.clear()
+		})
+
+		it('deletes a key on the other instance', async () => {
+			await a.set('k', 1)
+			await b.set('k', 1)
+
+			await a.delete('k')
+			expect(await b.get('k')).to.be.undefined
+		})
+
+		it('deletes a batch of keys on the other instance', async () => {
+			await b.setMany([{ key: 'x', value: 1 }, { key: 'y', value: 2 }, { key: 'z', value: 3 }])
+
+			await a.deleteMany(['x', 'y'])
+			expect(await b.getMany(['x', 'y', 'z'])).to.eql([undefined, undefined, 3])
+		})
+
+		it('invalidates a tag on the other instance', async () => {
+			await b.set('tagged', 1, { tags: ['entity:AppService.Foo'] })
+			await b.set('untagged', 2)
+
+			await a.deleteByTag('entity:AppService.Foo')
+			expect(await b.getMany(['tagged', 'untagged'])).to.eql([undefined, 2])
+		})
+
+		it('clears the other instance', async () => {
+			await b.set('k', 1)
+
+			await a.clear()
+			expect(await b.get('k')).to.be.undefined
+		})
+
+		it('ignores its own messages and other caches', async () => {
+			await a.set('k', 1)
+			const deleteMany = a.cache.deleteMany
+			let applied = 0
+			a.cache.deleteMany = async (...args) => { applied++; return deleteMany.apply(a.cache, args) }
+			try {
+				await a.applyRemoteInvalidation({ origin: a.instanceId, cache: 'bus-shared', op: 'delete', keys: ['k'] })
+				await a.applyRemoteInvalidation({ origin: 'elsewhere', cache: 'another-cache', op: 'delete', keys: ['k'] })
+			} finally {
+				a.cache.deleteMany = deleteMany
+			}
+			expect(applied).to.equal(0)
+			expect(await a.get('k')).to.eql(1)
+		})
+
+		it('keeps working when publishing fails', async () => {
+			const publish = a.invalidationBus.publish
+			a.invalidationBus.publish = async () => { throw new Error('bus down') }
+			try {
+				await a.set('k', 1)
+				await a.delete('k')
+			} finally {
+				a.invalidationBus.publish = publish
+			}
+			expect(await a.get('k')).to.be.undefined
+		})
+	})
+
+	describe('shared store with an L1', () => {
+		let a, b
+
+		beforeEach(async () => {
+			a = await cds.connect.to('caching-bus-tiered-a')
+			b = await cds.connect.to('caching-bus-tiered-b')
+			await a.clear()
+		})
+
+		it('drops the other instance\'s L1 copies', async () => {
+			await a.set('k', 1, { tags: ['group'] })
+			await a.set('j', 2)
+			expect(await b.get('k')).to.eql(1)
+			expect(await b.get('j')).to.eql(2)
+			expect(b.l1.l1Size).to.equal(2)
+
+			await a.deleteByTag('group')
+			expect(await b.get('k')).to.be.undefined
+
+			await a.delete('j')
+			expect(await b.get('j')).to.be.undefined
+		})
+
+		it('empties the other instance\'s L1 on clear', async () => {
+			await a.set('k', 1)
+			await b.get('k')
+
+			await a.clear()
+			expect(b.l1.l1Size).to.equal(0)
+			expect(await b.get('k')).to.be.undefined
+		})
+	})
+})
@@ -175,6 +175,16 @@ describeFromCds(9, 'KeyvCDS Store Adapter', () => {
             expect(meta).to.have.property('timestamp')
         })
 
+        it('should work with cache.ttl() and cache.touch()', async () => {
+            await cache.set('touch-key', 'value', { ttl: 500 })
+            expect(await cache.ttl('touch-key')).to.be.within(1, 500)
+
+            expect(await cache.touch('touch-key', 60000)).to.be.true
+            await new Promise(resolve => setTimeout(resolve, 700))
+            expect(await cache.get('touch-key')).to.equal('value')
+            expect(await cache.ttl('touch-key')).to.be.within(58000, 60000)
+        })
+
         it('should work with cache.iterator() to enumerate entries', async () => {
             await cache.set('enum-1', 'a')
             await cache.set('enum-2', 'b')
@@ -0,0 +1,158 @@
+const cds = require('@sap/cds')
+const { expect } = cds.test(__dirname + '/app')
+
+const { createLocks, resolveLockOptions, MemoryLocks, RedisLocks, CdsLocks } = require('../lib/support/Locks')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Locks', () => {
+
+	describe('resolveLockOptions', () => {
+
+		it('holds for 30 seconds and does not wait by default', () => {
+			expect(resolveLockOptions()).to.eql({ ttl: 30000, wait: 0, retryInterval: 50 })
+			expect(resolveLockOptions({ ttl: 1000, wait: 500 })).to.include({ ttl: 1000, wait: 500 })
+		})
+
+		it('ignores invalid values', () => {
+			expect(resolveLockOptions({ ttl: 0, wait: -1 })).to.include({ ttl: 30000, wait: 0 })
+		})
+	})
+
+	describe('createLocks', () => {
+
+		it('picks the locks matching the store', () => {
+			expect(createLocks(new Map(), {}, 'ns')).to.be.instanceOf(MemoryLocks)
+			expect(createLocks({}, { store: 'redis' }, 'ns')).to.be.instanceOf(RedisLocks)
+			expect(createLocks({}, { store: 'cds' }, 'ns')).to.be.instanceOf(CdsLocks)
+		})
+
+		it('returns null where the store cannot hold locks', () => {
+			for (const store of ['postgres', 'sqlite', 'hana']) {
+				expect(createLocks({}, { store }, 'ns')).to.be.null
+			}
+		})
+
+		it('keeps the keys of a lock on one cluster slot', () => {
+			const [lock, fence] = new RedisLocks({}, 'ns')._keys('job')
+			expect(lock).to.equal('ns:locks:{job}')
+			expect(fence).to.equal('ns:locks:{job}:fence')
+		})
+	})
+
+	for (const name of ['caching', 'caching-cds']) {
+
+		describe(name, () => {
+			let cache
+
+			beforeEach(async () => {
+				cache = await cds.connect.to(name)
+			})
+
+			it('is held by one owner at a time', async () => {
+				const lock = await cache.lock('exclusive')
+				expect(lock).to.exist
+				expect(await cache.lock('exclusive')).to.be.null
+
+				expect(await lock.release()).to.be.true
+				const next = await cache.lock('exclusive')
+				expect(next.token).to.be.above(lock.token)
+				await next.release()
+			})
+
+			it('counts the fencing token up across holders', async () => {
+				const tokens = []
+				for (let i = 0; i < 3; i++) {
+					const lock = await cache.lock('fenced')
+					tokens.push(lock.token)
+					await lock.release()
+				}
+				expect(tokens[1]).to.equal(tokens[0] + 1)
+				expect(tokens[2]).to.equal(tokens[1] + 1)
+			})
+
+			it('expires unless extended', async () => {
+				const expiring = await cache.lock('expiring', { ttl: 100 })
+				const extended = await cache.lock('extended', { ttl: 100 })
+				await sleep(50)
+				expect(await extended.extend(1000)).to.be.true
+				await sleep(100)
+
+				const taken = await cache.lock('expiring')
+				expect(taken.token).to.be.above(expiring.token)
+				expect(await expiring.release()).to.be.false
+				expect(await expiring.extend()).to.be.false
+				expect(await cache.lock('extended')).to.be.null
+
+				await taken.release()
+				await extended.release()
+			})
+
+			it('waits for the lock to be released', async () => {
+				const held = await cache.lock('waited')
+				setTimeout(() => held.release(), 100)
+
+				expect(await cache.lock('waited', { wait: 50 })).to.be.null
+				const lock = await cache.lock('waited', { wait: 1000 })
+				expect(lock.token).to.be.above(held.token)
+				await lock.release()
+			})
+
+			it('needs a name', async () => {
+				await expect(cache.lock('')).to.be.rejectedWith(/name/)
+			})
+		})
+	}
+
+	describe('read-through', () => {
+		let a, b
+
+		beforeEach(async () => {
+			a = await cds.connect.to('caching-bus-tiered-a')
+			b = await cds.connect.to('caching-bus-tiered-b')
+			await a.clear()
+		})
+
+		const slowLoad = (calls) => async () => {
+			calls.push(1)
+			await sleep(100)
+			return 'value'
+		}
+
+		it('loads a key once across instances that share the store', async () => {
+			const calls = []
+			const load = slowLoad(calls)
+			const [first, second] = await Promise.all([
+				a.rt.exec('locked', load, [], { ttl: 60000, lock: true }),
+				b.rt.exec('locked', load, [], { ttl: 60000, lock: true })
+			])
+
+			expect(calls).to.have.length(1)
+			expect(first.result).to.equal('value')
+			expect(second.result).to.equal('value')
+		})
+
+		it('loads on every instance without the option', async () => {
+			const calls = []
+			const load = slowLoad(calls)
+			await Promise.all([
+				a.rt.exec('unlocked', load, [], { ttl: 60000 }),
+				b.rt.exec('unlocked', load, [], { ttl: 60000 })
+			])
+
+			expect(calls).to.have.length(2)
+		})
+
+		it('loads anyway when the lock is not released in time', async () => {
+			const held = await a.lock('read-through:stuck')
+			try {
+				const calls = []
+				const { result } = await b.rt.exec('stuck', slowLoad(calls), [], { ttl: 60000, lock: { wait: 50 } })
+				expect(result).to.equal('value')
+				expect(calls).to.have.length(1)
+			} finally {
+				await held.release()
+			}
+		})
+	})
+})
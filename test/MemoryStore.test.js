@@ -0,0 +1,146 @@
+const cds = require('@sap/cds')
+const { expect } = cds.test(__dirname + '/app')
+
+const { MemoryStore, resolveMemoryOptions } = require('../lib/support/MemoryStore')
+const CacheStoreManager = require('../lib/support/CacheStoreManager')
+
+const store = (options) => new MemoryStore({ ...resolveMemoryOptions(), sweepInterval: 0, ...options })
+
+describe('MemoryStore', () => {
+
+	describe('resolveMemoryOptions', () => {
+
+		it('is unbounded unless limits are configured', () => {
+			expect(resolveMemoryOptions()).to.eql({ maxEntries: 0, maxBytes: 0, sweepInterval: 60000 })
+			expect(resolveMemoryOptions({ maxEntries: 10000, maxBytes: 1024 })).to.eql({ maxEntries: 10000, maxBytes: 1024, sweepInterval: 60000 })
+		})
+
+		it('ignores invalid limits', () => {
+			expect(resolveMemoryOptions({ maxEntries: -1, maxBytes: 'lots' })).to.eql(resolveMemoryOptions())
+		})
+	})
+
+	describe('limits', () => {
+
+		it('evicts the least recently used entry beyond maxEntries', () => {
+			const memory = store({ maxEntries: 2 })
+			const evicted = []
+			memory.onEvict = key => evicted.push(key)
+
+			memory.set('a', '1')
+			memory.set('b', '2')
+			memory.get('a')
+			memory.set('c', '3')
+
+			expect(Array.from(memory.keys())).to.eql(['a', 'c'])
+			expect(evicted).to.eql(['b'])
+		})
+
+		it('evicts beyond maxBytes, but keeps an oversized entry just written', () => {
+			const memory = store({ maxEntries: 0, maxBytes: 15 })
+			memory.set('a', '12345')
+			memory.set('b', '12345')
+			expect(memory.size).to.equal(2)
+			expect(memory.bytes).to.equal(12)
+
+			memory.set('c', '12345')
+			expect(Array.from(memory.keys())).to.eql(['b', 'c'])
+
+			memory.set('big', 'x'.repeat(50))
+			expect(Array.from(memory.keys())).to.eql(['big'])
+		})
+
+		it('keeps the byte count across overwrites, deletes and clears', () => {
+			const memory = store({ maxEntries: 0 })
+			memory.set('a', '12345')
+			memory.set('a', '123')
+			expect(memory.bytes).to.equal(4)
+
+			memory.set('b', '1')
+			memory.delete('a')
+			expect(memory.bytes).to.equal(2)
+
+			memory.clear()
+			expect(memory.bytes).to.equal(0)
+		})
+
+		it('does not count deletes and sweeps as evictions', () => {
+			const memory = store({ maxEntries: 2 })
+			let evictions = 0
+			memory.onEvict = () => evictions++
+			memory.set('a', '1', 1)
+			memory.set('b', '2')
+			memory.delete('b')
+			memory.sweep()
+			expect(evictions).to.equal(0)
+		})
+	})
+
+	describe('expiry', () => {
+
+		it('sweeps out expired entries', async () => {
+			const memory = store({})
+			memory.set('short', '1', 20)
+			memory.set('long', '2', 10000)
+			memory.set('forever', '3')
+
+			await new Promise(resolve => setTimeout(resolve, 40))
+			expect(memory.sweep()).to.equal(1)
+			expect(Array.from(memory.keys())).to.eql(['long', 'forever'])
+		})
+
+		it('reports expired entries when swept or read', async () => {
+			const memory = store({})
+			const expired = []
+			memory.onExpire = (key) => expired.push(key)
+			memory.set('swept', '1', 20)
+			memory.set('read', '2', 20)
+
+			await new Promise(resolve => setTimeout(resolve, 40))
+			expect(memory.get('read')).to.be.undefined
+			memory.sweep()
+			expect(expired).to.eql(['read', 'swept'])
+			expect(memory.bytes).to.equal(0)
+		})
+
+		it('sweeps periodically until disconnected', async () => {
+			const memory = new MemoryStore({ maxEntries: 0, maxBytes: 0, sweepInterval: 20 })
+			try {
+				memory.set('a', '1', 10)
+				await new Promise(resolve => setTimeout(resolve, 60))
+				expect(memory.size).to.equal(0)
+			} finally {
+				await memory.disconnect()
+			}
+		})
+	})
+
+	it('is the store used without a store configuration', () => {
+		const { cache, memoryStore } = new CacheStoreManager().createStore({ memory: { maxEntries: 5 } }, 'bounded')
+		expect(memoryStore).to.be.instanceOf(MemoryStore)
+		expect(cache.store).to.equal(memoryStore)
+		expect(memoryStore.maxEntries).to.equal(5)
+		memoryStore.disconnect()
+	})
+
+	it('reports evictions in the cache metrics', async () => {
+		const cache = await cds.connect.to('caching')
+		await cache.clear()
+		await cache.setMetricsEnabled(true)
+		await cache.clearMetrics()
+		const maxEntries = cache.memoryStore.maxEntries
+		cache.memoryStore.maxEntries = 2
+		try {
+			await cache.set('a', 1)
+			await cache.set('b', 2)
+			await cache.set('c', 3)
+
+			expect(await cache.get('a')).to.be.undefined
+			const stats = await cache.getCurrentMetrics()
+			expect(stats.evictions).to.equal(1)
+		} finally {
+			cache.memoryStore.maxEntries = maxEntries
+			await cache.setMetricsEnabled(false)
+		}
+	})
+})
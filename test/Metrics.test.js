@@ -84,6 +84,22 @@ describeFromCds(9, 'Cache Metrics - Testing', () => {
                 expect(stats.totalNativeOperations).to.equal(4);
             })
 
+            it("should record bulk operations per key", async () => {
+                await cache.setMetricsEnabled(true);
+
+                await cache.setMany([
+                    { key: "test:bulk:a", value: 1 },
+                    { key: "test:bulk:b", value: 2 }
+                ]);
+                await cache.getMany(["test:bulk:a", "test:bulk:b", "test:bulk:missing"]);
+                await cache.deleteMany(["test:bulk:a", "test:bulk:b"]);
+
+                const stats = await cache.getCurrentMetrics();
+                expect(stats.nativeSets).to.equal(2);
+                expect(stats.nativeGets).to.equal(3);
+                expect(stats.nativeDeletes).to.equal(2);
+            })
+
             it("should not record latencies when disabled", async () => {
                 await cache.setMetricsEnabled(false);
 
@@ -0,0 +1,223 @@
+const cds = require('@sap/cds');
+const { GET, expect } = cds.test().in(__dirname + '/app')
+
+const { resolveNegativeTtl, notFoundStatus, isEmptyResult, replayError } = require('../lib/support/negativeCaching');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const notFound = () => Object.assign(new Error('Partner not found'), { status: 404, code: 'NOT_FOUND' });
+
+describe('negative caching', () => {
+
+    describe('helpers', () => {
+
+        it('should be off without a positive negativeTtl', () => {
+            expect(resolveNegativeTtl(undefined)).to.equal(0);
+            expect(resolveNegativeTtl(-1)).to.equal(0);
+            expect(resolveNegativeTtl(5000)).to.equal(5000);
+        })
+
+        it('should recognize not-found errors', () => {
+            expect(notFoundStatus({ status: 404 })).to.equal(404);
+            expect(notFoundStatus({ statusCode: 410 })).to.equal(410);
+            expect(notFoundStatus({ code: '404' })).to.equal(404);
+            expect(notFoundStatus({ reason: { response: { status: 404 } } })).to.equal(404);
+            expect(notFoundStatus({ status: 500 })).to.be.null;
+            expect(notFoundStatus(new Error('boom'))).to.be.null;
+        })
+
+        it('should recognize empty results', () => {
+            expect(isEmptyResult(null)).to.be.true;
+            expect(isEmptyResult(undefined)).to.be.true;
+            expect(isEmptyResult([])).to.be.true;
+            expect(isEmptyResult([{ ID: 1 }])).to.be.false;
+            expect(isEmptyResult(0)).to.be.false;
+            expect(isEmptyResult('')).to.be.false;
+        })
+
+        it('should rebuild the recorded error', () => {
+            const error = replayError({ status: 404, code: 'NOT_FOUND', message: 'gone' });
+            expect(error).to.include({ status: 404, statusCode: 404, code: 'NOT_FOUND', message: 'gone' });
+            expect(replayError({ empty: true })).to.be.null;
+        })
+    })
+
+    describe('rt.send', () => {
+        let cache;
+
+        const request = { method: 'GET', path: '/A_BusinessPartner(\'4711\')' };
+
+        beforeEach(async () => {
+            cache = await cds.connect.to('caching');
+            await cache.clear();
+        })
+
+        it('should cache a not-found error and throw it again on hit', async () => {
+            let calls = 0;
+            const service = { name: 'RemoteService', send: async () => { calls++; throw notFound(); } };
+            const options = { ttl: 60000, negativeTtl: 5000 };
+
+            const errors = [];
+            for (let i = 0; i < 2; i++) {
+                try {
+                    await cache.rt.send(request, service, options);
+                } catch (error) {
+                    errors.push(error);
+                }
+            }
+
+            expect(calls).to.equal(1);
+            expect(errors).to.have.length(2);
+            expect(errors[1]).to.include({ status: 404, code: 'NOT_FOUND', message: 'Partner not found' });
+        })
+
+        it('should cache not-found errors only for the negativeTtl', async () => {
+            let calls = 0;
+            const service = {
+                name: 'RemoteService',
+                send: async () => { if (++calls === 1) throw notFound(); return { ID: '4711' }; }
+            };
+            const options = { ttl: 60000, negativeTtl: 50 };
+
+            await cache.rt.send(request, service, options).catch(() => {});
+            await sleep(80);
+
+            const { result, cacheKey, metadata } = await cache.rt.send(request, service, options);
+            expect(result).to.eql({ ID: '4711' });
+            expect(metadata.hit).to.be.false;
+            expect(await cache.ttl(cacheKey)).to.be.above(50000);
+        })
+
+        it('should not cache other errors', async () => {
+            let calls = 0;
+            const service = { name: 'RemoteService', send: async () => { calls++; throw Object.assign(new Error('down'), { status: 503 }); } };
+
+            for (let i = 0; i < 2; i++) {
+                await cache.rt.send(request, service, { ttl: 60000, negativeTtl: 5000 }).catch(() => {});
+            }
+            expect(calls).to.equal(2);
+        })
+
+        it('should not cache not-found errors without the option', async () => {
+            let calls = 0;
+            const service = { name: 'RemoteService', send: async () => { calls++; throw notFound(); } };
+
+            for (let i = 0; i < 2; i++) {
+                await cache.rt.send(request, service, { ttl: 60000 }).catch(() => {});
+            }
+            expect(calls).to.equal(2);
+        })
+
+        it('should store empty results for the negativeTtl', async () => {
+            let calls = 0;
+            const service = { name: 'RemoteService', send: async () => { calls++; return []; } };
+            const options = { ttl: 60000, negativeTtl: 5000 };
+
+            const { cacheKey } = await cache.rt.send(request, service, options);
+            const { result, metadata } = await cache.rt.send(request, service, options);
+
+            expect(calls).to.equal(1);
+            expect(result).to.eql([]);
+            expect(metadata.hit).to.be.true;
+            expect(await cache.ttl(cacheKey)).to.be.at.most(5000);
+        })
+
+        it('should count negative hits separately', async () => {
+            const service = { name: 'RemoteService', send: async () => { throw notFound(); } };
+            const options = { ttl: 60000, negativeTtl: 5000 };
+
+            await cache.setMetricsEnabled(true);
+            await cache.clearMetrics();
+            try {
+                for (let i = 0; i < 3; i++) {
+                    await cache.rt.send(request, service, options).catch(() => {});
+                }
+                const stats = await cache.getCurrentMetrics();
+                expect(stats.negativeHits).to.equal(2);
+                expect(stats.hits).to.equal(2);
+            } finally {
+                await cache.setMetricsEnabled(false);
+            }
+        })
+
+        it('should tag negative entries so that they can be invalidated', async () => {
+            let calls = 0;
+            const service = { name: 'RemoteService', send: async () => { calls++; throw notFound(); } };
+            const options = { ttl: 60000, negativeTtl: 5000, tags: ['partners'] };
+
+            await cache.rt.send(request, service, options).catch(() => {});
+            await cache.deleteByTag('partners');
+            await cache.rt.send(request, service, options).catch(() => {});
+
+            expect(calls).to.equal(2);
+        })
+    })
+
+    describe('rt.run', () => {
+        let cache;
+
+        beforeEach(async () => {
+            cache = await cds.connect.to('caching');
+            await cache.clear();
+        })
+
+        it('should store empty query results for the negativeTtl', async () => {
+            const query = SELECT.from('AppService.Foo').where({ ID: 999999 });
+            const options = { ttl: 60000, negativeTtl: 5000 };
+
+            const first = await cache.rt.run(query, undefined, options);
+            const second = await cache.rt.run(SELECT.from('AppService.Foo').where({ ID: 999999 }), undefined, options);
+
+            expect(first.result).to.eql([]);
+            expect(second.metadata.hit).to.be.true;
+            expect(await cache.ttl(first.cacheKey)).to.be.at.most(5000);
+        })
+    })
+
+    describe('@cache.negativeTtl', () => {
+        let AppService;
+
+        beforeEach(async () => {
+            AppService = await cds.connect.to('AppService');
+            AppService.negativeReads = 0;
+            AppService.rejectNotFound = false;
+            const cache = await cds.connect.to('caching');
+            await cache.clear();
+        })
+
+        const status = async (request) => {
+            try {
+                return (await request).status;
+            } catch (error) {
+                return error.response?.status ?? error.status;
+            }
+        };
+
+        it('should answer a cached not-found with its status', async () => {
+            AppService.rejectNotFound = true;
+
+            expect(await status(GET`/odata/v4/app/NegativeFoo(999999)`)).to.equal(404);
+            expect(await status(GET`/odata/v4/app/NegativeFoo(999999)`)).to.equal(404);
+            expect(AppService.negativeReads).to.equal(1);
+        })
+
+        it('should read the backend again after the negativeTtl', async () => {
+            AppService.rejectNotFound = true;
+            await status(GET`/odata/v4/app/NegativeFoo(999999)`);
+            await sleep(250);
+            await status(GET`/odata/v4/app/NegativeFoo(999999)`);
+
+            expect(AppService.negativeReads).to.equal(2);
+        })
+
+        it('should cache empty collections', async () => {
+            const first = await GET`/odata/v4/app/NegativeFoo?$filter=ID eq 999999`;
+            const second = await GET`/odata/v4/app/NegativeFoo?$filter=ID eq 999999`;
+
+            expect(second.data.value).to.eql([]);
+            expect(second.headers['x-sap-cap-cache']).to.equal('hit');
+            expect(first.headers['x-sap-cap-cache']).to.equal('miss');
+            expect(AppService.negativeReads).to.equal(1);
+        })
+    })
+})
@@ -0,0 +1,132 @@
+const cds = require('@sap/cds')
+const { expect } = cds.test(__dirname + '/app')
+
+const { RefreshAhead, resolveRefreshAheadOptions } = require('../lib/support/RefreshAhead')
+const { sleep, waitFor } = require('./helpers/timing')
+
+/** SingleFlight stand-in that just runs the loader. */
+const direct = { do: (key, loader) => loader() }
+
+describe('RefreshAhead', () => {
+
+	describe('resolveRefreshAheadOptions', () => {
+
+		it('is off unless configured', () => {
+			expect(resolveRefreshAheadOptions(undefined)).to.be.null
+			expect(resolveRefreshAheadOptions(false)).to.be.null
+			expect(resolveRefreshAheadOptions({ enabled: false })).to.be.null
+		})
+
+		it('fills in defaults', () => {
+			expect(resolveRefreshAheadOptions(true)).to.eql({ window: 5000, minHits: 1, maxEntries: 1000 })
+			expect(resolveRefreshAheadOptions({ window: 100, minHits: 0 })).to.eql({ window: 100, minHits: 0, maxEntries: 1000 })
+		})
+	})
+
+	describe('scheduling', () => {
+		let refreshAhead
+
+		beforeEach(() => {
+			refreshAhead = new RefreshAhead({ window: 60, minHits: 1, maxEntries: 10 }, direct)
+		})
+
+		afterEach(() => refreshAhead.dispose())
+
+		it('reloads an entry that was read before it expires', async () => {
+			let loads = 0
+			refreshAhead.register('k', async () => loads++, 100)
+			refreshAhead.recordHit('k')
+
+			await waitFor(() => loads === 1)
+			expect(refreshAhead.size).to.equal(0)
+		})
+
+		it('lets an entry expire that was not read', async () => {
+			let loads = 0
+			refreshAhead.register('k', async () => loads++, 100)
+
+			await sleep(80)
+			expect(loads).to.equal(0)
+			expect(refreshAhead.size).to.equal(0)
+		})
+
+		it('counts reads from the key metrics as well', async () => {
+			let loads = 0
+			refreshAhead.accessCount = () => 3
+			refreshAhead.register('k', async () => loads++, 100)
+
+			await waitFor(() => loads === 1)
+		})
+
+		it('does not register entries whose ttl is within the window', () => {
+			expect(refreshAhead.register('short', async () => {}, 50)).to.be.false
+			expect(refreshAhead.register('none', async () => {}, 0)).to.be.false
+			expect(refreshAhead.size).to.equal(0)
+		})
+
+		it('cancels refreshes of forgotten entries', async () => {
+			let loads = 0
+			refreshAhead.register('a', async () => loads++, 100)
+			refreshAhead.register('b', async () => loads++, 100)
+			refreshAhead.recordHit('a')
+			refreshAhead.recordHit('b')
+
+			refreshAhead.forget(['a'])
+			expect(refreshAhead.size).to.equal(1)
+			refreshAhead.forget()
+
+			await sleep(80)
+			expect(loads).to.equal(0)
+		})
+
+		it('keeps at most maxEntries registrations', () => {
+			refreshAhead.maxEntries = 2
+			for (const key of ['a', 'b', 'c']) refreshAhead.register(key, async () => {}, 1000)
+			expect(refreshAhead.size).to.equal(2)
+		})
+	})
+
+	describe('read-through', () => {
+		let cache
+
+		beforeEach(async () => {
+			cache = await cds.connect.to('caching-refresh-ahead')
+			await cache.clear()
+		})
+
+		it('reloads a hot entry under the tenant that loaded it', async () => {
+			const tenants = []
+			let version = 0
+			const load = async () => { tenants.push(cds.context?.tenant); return `v${++version}` }
+
+			await cds.tx({ tenant: 't1' }, async () => {
+				await cache.rt.exec('hot', load, [], { ttl: 200 })
+				const hit = await cache.rt.exec('hot', load, [], { ttl: 200 })
+				expect(hit.metadata.hit).to.be.true
+			})
+
+			await waitFor(async () => (await cache.get('hot')) === 'v2')
+			expect(tenants).to.eql(['t1', 't1'])
+			// The refreshed entry is registered for its next refresh
+			expect(cache.refreshAhead.size).to.equal(1)
+		})
+
+		it('stops refreshing deleted entries', async () => {
+			await cache.rt.exec('deleted', async () => 'value', [], { ttl: 200 })
+			expect(cache.refreshAhead.size).to.equal(1)
+
+			await cache.delete('deleted')
+			expect(cache.refreshAhead.size).to.equal(0)
+		})
+
+		it('respects an opt-out per call', async () => {
+			await cache.rt.exec('opted-out', async () => 'value', [], { ttl: 200, refreshAhead: false })
+			expect(cache.refreshAhead.size).to.equal(0)
+		})
+
+		it('is off for caches without the option', async () => {
+			const plain = await cds.connect.to('caching')
+			expect(plain.refreshAhead).to.be.null
+		})
+	})
+})
@@ -0,0 +1,118 @@
+const cds = require('@sap/cds');
+const { GET, expect } = cds.test().in(__dirname + '/app')
+
+const { schemaFingerprint } = require('../lib/support/schemaFingerprint');
+
+describe('schema fingerprints', () => {
+
+    const books = () => ({
+        kind: 'entity',
+        '@cache.ttl': 1000,
+        elements: { ID: { key: true, type: 'cds.Integer' }, title: { type: 'cds.String', length: 100 } },
+        projection: { from: { ref: ['db.Books'] } }
+    });
+
+    describe('schemaFingerprint', () => {
+
+        it('should be stable for the same definition', () => {
+            expect(schemaFingerprint(books())).to.equal(schemaFingerprint(books()));
+            expect(schemaFingerprint(books())).to.match(/^[0-9a-f]{12}$/);
+        })
+
+        it('should change with the compiled definition', () => {
+            const changed = books();
+            changed.projection.columns = [{ ref: ['ID'] }];
+            const retyped = books();
+            retyped.elements.title.length = 200;
+
+            expect(schemaFingerprint(changed)).to.not.equal(schemaFingerprint(books()));
+            expect(schemaFingerprint(retyped)).to.not.equal(schemaFingerprint(books()));
+        })
+
+        describe('in a linked model', () => {
+            const definitionsOf = (cdl) => cds.linked(cds.compile.for.nodejs(cds.parse.cdl(cdl))).definitions;
+            const model = ({ money = 'amount : Decimal(9,2);', author = 'name : String(50);', publisher = 'name : String(50);' } = {}) => definitionsOf(`
+                type Money { ${money} currency : String(3); }
+                entity Publishers { key ID : Integer; ${publisher} }
+                entity Authors { key ID : Integer; ${author} publisher : Association to Publishers; }
+                entity Books { key ID : Integer; author : Association to Authors; }
+                service S {
+                    @cache.ttl: 1000 entity CachedBooks as projection on Books;
+                    function price(book : Integer) returns Money;
+                }
+            `);
+
+            it('should change with the named types of elements and return types', () => {
+                const before = model();
+                const after = model({ money: 'amount : Decimal(10,3);' });
+                expect(schemaFingerprint(after['S.price'])).to.not.equal(schemaFingerprint(before['S.price']));
+                expect(schemaFingerprint(after['S.CachedBooks'])).to.equal(schemaFingerprint(before['S.CachedBooks']));
+            })
+
+            it('should change with the elements of association targets', () => {
+                const before = model();
+                const after = model({ author: 'name : String(100);' });
+                expect(schemaFingerprint(after['S.CachedBooks'])).to.not.equal(schemaFingerprint(before['S.CachedBooks']));
+            })
+
+            it('should follow associations one level deep', () => {
+                const before = model();
+                const after = model({ publisher: 'name : String(100);' });
+                expect(schemaFingerprint(after['S.CachedBooks'])).to.equal(schemaFingerprint(before['S.CachedBooks']));
+            })
+        })
+
+        it('should ignore the cache annotations', () => {
+            const tuned = { ...books(), '@cache.ttl': 5000, '@cache.tags': ['books'] };
+            expect(schemaFingerprint(tuned)).to.equal(schemaFingerprint(books()));
+        })
+
+        it('should mix in the application version', () => {
+            const definition = books();
+            expect(schemaFingerprint(definition, '1.1.0')).to.not.equal(schemaFingerprint(definition, '1.0.0'));
+            expect(schemaFingerprint(definition, '1.0.0')).to.equal(schemaFingerprint(books(), '1.0.0'));
+        })
+    })
+
+    describe('in cache keys', () => {
+        let cache;
+
+        beforeEach(async () => {
+            cache = await cds.connect.to('caching');
+            await cache.clear();
+        })
+
+        afterEach(() => {
+            cache.options.schemaFingerprint = false;
+            cache.options.appVersion = null;
+        })
+
+        it('should not be added unless enabled', async () => {
+            const { headers } = await GET`/odata/v4/app/CachedFoo`;
+            expect(headers['x-sap-cap-cache-key']).to.not.include('@');
+        })
+
+        it('should end the keys of annotated entities and functions', async () => {
+            cache.options.schemaFingerprint = true;
+            const { definitions } = cds.model;
+
+            const entity = await GET`/odata/v4/app/CachedFoo`;
+            const fn = await GET`/odata/v4/app/getCachedValue(param1='fingerprint')`;
+
+            expect(entity.headers['x-sap-cap-cache-key'].endsWith(`@${cache.schemaFingerprint(definitions['AppService.CachedFoo'])}`)).to.be.true;
+            expect(fn.headers['x-sap-cap-cache-key'].endsWith(`@${cache.schemaFingerprint(definitions['AppService.getCachedValue'])}`)).to.be.true;
+            expect(await cache.get(entity.headers['x-sap-cap-cache-key'])).to.eql(entity.data.value);
+        })
+
+        it('should read under new keys after the definition changed', async () => {
+            cache.options.schemaFingerprint = true;
+            const before = await GET`/odata/v4/app/CachedFoo`;
+
+            cache.options.appVersion = '2.0.0';
+            const after = await GET`/odata/v4/app/CachedFoo`;
+
+            expect(after.headers['x-sap-cap-cache-key']).to.not.equal(before.headers['x-sap-cap-cache-key']);
+            expect(after.headers['x-sap-cap-cache-key'].split('@')[0]).to.equal(before.headers['x-sap-cap-cache-key'].split('@')[0]);
+        })
+    })
+})
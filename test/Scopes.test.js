@@ -0,0 +1,124 @@
+const cds = require('@sap/cds');
+const { expect } = cds.test().in(__dirname + '/app')
+
+describe('cache.scope', () => {
+    let cache;
+
+    beforeEach(async () => {
+        cache = await cds.connect.to('caching');
+        await cache.clear();
+    })
+
+    const keysOf = async (view) => {
+        const keys = [];
+        for await (const [key] of view.iterator()) keys.push(key);
+        return keys.sort();
+    };
+
+    it('should prefix every key with the scope', async () => {
+        const pricing = cache.scope('pricing');
+        await pricing.set('list', 'scoped');
+
+        expect(await pricing.get('list')).to.equal('scoped');
+        expect(await cache.get('pricing:list')).to.equal('scoped');
+        expect(await cache.get('list')).to.be.undefined;
+        expect(pricing.createKey('list')).to.equal('pricing:list');
+    })
+
+    it('should keep the keys of different scopes apart', async () => {
+        const pricing = cache.scope('pricing');
+        const catalog = cache.scope('catalog');
+        await pricing.set('list', 'prices');
+        await catalog.set('list', 'products');
+
+        expect(await pricing.get('list')).to.equal('prices');
+        expect(await catalog.get('list')).to.equal('products');
+    })
+
+    it('should nest scopes', async () => {
+        const eu = cache.scope('pricing').scope('eu');
+        await eu.set('list', 'value');
+
+        expect(await cache.get('pricing:eu:list')).to.equal('value');
+    })
+
+    it('should clear only the entries of the scope', async () => {
+        const pricing = cache.scope('pricing');
+        await pricing.setMany([{ key: 'a', value: 1 }, { key: 'b', value: 2 }]);
+        await cache.set('shared', 'value');
+        await cache.scope('catalog').set('a', 3);
+
+        await pricing.clear();
+
+        expect(await keysOf(pricing)).to.eql([]);
+        expect(await keysOf(cache)).to.eql(['catalog:a', 'shared']);
+    })
+
+    it('should iterate only the entries of the scope', async () => {
+        const pricing = cache.scope('pricing');
+        await pricing.set('a', 1);
+        await pricing.scope('eu').set('b', 2);
+        await cache.set('other', 3);
+
+        expect(await keysOf(pricing)).to.eql(['pricing:a', 'pricing:eu:b']);
+    })
+
+    it('should delete by tag only within the scope', async () => {
+        const pricing = cache.scope('pricing');
+        await pricing.set('a', 1, { tags: ['products'] });
+        await cache.scope('catalog').set('a', 2, { tags: ['products'] });
+
+        await pricing.deleteByTag('products');
+
+        expect(await pricing.get('a')).to.be.undefined;
+        expect(await cache.get('catalog:a')).to.equal(2);
+    })
+
+    it('should prefix the keys of read-through operations', async () => {
+        const pricing = cache.scope('pricing');
+
+        const { cacheKey } = await pricing.rt.exec('prices', async () => [1, 2], [], { ttl: 60000 });
+        const { result } = await pricing.getOrSet('total', async () => 3);
+
+        expect(cacheKey.startsWith('pricing:')).to.be.true;
+        expect(result).to.equal(3);
+        expect(await cache.get('pricing:total')).to.equal(3);
+    })
+
+    it('should answer repeated queries from the scope', async () => {
+        const pricing = cache.scope('pricing');
+
+        const first = await pricing.rt.run(SELECT.from('AppService.Foo'), undefined, { ttl: 60000 });
+        const second = await pricing.rt.run(SELECT.from('AppService.Foo'), undefined, { ttl: 60000 });
+
+        expect(first.cacheKey.startsWith('pricing:')).to.be.true;
+        expect(second.metadata.hit).to.be.true;
+        expect(await cache.rt.run(SELECT.from('AppService.Foo'), undefined, { ttl: 60000 })).to.have.nested.property('metadata.hit', false);
+    })
+
+    it('should break the statistics down by scope', async () => {
+        await cache.setMetricsEnabled(true);
+        await cache.clearMetrics();
+        try {
+            const pricing = cache.scope('pricing');
+            const eu = pricing.scope('eu');
+            await pricing.set('a', 1);
+            await pricing.get('a');
+            await eu.rt.exec('b', async () => 2, [], { ttl: 60000 });
+            await eu.rt.exec('b', async () => 2, [], { ttl: 60000 });
+            await cache.set('unscoped', 3);
+
+            const { scopes } = await cache.getCurrentMetrics();
+            const byName = Object.fromEntries(scopes.map(row => [row.scope, row]));
+
+            expect(byName.pricing).to.include({ nativeSets: 1, nativeGets: 1, hits: 0, misses: 0 });
+            expect(byName['pricing:eu']).to.include({ hits: 1, misses: 1, hitRatio: 0.5 });
+        } finally {
+            await cache.setMetricsEnabled(false);
+        }
+    })
+
+    it('should need a name', () => {
+        expect(() => cache.scope('')).to.throw(/name/);
+    })
+})
@@ -0,0 +1,160 @@
+const cds = require('@sap/cds')
+const { expect } = cds.test(__dirname + '/app')
+
+const { ENVELOPE_PREFIX, SERIALIZERS, ValueSerializer, createValueSerializer } = require('../lib/support/serializers')
+const { pack, unpack } = require('../lib/support/msgpack')
+
+const sample = () => ({
+	id: 42,
+	title: 'Wuthering Heights',
+	createdAt: new Date('2024-05-17T08:30:15.123Z'),
+	cover: Buffer.from([0, 1, 2, 254, 255]),
+	stock: 9007199254740993n,
+	ratio: -1.5,
+	infinite: Infinity,
+	tags: new Set(['classic', 'novel']),
+	prices: new Map([['EUR', 12.5], ['USD', 13]]),
+	nested: [{ $type: 'Date', value: 'not a marker' }, null, 'text', true],
+	missing: undefined
+})
+
+/** `sample()` as it reads back: properties that are `undefined` are not stored. */
+const restoredSample = () => {
+	const value = sample()
+	delete value.missing
+	return value
+}
+
+describe('Serializers', () => {
+
+	describe.each(['structured', 'msgpack'])('%s', (name) => {
+
+		it('restores Dates, Buffers, BigInts, Maps and Sets', () => {
+			const serializer = SERIALIZERS[name]
+			const restored = serializer.deserialize(serializer.serialize(sample()))
+			expect(restored).to.eql(restoredSample())
+			expect(restored.createdAt).to.be.instanceOf(Date)
+			expect(Buffer.isBuffer(restored.cover)).to.be.true
+			expect(restored.stock).to.equal(9007199254740993n)
+		})
+	})
+
+	describe('msgpack', () => {
+
+		it('encodes the sizes of every family', () => {
+			const value = {
+				small: 'x'.repeat(31),
+				str8: 'x'.repeat(200),
+				str16: 'x'.repeat(70000),
+				array16: Array.from({ length: 20 }, (_, i) => i - 10),
+				map16: Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`k${i}`, i * 1000])),
+				ints: [127, 128, 255, 256, 65535, 65536, 4294967295, 4294967296, -32, -33, -2147483648, -2147483649, -0],
+				bin: Buffer.alloc(300, 7)
+			}
+			expect(unpack(pack(value))).to.eql(value)
+		})
+
+		it('reads 32 and 64 bit timestamps', () => {
+			expect(unpack(Buffer.from('d6ff00000001', 'hex'))).to.eql(new Date(1000))
+			expect(unpack(Buffer.from('d7ff2faf080000000001', 'hex'))).to.eql(new Date(1200))
+		})
+
+		it('rejects truncated data', () => {
+			expect(() => unpack(pack('text').subarray(0, 3))).to.throw(/truncated/)
+		})
+	})
+
+	describe('ValueSerializer', () => {
+
+		it('stores JSON without an envelope', () => {
+			expect(createValueSerializer().serialize({ a: 1 })).to.equal('{"a":1}')
+		})
+
+		it('reads entries with the serializer they were written with', () => {
+			const written = createValueSerializer({ serializer: 'msgpack' }).serialize({ at: new Date(0) })
+			expect(written.startsWith(`${ENVELOPE_PREFIX}msgpack:`)).to.be.true
+
+			const reader = createValueSerializer({ serializer: 'structured' })
+			expect(reader.deserialize(written)).to.eql({ at: new Date(0) })
+			expect(reader.deserialize('{"a":1}')).to.eql({ a: 1 })
+		})
+
+		it('refuses entries of an unknown serializer', () => {
+			expect(() => createValueSerializer().deserialize(`${ENVELOPE_PREFIX}yaml:a: 1`)).to.throw(/unknown serializer "yaml"/)
+			expect(ValueSerializer.isEnveloped(`${ENVELOPE_PREFIX}yaml:a: 1`)).to.be.true
+		})
+
+		it('accepts custom serializers', () => {
+			const upper = { name: 'upper', serialize: value => String(value).toUpperCase(), deserialize: text => text.toLowerCase() }
+			const serializer = createValueSerializer({ serializer: upper })
+			expect(serializer.serialize('abc')).to.equal(`${ENVELOPE_PREFIX}upper:ABC`)
+			expect(serializer.deserialize(`${ENVELOPE_PREFIX}upper:ABC`)).to.equal('abc')
+		})
+
+		it('rejects unknown and incomplete serializers', () => {
+			expect(() => createValueSerializer({ serializer: 'yaml' })).to.throw(/unknown serializer/)
+			expect(() => createValueSerializer({ serializer: { name: 'half', serialize: String } })).to.throw(/custom serializer/)
+			expect(() => createValueSerializer({ serializer: { ...SERIALIZERS.json, serialize: String } })).to.throw(/taken/)
+		})
+	})
+
+	describe.each([
+		['memory store', 'caching-structured'],
+		['cds store', 'caching-msgpack-cds'],
+		['encrypted memory store', 'caching-msgpack-encrypted']
+	])('on the %s', (label, service) => {
+		let cache
+
+		beforeEach(async () => {
+			cache = await cds.connect.to(service)
+			await cache.clear()
+		})
+
+		it('returns cached values as they were set', async () => {
+			const expected = restoredSample()
+			await cache.set('book', sample(), { tags: ['books'] })
+
+			expect(await cache.get('book')).to.eql(expected)
+			expect(await cache.getMany(['book'])).to.eql([expected])
+		})
+
+		it('returns read-through results like uncached ones', async () => {
+			const load = async () => ({ at: new Date('2024-01-01T00:00:00Z'), total: 10n ** 20n })
+
+			await cache.rt.exec('loaded', load, [], { ttl: 60000 })
+			const { result, metadata } = await cache.rt.exec('loaded', load, [], { ttl: 60000 })
+
+			expect(metadata.hit).to.be.true
+			expect(result).to.eql(await load())
+		})
+
+		it('keeps tags readable for iterating and invalidating', async () => {
+			await cache.set('a', { at: new Date(0) }, { tags: ['group'] })
+			await cache.set('b', 2)
+
+			const entries = []
+			for await (const [key, wrapped] of cache.iterator()) entries.push([key, wrapped.value])
+			expect(entries.sort()).to.eql([['a', { at: new Date(0) }], ['b', 2]])
+
+			const tagIndex = cache.tagIndex
+			cache.tagIndex = null
+			try {
+				await cache.deleteByTag('group')
+			} finally {
+				cache.tagIndex = tagIndex
+			}
+			expect(await cache.get('a')).to.be.undefined
+		})
+
+		it('reads entries written as JSON before the serializer was configured', async () => {
+			const { serializer } = cache
+			cache.serializer = createValueSerializer()
+			try {
+				await cache.set('legacy', { at: '2024-01-01' })
+			} finally {
+				cache.serializer = serializer
+			}
+			expect(await cache.get('legacy')).to.eql({ at: '2024-01-01' })
+		})
+	})
+})
@@ -0,0 +1,64 @@
+const { expect } = require('chai')
+
+const SingleFlight = require('../lib/support/SingleFlight')
+
+const deferred = () => {
+	let resolve, reject
+	const promise = new Promise((res, rej) => { resolve = res; reject = rej })
+	return { promise, resolve, reject }
+}
+
+describe('SingleFlight', () => {
+
+	it('runs the loader once for concurrent callers and shares the value', async () => {
+		const flight = new SingleFlight()
+		const gate = deferred()
+		let calls = 0
+		const loader = () => { calls++; return gate.promise }
+
+		const first = flight.do('k', loader)
+		const second = flight.do('k', loader)
+		expect(flight.has('k')).to.equal(true)
+		gate.resolve('v')
+
+		expect(await first).to.eql({ value: 'v', shared: false })
+		expect(await second).to.eql({ value: 'v', shared: true })
+		expect(calls).to.equal(1)
+		expect(flight.size).to.equal(0)
+	})
+
+	it('passes a rejection to every caller and releases the key', async () => {
+		const flight = new SingleFlight()
+		const gate = deferred()
+		const loader = () => gate.promise
+
+		const outcomes = Promise.allSettled([flight.do('k', loader), flight.do('k', loader)])
+		gate.reject(new Error('boom'))
+
+		const [a, b] = await outcomes
+		expect(a.reason.message).to.equal('boom')
+		expect(b.reason).to.equal(a.reason)
+		expect(flight.has('k')).to.equal(false)
+	})
+
+	it('starts a new load once the previous one settled', async () => {
+		const flight = new SingleFlight()
+		let calls = 0
+		const loader = async () => ++calls
+
+		expect((await flight.do('k', loader)).value).to.equal(1)
+		expect((await flight.do('k', loader)).value).to.equal(2)
+	})
+
+	it('runs every loader when disabled', async () => {
+		const flight = new SingleFlight({ enabled: false })
+		let calls = 0
+		const loader = async () => ++calls
+
+		const results = await Promise.all([flight.do('k', loader), flight.do('k', loader)])
+
+		expect(calls).to.equal(2)
+		expect(results.every(r => r.shared === false)).to.equal(true)
+		expect(flight.size).to.equal(0)
+	})
+})
@@ -0,0 +1,144 @@
+const cds = require('@sap/cds');
+const { expect } = cds.test().in(__dirname + '/app')
+
+const { Readable, Writable } = require('stream');
+
+/** Export into a string, through a stream as a caller would. */
+const exportToString = async (cache, options) => {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+        }
+    });
+    const count = await cache.export(stream, options);
+    return { count, text: chunks.join('') };
+};
+
+const linesOf = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+const snapshot = (exportedAt, ...entries) => [
+    { format: 'cds-caching-snapshot', version: 1, cache: 'test', exportedAt },
+    ...entries
+].map(line => JSON.stringify(line)).join('\n');
+
+describe('cache snapshots', () => {
+    let memory, cdsStore;
+
+    beforeEach(async () => {
+        memory = await cds.connect.to('caching-in-memory');
+        cdsStore = await cds.connect.to('caching-cds');
+        await memory.clear();
+        await cdsStore.clear();
+    })
+
+    it('should move entries from the memory store to the cds store', async () => {
+        const created = new Date('2024-05-01T10:00:00Z');
+        await memory.set('order:1', { id: 1, created }, { tags: ['orders', 'orders/1'], ttl: 60000 });
+        await memory.set('config', 'forever');
+
+        const { count, text } = await exportToString(memory);
+        expect(count).to.equal(2);
+
+        const result = await cdsStore.import(Readable.from([text.slice(0, 40), text.slice(40)]));
+        expect(result).to.eql({ imported: 2, skipped: 0 });
+
+        expect(await cdsStore.get('order:1')).to.eql({ id: 1, created: created.toISOString() });
+        expect(await cdsStore.tags('order:1')).to.eql(['orders', 'orders/1']);
+        expect(await cdsStore.ttl('order:1')).to.be.within(50000, 60000);
+        expect(await cdsStore.ttl('config')).to.equal(Infinity);
+
+        await cdsStore.deleteByTag('orders');
+        expect(await cdsStore.get('order:1')).to.be.undefined;
+    })
+
+    it('should keep the types a structured cache keeps', async () => {
+        const structured = await cds.connect.to('caching-structured');
+        await structured.clear();
+        const value = { created: new Date('2024-05-01T10:00:00Z'), count: 10n ** 20n, raw: Buffer.from('cache') };
+        await structured.set('typed', value);
+
+        const { text } = await exportToString(structured);
+        await structured.clear();
+        await structured.import(text);
+
+        expect(await structured.get('typed')).to.eql(value);
+    })
+
+    it('should export only the entries of a tag or key prefix', async () => {
+        await memory.set('product:1', 1, { tags: ['catalog/products'] });
+        await memory.set('product:2', 2);
+        await memory.set('customer:1', 3, { tags: ['catalog'] });
+
+        const byTag = linesOf((await exportToString(memory, { tag: 'catalog' })).text).slice(1);
+        expect(byTag.map(line => line.key).sort()).to.eql(['customer:1', 'product:1']);
+
+        const byPrefix = linesOf((await exportToString(memory, { prefix: 'product:' })).text).slice(1);
+        expect(byPrefix.map(line => line.key).sort()).to.eql(['product:1', 'product:2']);
+    })
+
+    it('should count the remaining TTL from the time of the export', async () => {
+        const exportedAt = Date.now() - 10000;
+        const text = snapshot(exportedAt,
+            { key: 'expired', value: 1, tags: [], timestamp: exportedAt, ttl: 5000 },
+            { key: 'alive', value: 2, tags: [], timestamp: exportedAt, ttl: 30000 }
+        );
+
+        expect(await memory.import(text)).to.eql({ imported: 1, skipped: 1 });
+        expect(await memory.get('expired')).to.be.undefined;
+        expect(await memory.ttl('alive')).to.be.within(15000, 20000);
+    })
+
+    it('should give every entry the TTL of the import instead', async () => {
+        const exportedAt = Date.now() - 10000;
+        const text = snapshot(exportedAt, { key: 'seeded', value: 'dev', tags: [], timestamp: exportedAt, ttl: 5000 });
+
+        expect(await memory.import(text, { ttl: 0 })).to.eql({ imported: 1, skipped: 0 });
+        expect(await memory.ttl('seeded')).to.equal(Infinity);
+    })
+
+    it('should keep scopes apart', async () => {
+        await memory.scope('pricing').set('list', 1);
+        await memory.set('other', 2);
+
+        const { count, text } = await exportToString(memory.scope('pricing'));
+        expect(count).to.equal(1);
+        expect(linesOf(text)[1].key).to.equal('pricing:list');
+
+        const full = (await exportToString(memory)).text;
+        await memory.clear();
+        expect(await memory.scope('pricing').import(full)).to.eql({ imported: 1, skipped: 1 });
+        expect(await memory.scope('pricing').get('list')).to.equal(1);
+        expect(await memory.get('other')).to.be.undefined;
+    })
+
+    it('should leave out entries outdated by versioned tags', async () => {
+        const versioned = await cds.connect.to('caching-versioned');
+        await versioned.clear();
+        await versioned.set('a', 1, { tags: ['group'] });
+        await versioned.set('b', 2);
+        await versioned.deleteByTag('group');
+
+        const { count, text } = await exportToString(versioned);
+        expect(count).to.equal(1);
+        expect(linesOf(text)[1].key).to.equal('b');
+    })
+
+    it('should skip encrypted values rather than import the envelopes', async () => {
+        const text = snapshot(Date.now(), { key: 'sealed', value: 'enc:v1:key:iv:tag:data', tags: [], ttl: 0 });
+
+        expect(await memory.import(text)).to.eql({ imported: 0, skipped: 1 });
+        expect(await memory.get('sealed')).to.be.undefined;
+    })
+
+    it('should reject input that is not a snapshot', async () => {
+        const rejection = (input) => memory.import(input).then(() => null, error => error.message);
+
+        expect(await rejection('')).to.include('not a cache snapshot');
+        expect(await rejection('{"key":"a","value":1}')).to.include('not a cache snapshot');
+        expect(await rejection(snapshot(Date.now()) + '\n{oops')).to.include('line 2');
+        expect(await rejection(snapshot(Date.now(), { value: 1 }))).to.include('has no key');
+        expect(await rejection(JSON.stringify({ format: 'cds-caching-snapshot', version: 2 }))).to.include('version 2');
+    })
+})
@@ -0,0 +1,158 @@
+const cds = require('@sap/cds');
+const { GET, expect } = cds.test().in(__dirname + '/app')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('stale-if-error', () => {
+
+    let cache;
+
+    beforeEach(async () => {
+        cache = await cds.connect.to('caching');
+        await cache.clear();
+    })
+
+    describe('rt.send', () => {
+
+        const request = { method: 'GET', path: '/Suppliers' };
+
+        it('should serve an expired value when the service fails', async () => {
+            let down = false;
+            const service = {
+                name: 'RemoteService',
+                send: async () => {
+                    if (down) throw new Error('S/4 unavailable');
+                    return [{ ID: 1 }];
+                }
+            };
+            const options = { ttl: 50, staleIfError: 5000 };
+
+            await cache.rt.send(request, service, options);
+            await sleep(80);
+            down = true;
+
+            const { result, metadata } = await cache.rt.send(request, service, options);
+            expect(result).to.eql([{ ID: 1 }]);
+            expect(metadata.hit).to.be.false;
+            expect(metadata.stale).to.be.true;
+            expect(metadata.error).to.equal('S/4 unavailable');
+        })
+
+        it('should load a fresh value once the entry expired and the service works', async () => {
+            let version = 0;
+            const service = { name: 'RemoteService', send: async () => ++version };
+            const options = { ttl: 50, staleIfError: 5000 };
+
+            await cache.rt.send(request, service, options);
+            await sleep(80);
+
+            const { result, metadata } = await cache.rt.send(request, service, options);
+            expect(result).to.equal(2);
+            expect(metadata.hit).to.be.false;
+            expect(metadata.stale).to.be.undefined;
+        })
+
+        it('should rethrow when the entry is past its stale-if-error window', async () => {
+            let down = false;
+            const service = {
+                name: 'RemoteService',
+                send: async () => {
+                    if (down) throw new Error('S/4 unavailable');
+                    return 'value';
+                }
+            };
+            const options = { ttl: 50, staleIfError: 1000 };
+
+            await cache.rt.send(request, service, options);
+            const key = (await cache.rt.send(request, service, options)).cacheKey;
+            // Keep the entry in the store, but move its fresh TTL far into the past
+            const entry = await cache.send('GET', { key });
+            await cache.send('SET', { key, value: { ...entry, freshUntil: Date.now() - 2000 }, ttl: 5000 });
+            down = true;
+
+            let error;
+            try {
+                await cache.rt.send(request, service, options);
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.equal('S/4 unavailable');
+        })
+
+        it('should count stale responses in the metrics', async () => {
+            const before = (await cache.getCurrentMetrics()).staleIfError;
+            let down = false;
+            const service = {
+                name: 'RemoteService',
+                send: async () => {
+                    if (down) throw new Error('S/4 unavailable');
+                    return 'value';
+                }
+            };
+            const options = { ttl: 50, staleIfError: 5000 };
+
+            await cache.rt.send(request, service, options);
+            await sleep(80);
+            down = true;
+            await cache.rt.send(request, service, options);
+
+            expect((await cache.getCurrentMetrics()).staleIfError).to.equal(before + 1);
+        })
+    })
+
+    describe('rt.exec', () => {
+
+        it('should serve an expired value when the function fails', async () => {
+            let down = false;
+            const load = async () => {
+                if (down) throw new Error('backend down');
+                return 'good';
+            };
+            const options = { ttl: 50, staleIfError: 5000 };
+
+            await cache.rt.exec('sie-exec', load, [], options);
+            await sleep(80);
+            down = true;
+
+            const { result, metadata } = await cache.rt.exec('sie-exec', load, [], options);
+            expect(result).to.equal('good');
+            expect(metadata.stale).to.be.true;
+        })
+    })
+
+    describe('@cache.staleIfError', () => {
+
+        afterEach(async () => {
+            const AppService = await cds.connect.to('AppService');
+            AppService.backendDown = false;
+        })
+
+        it('should answer with the stale value and the stale header when the backend fails', async () => {
+            const AppService = await cds.connect.to('AppService');
+
+            const first = await GET`/odata/v4/app/FallbackFoo`
+            expect(first.headers['x-sap-cap-cache']).to.equal('miss');
+
+            await sleep(250);
+            AppService.backendDown = true;
+
+            const { data, headers, status } = await GET`/odata/v4/app/FallbackFoo`
+            expect(status).to.equal(200);
+            expect(headers['x-sap-cap-cache']).to.equal('stale');
+            expect(data.value).to.eql(first.data.value);
+        })
+
+        it('should fail as before without a previously cached value', async () => {
+            const AppService = await cds.connect.to('AppService');
+            AppService.backendDown = true;
+
+            let status;
+            try {
+                await GET`/odata/v4/app/FallbackFoo`
+            } catch (error) {
+                status = error.response?.status ?? error.status;
+            }
+            expect(status).to.equal(503);
+        })
+    })
+})
@@ -0,0 +1,116 @@
+const cds = require('@sap/cds');
+const { GET, expect } = cds.test().in(__dirname + '/app')
+
+const { sleep, waitFor } = require('./helpers/timing');
+
+describe('stale-while-revalidate', () => {
+
+    let cache;
+
+    beforeEach(async () => {
+        cache = await cds.connect.to('caching');
+        await cache.clear();
+    })
+
+    describe('rt.exec', () => {
+
+        it('should serve a stale value immediately and refresh it in the background', async () => {
+            let version = 0;
+            const load = async () => `v${++version}`;
+            const options = { ttl: 50, staleWhileRevalidate: 5000 };
+
+            const first = await cache.rt.exec('swr-exec', load, [], options);
+            expect(first.result).to.equal('v1');
+            expect(first.metadata.hit).to.be.false;
+
+            await sleep(80);
+
+            const stale = await cache.rt.exec('swr-exec', load, [], options);
+            expect(stale.result).to.equal('v1');
+            expect(stale.metadata.hit).to.be.true;
+            expect(stale.metadata.stale).to.be.true;
+
+            await waitFor(async () => (await cache.get('swr-exec')) === 'v2');
+
+            const fresh = await cache.rt.exec('swr-exec', load, [], options);
+            expect(fresh.result).to.equal('v2');
+            expect(fresh.metadata.stale).to.be.false;
+            expect(version).to.equal(2);
+        })
+
+        it('should refresh a stale key only once for concurrent readers', async () => {
+            let calls = 0;
+            const load = async () => {
+                calls++;
+                await sleep(50);
+                return calls;
+            };
+            const options = { ttl: 50, staleWhileRevalidate: 5000 };
+
+            await cache.rt.exec('swr-once', load, [], options);
+            await sleep(80);
+
+            const results = await Promise.all([1, 2, 3].map(() => cache.rt.exec('swr-once', load, [], options)));
+            expect(results.every(r => r.metadata.stale)).to.be.true;
+
+            await waitFor(async () => (await cache.get('swr-once')) === 2);
+            expect(calls).to.equal(2);
+        })
+
+        it('should keep serving the stale value when the refresh fails', async () => {
+            let fail = false;
+            const load = async () => {
+                if (fail) throw new Error('backend down');
+                return 'good';
+            };
+            const options = { ttl: 50, staleWhileRevalidate: 5000 };
+
+            await cache.rt.exec('swr-fail', load, [], options);
+            await sleep(80);
+            fail = true;
+
+            const stale = await cache.rt.exec('swr-fail', load, [], options);
+            expect(stale.result).to.equal('good');
+
+            await waitFor(() => cache.revalidator.size === 0);
+            const again = await cache.rt.exec('swr-fail', load, [], options);
+            expect(again.result).to.equal('good');
+            expect(again.metadata.stale).to.be.true;
+        })
+
+        it('should not mark entries without a stale window', async () => {
+            await cache.rt.exec('swr-none', async () => 'value', [], { ttl: 5000 });
+            const { metadata } = await cache.rt.exec('swr-none', async () => 'value', [], { ttl: 5000 });
+
+            expect(metadata.hit).to.be.true;
+            expect(metadata.stale).to.be.false;
+            expect(await cache.metadata('swr-none')).to.not.have.property('freshUntil');
+        })
+    })
+
+    describe('@cache.swr', () => {
+
+        it('should serve a stale entity read and refresh it from the database', async () => {
+            const { data, headers } = await GET`/odata/v4/app/RevalidatedFoo`
+            const cacheKey = headers['x-sap-cap-cache-key'];
+            expect(data.value).to.have.length(2);
+
+            await sleep(250);
+            const db = await cds.connect.to('db');
+            await db.run(UPDATE('AppService.Foo').set({ name: 'Renamed' }).where({ ID: 1 }));
+
+            try {
+                const { data: stale, headers: staleHeaders } = await GET`/odata/v4/app/RevalidatedFoo`
+                expect(stale.value.find(foo => foo.ID === 1).name).to.equal('Foo1');
+                expect(staleHeaders['x-sap-cap-cache']).to.equal('stale');
+
+                await waitFor(async () => (await cache.get(cacheKey))?.find(foo => foo.ID === 1)?.name === 'Renamed');
+
+                const { data: fresh } = await GET`/odata/v4/app/RevalidatedFoo`
+                expect(fresh.value.find(foo => foo.ID === 1).name).to.equal('Renamed');
+            } finally {
+                await db.run(UPDATE('AppService.Foo').set({ name: 'Foo1' }).where({ ID: 1 }));
+            }
+        })
+    })
+})
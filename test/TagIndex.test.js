@@ -0,0 +1,282 @@
+const cds = require('@sap/cds')
+const { expect } = cds.test(__dirname + '/app')
+
+const { createTagIndex, MemoryTagIndex, CdsTagIndex } = require('../lib/support/TagIndex')
+const { tagMatcher, tagLevels } = require('../lib/support/tagMatching')
+
+describe('TagIndex', () => {
+
+	describe('tag matching', () => {
+
+		it('matches a tag and the tags below it', () => {
+			const matches = tagMatcher('entity:Books')
+			expect(['entity:Books', 'entity:Books/id:42', 'entity:Books/id:42/texts'].every(matches)).to.be.true
+			expect(['entity:BooksTexts', 'entity:Book', 'other/entity:Books'].some(matches)).to.be.false
+		})
+
+		it('matches wildcards within one level', () => {
+			const matches = tagMatcher('tenant:*:pricing')
+			expect(['tenant:t1:pricing', 'tenant::pricing', 'tenant:t2:pricing/eu'].every(matches)).to.be.true
+			expect(['tenant:t1:pricing2', 'tenant:t1/x:pricing', 'tenant:t1:catalog'].some(matches)).to.be.false
+			expect(tagMatcher('a.b*')('aXbc')).to.be.false
+		})
+
+		it('lists the levels of a tag', () => {
+			expect(tagLevels('a/b/c')).to.eql(['a', 'a/b', 'a/b/c'])
+			expect(tagLevels('flat')).to.eql(['flat'])
+			expect(tagLevels('/a')).to.eql(['/a'])
+		})
+	})
+
+	describe('MemoryTagIndex', () => {
+
+		it('returns the keys indexed for a tag', async () => {
+			const index = new MemoryTagIndex()
+			await index.add([
+				{ key: 'a', tags: ['t1', 't2'], ttl: 0 },
+				{ key: 'b', tags: ['t1'], ttl: 0 }
+			])
+
+			expect(await index.keys('t1')).to.have.members(['a', 'b'])
+			expect(await index.keys('t2')).to.eql(['a'])
+			expect(await index.keys('unknown')).to.eql([])
+		})
+
+		it('drops members whose entries have expired', async () => {
+			const index = new MemoryTagIndex()
+			await index.add([
+				{ key: 'short', tags: ['t'], ttl: 20 },
+				{ key: 'long', tags: ['t'], ttl: 0 }
+			])
+
+			await new Promise(resolve => setTimeout(resolve, 40))
+			expect(await index.keys('t')).to.eql(['long'])
+		})
+
+		it('removes members and clears', async () => {
+			const index = new MemoryTagIndex()
+			await index.add([{ key: 'a', tags: ['t'] }, { key: 'b', tags: ['t', 'u'] }])
+
+			await index.remove('t', ['a'])
+			expect(await index.keys('t')).to.eql(['b'])
+
+			await index.clear()
+			expect(await index.keys('t')).to.eql([])
+			expect(await index.keys('u')).to.eql([])
+		})
+
+		it('indexes entries under every level of their tags', async () => {
+			const index = new MemoryTagIndex()
+			await index.add([{ key: 'a', tags: ['entity:Books/id:42'] }, { key: 'b', tags: ['entity:Books/id:7'] }])
+
+			expect(await index.keys('entity:Books')).to.have.members(['a', 'b'])
+			expect(await index.keys('entity:Books/id:42')).to.eql(['a'])
+		})
+
+		it('prunes the members an entry no longer has', async () => {
+			const index = new MemoryTagIndex()
+			await index.add([{ key: 'a', tags: ['entity:Books/id:42', 'group'] }, { key: 'b', tags: ['group'] }])
+
+			index.prune([{ key: 'a', tags: ['entity:Books'] }, { key: 'b' }])
+			expect(await index.keys('entity:Books')).to.eql(['a'])
+			expect(await index.keys('entity:Books/id:42')).to.eql([])
+			expect(await index.keys('group')).to.eql([])
+			expect(await index.tags('*'), 'no tags without members').to.eql(['entity:Books'])
+
+			index.prune([{ key: 'a' }])
+			expect(index._tags.size).to.equal(0)
+			expect(index._keys.size).to.equal(0)
+		})
+
+		it('lists the tags matching a pattern', async () => {
+			const index = new MemoryTagIndex()
+			await index.add([{ key: 'a', tags: ['tenant:t1:pricing', 'tenant:t2:catalog'] }, { key: 'b', tags: ['tenant:t2:pricing/eu'] }])
+
+			expect(await index.tags('tenant:*:pricing')).to.have.members(['tenant:t1:pricing', 'tenant:t2:pricing', 'tenant:t2:pricing/eu'])
+		})
+	})
+
+	describe('CdsTagIndex', () => {
+
+		it('does not query the cds store to remove no members', async () => {
+			const index = new CdsTagIndex('ns')
+			index._db = () => { throw new Error('queried') }
+
+			await index.remove('t', [])
+		})
+	})
+
+	describe('createTagIndex', () => {
+
+		it('picks the index matching the store', () => {
+			expect(createTagIndex(new Map(), { store: 'memory' }, 'ns')).to.be.instanceOf(MemoryTagIndex)
+			expect(createTagIndex({}, { store: 'cds' }, 'ns')).to.be.instanceOf(CdsTagIndex)
+		})
+
+		it('returns null where the store is scanned', () => {
+			expect(createTagIndex({}, { store: 'sqlite' }, 'ns')).to.be.null
+			expect(createTagIndex({}, { store: 'hana' }, 'ns')).to.be.null
+			expect(createTagIndex(new Map(), { tagIndex: false }, 'ns')).to.be.null
+		})
+	})
+
+	describe('pruning on the memory store', () => {
+		let cache
+
+		beforeEach(async () => {
+			cache = await cds.connect.to('caching')
+			await cache.clear()
+		})
+
+		it('keeps no members of deleted or overwritten entries in memory', async () => {
+			await cache.set('a', 1, { tags: ['group'] })
+			await cache.set('b', 2, { tags: ['group'] })
+			await cache.set('c', 3, { tags: ['other'] })
+
+			await cache.delete('a')
+			await cache.set('b', 3)
+			await cache.deleteMany(['c'])
+
+			expect(await cache.tagIndex.tags('*')).to.eql([])
+		})
+
+		it('keeps no members of evicted entries in memory', async () => {
+			const { maxEntries } = cache.memoryStore
+			cache.memoryStore.maxEntries = 1
+			try {
+				await cache.set('a', 1, { tags: ['group'] })
+				await cache.set('b', 2, { tags: ['other'] })
+			} finally {
+				cache.memoryStore.maxEntries = maxEntries
+			}
+
+			expect(await cache.tagIndex.tags('*')).to.eql(['other'])
+		})
+	})
+
+	describe.each([
+		['memory store', 'caching'],
+		['cds store', 'caching-cds']
+	])('deleteByTag on the %s', (label, service) => {
+		let cache
+
+		beforeEach(async () => {
+			cache = await cds.connect.to(service)
+			await cache.clear()
+		})
+
+		it('deletes the tagged entries without scanning the store', async () => {
+			await cache.set('a', 1, { tags: ['group'] })
+			await cache.set('b', 2, { tags: ['group', 'other'] })
+			await cache.set('c', 3, { tags: ['other'] })
+
+			const iterator = cache.basicOperations.iterator
+			let scanned = false
+			cache.basicOperations.iterator = function (...args) {
+				scanned = true
+				return iterator.apply(this, args)
+			}
+			try {
+				await cache.deleteByTag('group')
+			} finally {
+				cache.basicOperations.iterator = iterator
+			}
+
+			expect(scanned).to.be.false
+			expect(await cache.getMany(['a', 'b', 'c'])).to.eql([undefined, undefined, 3])
+			expect(await cache.tagIndex.keys('group')).to.eql([])
+		})
+
+		it('keeps entries that were overwritten with other tags', async () => {
+			await cache.set('a', 1, { tags: ['group'] })
+			await cache.set('a', 2, { tags: ['other'] })
+
+			await cache.deleteByTag('group')
+			expect(await cache.get('a')).to.eql(2)
+		})
+
+		it('indexes entries written in bulk', async () => {
+			await cache.setMany([
+				{ key: 'a', value: 1 },
+				{ key: 'b', value: 2, tags: ['other'] }
+			], { tags: ['group'] })
+
+			await cache.deleteByTag('group')
+			expect(await cache.getMany(['a', 'b'])).to.eql([undefined, 2])
+		})
+
+		it('deletes the entries below a parent tag', async () => {
+			await cache.set('a', 1, { tags: ['entity:Books/id:42'] })
+			await cache.set('b', 2, { tags: ['entity:Books'] })
+			await cache.set('c', 3, { tags: ['entity:BooksTexts/id:42'] })
+
+			await cache.deleteByTag('entity:Books')
+			expect(await cache.getMany(['a', 'b', 'c'])).to.eql([undefined, undefined, 3])
+		})
+
+		it('deletes the entries matching a wildcard pattern', async () => {
+			await cache.set('a', 1, { tags: ['tenant:t1:pricing'] })
+			await cache.set('b', 2, { tags: ['tenant:t2:pricing/eu'] })
+			await cache.set('c', 3, { tags: ['tenant:t1:catalog'] })
+
+			await cache.deleteByTag('tenant:*:pricing')
+			expect(await cache.getMany(['a', 'b', 'c'])).to.eql([undefined, undefined, 3])
+		})
+
+		it('matches parent tags and patterns when scanning the store', async () => {
+			await cache.set('a', 1, { tags: ['entity:Books/id:42'] })
+			await cache.set('b', 2, { tags: ['tenant:t1:pricing'] })
+			await cache.set('c', 3, { tags: ['tenant:t1:catalog'] })
+
+			const tagIndex = cache.tagIndex
+			cache.tagIndex = null
+			try {
+				await cache.deleteByTag('entity:Books')
+				await cache.deleteByTag('tenant:*:pricing')
+			} finally {
+				cache.tagIndex = tagIndex
+			}
+			expect(await cache.getMany(['a', 'b', 'c'])).to.eql([undefined, undefined, 3])
+		})
+
+		it('deletes the entries of context-aware keys when scanning the store', async () => {
+			// The store holds `anonymous:a`; creating a key from it again would miss the entry
+			const keyManagement = cache.options.keyManagement
+			const tagIndex = cache.tagIndex
+			cache.options.keyManagement = { ...keyManagement, isUserAware: true }
+			cache.tagIndex = null
+			try {
+				await cache.set('a', 1, { tags: ['group'] })
+				await cache.set('b', 2, { tags: ['other'] })
+				await cache.deleteByTag('group')
+				expect(await cache.getMany(['a', 'b'])).to.eql([undefined, 2])
+			} finally {
+				cache.options.keyManagement = keyManagement
+				cache.tagIndex = tagIndex
+			}
+		})
+
+		it('empties the index when the cache is cleared', async () => {
+			await cache.set('a', 1, { tags: ['group'] })
+			await cache.clear()
+			expect(await cache.tagIndex.keys('group')).to.eql([])
+		})
+	})
+
+	it('does not write an entry whose tags could not be indexed', async () => {
+		const cache = await cds.connect.to('caching')
+		await cache.clear()
+
+		const add = cache.tagIndex.add
+		cache.tagIndex.add = async () => { throw new Error('index unavailable') }
+		try {
+			await cache.set('a', 1, { tags: ['group'] })
+			await cache.set('b', 2)
+		} finally {
+			cache.tagIndex.add = add
+		}
+
+		expect(await cache.get('a')).to.be.undefined
+		expect(await cache.get('b')).to.eql(2)
+	})
+})
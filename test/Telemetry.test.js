@@ -9,6 +9,7 @@ const {
     PeriodicExportingMetricReader,
     AggregationTemporality
 } = require('@opentelemetry/sdk-metrics');
+const SingleFlight = require('../lib/support/SingleFlight');
 
 // The test setup registers chai-as-promised onto the chai instance Vitest shares
 // with cds.test, which overrides Vitest's native `expect(promise).rejects`
@@ -247,6 +248,7 @@ describe('Telemetry integration (span creation)', () => {
         return {
             has: vi.fn().mockResolvedValue(false),
             send: vi.fn().mockResolvedValue(undefined),
+            singleFlight: new SingleFlight(),
         };
     }
 
@@ -597,6 +599,7 @@ describe('Telemetry integration (CapOperations span creation)', () => {
                 return undefined;
             }),
             options: { throwOnErrors: false },
+            singleFlight: new SingleFlight(),
         };
         const keyManager = {
             createKey: vi.fn().mockReturnValue('cap-key'),
@@ -0,0 +1,240 @@
+const cds = require('@sap/cds')
+const { expect } = cds.test(__dirname + '/app')
+
+const { TieredStore, resolveL1Options } = require('../lib/support/TieredStore')
+
+/** Map-backed L2 that counts the reads reaching it. */
+const countingStore = () => {
+	const data = new Map()
+	const store = {
+		reads: 0,
+		get: async (key) => { store.reads++; return data.get(key) },
+		set: async (key, value) => { data.set(key, value) },
+		delete: async (key) => data.delete(key),
+		clear: async () => data.clear(),
+		data
+	}
+	return store
+}
+
+const deferred = () => {
+	let resolve
+	const promise = new Promise(res => { resolve = res })
+	return { promise, resolve }
+}
+
+describe('TieredStore', () => {
+
+	describe('resolveL1Options', () => {
+
+		it('is off unless configured', () => {
+			expect(resolveL1Options(undefined)).to.be.null
+			expect(resolveL1Options(false)).to.be.null
+			expect(resolveL1Options({ enabled: false, ttl: 100 })).to.be.null
+		})
+
+		it('fills in defaults', () => {
+			expect(resolveL1Options(true)).to.eql({ ttl: 5000, maxEntries: 1000 })
+			expect(resolveL1Options({ ttl: 100 })).to.eql({ ttl: 100, maxEntries: 1000 })
+		})
+	})
+
+	describe('reads and writes', () => {
+
+		it('answers repeated reads from the L1', async () => {
+			const l2 = countingStore()
+			const store = new TieredStore(l2, { ttl: 1000, maxEntries: 10 })
+			const lookups = []
+			store.onLookup = (key, hit) => lookups.push([key, hit])
+
+			await store.set('a', 'value')
+			expect(await store.get('a')).to.equal('value')
+			expect(await store.get('a')).to.equal('value')
+
+			expect(l2.reads).to.equal(0)
+			expect(lookups).to.eql([['a', true], ['a', true]])
+		})
+
+		it('goes to the L2 on an L1 miss and keeps the result', async () => {
+			const l2 = countingStore()
+			l2.data.set('a', 'value')
+			const store = new TieredStore(l2, { ttl: 1000, maxEntries: 10 })
+
+			expect(await store.get('a')).to.equal('value')
+			expect(await store.get('a')).to.equal('value')
+			expect(l2.reads).to.equal(1)
+		})
+
+		it('answers has from a live L1 copy', async () => {
+			const l2 = countingStore()
+			l2.checks = 0
+			l2.has = async (key) => { l2.checks++; return l2.data.has(key) }
+			const store = new TieredStore(l2, { ttl: 1000, maxEntries: 10 })
+			store.deserialize = JSON.parse
+
+			await store.set('a', JSON.stringify({ value: 1 }))
+			await store.set('expired', JSON.stringify({ value: 1, expires: Date.now() - 1 }))
+			expect(await store.has('a')).to.be.true
+			expect(l2.checks).to.equal(0)
+
+			expect(await store.has('expired')).to.be.false
+			expect(await store.has('missing')).to.be.false
+			expect(l2.checks).to.equal(1)
+		})
+
+		it('drops L1 copies after the L1 ttl', async () => {
+			const l2 = countingStore()
+			const store = new TieredStore(l2, { ttl: 20, maxEntries: 10 })
+			await store.set('a', 'value')
+
+			await new Promise(resolve => setTimeout(resolve, 40))
+			expect(await store.get('a')).to.equal('value')
+			expect(l2.reads).to.equal(1)
+		})
+
+		it('evicts the least recently used entry beyond maxEntries', async () => {
+			const l2 = countingStore()
+			const store = new TieredStore(l2, { ttl: 1000, maxEntries: 2 })
+			await store.set('a', 1)
+			await store.set('b', 2)
+			await store.get('a')
+			await store.set('c', 3)
+
+			expect(store.l1Size).to.equal(2)
+			await store.get('a')
+			await store.get('c')
+			expect(l2.reads).to.equal(0)
+			await store.get('b')
+			expect(l2.reads).to.equal(1)
+		})
+
+		it('serves getMany from both tiers', async () => {
+			const l2 = countingStore()
+			const store = new TieredStore(l2, { ttl: 1000, maxEntries: 10 })
+			await store.set('a', 1)
+			l2.data.set('b', 2)
+
+			expect(await store.getMany(['a', 'b', 'c'])).to.eql([1, 2, undefined])
+			expect(l2.reads).to.equal(2)
+		})
+	})
+
+	describe('invalidation', () => {
+
+		it('applies deletes and clears to both tiers', async () => {
+			const l2 = countingStore()
+			const store = new TieredStore(l2, { ttl: 1000, maxEntries: 10 })
+			await store.set('a', 1)
+			await store.set('b', 2)
+
+			await store.delete('a')
+			expect(await store.get('a')).to.be.undefined
+			expect(l2.data.has('a')).to.be.false
+
+			await store.clear()
+			expect(await store.get('b')).to.be.undefined
+			expect(l2.data.size).to.equal(0)
+		})
+
+		it('does not keep an L2 read that overlapped a delete', async () => {
+			const l2 = countingStore()
+			l2.data.set('a', 'old')
+			const gate = deferred()
+			const get = l2.get
+			l2.get = async (key) => { const value = await get(key); await gate.promise; return value }
+			const store = new TieredStore(l2, { ttl: 1000, maxEntries: 10 })
+
+			const read = store.get('a')
+			await store.delete('a')
+			gate.resolve()
+			expect(await read).to.equal('old')
+
+			l2.get = get
+			expect(await store.get('a')).to.be.undefined
+		})
+	})
+
+	describe('tiered caching service', () => {
+		let cache
+
+		beforeEach(async () => {
+			cache = await cds.connect.to('caching-tiered')
+			await cache.clear()
+		})
+
+		it('reads through the L1 in front of the store', async () => {
+			expect(cache.l1).to.be.instanceOf(TieredStore)
+			const get = cache.l1.l2.get
+			let reads = 0
+			cache.l1.l2.get = async (...args) => { reads++; return get.apply(cache.l1.l2, args) }
+			try {
+				await cache.set('a', { v: 1 })
+				expect(await cache.get('a')).to.eql({ v: 1 })
+				expect(await cache.get('a')).to.eql({ v: 1 })
+			} finally {
+				cache.l1.l2.get = get
+			}
+			expect(reads).to.equal(0)
+		})
+
+		it('answers read-through hits without asking the store', async () => {
+			const l2 = cache.l1.l2
+			const calls = []
+			const counted = ['get', 'getMany', 'has'].map(method => {
+				const original = l2[method]
+				l2[method] = async (...args) => { calls.push(method); return original.apply(l2, args) }
+				return [method, original]
+			})
+			try {
+				const load = cache.rt.wrap('tiered-load', async (id) => ({ id }), { ttl: 60000 })
+				const query = SELECT.from('AppService.Foo')
+				await load(1)
+				await cache.rt.run(query, cds.db, { ttl: 60000 })
+				calls.length = 0
+
+				const wrapped = await load(1)
+				expect(wrapped.result).to.eql({ id: 1 })
+				expect(wrapped.metadata.hit).to.be.true
+				const { metadata } = await cache.rt.run(query, cds.db, { ttl: 60000 })
+				expect(metadata.hit).to.be.true
+			} finally {
+				for (const [method, original] of counted) l2[method] = original
+			}
+			expect(calls).to.eql([])
+		})
+
+		it('hands out a fresh object on every hit', async () => {
+			await cache.set('a', { v: 1 })
+			const first = await cache.get('a')
+			first.v = 2
+			expect(await cache.get('a')).to.eql({ v: 1 })
+		})
+
+		it('invalidates both tiers', async () => {
+			await cache.set('a', 1, { tags: ['group'] })
+			await cache.set('b', 2)
+			await cache.get('a')
+
+			await cache.deleteByTag('group')
+			await cache.delete('b')
+			expect(await cache.getMany(['a', 'b'])).to.eql([undefined, undefined])
+			expect(await cache.l1.l2.get('tiered:b')).to.be.undefined
+		})
+
+		it('reports L1 hits and misses separately', async () => {
+			await cache.setMetricsEnabled(true)
+			await cache.clearMetrics()
+			try {
+				await cache.set('a', 1)
+				await cache.get('a')
+				await cache.get('missing')
+
+				const stats = await cache.getCurrentMetrics()
+				expect(stats.l1Hits).to.equal(1)
+				expect(stats.l1Misses).to.equal(1)
+			} finally {
+				await cache.setMetricsEnabled(false)
+			}
+		})
+	})
+})
@@ -2,7 +2,9 @@ const crypto = require('crypto')
 const { expect } = require('chai')
 const {
 	ValueCipher,
+	TenantCiphers,
 	parseKey,
+	deriveKeyId,
 	createValueCipher,
 	resolveKeyMaterial,
 	storeCredentials,
@@ -151,11 +153,11 @@ describe('value encryption', () => {
 
 		it('rejects tampering with the ciphertext', () => {
 			const envelope = cipher.encrypt(JSON.stringify({ amount: 100 }))
-			const [prefix, iv, tag, data] = [PREFIX, ...envelope.slice(PREFIX.length).split(':')]
+			const [id, iv, tag, data] = envelope.slice(PREFIX.length).split(':')
 			const flipped = Buffer.from(data, 'base64')
 			flipped[0] ^= 0xff
 
-			expect(() => cipher.decrypt(`${prefix}${iv}:${tag}:${flipped.toString('base64')}`)).to.throw()
+			expect(() => cipher.decrypt(`${PREFIX}${id}:${iv}:${tag}:${flipped.toString('base64')}`)).to.throw()
 		})
 
 		it('rejects a malformed envelope', () => {
@@ -164,6 +166,173 @@ describe('value encryption', () => {
 		})
 	})
 
+	describe('keyring', () => {
+
+		const OLD_B64 = crypto.randomBytes(KEY_BYTES).toString('base64')
+		const ENV_NAME = 'CDS_CACHING_TEST_PREVIOUS_KEY'
+		afterEach(() => { delete process.env[ENV_NAME] })
+
+		const rotated = () => createValueCipher({ encryption: { key: KEY_B64, keyId: 'new', previousKeys: [{ id: 'old', key: OLD_B64 }] } })
+
+		it('names the key in the envelope', () => {
+			const cipher = rotated()
+			const envelope = cipher.encrypt('"x"')
+
+			expect(ValueCipher.keyIdOf(envelope)).to.equal('new')
+			expect(cipher.isCurrent(envelope)).to.be.true
+		})
+
+		it('derives the same ID from the same key when none is configured', () => {
+			const cipher = createValueCipher({ encryption: { key: KEY_B64 } })
+
+			expect(cipher.id).to.equal(deriveKeyId(parseKey(KEY_B64)))
+			expect(cipher.id).to.not.include(':')
+			expect(createValueCipher({ encryption: { key: OLD_B64 } }).id).to.not.equal(cipher.id)
+		})
+
+		it('decrypts what a previous key wrote, but encrypts with the current one', () => {
+			const before = new ValueCipher(parseKey(OLD_B64), { id: 'old' })
+			const envelope = before.encrypt('"x"')
+			const cipher = rotated()
+
+			expect(cipher.decrypt(envelope)).to.equal('"x"')
+			expect(cipher.isCurrent(envelope)).to.be.false
+			expect(ValueCipher.keyIdOf(cipher.encrypt('"x"'))).to.equal('new')
+		})
+
+		it('names a key that is not in the ring', () => {
+			const envelope = new ValueCipher(parseKey(OLD_B64), { id: 'retired' }).encrypt('"x"')
+			expect(() => rotated().decrypt(envelope)).to.throw(/key "retired", which is not configured/)
+		})
+
+		// Envelopes written before keys had IDs have no leading key ID part
+		it('tries every key on envelopes written before keys had IDs', () => {
+			const envelope = new ValueCipher(parseKey(OLD_B64)).encrypt('"x"').replace(/^(enc:v1:)[^:]+:/, '$1')
+			const cipher = rotated()
+
+			expect(ValueCipher.isEncrypted(envelope)).to.be.true
+			expect(ValueCipher.keyIdOf(envelope)).to.be.null
+			expect(cipher.decrypt(envelope)).to.equal('"x"')
+			expect(cipher.isCurrent(envelope)).to.be.false
+			expect(() => new ValueCipher(parseKey(KEY_B64)).decrypt(envelope)).to.throw()
+		})
+
+		// As decrypted by releases before key IDs, which report a failure as a miss
+		it('fails authentication on instances that predate key IDs', () => {
+			const key = parseKey(KEY_B64)
+			const envelope = new ValueCipher(key).encrypt('"x"')
+			const decryptWithoutKeyIds = () => {
+				const [ivPart, tagPart, dataPart] = envelope.slice(PREFIX.length).split(':')
+				const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivPart, 'base64'))
+				decipher.setAuthTag(Buffer.from(tagPart, 'base64'))
+				return Buffer.concat([decipher.update(Buffer.from(dataPart, 'base64')), decipher.final()]).toString('utf8')
+			}
+
+			expect(envelope.startsWith('enc:v1:')).to.be.true
+			expect(decryptWithoutKeyIds).to.throw()
+		})
+
+		it('takes previous keys as key material, records or environment variables', () => {
+			process.env[ENV_NAME] = KEY_B64
+			const cipher = createValueCipher({
+				encryption: { key: crypto.randomBytes(KEY_BYTES).toString('hex'), previousKeys: [OLD_B64, { id: 'env', keyEnv: ENV_NAME }] }
+			})
+
+			expect([...cipher.keys.keys()].slice(1)).to.eql([deriveKeyId(parseKey(OLD_B64)), 'env'])
+		})
+
+		it('refuses unusable previous keys and IDs', () => {
+			const withPrevious = (previousKeys, keyId) => () => createValueCipher({ encryption: { key: KEY_B64, keyId, previousKeys } })
+
+			expect(withPrevious(['too-short'])).to.throw(/must decode to 32 bytes/)
+			expect(withPrevious([{ keyEnv: ENV_NAME }])).to.throw(/previousKeys names .*unset or empty/)
+			expect(withPrevious([{ id: 'a:b', key: OLD_B64 }])).to.throw(/key ID "a:b"/)
+			expect(withPrevious([{ id: 'same', key: OLD_B64 }], 'same')).to.throw(/used more than once/)
+			expect(withPrevious(OLD_B64)).to.throw(/must be a list/)
+		})
+	})
+
+	describe('per-tenant keys', () => {
+
+		const OLD_B64 = crypto.randomBytes(KEY_BYTES).toString('base64')
+		const derived = () => createValueCipher({ encryption: { key: KEY_B64, keyId: 'master', tenantKeys: true } })
+
+		it('derives a key of its own for every tenant', async () => {
+			const ciphers = derived()
+			const t1 = await ciphers.forTenant('t1')
+			const t2 = await ciphers.forTenant('t2')
+
+			expect(t1.key.equals(t2.key)).to.be.false
+			expect(t1.id).to.equal('master@t1')
+			expect(() => t2.decrypt(t1.encrypt('"x"'))).to.throw(/not configured/)
+			expect(ciphers.forTenant('t1'), 'keeps the keyring').to.equal(ciphers.forTenant('t1'))
+		})
+
+		it('derives the same key on every instance', async () => {
+			const envelope = (await derived().forTenant('t1')).encrypt('"x"')
+			expect((await derived().forTenant('t1')).decrypt(envelope)).to.equal('"x"')
+		})
+
+		it('derives from previous keys as well, so tenants can rotate', async () => {
+			const before = await createValueCipher({ encryption: { key: OLD_B64, keyId: 'old', tenantKeys: true } }).forTenant('t1')
+			const after = await createValueCipher({ encryption: { key: KEY_B64, previousKeys: [{ id: 'old', key: OLD_B64 }], tenantKeys: true } }).forTenant('t1')
+			const envelope = before.encrypt('"x"')
+
+			expect(after.decrypt(envelope)).to.equal('"x"')
+			expect(after.isCurrent(envelope)).to.be.false
+			expect(after.belongsTo(envelope)).to.be.true
+		})
+
+		it('tells the envelopes of its tenant apart', async () => {
+			const ciphers = derived()
+			const t1 = await ciphers.forTenant('t1')
+			const envelope = t1.encrypt('"x"')
+
+			expect(t1.belongsTo(envelope)).to.be.true
+			expect((await ciphers.forTenant('t')).belongsTo(envelope)).to.be.false
+			expect((await ciphers.forTenant('other@t1')).belongsTo(envelope)).to.be.false
+			expect(new ValueCipher(parseKey(KEY_B64)).belongsTo(envelope), 'a shared keyring').to.be.true
+		})
+
+		it('asks a provider for the keys, and again once they are no longer kept', async () => {
+			const asked = []
+			const provider = {
+				tenantKey: async (tenant) => {
+					asked.push(tenant)
+					return tenant === 't1' ? { id: 'kms-1', key: KEY_B64, previousKeys: [{ id: 'kms-0', key: OLD_B64 }] } : undefined
+				}
+			}
+			const ciphers = createValueCipher({ encryption: { tenantKeys: { provider, keyTtl: 0 } } })
+
+			const t1 = await ciphers.forTenant('t1')
+			expect(t1.id).to.equal('kms-1@t1')
+			expect([...t1.keys.keys()]).to.eql(['kms-1@t1', 'kms-0@t1'])
+
+			await ciphers.forTenant('t1')
+			expect(asked).to.eql(['t1', 't1'])
+
+			await expect(ciphers.forTenant('t2')).to.be.rejectedWith(/no encryption key for tenant t2/)
+		})
+
+		it('keeps a provider key until it is forgotten', async () => {
+			let calls = 0
+			const ciphers = new TenantCiphers({ provider: { tenantKey: () => { calls++; return parseKey(KEY_B64) } } })
+
+			await ciphers.forTenant('t1')
+			await ciphers.forTenant('t1')
+			expect(calls).to.equal(1)
+
+			ciphers.forget('t1')
+			await ciphers.forTenant('t1')
+			expect(calls).to.equal(2)
+		})
+
+		it('refuses a provider without tenantKey', () => {
+			expect(() => createValueCipher({ encryption: { tenantKeys: {} } })).to.throw(/needs a provider/)
+			expect(() => createValueCipher({ encryption: { tenantKeys: { provider: {} } } })).to.throw(/tenantKey\(tenant\)/)
+		})
+	})
+
 	describe('isEncrypted', () => {
 
 		it('recognizes its own envelopes only', () => {
@@ -1,6 +1,8 @@
 const cds = require('@sap/cds');
+const crypto = require('crypto')
+const { Writable } = require('stream')
 const { expect } = cds.test().in(__dirname + '/app')
-const { PREFIX } = require('../lib/support/valueEncryption')
+const { PREFIX, ValueCipher, TenantCiphers, parseKey } = require('../lib/support/valueEncryption')
 const { describeFromCds } = require('./helpers/cds-version')
 
 describe('encrypted cache at rest', () => {
@@ -33,6 +35,22 @@ describe('encrypted cache at rest', () => {
         expect(JSON.parse(raw).value.startsWith(PREFIX)).to.be.true
     })
 
+    it('encrypts and decrypts bulk operations', async () => {
+        await cache.setMany([
+            { key: 'one', value: { ssn: '123-45-6789' } },
+            { key: 'two', value: { ssn: '987-65-4321' } }
+        ], { tags: ['group-a'] })
+
+        const raw = await stored(cache, 'one')
+        expect(raw).to.not.include('123-45-6789')
+        expect(JSON.parse(raw).tags).to.deep.equal(['group-a'])
+
+        expect(await cache.getMany(['one', 'two'])).to.deep.equal([
+            { ssn: '123-45-6789' },
+            { ssn: '987-65-4321' }
+        ])
+    })
+
     it('leaves a cache without encryption configured in plaintext', async () => {
         await plain.set('open', { name: 'Alice' })
         expect(await stored(plain, 'open')).to.include('Alice')
@@ -80,8 +98,8 @@ describe('encrypted cache at rest', () => {
         const key = cache.createKey('secret')
         const wrapped = JSON.parse(await cache.cache.get(key))
 
-        // Simulate a rotated key: a valid envelope this cache cannot open.
-        const foreign = `${PREFIX}${Buffer.alloc(12).toString('base64')}:${Buffer.alloc(16).toString('base64')}:${Buffer.from('nonsense').toString('base64')}`
+        // Simulate a retired key: a valid envelope this cache cannot open.
+        const foreign = `${PREFIX}retired:${Buffer.alloc(12).toString('base64')}:${Buffer.alloc(16).toString('base64')}:${Buffer.from('nonsense').toString('base64')}`
         await cache.cache.set(key, JSON.stringify({ ...wrapped, value: foreign }), 0)
 
         expect(await cache.get('secret')).to.be.undefined
@@ -101,6 +119,172 @@ describe('encrypted cache at rest', () => {
         expect(await cache.has('secret')).to.be.true
     })
 
+    describe('after the key was rotated', () => {
+
+        let rotated
+        // The key of `caching-encrypted`, kept as a previous key by `caching-rotated`
+        const before = new ValueCipher(parseKey('5Ov0Yy5oCUu0Ml2Q4hVvJ0/xoPy1zRb6xkYhWJ7VYYA='), { id: '2024-01' })
+
+        beforeEach(async () => {
+            rotated = await cds.connect.to('caching-rotated')
+            await rotated.clear()
+            rotated.options.encryption.reencryptOnRead = false
+        })
+
+        /** Write an entry as it was written before the rotation. */
+        const writtenBefore = async (key, value, options = {}) => {
+            await rotated.set(key, value, options)
+            const storeKey = rotated.createKey(key)
+            const wrapped = JSON.parse(await rotated.cache.get(storeKey))
+            await rotated.cache.set(storeKey, JSON.stringify({ ...wrapped, value: before.encrypt(JSON.stringify(value)) }), options.ttl || 0)
+        }
+        const keyIdOf = async (key) => ValueCipher.keyIdOf(JSON.parse(await stored(rotated, key)).value)
+
+        it('reads entries written under a previous key', async () => {
+            await writtenBefore('old', { v: 1 })
+
+            expect(await rotated.get('old')).to.deep.equal({ v: 1 })
+            expect(await keyIdOf('old')).to.equal('2024-01')
+        })
+
+        it('rewrites entries under the current key when they are read, if asked to', async () => {
+            rotated.options.encryption.reencryptOnRead = true
+            await writtenBefore('old', { v: 1 }, { ttl: 60000, tags: ['group-a'] })
+
+            expect(await rotated.get('old')).to.deep.equal({ v: 1 })
+            await new Promise(resolve => setTimeout(resolve, 20))
+
+            expect(await keyIdOf('old')).to.equal('2024-06')
+            expect(await rotated.get('old')).to.deep.equal({ v: 1 })
+            expect(await rotated.tags('old')).to.deep.equal(['group-a'])
+            expect(await rotated.ttl('old')).to.be.within(50000, 60000)
+        })
+
+        it('rewrites every entry of a previous key when rotating', async () => {
+            await writtenBefore('one', { v: 1 })
+            await writtenBefore('two', { v: 2 })
+            await rotated.set('three', { v: 3 })
+
+            const rotation = rotated.rotateEncryption()
+            expect(rotated.rotateEncryption(), 'joins the running rotation').to.equal(rotation)
+            expect(await rotation).to.deep.equal({ rotated: 2, current: 1, failed: 0 })
+
+            expect(await keyIdOf('one')).to.equal('2024-06')
+            expect(await rotated.getMany(['one', 'two', 'three'])).to.deep.equal([{ v: 1 }, { v: 2 }, { v: 3 }])
+            expect(await rotated.rotateEncryption()).to.deep.equal({ rotated: 0, current: 3, failed: 0 })
+        })
+
+        it('does not overwrite an entry written while it is rewritten', async () => {
+            await writtenBefore('old', { v: 1 })
+            const read = rotated.conditionalWrites.read
+            rotated.conditionalWrites.read = async (key) => {
+                const data = await read.call(rotated.conditionalWrites, key)
+                await rotated.set('old', { v: 2 })
+                return data
+            }
+
+            try {
+                expect(await rotated.reencryptEntry(rotated.createKey('old'))).to.be.false
+            } finally {
+                rotated.conditionalWrites.read = read
+            }
+            expect(await rotated.get('old')).to.deep.equal({ v: 2 })
+        })
+
+        it('refuses to rotate a cache without encryption', async () => {
+            await expect(plain.rotateEncryption()).to.be.rejectedWith(/not configured/)
+        })
+    })
+
+    describe('with per-tenant keys', () => {
+
+        let tenantCache
+
+        beforeEach(async () => {
+            tenantCache = await cds.connect.to('caching-tenant-keys')
+            await tenantCache.clear()
+        })
+
+        const as = (tenant, fn) => tenantCache.tx({ tenant }, fn)
+
+        it('returns the value to the tenant that stored it', async () => {
+            await as('t1', () => tenantCache.set('shared', { v: 't1' }))
+
+            expect(await as('t1', () => tenantCache.get('shared'))).to.deep.equal({ v: 't1' })
+            expect(ValueCipher.keyIdOf(JSON.parse(await stored(tenantCache, 'shared')).value)).to.match(/@t1$/)
+        })
+
+        // Keys are not tenant-aware here, so the other tenant finds the entry
+        it('does not decrypt the entries of another tenant', async () => {
+            await as('t1', () => tenantCache.set('shared', { v: 't1' }))
+
+            expect(await as('t2', () => tenantCache.get('shared'))).to.be.undefined
+            expect(await tenantCache.get('shared'), 'outside a tenant').to.be.undefined
+        })
+
+        it('leaves the entries of other tenants out of listings and exports, without warnings', async () => {
+            await as('t1', () => tenantCache.set('mine', { v: 't1' }))
+            await as('t2', () => tenantCache.set('theirs', { v: 't2' }))
+
+            const warnings = []
+            const warn = tenantCache.log.warn
+            tenantCache.log.warn = (...args) => warnings.push(args.join(' '))
+            try {
+                const listed = await as('t2', async () => {
+                    const entries = []
+                    for await (const [key, wrapped] of tenantCache.iterator()) entries.push([key, wrapped.value])
+                    return entries
+                })
+                expect(listed).to.deep.equal([['theirs', { v: 't2' }]])
+
+                const snapshot = await as('t2', async () => {
+                    const chunks = []
+                    const stream = new Writable({ write(chunk, encoding, callback) { chunks.push(chunk.toString()); callback() } })
+                    await tenantCache.export(stream)
+                    return chunks.join('')
+                })
+                expect(snapshot).to.include('theirs')
+                expect(snapshot).not.to.include('mine')
+                expect(snapshot).not.to.include(PREFIX)
+            } finally {
+                tenantCache.log.warn = warn
+            }
+            expect(warnings).to.deep.equal([])
+        })
+
+        it('deletes the entries of every tenant carrying a tag through the tag index', async () => {
+            await as('t1', () => tenantCache.set('one', { v: 1 }, { tags: ['x'] }))
+            await as('t2', () => tenantCache.set('two', { v: 2 }, { tags: ['x'] }))
+
+            await as('t1', () => tenantCache.deleteByTag('x'))
+            expect(await tenantCache.tagIndex.keys('x')).to.deep.equal([])
+            expect(await as('t2', () => tenantCache.get('two'))).to.be.undefined
+
+            await as('t2', () => tenantCache.set('two', { v: 2 }, { tags: ['x'] }))
+            await as('t2', () => tenantCache.deleteByTag('x'))
+            expect(await as('t2', () => tenantCache.get('two'))).to.be.undefined
+        })
+
+        it('stops reading the entries of a tenant whose provider key was deleted', async () => {
+            const keys = new Map([['t1', crypto.randomBytes(32)]])
+            const original = tenantCache.cipher
+            tenantCache.cipher = new TenantCiphers({ provider: { tenantKey: async (tenant) => keys.get(tenant) } })
+
+            try {
+                await as('t1', () => tenantCache.set('secret', { v: 1 }))
+                expect(await as('t1', () => tenantCache.get('secret'))).to.deep.equal({ v: 1 })
+
+                // Offboarding: the key is deleted from the provider, and the copy in memory dropped
+                keys.delete('t1')
+                tenantCache.forgetTenantKey('t1')
+
+                expect(await as('t1', () => tenantCache.get('secret'))).to.be.undefined
+            } finally {
+                tenantCache.cipher = original
+            }
+        })
+    })
+
     // Gated like the rest of the cds-store coverage: on cds 8 a service-level write
     // fails inside the db service for any entity, the app's own included, which is
     // also why the test app seeds with physical INSERTs.
@@ -0,0 +1,173 @@
+const cds = require('@sap/cds');
+const { expect } = cds.test().in(__dirname + '/app')
+
+const { UNEXPIRING_ENTRY_SPAN } = require('../lib/support/TagGenerations');
+
+describe.each([
+    ['memory store', 'caching-versioned'],
+    ['cds store', 'caching-versioned-cds']
+])('versioned tags on the %s', (label, service) => {
+    let cache;
+
+    beforeEach(async () => {
+        cache = await cds.connect.to(service);
+        await cache.clear();
+    })
+
+    const keysOf = async () => {
+        const keys = [];
+        for await (const [key] of cache.iterator()) keys.push(key);
+        return keys.sort();
+    };
+
+    it('should outdate the tagged entries without looking for them', async () => {
+        await cache.set('a', 1, { tags: ['group'] });
+        await cache.set('b', 2, { tags: ['group', 'other'] });
+        await cache.set('c', 3, { tags: ['other'] });
+
+        const iterator = cache.basicOperations.iterator;
+        let scanned = false;
+        cache.basicOperations.iterator = function (...args) {
+            scanned = true;
+            return iterator.apply(this, args);
+        };
+        try {
+            await cache.deleteByTag('group');
+        } finally {
+            cache.basicOperations.iterator = iterator;
+        }
+
+        expect(scanned).to.be.false;
+        expect(await cache.getMany(['a', 'b', 'c'])).to.eql([undefined, undefined, 3]);
+        expect(await cache.get('a')).to.be.undefined;
+    })
+
+    it('should outdate the entries tagged below a parent tag', async () => {
+        await cache.set('a', 1, { tags: ['entity:Books/id:42'] });
+        await cache.set('b', 2, { tags: ['entity:Books/id:7'] });
+
+        await cache.deleteByTag('entity:Books/id:42');
+        expect(await cache.getMany(['a', 'b'])).to.eql([undefined, 2]);
+
+        await cache.deleteByTag('entity:Books');
+        expect(await cache.get('b')).to.be.undefined;
+    })
+
+    it('should read entries written after the invalidation', async () => {
+        await cache.set('a', 1, { tags: ['group'] });
+        await cache.deleteByTag('group');
+        await cache.set('a', 2, { tags: ['group'] });
+
+        expect(await cache.get('a')).to.equal(2);
+    })
+
+    it('should delete outdated entries when they are read', async () => {
+        await cache.set('a', 1, { tags: ['group'] });
+        await cache.set('b', 2);
+        await cache.deleteByTag('group');
+
+        expect(await keysOf()).to.eql(['a', 'b']);
+        expect(await cache.get('a')).to.be.undefined;
+        expect(await keysOf()).to.eql(['b']);
+    })
+
+    it('should outdate the entries of a tag whose counter was lost', async () => {
+        await cache.set('a', 1, { tags: ['group'] });
+        await cache.cache.delete(cache.tagGenerations.key('group'));
+
+        expect(await cache.get('a')).to.be.undefined;
+    })
+
+    it('should write over an outdated entry with setIfAbsent', async () => {
+        await cache.set('a', 1, { tags: ['group'] });
+        await cache.deleteByTag('group');
+
+        expect(await cache.setIfAbsent('a', 2)).to.be.true;
+        expect(await cache.get('a')).to.equal(2);
+    })
+
+    it('should miss read-through entries after their tag was invalidated', async () => {
+        let loads = 0;
+        const load = async () => ++loads;
+
+        await cache.rt.exec('loaded', load, [], { ttl: 60000, tags: ['loads'] });
+        await cache.deleteByTag('loads');
+        const { result, metadata } = await cache.rt.exec('loaded', load, [], { ttl: 60000, tags: ['loads'] });
+
+        expect(metadata.hit).to.be.false;
+        expect(result).to.equal(2);
+    })
+
+    it('should still delete the entries matching a pattern', async () => {
+        await cache.set('a', 1, { tags: ['tenant:t1:pricing'] });
+        await cache.set('b', 2, { tags: ['tenant:t1:catalog'] });
+
+        await cache.deleteByTag('tenant:*:pricing');
+
+        expect(await keysOf()).to.eql(['b']);
+    })
+
+    it('should keep the counters as long as the entries recording them', async () => {
+        const expiryOf = async () => (await cache.cache.get(cache.tagGenerations.key('group'), { raw: true })).expires;
+
+        await cache.set('a', 1, { tags: ['group'], ttl: 60000 });
+        const first = await expiryOf();
+        expect(first).to.be.at.least(Date.now() + 60000);
+
+        await cache.set('b', 2, { tags: ['group'], ttl: 30000 });
+        expect(await expiryOf(), 'long enough already').to.equal(first);
+
+        await cache.set('c', 3, { tags: ['group'], ttl: 600000 });
+        expect(await expiryOf()).to.be.at.least(Date.now() + 600000);
+
+        await cache.deleteByTag('group');
+        expect(await expiryOf(), 'kept on invalidation').to.be.at.least(Date.now() + 600000);
+    })
+
+    it('should give the counters of entries without expiry an expiry as well', async () => {
+        await cache.set('a', 1, { tags: ['group'] });
+
+        const { expires } = await cache.cache.get(cache.tagGenerations.key('group'), { raw: true });
+        expect(expires).to.be.at.least(Date.now() + UNEXPIRING_ENTRY_SPAN);
+    })
+
+    it('should extend the counters of a touched entry', async () => {
+        await cache.set('a', 1, { tags: ['group'], ttl: 1000 });
+        await cache.touch('a', 600000);
+
+        const { expires } = await cache.cache.get(cache.tagGenerations.key('group'), { raw: true });
+        expect(expires).to.be.at.least(Date.now() + 600000);
+        expect(await cache.get('a')).to.equal(1);
+
+        await cache.deleteByTag('group');
+        expect(await cache.touch('a', 600000), 'outdated').to.be.false;
+    })
+
+    it('should move a counter on once per invalidation when they run at once', async () => {
+        await cache.set('a', 1, { tags: ['group'] });
+
+        const replace = cache.conditionalWrites.replace;
+        const written = [];
+        cache.conditionalWrites.replace = async (...args) => {
+            const result = await replace.apply(cache.conditionalWrites, args);
+            if (result) written.push(args[2]);
+            return result;
+        };
+        try {
+            await Promise.all([cache.deleteByTag('group'), cache.deleteByTag('group')]);
+        } finally {
+            cache.conditionalWrites.replace = replace;
+        }
+
+        expect(written).to.have.length(2);
+        expect(written[0]).not.to.equal(written[1]);
+        expect(await cache.get('a')).to.be.undefined;
+    })
+
+    it('should keep the counters out of the iterator', async () => {
+        await cache.set('a', 1, { tags: ['group'] });
+
+        expect(await keysOf()).to.eql(['a']);
+        expect(await cache.cache.get(cache.tagGenerations.key('group'))).to.be.a('number');
+    })
+})
@@ -0,0 +1,119 @@
+const cds = require('@sap/cds');
+const { expect } = cds.test().in(__dirname + '/app')
+
+const { resolveWarmupOptions, runWarmup } = require('../lib/support/Warmup');
+
+const silent = { info: () => {}, warn: () => {} };
+
+describe('cache warm-up', () => {
+
+    describe('resolveWarmupOptions', () => {
+
+        it('should warm up annotated reads unless turned off', () => {
+            expect(resolveWarmupOptions(undefined)).to.eql({ concurrency: 2, timeout: 30000, tenants: null, queries: [] });
+            expect(resolveWarmupOptions(false)).to.be.null;
+            expect(resolveWarmupOptions({ enabled: false, queries: [{ service: 'AppService' }] })).to.be.null;
+        })
+
+        it('should take the configured concurrency, tenants and queries', () => {
+            const queries = [{ service: 'AppService', query: 'SELECT from AppService.Foo' }];
+            expect(resolveWarmupOptions({ concurrency: 4, timeout: 0, tenants: ['t1'], queries })).to.eql({ concurrency: 4, timeout: 0, tenants: ['t1'], queries });
+            expect(resolveWarmupOptions({ concurrency: 0 }).concurrency).to.equal(2);
+            expect(resolveWarmupOptions({ timeout: -1 }).timeout).to.equal(30000);
+        })
+    })
+
+    describe('on startup', () => {
+        let cache, AppService;
+
+        beforeAll(async () => {
+            cache = await cds.connect.to('caching-warmup');
+            AppService = await cds.connect.to('AppService');
+        })
+
+        it('should count the loads as warm-ups rather than misses', async () => {
+            const stats = await cache.getCurrentMetrics();
+            expect(stats.warmups).to.equal(4);
+            expect(stats.misses).to.equal(0);
+            expect(stats.hits).to.equal(0);
+        })
+
+        it('should have loaded the annotated and configured reads', async () => {
+            const calls = AppService.warmedTenants.length;
+
+            expect(await AppService.send('getWarmedValue', { param1: 'annotated' })).to.equal('warmed value annotated');
+            expect(await AppService.send('getWarmedValue', { param1: 'configured' })).to.equal('warmed value configured');
+            expect(await AppService.run(SELECT.from('AppService.WarmedFoo').where({ ID: 1 }))).to.have.length(1);
+
+            expect(AppService.warmedTenants).to.have.length(calls);
+            expect((await cache.getCurrentMetrics()).hits).to.equal(3);
+        })
+    })
+
+    describe('runWarmup', () => {
+        let cache, AppService;
+
+        beforeEach(async () => {
+            cache = await cds.connect.to('caching-warmup');
+            AppService = await cds.connect.to('AppService');
+            await cache.clear();
+        })
+
+        it('should report reads that were already cached', async () => {
+            const queries = [{ service: 'AppService', query: 'SELECT from AppService.WarmedFoo' }];
+
+            expect(await runWarmup('caching-warmup', queries, { log: silent })).to.eql({ loaded: 1, cached: 0, failed: 0, skipped: 0 });
+            expect(await runWarmup('caching-warmup', queries, { log: silent })).to.eql({ loaded: 0, cached: 1, failed: 0, skipped: 0 });
+        })
+
+        it('should go on after failing reads', async () => {
+            const warnings = [];
+            const log = { info: () => {}, warn: (...args) => warnings.push(args.join(' ')) };
+            const queries = [
+                { service: 'AppService', query: 'SELECT from AppService.Missing' },
+                { service: 'AppService', function: 'getWarmedValue', args: { param1: 'after failure' } }
+            ];
+
+            expect(await runWarmup('caching-warmup', queries, { concurrency: 1, log })).to.eql({ loaded: 1, cached: 0, failed: 1, skipped: 0 });
+            expect(warnings).to.have.length(1);
+            expect(warnings[0]).to.include('1/2');
+        })
+
+        it('should run the reads once per tenant', async () => {
+            AppService.warmedTenants = [];
+            const queries = [
+                { service: 'AppService', function: 'getWarmedValue', args: { param1: 'tenants' } },
+                { service: 'AppService', function: 'getWarmedValue', args: { param1: 'own tenant' }, tenant: 't3' }
+            ];
+
+            // Keys are not tenant-aware here, so the second tenant reads what the first loaded
+            const summary = await runWarmup('caching-warmup', queries, { concurrency: 1, tenants: ['t1', 't2'], log: silent });
+            expect(summary).to.eql({ loaded: 2, cached: 1, failed: 0, skipped: 0 });
+            expect(AppService.warmedTenants).to.eql(['t1', 't3']);
+        })
+
+        it('should stop waiting once the time budget is spent', async () => {
+            const warnings = [];
+            const log = { info: () => {}, warn: (...args) => warnings.push(args.join(' ')) };
+            let release;
+            const slow = new Promise(resolve => { release = resolve; });
+            AppService.before('getWarmedValue', (req) => req.data.param1 === 'slow' ? slow : undefined);
+            const queries = [
+                { service: 'AppService', function: 'getWarmedValue', args: { param1: 'slow' } },
+                { service: 'AppService', function: 'getWarmedValue', args: { param1: 'never started' } }
+            ];
+
+            try {
+                const started = Date.now();
+                const summary = await runWarmup('caching-warmup', queries, { concurrency: 1, timeout: 100, log });
+
+                expect(Date.now() - started).to.be.below(1000);
+                expect(summary).to.eql({ loaded: 0, cached: 0, failed: 0, skipped: 1 });
+                expect(warnings).to.have.length(1);
+                expect(warnings[0]).to.include('1 read(s) skipped, 1 still running');
+            } finally {
+                release();
+            }
+        })
+    })
+})
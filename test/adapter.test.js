@@ -49,6 +49,14 @@ describe('Adapter Tests', () => {
             expect(value).to.eql("value");
         })
 
+        it('invalidates by tag through the tag index', async () => {
+            await cache.set("a", 1, { tags: ["group"] });
+            await cache.set("b", 2, { tags: ["other"] });
+            await cache.deleteByTag("group");
+            expect(await cache.get("a")).to.be.undefined;
+            expect(await cache.get("b")).to.eql(2);
+        })
+
         afterEach(async () => {
             await cache.disconnect();
         })
@@ -70,6 +78,14 @@ describe('Adapter Tests', () => {
         })
 
 
+        it('invalidates by tag through the tag index', async () => {
+            await cache.set("a", 1, { tags: ["group"] });
+            await cache.set("b", 2, { tags: ["other"] });
+            await cache.deleteByTag("group");
+            expect(await cache.get("a")).to.be.undefined;
+            expect(await cache.get("b")).to.eql(2);
+        })
+
         afterEach(async () => {
             await cache.disconnect();
         })
@@ -47,6 +47,17 @@ class AppService extends cds.ApplicationService {
             const northwind = await cds.connect.to("Northwind");
             return northwind.run(req.query);
         });
+        // Lets tests simulate an unavailable backend behind a cached entity
+        this.on('READ', 'FallbackFoo', async (req, next) => {
+            if (this.backendDown) throw Object.assign(new Error('Backend unavailable'), { status: 503 });
+            return next();
+        });
+        // Counts the reads that reach the backend behind a negatively cached entity
+        this.on('READ', 'NegativeFoo', async (req, next) => {
+            this.negativeReads = (this.negativeReads || 0) + 1;
+            if (this.rejectNotFound) return req.reject(404, 'NegativeFoo not found');
+            return next();
+        });
         this.on('getCachedValue', async (req) => {
             const data = req.data;
             return `cached value ${data.param1}`;
@@ -57,6 +68,11 @@ class AppService extends cds.ApplicationService {
             const id = param?.ID ?? param;
             return `cached value for ${id} and data ${data.param1}`;
         });
+        // Records the tenants of the calls that reach the backend behind a warmed-up function
+        this.on('getWarmedValue', async (req) => {
+            (this.warmedTenants ??= []).push(req.tenant);
+            return `warmed value ${req.data.param1}`;
+        });
         this.on('manualCachedValue', async (req) => {
             const data = req.data;
             return `cached value ${data.param1}`;
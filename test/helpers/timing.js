@@ -0,0 +1,22 @@
+'use strict';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll `condition` until it holds, e.g. until a background refresh has
+ * replaced a cached value.
+ */
+async function waitFor(condition, timeout = 2000) {
+    const started = Date.now();
+    while (!(await condition())) {
+        if (Date.now() - started > timeout) throw new Error('condition not met in time');
+        await sleep(20);
+    }
+}
+
+module.exports = {
+    sleep,
+    waitFor,
+};